@@ -8,6 +8,9 @@ import {
     RefreshControl,
     Modal,
     Pressable,
+    TextInput,
+    Alert,
+    Share,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import FontAwesome from '@expo/vector-icons/FontAwesome';
@@ -15,7 +18,9 @@ import { useRouter } from 'expo-router';
 import Colors, { NDEIP_COLORS } from '@/constants/Colors';
 import { useColorScheme } from '@/components/useColorScheme';
 import { Typography, Spacing, Radii, Glass } from '@/constants/ndeipBrandSystem';
-import { CallService, CallEntry } from '@/services/CallService';
+import { CallService, CallEntry, CallLink, CallType, DndStatus, LobbyGuest, countMissedCalls } from '@/services/CallService';
+import { ScheduledCallService, ScheduledCall, formatCallRange } from '@/services/ScheduledCallService';
+import { CALL_RECORDING_ENABLED } from '@/services/CallRecordingService';
 import EmptyState from '@/components/ui/EmptyState';
 import { useAuth } from '@/contexts/AuthContext';
 
@@ -38,6 +43,120 @@ function formatDuration(seconds: number): string {
     return `${mins}:${String(secs).padStart(2, '0')}`;
 }
 
+function formatExpiry(iso: string): string {
+    const minutes = Math.max(0, Math.round((new Date(iso).getTime() - Date.now()) / 60000));
+    if (minutes < 60) return `Expires in ${minutes}m`;
+    if (minutes < 60 * 24) return `Expires in ${Math.round(minutes / 60)}h`;
+    return `Expires in ${Math.round(minutes / (60 * 24))}d`;
+}
+
+// Shown on calls that Do Not Disturb kept from ringing
+const SILENCED_LABELS: Record<DndStatus, string> = {
+    be_quiet: 'Busy',
+    get_busy: 'Do Not Disturb',
+    quiet_hours: 'Quiet hours',
+};
+
+const LINK_EXPIRY_OPTIONS = [
+    { label: '1 hour', hours: 1 },
+    { label: '1 day', hours: 24 },
+    { label: '1 week', hours: 24 * 7 },
+];
+
+function CreateLinkSheet({ visible, isDark, onCreated, onClose }: {
+    visible: boolean;
+    isDark: boolean;
+    onCreated: (link: CallLink) => void;
+    onClose: () => void;
+}) {
+    const [title, setTitle] = useState('');
+    const [passcode, setPasscode] = useState('');
+    const [type, setType] = useState<CallType>('video');
+    const [expiresInHours, setExpiresInHours] = useState(24);
+    const [creating, setCreating] = useState(false);
+
+    useEffect(() => {
+        if (!visible) return;
+        setTitle('');
+        setPasscode('');
+        setType('video');
+        setExpiresInHours(24);
+    }, [visible]);
+
+    const handleCreate = async () => {
+        setCreating(true);
+        try {
+            const link = await CallService.createCallLink({ title: title.trim() || undefined, passcode: passcode.trim(), type, expiresInHours });
+            onCreated(link);
+        } catch (err: any) {
+            Alert.alert('Could not create link', err?.message || 'Please try again');
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const textColor = isDark ? '#F0F4F3' : NDEIP_COLORS.gray[900];
+    const inputBg = isDark ? 'rgba(255,255,255,0.04)' : NDEIP_COLORS.gray[100];
+
+    return (
+        <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+            <Pressable style={styles.overlay} onPress={onClose}>
+                <Pressable style={[styles.actionSheet, { backgroundColor: isDark ? NDEIP_COLORS.gray[900] : '#fff' }]}>
+                    <View style={styles.actionSheetHandle} />
+                    <Text style={[styles.sheetTitle, { color: textColor }]}>New call link</Text>
+                    <TextInput
+                        value={title}
+                        onChangeText={setTitle}
+                        placeholder="Title (optional)"
+                        placeholderTextColor={NDEIP_COLORS.gray[500]}
+                        style={[styles.sheetInput, { color: textColor, backgroundColor: inputBg }]}
+                    />
+                    <TextInput
+                        value={passcode}
+                        onChangeText={setPasscode}
+                        placeholder="Passcode (optional)"
+                        placeholderTextColor={NDEIP_COLORS.gray[500]}
+                        autoCapitalize="none"
+                        style={[styles.sheetInput, { color: textColor, backgroundColor: inputBg }]}
+                    />
+                    <View style={styles.chipRow}>
+                        {(['video', 'voice'] as const).map(t => (
+                            <TouchableOpacity key={t} onPress={() => setType(t)} activeOpacity={0.7}
+                                style={[styles.chip, type === t && styles.chipActive]}
+                            >
+                                <Text style={[styles.chipText, type === t && styles.chipTextActive]}>
+                                    {t === 'video' ? 'Video' : 'Voice'}
+                                </Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                    <View style={styles.chipRow}>
+                        {LINK_EXPIRY_OPTIONS.map(option => (
+                            <TouchableOpacity key={option.hours} onPress={() => setExpiresInHours(option.hours)} activeOpacity={0.7}
+                                style={[styles.chip, expiresInHours === option.hours && styles.chipActive]}
+                            >
+                                <Text style={[styles.chipText, expiresInHours === option.hours && styles.chipTextActive]}>
+                                    {option.label}
+                                </Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                    <TouchableOpacity onPress={handleCreate} disabled={creating} activeOpacity={0.85} style={{ marginTop: 8 }}>
+                        <LinearGradient
+                            colors={NDEIP_COLORS.gradients.brand as any}
+                            start={{ x: 0, y: 0 }}
+                            end={{ x: 1, y: 0 }}
+                            style={[styles.sheetButton, creating && { opacity: 0.6 }]}
+                        >
+                            <Text style={styles.sheetButtonText}>{creating ? 'Creating…' : 'Create and share'}</Text>
+                        </LinearGradient>
+                    </TouchableOpacity>
+                </Pressable>
+            </Pressable>
+        </Modal>
+    );
+}
+
 export default function CallsScreen() {
     const colorScheme = useColorScheme() ?? 'dark';
     const isDark = colorScheme === 'dark';
@@ -48,29 +167,135 @@ export default function CallsScreen() {
     const [callHistory, setCallHistory] = useState<CallEntry[]>([]);
     const [refreshing, setRefreshing] = useState(false);
     const [showActionSheet, setShowActionSheet] = useState(false);
+    const [showCreateLink, setShowCreateLink] = useState(false);
+    const [callLinks, setCallLinks] = useState<CallLink[]>([]);
+    const [upcoming, setUpcoming] = useState<ScheduledCall[]>([]);
+
+    const loadAll = async () => {
+        const [history, links, scheduled] = await Promise.all([
+            CallService.getCallHistory(),
+            CallService.getCallLinks(),
+            ScheduledCallService.getUpcoming(),
+        ]);
+        setCallHistory(history);
+        setCallLinks(links);
+        setUpcoming(scheduled);
+        ScheduledCallService.syncReminders(scheduled);
+    };
 
     const onRefresh = async () => {
         setRefreshing(true);
-        const history = await CallService.getCallHistory();
-        setCallHistory(history);
+        await loadAll();
         setRefreshing(false);
     };
 
     useEffect(() => {
         if (!user) return;
         CallService.setCurrentUser(user.id);
+        ScheduledCallService.setCurrentUser(user.id);
+        loadAll();
 
-        const load = async () => {
-            const history = await CallService.getCallHistory();
-            setCallHistory(history);
-        };
-        load();
+        // Someone knocked on (or left) one of our links
+        return CallService.subscribeToLobby(() => {
+            CallService.getCallLinks().then(setCallLinks);
+        });
     }, [user]);
 
+    // Hosts open the call on its link; invitees knock on it like any guest
+    const handleStartScheduled = (call: ScheduledCall) => {
+        if (call.isHost && call.linkId) {
+            router.push({
+                pathname: '/call',
+                params: { linkId: call.linkId, name: call.title, type: call.type, group: '1' },
+            } as any);
+        } else if (call.linkToken) {
+            router.push(`/call/join/${call.linkToken}` as any);
+        }
+    };
+
+    const handleCancelScheduled = (call: ScheduledCall) => {
+        Alert.alert(
+            'Cancel this call?',
+            call.participants.length ? 'Everyone invited will be told in chat.' : undefined,
+            [
+                { text: 'Keep', style: 'cancel' },
+                {
+                    text: 'Cancel call',
+                    style: 'destructive',
+                    onPress: async () => {
+                        try {
+                            await ScheduledCallService.cancelScheduledCall(call);
+                            setUpcoming(current => current.filter(c => c.id !== call.id));
+                            setCallLinks(current => current.filter(l => l.id !== call.linkId));
+                        } catch (err: any) {
+                            Alert.alert('Could not cancel', err?.message || 'Please try again');
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    const handleLinkCreated = (link: CallLink) => {
+        setShowCreateLink(false);
+        setCallLinks(current => [link, ...current]);
+        Share.share({ message: link.url });
+    };
+
+    const handleRevokeLink = (link: CallLink) => {
+        Alert.alert(
+            'Revoke call link?',
+            'The link will stop working and anyone waiting will be turned away.',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Revoke',
+                    style: 'destructive',
+                    onPress: async () => {
+                        try {
+                            await CallService.revokeCallLink(link.id);
+                            setCallLinks(current => current.filter(l => l.id !== link.id));
+                        } catch (err: any) {
+                            Alert.alert('Could not revoke link', err?.message || 'Please try again');
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    // Admitting starts the link's call; the guest joins it from the lobby
+    const handleAdmit = (link: CallLink, guest: LobbyGuest) => {
+        router.push({
+            pathname: '/call',
+            params: {
+                linkId: link.id,
+                admitId: guest.userId,
+                admitName: guest.name,
+                name: link.title || 'Call link',
+                type: link.type,
+                group: '1',
+            },
+        } as any);
+    };
+
+    const handleDeny = async (link: CallLink, guest: LobbyGuest) => {
+        setCallLinks(current => current.map(l => l.id === link.id
+            ? { ...l, waiting: l.waiting.filter(g => g.userId !== guest.userId) }
+            : l));
+        try {
+            await CallService.denyGuest(link.id, guest.userId);
+        } catch (err) {
+            console.error('Failed to deny guest:', err);
+        }
+    };
+
     const bg = isDark ? NDEIP_COLORS.gray[950] : NDEIP_COLORS.gray[50];
     const filtered = filter === 'missed'
         ? callHistory.filter(c => c.status === 'missed' || c.status === 'no_answer')
         : callHistory;
+    // Unreturned missed calls, badged on each contact's latest one
+    const missedCalls = countMissedCalls(callHistory);
 
     return (
         <View style={[styles.container, { backgroundColor: bg }]}>
@@ -130,6 +355,121 @@ export default function CallsScreen() {
                     <RefreshControl refreshing={refreshing} onRefresh={onRefresh} tintColor={NDEIP_COLORS.primaryTeal} colors={[NDEIP_COLORS.primaryTeal]} />
                 }
             >
+                {/* ─── Upcoming Scheduled Calls ─── */}
+                {upcoming.length > 0 && (
+                    <View style={styles.linksSection}>
+                        <View style={styles.sectionHeader}>
+                            <Text style={[styles.sectionTitle, { color: isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400] }]}>
+                                UPCOMING
+                            </Text>
+                            <TouchableOpacity onPress={() => ScheduledCallService.exportIcs(upcoming)} activeOpacity={0.6}>
+                                <Text style={styles.sectionAction}>Export all</Text>
+                            </TouchableOpacity>
+                        </View>
+                        {upcoming.map(call => {
+                            const started = new Date(call.startsAt).getTime() <= Date.now();
+                            const canJoin = call.isHost ? !!call.linkId : !!call.linkToken;
+                            return (
+                                <TouchableOpacity key={call.id} style={styles.callRow} activeOpacity={0.6}
+                                    onLongPress={() => call.isHost && handleCancelScheduled(call)}
+                                >
+                                    <View style={[styles.linkIcon, { backgroundColor: isDark ? 'rgba(37,99,235,0.15)' : 'rgba(37,99,235,0.08)' }]}>
+                                        <FontAwesome name="calendar" size={18} color={NDEIP_COLORS.electricBlue} />
+                                    </View>
+                                    <View style={styles.callContent}>
+                                        <Text style={[styles.callName, { color: colors.text }]} numberOfLines={1}>{call.title}</Text>
+                                        <Text style={[styles.callTime, { color: started ? NDEIP_COLORS.emerald : isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400] }]} numberOfLines={1}>
+                                            {started ? 'Now' : formatCallRange(call.startsAt, call.endsAt)}
+                                            {call.isHost
+                                                ? call.participants.length ? ` · ${call.participants.length} invited` : ''
+                                                : ` · from ${call.hostName}`}
+                                        </Text>
+                                    </View>
+                                    <TouchableOpacity style={styles.callAction} activeOpacity={0.6}
+                                        onPress={() => ScheduledCallService.exportIcs([call])}
+                                    >
+                                        <FontAwesome name="calendar-plus-o" size={16} color={NDEIP_COLORS.gray[500]} />
+                                    </TouchableOpacity>
+                                    <TouchableOpacity style={styles.callAction} activeOpacity={0.6}
+                                        disabled={!canJoin}
+                                        onPress={() => handleStartScheduled(call)}
+                                    >
+                                        <FontAwesome
+                                            name={call.type === 'video' ? 'video-camera' : 'phone'}
+                                            size={16}
+                                            color={canJoin ? NDEIP_COLORS.primaryTeal : NDEIP_COLORS.gray[600]}
+                                        />
+                                    </TouchableOpacity>
+                                </TouchableOpacity>
+                            );
+                        })}
+                    </View>
+                )}
+
+                {/* ─── Call Links & Lobby ─── */}
+                {callLinks.length > 0 && (
+                    <View style={styles.linksSection}>
+                        <Text style={[styles.sectionTitle, { color: isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400] }]}>
+                            CALL LINKS
+                        </Text>
+                        {callLinks.map(link => (
+                            <View key={link.id}>
+                                <View style={styles.callRow}>
+                                    <View style={[styles.linkIcon, { backgroundColor: isDark ? 'rgba(27,77,62,0.15)' : 'rgba(27,77,62,0.08)' }]}>
+                                        <FontAwesome name="link" size={18} color={NDEIP_COLORS.primaryTeal} />
+                                    </View>
+                                    <View style={styles.callContent}>
+                                        <Text style={[styles.callName, { color: colors.text }]} numberOfLines={1}>
+                                            {link.title || 'Call link'}
+                                        </Text>
+                                        <View style={styles.callMeta}>
+                                            <FontAwesome
+                                                name={link.type === 'video' ? 'video-camera' : 'phone'}
+                                                size={10}
+                                                color={isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400]}
+                                            />
+                                            {link.hasPasscode && (
+                                                <FontAwesome name="lock" size={10} color={isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400]} />
+                                            )}
+                                            <Text style={[styles.callTime, { color: isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400] }]}>
+                                                {formatExpiry(link.expiresAt)}
+                                            </Text>
+                                        </View>
+                                    </View>
+                                    <TouchableOpacity style={styles.callAction} activeOpacity={0.6}
+                                        onPress={() => Share.share({ message: link.url })}
+                                    >
+                                        <FontAwesome name="share" size={16} color={NDEIP_COLORS.primaryTeal} />
+                                    </TouchableOpacity>
+                                    <TouchableOpacity style={styles.callAction} activeOpacity={0.6}
+                                        onPress={() => handleRevokeLink(link)}
+                                    >
+                                        <FontAwesome name="trash-o" size={16} color={NDEIP_COLORS.rose} />
+                                    </TouchableOpacity>
+                                </View>
+                                {link.waiting.map(guest => (
+                                    <View key={guest.userId} style={styles.lobbyRow}>
+                                        <CallAvatar name={guest.name} size={32} />
+                                        <Text style={[styles.lobbyText, { color: colors.text }]} numberOfLines={1}>
+                                            {guest.name} <Text style={{ color: NDEIP_COLORS.gray[500] }}>wants to join</Text>
+                                        </Text>
+                                        <TouchableOpacity style={styles.lobbyDeny} activeOpacity={0.7}
+                                            onPress={() => handleDeny(link, guest)}
+                                        >
+                                            <FontAwesome name="times" size={14} color={NDEIP_COLORS.rose} />
+                                        </TouchableOpacity>
+                                        <TouchableOpacity style={styles.lobbyAdmit} activeOpacity={0.7}
+                                            onPress={() => handleAdmit(link, guest)}
+                                        >
+                                            <Text style={styles.lobbyAdmitText}>Admit</Text>
+                                        </TouchableOpacity>
+                                    </View>
+                                ))}
+                            </View>
+                        ))}
+                    </View>
+                )}
+
                 {filtered.length === 0 ? (
                     <EmptyState variant="calls" isDark={isDark} />
                 ) : (
@@ -137,16 +477,31 @@ export default function CallsScreen() {
                         const isMissed = call.status === 'missed' || call.status === 'no_answer';
                         const callName = call.name || 'Unknown';
                         const otherUserId = call.incoming ? call.caller_id : call.callee_id;
+                        // Group calls go back to the group chat and ring the whole group again
+                        const callParams = call.is_group
+                            ? { conversationId: call.conversation_id, name: callName, type: call.type, group: '1' }
+                            : { id: otherUserId, name: callName, type: call.type };
+                        const missed = call.is_group ? undefined : missedCalls.get(otherUserId);
+                        const awaitingCallBack = missed?.latestCallId === call.id;
 
                         return (
                             <TouchableOpacity key={call.id} style={styles.callRow} activeOpacity={0.6}
-                                onPress={() => router.push({ pathname: '/settings/user-profile', params: { id: otherUserId, name: callName } } as any)}
+                                onPress={() => call.is_group
+                                    ? call.conversation_id && router.push({ pathname: '/chat', params: { id: call.conversation_id, name: callName } } as any)
+                                    : router.push({ pathname: '/settings/user-profile', params: { id: otherUserId, name: callName } } as any)}
                             >
                                 <CallAvatar name={callName} />
                                 <View style={styles.callContent}>
-                                    <Text style={[styles.callName, { color: isMissed ? NDEIP_COLORS.rose : colors.text }]}>
-                                        {callName}
-                                    </Text>
+                                    <View style={styles.callNameRow}>
+                                        <Text style={[styles.callName, styles.callNameInRow, { color: isMissed ? NDEIP_COLORS.rose : colors.text }]} numberOfLines={1}>
+                                            {callName}
+                                        </Text>
+                                        {awaitingCallBack && (
+                                            <View style={styles.missedBadge}>
+                                                <Text style={styles.missedBadgeText}>{missed!.count}</Text>
+                                            </View>
+                                        )}
+                                    </View>
                                     <View style={styles.callMeta}>
                                         <FontAwesome
                                             name={call.incoming ? 'arrow-down' : 'arrow-up'}
@@ -161,18 +516,37 @@ export default function CallsScreen() {
                                         />
                                         <Text style={[styles.callTime, { color: isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400] }]}>
                                             {call.time}{call.duration > 0 ? ` · ${formatDuration(call.duration)}` : ''}
+                                            {call.status === 'failed' ? ` · ${call.failure_reason || 'Failed'}` : ''}
+                                            {call.silenced_by ? ` · ${SILENCED_LABELS[call.silenced_by]}` : ''}
                                         </Text>
                                     </View>
                                 </View>
-                                <TouchableOpacity style={styles.callAction} activeOpacity={0.6}
-                                    onPress={() => router.push({ pathname: '/call', params: { id: otherUserId, name: callName, type: call.type } } as any)}
-                                >
-                                    <FontAwesome
-                                        name={call.type === 'video' ? 'video-camera' : 'phone'}
-                                        size={16}
-                                        color={NDEIP_COLORS.primaryTeal}
-                                    />
-                                </TouchableOpacity>
+                                {call.recording_id && (
+                                    <TouchableOpacity style={styles.callAction} activeOpacity={0.6}
+                                        onPress={() => router.push({ pathname: '/calls/recordings', params: { id: call.recording_id } } as any)}
+                                    >
+                                        <FontAwesome name="play-circle" size={18} color={NDEIP_COLORS.primaryTeal} />
+                                    </TouchableOpacity>
+                                )}
+                                {awaitingCallBack ? (
+                                    <TouchableOpacity style={styles.callBackBtn} activeOpacity={0.6}
+                                        onPress={() => router.push({ pathname: '/call', params: callParams } as any)}
+                                    >
+                                        <FontAwesome name={call.type === 'video' ? 'video-camera' : 'phone'} size={12} color="#fff" />
+                                        <Text style={styles.callBackText}>Call back</Text>
+                                    </TouchableOpacity>
+                                ) : (
+                                    <TouchableOpacity style={styles.callAction} activeOpacity={0.6}
+                                        disabled={call.is_group && !call.conversation_id}
+                                        onPress={() => router.push({ pathname: '/call', params: callParams } as any)}
+                                    >
+                                        <FontAwesome
+                                            name={call.type === 'video' ? 'video-camera' : 'phone'}
+                                            size={16}
+                                            color={NDEIP_COLORS.primaryTeal}
+                                        />
+                                    </TouchableOpacity>
+                                )}
                             </TouchableOpacity>
                         );
                     })
@@ -207,14 +581,16 @@ export default function CallsScreen() {
                         <View style={styles.actionSheetHandle} />
                         {[
                             { icon: 'phone' as const, label: 'Start new call', onPress: () => { setShowActionSheet(false); router.push('/call' as any); } },
-                            { icon: 'link' as const, label: 'Create call link', onPress: () => { setShowActionSheet(false); }, disabled: true },
+                            { icon: 'link' as const, label: 'Create call link', onPress: () => { setShowActionSheet(false); setShowCreateLink(true); } },
                             { icon: 'calendar' as const, label: 'Schedule a call', onPress: () => { setShowActionSheet(false); router.push('/calls/schedule' as any); } },
+                            ...(CALL_RECORDING_ENABLED
+                                ? [{ icon: 'play-circle' as const, label: 'Call recordings', onPress: () => { setShowActionSheet(false); router.push('/calls/recordings' as any); } }]
+                                : []),
                         ].map((item, i) => (
                             <TouchableOpacity
                                 key={i}
-                                style={[styles.actionSheetItem, item.disabled && { opacity: 0.4 }]}
+                                style={styles.actionSheetItem}
                                 onPress={item.onPress}
-                                disabled={item.disabled}
                                 activeOpacity={0.6}
                             >
                                 <View style={[styles.actionSheetIcon, { backgroundColor: isDark ? 'rgba(27,77,62,0.15)' : 'rgba(27,77,62,0.08)' }]}>
@@ -222,7 +598,6 @@ export default function CallsScreen() {
                                 </View>
                                 <Text style={[styles.actionSheetLabel, { color: isDark ? '#F0F4F3' : NDEIP_COLORS.gray[900] }]}>
                                     {item.label}
-                                    {item.disabled && ' (coming soon)'}
                                 </Text>
                             </TouchableOpacity>
                         ))}
@@ -235,6 +610,13 @@ export default function CallsScreen() {
                     </View>
                 </Pressable>
             </Modal>
+
+            <CreateLinkSheet
+                visible={showCreateLink}
+                isDark={isDark}
+                onCreated={handleLinkCreated}
+                onClose={() => setShowCreateLink(false)}
+            />
         </View>
     );
 }
@@ -271,6 +653,18 @@ const styles = StyleSheet.create({
     },
     callContent: { flex: 1 },
     callName: { fontSize: 15, fontWeight: '600', marginBottom: 3 },
+    callNameRow: { flexDirection: 'row', alignItems: 'center', gap: 6, marginBottom: 3 },
+    callNameInRow: { flexShrink: 1, marginBottom: 0 },
+    missedBadge: {
+        minWidth: 18,
+        height: 18,
+        borderRadius: 9,
+        paddingHorizontal: 5,
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: NDEIP_COLORS.rose,
+    },
+    missedBadgeText: { color: '#fff', fontSize: 11, fontWeight: '700' },
     callMeta: { flexDirection: 'row', alignItems: 'center', gap: 6 },
     callTime: { fontSize: 12 },
     callAction: {
@@ -280,6 +674,65 @@ const styles = StyleSheet.create({
         alignItems: 'center',
         justifyContent: 'center',
     },
+    callBackBtn: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+        height: 32,
+        paddingHorizontal: 12,
+        borderRadius: 16,
+        backgroundColor: NDEIP_COLORS.primaryTeal,
+    },
+    callBackText: { color: '#fff', fontSize: 13, fontWeight: '600' },
+    // Call Links
+    linksSection: { paddingTop: 4, paddingBottom: 8 },
+    sectionHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingRight: Spacing.screenHorizontal,
+    },
+    sectionTitle: {
+        fontSize: 12,
+        fontWeight: '600',
+        letterSpacing: 0.6,
+        paddingHorizontal: Spacing.screenHorizontal,
+        paddingTop: 8,
+    },
+    sectionAction: { fontSize: 12, fontWeight: '600', color: NDEIP_COLORS.primaryTeal, paddingTop: 8 },
+    linkIcon: {
+        width: 48,
+        height: 48,
+        borderRadius: 24,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    lobbyRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingLeft: Spacing.screenHorizontal + 62,
+        paddingRight: Spacing.screenHorizontal,
+        paddingBottom: 12,
+        gap: 10,
+    },
+    lobbyText: { flex: 1, fontSize: 14 },
+    lobbyDeny: {
+        width: 32,
+        height: 32,
+        borderRadius: 16,
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: 'rgba(244,63,94,0.1)',
+    },
+    lobbyAdmit: {
+        paddingHorizontal: 14,
+        height: 32,
+        borderRadius: 16,
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: NDEIP_COLORS.primaryTeal,
+    },
+    lobbyAdmitText: { color: '#fff', fontSize: 13, fontWeight: '600' },
     // FAB
     fab: {
         position: 'absolute',
@@ -358,6 +811,31 @@ const styles = StyleSheet.create({
         fontSize: 15,
         fontWeight: '500',
     },
+    sheetTitle: { fontSize: 17, fontWeight: '600', marginBottom: 16 },
+    sheetInput: {
+        height: 46,
+        borderRadius: Radii.input,
+        paddingHorizontal: 14,
+        fontSize: 15,
+        marginBottom: 10,
+    },
+    chipRow: { flexDirection: 'row', gap: 8, marginBottom: 10 },
+    chip: {
+        paddingHorizontal: 14,
+        paddingVertical: 8,
+        borderRadius: 16,
+        backgroundColor: 'rgba(255,255,255,0.06)',
+    },
+    chipActive: { backgroundColor: 'rgba(27,77,62,0.35)' },
+    chipText: { fontSize: 13, fontWeight: '500', color: NDEIP_COLORS.gray[500] },
+    chipTextActive: { color: '#fff' },
+    sheetButton: {
+        height: 48,
+        borderRadius: 14,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    sheetButtonText: { color: '#fff', fontSize: 16, fontWeight: '600' },
     actionSheetCancel: {
         alignItems: 'center',
         paddingTop: 16,
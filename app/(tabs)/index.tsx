@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -16,12 +16,31 @@ import { useRouter } from 'expo-router';
 import Colors, { NDEIP_COLORS } from '@/constants/Colors';
 import { useColorScheme } from '@/components/useColorScheme';
 import { Typography, Spacing, Radii, Shadows, Glass } from '@/constants/ndeipBrandSystem';
-import { ChatService, Conversation } from '@/services/ChatService';
+import { ChatService, Conversation, MessageType, SearchResult, SearchFilters, SnippetSegment } from '@/services/ChatService';
 import EmptyState from '@/components/ui/EmptyState';
 import { useAuth } from '@/contexts/AuthContext';
 
 const FILTERS = ['All', 'Unread', 'Groups', 'Channels'];
 
+// ─── Message Search Filters ───────────────────────────────
+const SEARCH_TYPES: { key: MessageType | 'all'; label: string }[] = [
+  { key: 'all', label: 'All' },
+  { key: 'text', label: 'Text' },
+  { key: 'image', label: 'Photos' },
+  { key: 'video', label: 'Videos' },
+  { key: 'voice', label: 'Voice' },
+  { key: 'file', label: 'Files' },
+];
+
+const SEARCH_DATES = [
+  { key: 'any', label: 'Any time', days: 0 },
+  { key: 'week', label: 'Past week', days: 7 },
+  { key: 'month', label: 'Past month', days: 30 },
+  { key: 'year', label: 'Past year', days: 365 },
+];
+
+const MIN_SEARCH_LENGTH = 2;
+
 // ─── Chat Folders ─────────────────────────────────────────
 const CHAT_FOLDERS = [
   { key: 'all', label: 'All', icon: 'comments' },
@@ -89,6 +108,17 @@ function Avatar({ name, size = 52, online, showRing }: { name: string; size?: nu
   );
 }
 
+// ─── Search Snippet ───────────────────────────────────────
+function Snippet({ segments, color }: { segments: SnippetSegment[]; color: string }) {
+  return (
+    <Text style={[styles.conversationMessage, { color }]} numberOfLines={2}>
+      {segments.map((seg, i) => (
+        <Text key={i} style={seg.match ? styles.snippetMatch : undefined}>{seg.text}</Text>
+      ))}
+    </Text>
+  );
+}
+
 export default function ChatsScreen() {
   const colorScheme = useColorScheme() ?? 'dark';
   const colors = Colors[colorScheme];
@@ -99,6 +129,12 @@ export default function ChatsScreen() {
   const [activeFolder, setActiveFolder] = useState('all');
   const [searchFocused, setSearchFocused] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [searchType, setSearchType] = useState<MessageType | 'all'>('all');
+  const [searchDate, setSearchDate] = useState('any');
+  const [searchFromMe, setSearchFromMe] = useState(false);
+  const [messageHits, setMessageHits] = useState<SearchResult[]>([]);
+  const [searching, setSearching] = useState(false);
+  const searchTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
   const [mutedContacts, setMutedContacts] = useState<Record<string, boolean>>({});
   const [refreshing, setRefreshing] = useState(false);
 
@@ -117,6 +153,9 @@ export default function ChatsScreen() {
     ChatService.setCurrentUser(user.id);
 
     const load = async () => {
+      // Show the on-device copy straight away, then refresh from the server
+      const cached = await ChatService.getCachedConversations();
+      if (cached.length) setConversations(cached);
       const convos = await ChatService.getConversations();
       setConversations(convos);
       setMutedContacts(
@@ -141,15 +180,82 @@ export default function ChatsScreen() {
     router.push({ pathname: '/chat', params: { id: chat.id, name: chat.name } } as any);
   }, [router]);
 
-  // ─── Top 5 (pinned/starred) ─────────────────────────────
+  // ─── Message Search (debounced) ─────────────────────────
+  const isSearching = searchQuery.trim().length >= MIN_SEARCH_LENGTH;
+
+  useEffect(() => {
+    if (searchTimer.current) clearTimeout(searchTimer.current);
+    if (!isSearching) {
+      setMessageHits([]);
+      setSearching(false);
+      return;
+    }
+
+    setSearching(true);
+    searchTimer.current = setTimeout(async () => {
+      const days = SEARCH_DATES.find(d => d.key === searchDate)?.days ?? 0;
+      const filters: SearchFilters = {
+        type: searchType === 'all' ? undefined : searchType,
+        sender: searchFromMe ? user?.id : undefined,
+        dateRange: days ? { from: new Date(Date.now() - days * 86400000) } : undefined,
+      };
+      const hits = await ChatService.searchMessages(searchQuery, filters);
+      setMessageHits(hits);
+      setSearching(false);
+    }, 300);
+
+    return () => {
+      if (searchTimer.current) clearTimeout(searchTimer.current);
+    };
+  }, [searchQuery, isSearching, searchType, searchDate, searchFromMe, user]);
+
+  const conversationNames = React.useMemo(
+    () => Object.fromEntries(conversations.map(c => [c.id, c.name])),
+    [conversations]
+  );
+
+  const openSearchHit = useCallback((hit: SearchResult) => {
+    router.push({
+      pathname: '/chat',
+      params: { id: hit.conversationId, name: conversationNames[hit.conversationId] || '', messageId: hit.messageId },
+    } as any);
+  }, [router, conversationNames]);
+
+  // ─── Top 5 contacts ─────────────────────────────────────
+  // profiles.top3_contacts, best first. Their 1:1 chats are pinned above
+  // the rest of the list in the same order.
+  const [topContacts, setTopContacts] = useState<any[]>([]);
+
+  useEffect(() => {
+    if (!user) return;
+    ChatService.getTopContacts(user.top3_contacts).then(setTopContacts);
+  }, [user?.id, user?.top3_contacts]);
+
+  const topRanks = React.useMemo(
+    () => new Map((user?.top3_contacts || []).map((id, rank) => [id, rank])),
+    [user?.top3_contacts]
+  );
+
+  const topRankOf = useCallback((chat: Conversation) => {
+    if (chat.isGroup || !chat.other_user_id) return undefined;
+    return topRanks.get(chat.other_user_id);
+  }, [topRanks]);
+
   const top5 = React.useMemo(() => {
-    return conversations
-      .filter(c => c.starred || c.pinned)
-      .slice(0, 5)
-      .map(c => ({
-        id: c.id, name: c.name.split(' ')[0], online: c.online ?? false, avatar: c.avatar ?? null,
-      }));
-  }, [conversations]);
+    const chats = new Map(conversations.filter(c => !c.isGroup && c.other_user_id).map(c => [c.other_user_id!, c]));
+    return topContacts.map(p => ({
+      id: p.id,
+      name: (p.display_name || '').split(' ')[0],
+      fullName: p.display_name || '',
+      online: p.is_online ?? false,
+      chatId: chats.get(p.id)?.id ?? null,
+    }));
+  }, [topContacts, conversations]);
+
+  const openTopContact = useCallback(async (contact: typeof top5[number]) => {
+    const chatId = contact.chatId ?? await ChatService.findOrCreateConversation(contact.id);
+    if (chatId) openChat({ id: chatId, name: contact.fullName } as Conversation);
+  }, [openChat]);
 
   // ─── Filtered Conversations ─────────────────────────────
   const filteredConversations = React.useMemo(() => {
@@ -174,8 +280,10 @@ export default function ChatsScreen() {
       );
     }
 
-    return list;
-  }, [conversations, activeFilter, activeFolder, searchQuery]);
+    // Top 5 contacts first, best first; everything else keeps its order
+    const last = topRanks.size;
+    return [...list].sort((a, b) => (topRankOf(a) ?? last) - (topRankOf(b) ?? last));
+  }, [conversations, activeFilter, activeFolder, searchQuery, topRanks, topRankOf]);
 
   const bg = isDark ? NDEIP_COLORS.gray[950] : NDEIP_COLORS.gray[50];
   const cardBg = isDark ? Glass.dark.background : Glass.light.background;
@@ -198,7 +306,7 @@ export default function ChatsScreen() {
           <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.top3Scroll}>
             {top5.map((contact) => (
               <TouchableOpacity key={contact.id} style={styles.top3Item} activeOpacity={0.7}
-                onPress={() => openChat({ id: contact.id, name: contact.name } as Conversation)}
+                onPress={() => openTopContact(contact)}
               >
                 <Avatar name={contact.name} size={Spacing.components.top3AvatarSize} online={contact.online} showRing />
                 <Text style={[styles.top3Name, { color: isDark ? NDEIP_COLORS.gray[300] : NDEIP_COLORS.gray[600] }]} numberOfLines={1}>
@@ -206,7 +314,7 @@ export default function ChatsScreen() {
                 </Text>
               </TouchableOpacity>
             ))}
-            <TouchableOpacity style={styles.top3AddButton} activeOpacity={0.7}>
+            <TouchableOpacity style={styles.top3AddButton} activeOpacity={0.7} onPress={() => router.push('/features/top3' as any)}>
               <View style={[styles.top3AddCircle, { borderColor: isDark ? NDEIP_COLORS.glass.border : NDEIP_COLORS.glass.borderLight }]}>
                 <FontAwesome name="plus" size={18} color={NDEIP_COLORS.gray[500]} />
               </View>
@@ -269,8 +377,52 @@ export default function ChatsScreen() {
             returnKeyType="search"
             autoCorrect={false}
           />
+          {searchQuery.length > 0 && (
+            <TouchableOpacity onPress={() => setSearchQuery('')} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+              <FontAwesome name="times-circle" size={14} color={NDEIP_COLORS.gray[500]} />
+            </TouchableOpacity>
+          )}
         </View>
 
+        {/* ─── Message Search Filters ─── */}
+        {isSearching && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.filterContainer}>
+            <TouchableOpacity
+              onPress={() => setSearchFromMe(v => !v)}
+              style={[styles.searchChip, { borderColor }, searchFromMe && styles.searchChipActive]}
+              activeOpacity={0.7}
+            >
+              <Text style={[styles.filterText, { color: searchFromMe ? NDEIP_COLORS.primaryTeal : NDEIP_COLORS.gray[500] }]}>From me</Text>
+            </TouchableOpacity>
+            {SEARCH_DATES.map(d => {
+              const isActive = d.key === searchDate;
+              return (
+                <TouchableOpacity
+                  key={d.key}
+                  onPress={() => setSearchDate(d.key)}
+                  style={[styles.searchChip, { borderColor }, isActive && styles.searchChipActive]}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.filterText, { color: isActive ? NDEIP_COLORS.primaryTeal : NDEIP_COLORS.gray[500] }]}>{d.label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+            {SEARCH_TYPES.map(t => {
+              const isActive = t.key === searchType;
+              return (
+                <TouchableOpacity
+                  key={t.key}
+                  onPress={() => setSearchType(t.key)}
+                  style={[styles.searchChip, { borderColor }, isActive && styles.searchChipActive]}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.filterText, { color: isActive ? NDEIP_COLORS.primaryTeal : NDEIP_COLORS.gray[500] }]}>{t.label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+        )}
+
         {/* ─── Filter Pills ─── */}
         <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.filterContainer}>
           {FILTERS.map((filter) => {
@@ -300,8 +452,13 @@ export default function ChatsScreen() {
         </ScrollView>
 
         <View style={styles.conversationList}>
+          {isSearching && filteredConversations.length > 0 && (
+            <Text style={[styles.sectionLabel, { color: isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400], marginTop: 8, marginBottom: 0 }]}>
+              CHATS
+            </Text>
+          )}
           {filteredConversations.length === 0 ? (
-            searchQuery ? (
+            isSearching && (searching || messageHits.length > 0) ? null : searchQuery ? (
               <EmptyState variant="search" isDark={isDark} />
             ) : (
               <EmptyState variant="chats" isDark={isDark} />
@@ -323,7 +480,7 @@ export default function ChatsScreen() {
                 <View style={styles.conversationContent}>
                   <View style={styles.conversationTop}>
                     <Text style={[styles.conversationName, { color: colors.text }]} numberOfLines={1}>
-                      {chat.pinned && <Text style={{ color: NDEIP_COLORS.amber }}>★ </Text>}
+                      {(chat.pinned || topRankOf(chat) !== undefined) && <Text style={{ color: NDEIP_COLORS.amber }}>★ </Text>}
                       {chat.name}
                     </Text>
                     <Text style={[styles.conversationTime, { color: chat.unread > 0 ? NDEIP_COLORS.primaryTeal : NDEIP_COLORS.gray[500] }]}>
@@ -355,6 +512,40 @@ export default function ChatsScreen() {
             ))
           )}
         </View>
+
+        {/* ─── Message Search Results ─── */}
+        {isSearching && (searching || messageHits.length > 0) && (
+          <View style={styles.conversationList}>
+            <Text style={[styles.sectionLabel, { color: isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400], marginTop: 8, marginBottom: 0 }]}>
+              {searching ? 'SEARCHING MESSAGES…' : `MESSAGES · ${messageHits.length}`}
+            </Text>
+            {messageHits.map(hit => {
+              const chatName = conversationNames[hit.conversationId] || hit.senderName;
+              return (
+                <TouchableOpacity
+                  key={hit.messageId}
+                  style={styles.conversationRow}
+                  activeOpacity={0.6}
+                  onPress={() => openSearchHit(hit)}
+                >
+                  <Avatar name={chatName} size={Spacing.components.avatarSizeMedium} />
+                  <View style={styles.conversationContent}>
+                    <View style={styles.conversationTop}>
+                      <Text style={[styles.conversationName, { color: colors.text }]} numberOfLines={1}>
+                        {chatName}
+                        {hit.senderName !== chatName && (
+                          <Text style={{ color: NDEIP_COLORS.gray[500], fontWeight: '400' as any }}> · {hit.senderName}</Text>
+                        )}
+                      </Text>
+                      <Text style={[styles.conversationTime, { color: NDEIP_COLORS.gray[500] }]}>{hit.time}</Text>
+                    </View>
+                    <Snippet segments={hit.snippet} color={isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400]} />
+                  </View>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        )}
       </ScrollView >
 
       {/* ─── FAB ─── */}
@@ -451,6 +642,20 @@ const styles = StyleSheet.create({
     fontSize: Typography.sizes.bodySmall,
     fontWeight: '400' as any,
   },
+  searchChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  searchChipActive: {
+    borderColor: NDEIP_COLORS.primaryTeal,
+    backgroundColor: 'rgba(27,77,62,0.12)',
+  },
+  snippetMatch: {
+    color: NDEIP_COLORS.primaryTeal,
+    fontWeight: '700' as any,
+  },
   // Filters
   filterContainer: {
     paddingHorizontal: Spacing.screenHorizontal,
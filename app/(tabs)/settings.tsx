@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useCallback } from 'react';
 import {
     View,
     Text,
@@ -10,11 +10,19 @@ import {
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import FontAwesome from '@expo/vector-icons/FontAwesome';
-import { useRouter } from 'expo-router';
+import { useRouter, useFocusEffect } from 'expo-router';
 import Colors, { NDEIP_COLORS } from '@/constants/Colors';
 import { useColorScheme } from '@/components/useColorScheme';
 import { Typography, Spacing, Radii, Glass, Shadows } from '@/constants/ndeipBrandSystem';
 import { useAuth } from '@/contexts/AuthContext';
+import { DndService } from '@/services/DndService';
+
+const DND_VALUES: Record<string, { label: string; color: string }> = {
+    available: { label: 'Available', color: NDEIP_COLORS.emerald },
+    be_quiet: { label: 'Busy', color: NDEIP_COLORS.amber },
+    get_busy: { label: 'On', color: NDEIP_COLORS.rose },
+    do_not_disturb: { label: 'Invisible', color: NDEIP_COLORS.gray[500] },
+};
 
 const SETTINGS_GROUPS = [
     {
@@ -54,6 +62,13 @@ export default function SettingsScreen() {
     const displayName = user?.display_name || 'Your Name';
     const initials = displayName.split(' ').map((n: string) => n[0]).join('').slice(0, 2).toUpperCase();
     const aboutText = user?.about || "Hey there! I'm using ndeip";
+    const dndValue = DND_VALUES[user?.dnd_mode || 'available'];
+
+    // Emergencies that got through DND and haven't been looked at yet
+    const [unseenBreakthroughs, setUnseenBreakthroughs] = useState(0);
+    useFocusEffect(useCallback(() => {
+        DndService.getBreakthroughs().then(list => setUnseenBreakthroughs(list.filter(b => !b.seen).length));
+    }, [user?.id]));
 
     const handleLogout = () => {
         Alert.alert('Log Out', 'Are you sure you want to log out?', [
@@ -103,7 +118,9 @@ export default function SettingsScreen() {
                         <FontAwesome name="moon-o" size={16} color={NDEIP_COLORS.emerald} />
                     </View>
                     <Text style={[styles.quickLabel, { color: colors.text }]}>Do Not Disturb</Text>
-                    <Text style={[styles.quickValue, { color: NDEIP_COLORS.emerald }]}>Available</Text>
+                    <Text style={[styles.quickValue, { color: unseenBreakthroughs ? NDEIP_COLORS.rose : dndValue.color }]}>
+                        {unseenBreakthroughs ? `${unseenBreakthroughs} got through` : dndValue.label}
+                    </Text>
                 </TouchableOpacity>
 
                 <TouchableOpacity
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useCallback } from 'react';
 import {
     View,
     Text,
@@ -9,18 +9,17 @@ import {
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import FontAwesome from '@expo/vector-icons/FontAwesome';
-import { useRouter } from 'expo-router';
+import { useRouter, useFocusEffect } from 'expo-router';
 import Colors, { NDEIP_COLORS } from '@/constants/Colors';
 import { useColorScheme } from '@/components/useColorScheme';
 import { Typography, Spacing, Radii, Glass } from '@/constants/ndeipBrandSystem';
 import { StoryService, UserStory } from '@/services/StoryService';
 import EmptyState from '@/components/ui/EmptyState';
+import { useAuth } from '@/contexts/AuthContext';
 
 // ─── TTL Utilities ───────────────────────────────────────
-const STORY_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
-
-function getTimeRemaining(timestamp: number): string {
-    const expiresAt = timestamp + STORY_TTL_MS;
+// Stories expire on the server 24h after their last segment was posted
+function getTimeRemaining(expiresAt: number): string {
     const remaining = expiresAt - Date.now();
     if (remaining <= 0) return 'Expired';
     const hours = Math.floor(remaining / (60 * 60 * 1000));
@@ -30,8 +29,8 @@ function getTimeRemaining(timestamp: number): string {
 }
 
 // ─── Story Avatar ─────────────────────────────────────────
-function StoryAvatar({ userId, name, seen, count, timestamp, onPress }: {
-    userId: string; name: string; seen: boolean; count: number; timestamp: number; onPress: () => void;
+function StoryAvatar({ userId, name, seen, count, expiresAt, onPress }: {
+    userId: string; name: string; seen: boolean; count: number; expiresAt: number; onPress: () => void;
 }) {
     const initials = name.split(' ').map(n => n[0]).join('').slice(0, 2);
     const gradColors = [
@@ -78,7 +77,7 @@ function StoryAvatar({ userId, name, seen, count, timestamp, onPress }: {
                     {count > 2 && <View style={[styles.storyCountDot, !seen && styles.storyCountDotActive]} />}
                 </View>
             )}
-            <Text style={styles.storyTimeLeft}>{getTimeRemaining(timestamp)}</Text>
+            <Text style={styles.storyTimeLeft}>{getTimeRemaining(expiresAt)}</Text>
         </TouchableOpacity>
     );
 }
@@ -88,29 +87,32 @@ export default function StoriesScreen() {
     const isDark = colorScheme === 'dark';
     const colors = Colors[colorScheme];
     const router = useRouter();
+    const { user } = useAuth();
     const bg = isDark ? NDEIP_COLORS.gray[950] : NDEIP_COLORS.gray[50];
     const [contactStories, setContactStories] = useState<UserStory[]>([]);
     const [myStory, setMyStory] = useState<UserStory | null>(null);
     const [refreshing, setRefreshing] = useState(false);
 
+    const load = useCallback(async () => {
+        if (!user) return;
+        StoryService.setCurrentUser(user.id);
+        const stories = await StoryService.getAllStories();
+        setContactStories(stories.filter(s => !s.isMyStory));
+        setMyStory(stories.find(s => s.isMyStory) || null);
+    }, [user]);
+
     const onRefresh = async () => {
         setRefreshing(true);
-        const stories = await StoryService.getContactStories();
-        setContactStories(stories);
-        const mine = await StoryService.getMyStory();
-        setMyStory(mine);
+        await load();
         setRefreshing(false);
     };
 
-    useEffect(() => {
-        const load = async () => {
-            const stories = await StoryService.getContactStories();
-            setContactStories(stories);
-            const mine = await StoryService.getMyStory();
-            setMyStory(mine);
-        };
+    // Reload on focus so new posts and expired stories show up
+    useFocusEffect(useCallback(() => {
         load();
-    }, []);
+    }, [load]));
+
+    const myViews = myStory?.segments.reduce((sum, s) => sum + s.viewCount, 0) ?? 0;
 
     const openStory = (userId: string) => {
         router.push({ pathname: '/story', params: { userId } } as any);
@@ -123,7 +125,11 @@ export default function StoriesScreen() {
             }
         >
             {/* ─── My Story Card ─── */}
-            <TouchableOpacity activeOpacity={0.8} style={styles.myStoryCard} onPress={() => router.push('/gallery' as any)}>
+            <TouchableOpacity
+                activeOpacity={0.8}
+                style={styles.myStoryCard}
+                onPress={() => myStory ? openStory(myStory.userId) : router.push('/gallery' as any)}
+            >
                 <View style={[styles.myStoryCardInner, {
                     backgroundColor: isDark ? Glass.dark.background : Glass.light.background,
                     borderColor: isDark ? Glass.dark.borderSubtle : Glass.light.borderSubtle,
@@ -135,22 +141,28 @@ export default function StoriesScreen() {
                         >
                             <Text style={{ color: '#fff', fontSize: 22, fontWeight: '700' }}>Y</Text>
                         </LinearGradient>
-                        <View style={styles.myStoryAddBadge}>
+                        <TouchableOpacity style={styles.myStoryAddBadge} onPress={() => router.push('/gallery' as any)} hitSlop={8}>
                             <LinearGradient
                                 colors={NDEIP_COLORS.gradients.brand as any}
                                 style={styles.myStoryAddBadgeInner}
                             >
                                 <FontAwesome name="plus" size={10} color="#fff" />
                             </LinearGradient>
-                        </View>
+                        </TouchableOpacity>
                     </View>
                     <View style={styles.myStoryText}>
-                        <Text style={[styles.myStoryTitle, { color: colors.text }]}>Add to your story</Text>
+                        <Text style={[styles.myStoryTitle, { color: colors.text }]}>
+                            {myStory ? 'My story' : 'Add to your story'}
+                        </Text>
                         <Text style={[styles.myStorySubtitle, { color: isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400] }]}>
-                            Tap to add · Disappears after 24h
+                            {myStory
+                                ? `${myStory.segments.length} ${myStory.segments.length === 1 ? 'update' : 'updates'} · ${myViews} ${myViews === 1 ? 'view' : 'views'} · ${getTimeRemaining(myStory.expiresAt)}`
+                                : 'Tap to add · Disappears after 24h'}
                         </Text>
                     </View>
-                    <FontAwesome name="camera" size={18} color={NDEIP_COLORS.primaryTeal} />
+                    <TouchableOpacity onPress={() => router.push('/gallery' as any)} hitSlop={8}>
+                        <FontAwesome name="camera" size={18} color={NDEIP_COLORS.primaryTeal} />
+                    </TouchableOpacity>
                 </View>
             </TouchableOpacity>
 
@@ -173,7 +185,7 @@ export default function StoriesScreen() {
                             name={story.userName}
                             seen={!StoryService.hasUnseenStories(story)}
                             count={story.segments.length}
-                            timestamp={story.lastUpdated}
+                            expiresAt={story.expiresAt}
                             onPress={() => openStory(story.userId)}
                         />
                     )) : (
@@ -195,7 +207,7 @@ export default function StoriesScreen() {
                             name={story.userName}
                             seen={!StoryService.hasUnseenStories(story)}
                             count={story.segments.length}
-                            timestamp={story.lastUpdated}
+                            expiresAt={story.expiresAt}
                             onPress={() => openStory(story.userId)}
                         />
                     )) : (
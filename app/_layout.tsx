@@ -12,6 +12,10 @@ import { useColorScheme } from '@/components/useColorScheme';
 import { MeshThemeProvider } from '@/hooks/useMeshTheme';
 import { AuthProvider, useAuth } from '@/contexts/AuthContext';
 import CallNotification from '@/components/calls/CallNotification';
+import { CallService, type IncomingCallSignal } from '@/services/CallService';
+import { ChatService } from '@/services/ChatService';
+import { ScheduledCallService } from '@/services/ScheduledCallService';
+import { DndService, BREAKTHROUGH_LABELS, deviceTimezone } from '@/services/DndService';
 
 export {
   ErrorBoundary,
@@ -43,6 +47,95 @@ function AuthGate() {
   return null;
 }
 
+// ─── Incoming calls ──────────────────────────────────────
+// Listens for call offers addressed to the signed-in user for as long as
+// they stay signed in, and rings over whatever screen is open.
+function IncomingCallListener() {
+  const { user } = useAuth();
+  const router = useRouter();
+  const [incomingCall, setIncomingCall] = useState<IncomingCallSignal | null>(null);
+
+  useEffect(() => {
+    if (!user) return;
+    CallService.setCurrentUser(user.id);
+
+    // Invitees get reminders for scheduled calls without opening the Calls tab
+    ScheduledCallService.setCurrentUser(user.id);
+    ScheduledCallService.getUpcoming().then(calls => ScheduledCallService.syncReminders(calls));
+
+    return CallService.subscribeToIncomingCalls(
+      (signal) => {
+        // Already on a call — the caller's ring timeout records it as unanswered
+        if (CallService.getActiveCall()) return;
+        setIncomingCall(signal);
+      },
+      (callHistoryId) => {
+        setIncomingCall(current => current?.callHistoryId === callHistoryId ? null : current);
+      }
+    );
+  }, [user?.id]);
+
+  useEffect(() => {
+    CallService.setLowDataMode(user?.low_data_calls ?? false);
+  }, [user?.low_data_calls]);
+
+  const handleAnswer = useCallback(() => {
+    if (!incomingCall) return;
+    setIncomingCall(null);
+    router.push({
+      pathname: '/call',
+      params: {
+        id: incomingCall.callerId,
+        name: incomingCall.groupName || incomingCall.callerName,
+        type: incomingCall.type,
+        callId: incomingCall.callHistoryId,
+        ...(incomingCall.isGroup ? { group: '1' } : {}),
+      },
+    } as any);
+  }, [incomingCall, router]);
+
+  const handleDecline = useCallback(() => {
+    if (!incomingCall) return;
+    setIncomingCall(null);
+    CallService.declineCall(incomingCall.callerId, incomingCall.callHistoryId, incomingCall.isGroup);
+  }, [incomingCall]);
+
+  const handleMessage = useCallback(async () => {
+    if (!incomingCall) return;
+    handleDecline();
+    const conversationId = await ChatService.findOrCreateConversation(incomingCall.callerId);
+    if (conversationId) {
+      router.push({ pathname: '/chat', params: { id: conversationId, name: incomingCall.callerName } } as any);
+    }
+  }, [incomingCall, handleDecline, router]);
+
+  if (!incomingCall) return null;
+
+  // Urgent calls, and calls that ring through DND, say so
+  const label = incomingCall.breakthrough
+    ? BREAKTHROUGH_LABELS[incomingCall.breakthrough]
+    : incomingCall.urgent ? BREAKTHROUGH_LABELS.urgent : null;
+  const callerName = incomingCall.groupName ? `${incomingCall.callerName} · ${incomingCall.groupName}` : incomingCall.callerName;
+
+  return (
+    <CallNotification
+      visible={true}
+      caller={{
+        id: incomingCall.callerId,
+        name: label ? `${label} · ${callerName}` : callerName,
+        avatar: null,
+      }}
+      callType={incomingCall.type}
+      onAnswer={handleAnswer}
+      onDecline={handleDecline}
+      onMessage={handleMessage}
+      onRemindLater={() => setIncomingCall(null)}
+      // Unanswered calls end from the caller's side as "no answer", not declined
+      autoDeclineTimeout={0}
+    />
+  );
+}
+
 export default function RootLayout() {
   const [loaded, error] = useFonts({
     SpaceMono: require('../assets/fonts/SpaceMono-Regular.ttf'),
@@ -80,9 +173,43 @@ export default function RootLayout() {
   );
 }
 
+// ─── Message alerts ──────────────────────────────────────
+// Presents the message alerts Do Not Disturb lets through, and sums up
+// the ones it held back once the user is reachable again: on coming back
+// to the app and when they switch DND off.
+function MessageAlertListener() {
+  const { user, updateProfile } = useAuth();
+
+  useEffect(() => {
+    if (!user) return;
+    DndService.setCurrentUser(user.id);
+    return DndService.subscribeToAlerts();
+  }, [user?.id]);
+
+  useEffect(() => {
+    DndService.setTopContacts(user?.top3_contacts ?? []);
+  }, [user?.top3_contacts]);
+
+  // Quiet hours are read in the profile's timezone; follow the device
+  useEffect(() => {
+    const timezone = deviceTimezone();
+    if (user && timezone && timezone !== user.timezone) updateProfile({ timezone });
+  }, [user?.id, user?.timezone]);
+
+  useEffect(() => {
+    if (!user) return;
+    DndService.releaseDeferredAlerts();
+    const sub = AppState.addEventListener('change', (nextState: AppStateStatus) => {
+      if (nextState === 'active') DndService.releaseDeferredAlerts();
+    });
+    return () => sub.remove();
+  }, [user?.id, user?.dnd_mode, user?.quiet_hours_start, user?.quiet_hours_end]);
+
+  return null;
+}
+
 function RootLayoutNav() {
   const colorScheme = useColorScheme();
-  const router = useRouter();
 
   // ─── Resume Loading Overlay ──────────────────────────
   const [showResumeOverlay, setShowResumeOverlay] = useState(false);
@@ -106,28 +233,6 @@ function RootLayoutNav() {
     return () => sub.remove();
   }, []);
 
-  // ─── Simulated incoming call ─────────────────────────
-  const [incomingCall, setIncomingCall] = useState<{ name: string; type: string } | null>(null);
-
-  useEffect(() => {
-    // Simulate an incoming call after 30s for demo purposes
-    const timer = setTimeout(() => {
-      setIncomingCall({ name: 'Thandi Nkosi', type: 'voice' });
-    }, 30000);
-    return () => clearTimeout(timer);
-  }, []);
-
-  const handleAnswer = useCallback(() => {
-    if (incomingCall) {
-      setIncomingCall(null);
-      router.push({ pathname: '/call', params: { id: '3', name: incomingCall.name, type: incomingCall.type } } as any);
-    }
-  }, [incomingCall, router]);
-
-  const handleDecline = useCallback(() => {
-    setIncomingCall(null);
-  }, []);
-
   return (
     <AuthProvider>
       <MeshThemeProvider>
@@ -150,17 +255,8 @@ function RootLayoutNav() {
           </Stack>
 
           {/* Global Incoming Call Overlay */}
-          {incomingCall && (
-            <CallNotification
-              visible={true}
-              caller={{ id: '3', name: incomingCall.name, avatar: null }}
-              callType={incomingCall.type}
-              onAnswer={handleAnswer}
-              onDecline={handleDecline}
-              onMessage={() => setIncomingCall(null)}
-              onRemindLater={() => setIncomingCall(null)}
-            />
-          )}
+          <IncomingCallListener />
+          <MessageAlertListener />
 
           {/* Resume Loading Overlay */}
           <LoadingScreen visible={showResumeOverlay} />
@@ -14,6 +14,7 @@ import { LinearGradient } from "expo-linear-gradient";
 import FontAwesome from "@expo/vector-icons/FontAwesome";
 import { useRouter } from "expo-router";
 import { useAuth } from "@/contexts/AuthContext";
+import { toE164 } from "@/utils/phone";
 import { NDEIP_COLORS } from "@/constants/Colors";
 import {
   Typography,
@@ -84,12 +85,20 @@ export default function SignupScreen() {
     }
 
     // Phone validation (optional field)
+    // E.164, dropping the trunk 0 people often type before a national number
+    let fullPhone = '';
     if (phone.trim()) {
       const digitsOnly = phone.replace(/\D/g, '');
       if (digitsOnly.length < 7 || digitsOnly.length > 15) {
         setError("Phone number must be 7-15 digits");
         return;
       }
+      const number = toE164(phone, countryCode.code.slice(1));
+      if (!number) {
+        setError(`Please enter a valid ${countryCode.label} phone number`);
+        return;
+      }
+      fullPhone = number;
     }
 
     // Basic password validation
@@ -101,7 +110,6 @@ export default function SignupScreen() {
     setLoading(true);
     try {
       // Authenticate — AuthGate will redirect to /(tabs) automatically
-      const fullPhone = phone.trim() ? `${countryCode.code}${phone.replace(/\D/g, '')}` : '';
       await signUp(email, password, name, fullPhone);
     } catch (err: any) {
       setError(err?.message || "Failed to create account");
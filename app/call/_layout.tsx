@@ -10,6 +10,7 @@ export default function CallLayout() {
                     animation: 'slide_from_bottom',
                 }}
             />
+            <Stack.Screen name="join/[token]" />
         </Stack>
     );
 }
@@ -7,20 +7,159 @@ import {
     Platform,
     Animated,
     Alert,
+    Modal,
+    FlatList,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import FontAwesome from '@expo/vector-icons/FontAwesome';
 import { useRouter, useLocalSearchParams } from 'expo-router';
 import { NDEIP_COLORS } from '@/constants/Colors';
-import { CallService } from '@/services/CallService';
+import {
+    CallService,
+    GROUP_CALLS_ENABLED,
+    type ActiveCall,
+    type CallParticipant,
+    type LobbyGuest,
+} from '@/services/CallService';
 import { ChatService } from '@/services/ChatService';
+import {
+    CallRecordingService,
+    CALL_RECORDING_ENABLED,
+    canRecordCalls,
+    type RecordingState,
+} from '@/services/CallRecordingService';
 import CallConnecting from '@/components/calls/CallConnecting';
 import VideoFrame from '@/components/calls/VideoFrame';
 import { useAuth } from '@/contexts/AuthContext';
+import { useVoiceRecording } from '@/hooks/useVoiceRecording';
 
-type CallState = 'idle' | 'ringing' | 'connecting' | 'connected' | 'ended' | 'no_answer' | 'failed';
+type CallState = 'idle' | 'ringing' | 'connecting' | 'connected' | 'reconnecting' | 'ended' | 'no_answer' | 'declined' | 'failed';
+// States that end on the post-call screen until the user picks an action
+const POST_CALL_STATES: CallState[] = ['no_answer', 'declined', 'failed'];
 
 const RING_TIMEOUT_MS = 30000; // 30 seconds before "no answer"
+const EVENT_BANNER_MS = 2500;
+const RECORDING_NOTICE_MS = 4000;
+
+const initialsOf = (name: string) => name.split(' ').map((n: string) => n[0]).join('').slice(0, 2);
+
+// ─── Group call grid ─────────────────────────────────────────
+type Tile = CallParticipant & { isLocal?: boolean };
+
+function ParticipantTile({ tile, callType, isSpeaking }: { tile: Tile; callType: string; isSpeaking: boolean }) {
+    const pending = tile.status === 'calling' || tile.status === 'ringing';
+    return (
+        <View style={[styles.tile, isSpeaking && styles.tileSpeaking]}>
+            {callType === 'video' && tile.stream ? (
+                <VideoFrame
+                    videoStream={tile.stream}
+                    participant={{ id: tile.userId, name: tile.name, avatar: null }}
+                    isLocal={!!tile.isLocal}
+                    isPrimaryView={false}
+                    showControls={false}
+                    enableGestures={false}
+                    enableFilters={false}
+                    onModeChange={() => { }}
+                    onQualityChange={() => { }}
+                    onFilterChange={() => { }}
+                    onParticipantAction={() => { }}
+                    style={{ flex: 1 }}
+                />
+            ) : (
+                <View style={[styles.tileBody, pending && { opacity: 0.5 }]}>
+                    <LinearGradient
+                        colors={[NDEIP_COLORS.primaryTeal, NDEIP_COLORS.electricBlue]}
+                        style={styles.tileAvatar}
+                    >
+                        <Text style={styles.tileAvatarText}>{initialsOf(tile.name)}</Text>
+                    </LinearGradient>
+                </View>
+            )}
+            <View style={styles.tileLabel}>
+                <Text style={styles.tileName} numberOfLines={1}>{tile.name}</Text>
+                {pending && (
+                    <Text style={styles.tileStatus}>{tile.status === 'ringing' ? 'Ringing…' : 'Calling…'}</Text>
+                )}
+            </View>
+        </View>
+    );
+}
+
+// One column for two people, 2×2 up to four, then three across
+function ParticipantGrid({ tiles, callType, activeSpeakerId }: { tiles: Tile[]; callType: string; activeSpeakerId: string | null }) {
+    const columns = tiles.length <= 2 ? 1 : tiles.length <= 4 ? 2 : 3;
+    const rows: Tile[][] = [];
+    for (let i = 0; i < tiles.length; i += columns) rows.push(tiles.slice(i, i + columns));
+
+    return (
+        <View style={styles.grid}>
+            {rows.map((row, i) => (
+                <View key={i} style={styles.gridRow}>
+                    {row.map(tile => (
+                        <ParticipantTile
+                            key={tile.userId}
+                            tile={tile}
+                            callType={callType}
+                            isSpeaking={tiles.length > 2 && tile.userId === activeSpeakerId}
+                        />
+                    ))}
+                    {/* Keep the last row's tiles the same width as the rest */}
+                    {Array.from({ length: columns - row.length }).map((_, j) => (
+                        <View key={`pad-${j}`} style={styles.tilePad} />
+                    ))}
+                </View>
+            ))}
+        </View>
+    );
+}
+
+function AddPeopleSheet({ visible, excludeIds, onAdd, onClose }: {
+    visible: boolean;
+    excludeIds: string[];
+    onAdd: (userId: string) => void;
+    onClose: () => void;
+}) {
+    const [contacts, setContacts] = useState<any[]>([]);
+
+    useEffect(() => {
+        if (!visible) return;
+        ChatService.getAllUsers().then(setContacts);
+    }, [visible]);
+
+    const available = contacts.filter(c => !excludeIds.includes(c.id));
+
+    return (
+        <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+            <View style={styles.sheetBackdrop}>
+                <View style={styles.sheet}>
+                    <View style={styles.sheetHeader}>
+                        <Text style={styles.sheetTitle}>Add to call</Text>
+                        <TouchableOpacity onPress={onClose}>
+                            <FontAwesome name="times" size={18} color={NDEIP_COLORS.gray[400]} />
+                        </TouchableOpacity>
+                    </View>
+                    <FlatList
+                        data={available}
+                        keyExtractor={c => c.id}
+                        renderItem={({ item }) => (
+                            <TouchableOpacity style={styles.sheetRow} onPress={() => onAdd(item.id)}>
+                                <LinearGradient
+                                    colors={[NDEIP_COLORS.primaryTeal, NDEIP_COLORS.electricBlue]}
+                                    style={styles.sheetAvatar}
+                                >
+                                    <Text style={styles.sheetAvatarText}>{initialsOf(item.display_name || '?')}</Text>
+                                </LinearGradient>
+                                <Text style={styles.sheetName}>{item.display_name}</Text>
+                                <FontAwesome name="plus-circle" size={20} color={NDEIP_COLORS.primaryTeal} />
+                            </TouchableOpacity>
+                        )}
+                        ListEmptyComponent={<Text style={styles.sheetEmpty}>No one else to add</Text>}
+                    />
+                </View>
+            </View>
+        </Modal>
+    );
+}
 
 export default function CallScreen() {
     const router = useRouter();
@@ -29,26 +168,139 @@ export default function CallScreen() {
     const contactName = (params.name as string) || 'Unknown';
     const callType = (params.type as string) || 'voice';
     const contactId = (params.id as string) || '0';
+    // Set when answering an incoming call; outgoing calls start a new one
+    const incomingCallId = params.callId as string | undefined;
+    // Group calls ring a whole group chat, or join a call we were invited to
+    const isGroupCall = params.group === '1';
+    const conversationId = params.conversationId as string | undefined;
+    // Admitting someone from a call link's lobby starts the link's call
+    const linkId = params.linkId as string | undefined;
+    const admitId = params.admitId as string | undefined;
+    const admitName = (params.admitName as string) || 'Guest';
 
     const [callState, setCallState] = useState<CallState>('idle');
     const [duration, setDuration] = useState(0);
     const [isMuted, setIsMuted] = useState(false);
     const [isSpeaker, setIsSpeaker] = useState(false);
     const [isVideoOn, setIsVideoOn] = useState(callType === 'video');
+    const [localStream, setLocalStream] = useState<ActiveCall['localStream']>(null);
+    const [remoteStream, setRemoteStream] = useState<ActiveCall['remoteStream']>(null);
+    // A 1:1 call becomes a group call once someone is added
+    const [isGroup, setIsGroup] = useState(isGroupCall);
+    const [participants, setParticipants] = useState<CallParticipant[]>([]);
+    const [activeSpeakerId, setActiveSpeakerId] = useState<string | null>(null);
+    const [eventBanner, setEventBanner] = useState<string | null>(null);
+    const [showAddPeople, setShowAddPeople] = useState(false);
+    // Guests knocking on this call's link while it runs
+    const [lobby, setLobby] = useState<LobbyGuest[]>([]);
+    const [activeCallId, setActiveCallId] = useState<string | null>(null);
+    const [recording, setRecording] = useState<RecordingState | null>(null);
+    const [linkGrade, setLinkGrade] = useState<ActiveCall['linkGrade']>(null);
+    const [audioOnly, setAudioOnly] = useState(false);
+    const [failureReason, setFailureReason] = useState<string | null>(null);
+    // The callee's Do Not Disturb declined the call
+    const [silenced, setSilenced] = useState(false);
+    const voiceMessage = useVoiceRecording();
+    const [sendingVoiceMessage, setSendingVoiceMessage] = useState(false);
 
     // Pulse animation for ringing
     const pulseAnim = React.useRef(new Animated.Value(1)).current;
     const ringTimeoutRef = React.useRef<ReturnType<typeof setTimeout> | null>(null);
+    // True once we hang up ourselves, so the "ended" update doesn't navigate twice
+    const leavingRef = React.useRef(false);
+
+    // Mirror the service's call: status, controls and media streams
+    useEffect(() => {
+        return CallService.subscribeToActiveCall((call) => {
+            if (!call) return;
+            setActiveCallId(call.id);
+            setCallState(current =>
+                // Post-call screens stay until the user picks an action
+                POST_CALL_STATES.includes(current) ? current : call.status
+            );
+            setIsMuted(call.isMuted);
+            setIsSpeaker(call.isSpeaker);
+            setIsVideoOn(call.isVideoEnabled);
+            setLocalStream(call.localStream);
+            setRemoteStream(call.remoteStream);
+            setIsGroup(call.isGroup);
+            setParticipants(call.participants);
+            setActiveSpeakerId(call.activeSpeakerId);
+            setLinkGrade(call.linkGrade);
+            setAudioOnly(call.audioOnly);
+            setFailureReason(call.failureReason);
+            setSilenced(!!call.silencedBy);
+        });
+    }, []);
+
+    // "Thandi joined" / "Thandi left" while a group call is running
+    useEffect(() => {
+        let timer: ReturnType<typeof setTimeout> | null = null;
+        const unsubscribe = CallService.subscribeToParticipantEvents((event) => {
+            setEventBanner(`${event.name} ${event.type === 'joined' ? 'joined' : 'left'}`);
+            if (timer) clearTimeout(timer);
+            timer = setTimeout(() => setEventBanner(null), EVENT_BANNER_MS);
+        });
+        return () => {
+            unsubscribe();
+            if (timer) clearTimeout(timer);
+        };
+    }, []);
+
+    useEffect(() => {
+        if (!linkId || !user) return;
+        return CallService.subscribeToLobby((guest) => {
+            if (guest.linkId !== linkId) return;
+            setLobby(current => guest.status === 'waiting'
+                ? [...current.filter(g => g.userId !== guest.userId), guest]
+                : current.filter(g => g.userId !== guest.userId));
+        });
+    }, [linkId, user]);
+
+    // Consent prompts and the recording indicator, for whoever records
+    useEffect(() => {
+        if (!CALL_RECORDING_ENABLED || !activeCallId || !user) return;
+        CallRecordingService.setCurrentUser(user.id);
+        return CallRecordingService.subscribe(activeCallId, setRecording);
+    }, [activeCallId, user]);
+
+    useEffect(() => {
+        if (!recording?.notice) return;
+        const timer = setTimeout(() => CallRecordingService.dismissNotice(), RECORDING_NOTICE_MS);
+        return () => clearTimeout(timer);
+    }, [recording?.notice]);
+
+    const placeCall = useCallback(async (urgent = false) => {
+        if (linkId) {
+            const call = await CallService.startLinkCall(linkId);
+            if (admitId) await CallService.admitGuest(linkId, { userId: admitId, name: admitName });
+            return call;
+        }
+        return isGroupCall
+            ? CallService.startGroupCall(conversationId!, contactName, callType as any)
+            : CallService.startCall(contactId, contactName, callType as any, { urgent });
+    }, [linkId, admitId, admitName, isGroupCall, conversationId, contactId, contactName, callType]);
 
     useEffect(() => {
         if (!user) return;
         CallService.setCurrentUser(user.id);
 
+        if (incomingCallId) {
+            const answer = isGroupCall
+                ? CallService.joinGroupCall(incomingCallId, callType as any, contactName)
+                : CallService.answerCall(contactId, incomingCallId, callType as any, contactName);
+            answer.then(call => { if (!call) setCallState('failed'); });
+            return;
+        }
+
         // Start call
         const initCall = async () => {
             try {
-                const call = await CallService.startCall(contactId, contactName, callType as any);
-                setCallState(call.status as CallState);
+                const call = await placeCall();
+                setCallState(current => current === 'idle' ? call.status : current);
+
+                // A call opened on a link waits for guests instead of ringing anyone
+                if (linkId && !admitId) return;
 
                 // Set a timeout: if still ringing after 30s, transition to no_answer
                 ringTimeoutRef.current = setTimeout(() => {
@@ -59,9 +311,10 @@ export default function CallScreen() {
                         return current;
                     });
                 }, RING_TIMEOUT_MS);
-            } catch (err) {
+            } catch (err: any) {
                 console.error('Failed to start call:', err);
                 setCallState('failed');
+                if (isGroupCall && err?.message) Alert.alert('Group call', err.message);
             }
         };
         initCall();
@@ -71,9 +324,22 @@ export default function CallScreen() {
         };
     }, [user]);
 
-    // Duration counter when connected
+    // Dismissing the screen mid-call hangs up, and drops an unsent voice message
+    useEffect(() => () => {
+        if (CallService.getActiveCall()) CallService.endCall();
+        voiceMessage.cancelRecording();
+    }, []);
+
+    // The other side hung up — show "Call Ended" briefly, then leave
+    useEffect(() => {
+        if (callState !== 'ended' || leavingRef.current) return;
+        const timer = setTimeout(() => router.back(), 1500);
+        return () => clearTimeout(timer);
+    }, [callState]);
+
+    // Duration counter when connected; it keeps going through a reconnect
     useEffect(() => {
-        if (callState !== 'connected') return;
+        if (callState !== 'connected' && callState !== 'reconnecting') return;
         // Clear ring timeout since we connected
         if (ringTimeoutRef.current) {
             clearTimeout(ringTimeoutRef.current);
@@ -105,17 +371,19 @@ export default function CallScreen() {
     }, [callState]);
 
     const handleEndCall = useCallback(async () => {
+        leavingRef.current = true;
         if (ringTimeoutRef.current) clearTimeout(ringTimeoutRef.current);
         await CallService.endCall();
         router.back();
     }, [router]);
 
-    const handleCallAgain = useCallback(async () => {
+    const handleCallAgain = useCallback(async (urgent = false) => {
         setCallState('idle');
         setDuration(0);
+        setSilenced(false);
         try {
-            const call = await CallService.startCall(contactId, contactName, callType as any);
-            setCallState(call.status as CallState);
+            const call = await placeCall(urgent);
+            setCallState(current => current === 'idle' ? call.status : current);
             ringTimeoutRef.current = setTimeout(() => {
                 setCallState((current) => {
                     if (current === 'ringing' || current === 'idle') return 'no_answer';
@@ -125,25 +393,84 @@ export default function CallScreen() {
         } catch (err) {
             setCallState('failed');
         }
-    }, [contactId, contactName, callType]);
+    }, [placeCall]);
+
+    const handleUrgentCall = useCallback(() => {
+        Alert.alert(
+            'Call as urgent?',
+            `This rings through ${contactName}'s Do Not Disturb. Only use it for emergencies; they'll see you marked it urgent.`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Call', style: 'destructive', onPress: () => handleCallAgain(true) },
+            ]
+        );
+    }, [contactName, handleCallAgain]);
+
+    const handleAddPerson = useCallback(async (userId: string) => {
+        setShowAddPeople(false);
+        try {
+            await CallService.addParticipants([userId]);
+        } catch (err: any) {
+            Alert.alert('Could not add', err?.message || 'Please try again');
+        }
+    }, []);
+
+    const handleLobbyGuest = useCallback(async (guest: LobbyGuest, admit: boolean) => {
+        setLobby(current => current.filter(g => g.userId !== guest.userId));
+        try {
+            if (admit) await CallService.admitGuest(guest.linkId, guest);
+            else await CallService.denyGuest(guest.linkId, guest.userId);
+        } catch (err: any) {
+            Alert.alert('Could not admit', err?.message || 'Please try again');
+        }
+    }, []);
+
+    const handleRecordToggle = useCallback(async () => {
+        const current = recording?.recording;
+        try {
+            if (!current) await CallRecordingService.requestRecording();
+            else if (current.recordedBy !== user?.id) await CallRecordingService.withdrawConsent();
+            else if (current.status === 'recording') CallRecordingService.stopRecording();
+            else await CallRecordingService.cancelRequest();
+        } catch (err: any) {
+            Alert.alert('Recording', err?.message || 'Please try again');
+        }
+    }, [recording, user]);
+
+    const handleConsent = useCallback(async (allow: boolean) => {
+        const request = recording?.consentRequest;
+        if (!request) return;
+        try {
+            await CallRecordingService.respondToRequest(request.recordingId, allow);
+        } catch (err: any) {
+            Alert.alert('Recording', err?.message || 'Please try again');
+        }
+    }, [recording]);
 
     const handleRecordVoiceMessage = useCallback(async () => {
-        // Navigate to chat — user can record a voice note there
+        const started = await voiceMessage.startRecording();
+        if (!started) Alert.alert('Voice message', 'Allow microphone access to record a voice message');
+    }, [voiceMessage]);
+
+    // Sends the recording to the chat with whoever we called, then opens it
+    const handleSendVoiceMessage = useCallback(async () => {
+        const result = await voiceMessage.stopRecording();
+        if (!result || result.duration < 1) return;
+
+        setSendingVoiceMessage(true);
         try {
-            const conversationId = await ChatService.findOrCreateConversation(contactId);
-            if (conversationId) {
-                router.replace({ pathname: '/chat', params: { conversationId, name: contactName } } as any);
-            } else {
-                Alert.alert('Error', 'Could not open conversation');
-                router.back();
-            }
-        } catch {
-            Alert.alert('Error', 'Could not open conversation');
-            router.back();
+            const chatId = isGroupCall ? conversationId : await ChatService.findOrCreateConversation(contactId);
+            const sent = chatId && await ChatService.sendVoiceRecording(chatId, result.uri, result.duration);
+            if (!sent) throw new Error('Could not send voice message');
+            router.replace({ pathname: '/chat', params: { id: chatId, name: contactName } } as any);
+        } catch (err: any) {
+            Alert.alert('Voice message', err?.message || 'Please try again');
+        } finally {
+            setSendingVoiceMessage(false);
         }
-    }, [contactId, contactName, router]);
+    }, [voiceMessage, isGroupCall, conversationId, contactId, contactName, router]);
 
-    const initials = contactName.split(' ').map((n: string) => n[0]).join('').slice(0, 2);
+    const initials = initialsOf(contactName);
 
     const formatDuration = (s: number): string => {
         if (s < 60) return `0:${String(s).padStart(2, '0')}`;
@@ -154,16 +481,22 @@ export default function CallScreen() {
 
     const statusText = {
         idle: 'Connecting...',
-        ringing: 'Ringing...',
+        ringing: linkId && !admitId ? 'Waiting for guests...' : 'Ringing...',
         connecting: 'Connecting...',
         connected: formatDuration(duration),
+        reconnecting: 'Reconnecting…',
         ended: 'Call Ended',
         no_answer: 'No Answer',
+        declined: 'Declined',
         failed: 'Call Failed',
     }[callState];
 
-    // ─── No Answer / Failed Screen ───────────────────────────────
-    if (callState === 'no_answer' || callState === 'failed') {
+    const activeRecording = recording?.recording ?? null;
+    const isRecording = activeRecording?.status === 'recording';
+    const recordingIsMine = activeRecording?.recordedBy === user?.id;
+
+    // ─── No Answer / Declined / Failed Screen ────────────────────
+    if (POST_CALL_STATES.includes(callState)) {
         return (
             <LinearGradient
                 colors={['#0A1A14', '#0D1F18', '#0A1A14']}
@@ -184,6 +517,9 @@ export default function CallScreen() {
                     <Text style={[styles.statusText, { color: callState === 'failed' ? NDEIP_COLORS.rose : NDEIP_COLORS.gray[400] }]}>
                         {statusText}
                     </Text>
+                    {(callState === 'failed' || callState === 'declined') && failureReason && (
+                        <Text style={styles.failureReason}>{failureReason}</Text>
+                    )}
 
                     {/* Decorative line */}
                     <View style={{
@@ -192,54 +528,112 @@ export default function CallScreen() {
                     }} />
                 </View>
 
-                {/* Post-call actions */}
-                <View style={styles.postCallActions}>
-                    {/* Cancel (go back) */}
-                    <TouchableOpacity
-                        style={styles.postCallBtn}
-                        onPress={() => router.back()}
-                        activeOpacity={0.7}
-                    >
-                        <View style={[styles.postCallIcon, { backgroundColor: 'rgba(255,255,255,0.08)' }]}>
-                            <FontAwesome name="times" size={22} color={NDEIP_COLORS.gray[400]} />
+                {/* Recording a voice message */}
+                {voiceMessage.isRecording || sendingVoiceMessage ? (
+                    <View style={styles.postCallActions}>
+                        <TouchableOpacity
+                            style={styles.postCallBtn}
+                            onPress={voiceMessage.cancelRecording}
+                            disabled={sendingVoiceMessage}
+                            activeOpacity={0.7}
+                        >
+                            <View style={[styles.postCallIcon, { backgroundColor: 'rgba(255,255,255,0.08)' }]}>
+                                <FontAwesome name="trash" size={22} color={NDEIP_COLORS.gray[400]} />
+                            </View>
+                            <Text style={styles.postCallLabel}>Discard</Text>
+                        </TouchableOpacity>
+
+                        <View style={styles.postCallBtn}>
+                            <View style={[styles.postCallIcon, styles.voiceMessageTimer]}>
+                                <View style={styles.recordingDot} />
+                            </View>
+                            <Text style={[styles.postCallLabel, { color: NDEIP_COLORS.rose }]}>
+                                {sendingVoiceMessage ? 'Sending…' : formatDuration(voiceMessage.recordingDuration)}
+                            </Text>
                         </View>
-                        <Text style={styles.postCallLabel}>Cancel</Text>
-                    </TouchableOpacity>
 
-                    {/* Record voice message */}
-                    <TouchableOpacity
-                        style={styles.postCallBtn}
-                        onPress={handleRecordVoiceMessage}
-                        activeOpacity={0.7}
-                    >
-                        <LinearGradient
-                            colors={['rgba(27,77,62,0.3)', 'rgba(27,77,62,0.15)']}
-                            style={styles.postCallIcon}
+                        <TouchableOpacity
+                            style={styles.postCallBtn}
+                            onPress={handleSendVoiceMessage}
+                            disabled={sendingVoiceMessage}
+                            activeOpacity={0.7}
                         >
-                            <FontAwesome name="microphone" size={22} color={NDEIP_COLORS.emerald} />
-                        </LinearGradient>
-                        <Text style={[styles.postCallLabel, { color: NDEIP_COLORS.emerald }]}>
-                            Voice Message
-                        </Text>
-                    </TouchableOpacity>
+                            <LinearGradient
+                                colors={NDEIP_COLORS.gradients.brand as any}
+                                style={styles.postCallIcon}
+                            >
+                                <FontAwesome name="send" size={20} color="#fff" />
+                            </LinearGradient>
+                            <Text style={[styles.postCallLabel, { color: NDEIP_COLORS.primaryTeal }]}>Send</Text>
+                        </TouchableOpacity>
+                    </View>
+                ) : (
+                    <View style={styles.postCallActions}>
+                        {/* Cancel (go back) */}
+                        <TouchableOpacity
+                            style={styles.postCallBtn}
+                            onPress={() => router.back()}
+                            activeOpacity={0.7}
+                        >
+                            <View style={[styles.postCallIcon, { backgroundColor: 'rgba(255,255,255,0.08)' }]}>
+                                <FontAwesome name="times" size={22} color={NDEIP_COLORS.gray[400]} />
+                            </View>
+                            <Text style={styles.postCallLabel}>Cancel</Text>
+                        </TouchableOpacity>
 
-                    {/* Call again */}
-                    <TouchableOpacity
-                        style={styles.postCallBtn}
-                        onPress={handleCallAgain}
-                        activeOpacity={0.7}
-                    >
-                        <LinearGradient
-                            colors={NDEIP_COLORS.gradients.brand as any}
-                            style={styles.postCallIcon}
+                        {/* Record voice message; link calls have no chat to leave it in */}
+                        {!linkId && (
+                            <TouchableOpacity
+                                style={styles.postCallBtn}
+                                onPress={handleRecordVoiceMessage}
+                                activeOpacity={0.7}
+                            >
+                                <LinearGradient
+                                    colors={['rgba(27,77,62,0.3)', 'rgba(27,77,62,0.15)']}
+                                    style={styles.postCallIcon}
+                                >
+                                    <FontAwesome name="microphone" size={22} color={NDEIP_COLORS.emerald} />
+                                </LinearGradient>
+                                <Text style={[styles.postCallLabel, { color: NDEIP_COLORS.emerald }]}>
+                                    Voice Message
+                                </Text>
+                            </TouchableOpacity>
+                        )}
+
+                        {/* Ring through Do Not Disturb */}
+                        {silenced && (
+                            <TouchableOpacity
+                                style={styles.postCallBtn}
+                                onPress={handleUrgentCall}
+                                activeOpacity={0.7}
+                            >
+                                <View style={[styles.postCallIcon, { backgroundColor: 'rgba(244,63,94,0.15)' }]}>
+                                    <FontAwesome name="exclamation" size={22} color={NDEIP_COLORS.rose} />
+                                </View>
+                                <Text style={[styles.postCallLabel, { color: NDEIP_COLORS.rose }]}>
+                                    Urgent
+                                </Text>
+                            </TouchableOpacity>
+                        )}
+
+                        {/* Call again */}
+                        <TouchableOpacity
+                            style={styles.postCallBtn}
+                            onPress={() => handleCallAgain()}
+                            activeOpacity={0.7}
                         >
-                            <FontAwesome name="phone" size={22} color="#fff" />
-                        </LinearGradient>
-                        <Text style={[styles.postCallLabel, { color: NDEIP_COLORS.primaryTeal }]}>
-                            Call Again
-                        </Text>
-                    </TouchableOpacity>
-                </View>
+                            <LinearGradient
+                                colors={NDEIP_COLORS.gradients.brand as any}
+                                style={styles.postCallIcon}
+                            >
+                                <FontAwesome name="phone" size={22} color="#fff" />
+                            </LinearGradient>
+                            <Text style={[styles.postCallLabel, { color: NDEIP_COLORS.primaryTeal }]}>
+                                Call Again
+                            </Text>
+                        </TouchableOpacity>
+                    </View>
+                )}
             </LinearGradient>
         );
     }
@@ -253,66 +647,154 @@ export default function CallScreen() {
             {/* Status bar spacer */}
             <View style={{ height: Platform.OS === 'ios' ? 60 : 40 }} />
 
-            {/* E2E Badge */}
-            <View style={styles.e2eBadge}>
-                <FontAwesome name="lock" size={10} color={NDEIP_COLORS.emerald} />
-                <Text style={styles.e2eText}>End-to-end encrypted</Text>
-            </View>
-
-            {/* Contact Info */}
-            <View style={styles.contactSection}>
-                <Animated.View style={[
-                    styles.avatarContainer,
-                    callState === 'ringing' && { transform: [{ scale: pulseAnim }] },
-                ]}>
-                    <LinearGradient
-                        colors={[NDEIP_COLORS.primaryTeal, NDEIP_COLORS.electricBlue]}
-                        style={styles.avatar}
-                    >
-                        <Text style={styles.avatarText}>{initials}</Text>
-                    </LinearGradient>
-                    {callState === 'ringing' && (
-                        <View style={styles.pulseRing} />
+            {/* E2E Badge, or the recording indicator while anyone records */}
+            {isRecording ? (
+                <View style={styles.recordingBadge}>
+                    <View style={styles.recordingDot} />
+                    <Text style={styles.recordingText}>
+                        {recordingIsMine ? 'Recording' : `${activeRecording!.recorderName} is recording`}
+                    </Text>
+                    {!recordingIsMine && (
+                        <TouchableOpacity onPress={handleRecordToggle}>
+                            <Text style={styles.recordingAction}>Stop</Text>
+                        </TouchableOpacity>
                     )}
-                </Animated.View>
-
-                <Text style={styles.contactName}>{contactName}</Text>
-                <Text style={styles.statusText}>{statusText}</Text>
-
-                {/* CallConnecting animation during ringing */}
-                {callState === 'ringing' && (
-                    <View style={{ width: '100%', height: 120, marginTop: 16 }}>
-                        <CallConnecting
-                            caller={{ id: 'me', name: 'You', avatar: null }}
-                            receiver={{ id: contactId, name: contactName, avatar: null }}
-                            connectionState="connecting"
-                            onConnectionComplete={() => { }}
-                            onConnectionFailed={() => { }}
-                            showProgress={true}
-                            audioEnabled={false}
-                            style={{ flex: 1 }}
-                        />
-                    </View>
-                )}
-                {callState === 'connected' && (
-                    <View style={styles.callTypeBadge}>
-                        <FontAwesome
-                            name={callType === 'video' ? 'video-camera' : 'phone'}
-                            size={10}
-                            color={NDEIP_COLORS.emerald}
-                        />
-                        <Text style={styles.callTypeText}>
-                            {callType === 'video' ? 'Video Call' : 'Voice Call'}
+                </View>
+            ) : (
+                <View style={styles.e2eBadge}>
+                    <FontAwesome name="lock" size={10} color={NDEIP_COLORS.emerald} />
+                    <Text style={styles.e2eText}>End-to-end encrypted</Text>
+                </View>
+            )}
+
+            {recording?.consentRequest && (
+                <View style={styles.lobbyBanner}>
+                    <Text style={styles.lobbyBannerText} numberOfLines={2}>
+                        {recording.consentRequest.requesterName} wants to record this call
+                    </Text>
+                    <TouchableOpacity onPress={() => handleConsent(false)} style={styles.lobbyBannerBtn}>
+                        <Text style={[styles.lobbyBannerAction, { color: NDEIP_COLORS.rose }]}>Decline</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={() => handleConsent(true)} style={styles.lobbyBannerBtn}>
+                        <Text style={styles.lobbyBannerAction}>Allow</Text>
+                    </TouchableOpacity>
+                </View>
+            )}
+            {activeRecording?.status === 'requested' && recordingIsMine && (
+                <View style={styles.lobbyBanner}>
+                    <Text style={styles.lobbyBannerText} numberOfLines={1}>
+                        {recording!.waitingFor > 0
+                            ? `Waiting for ${recording!.waitingFor} ${recording!.waitingFor === 1 ? 'person' : 'people'} to allow recording`
+                            : 'Starting recording…'}
+                    </Text>
+                    <TouchableOpacity onPress={handleRecordToggle} style={styles.lobbyBannerBtn}>
+                        <Text style={[styles.lobbyBannerAction, { color: NDEIP_COLORS.rose }]}>Cancel</Text>
+                    </TouchableOpacity>
+                </View>
+            )}
+            {recording?.notice && (
+                <View style={styles.eventBanner}>
+                    <Text style={styles.eventBannerText}>{recording.notice}</Text>
+                </View>
+            )}
+            {callState === 'connected' && (audioOnly || linkGrade === 'poor') && (
+                <View style={styles.eventBanner}>
+                    <Text style={styles.eventBannerText}>
+                        {audioOnly ? 'Poor connection · your video is paused' : 'Poor connection'}
+                    </Text>
+                </View>
+            )}
+
+            {isGroup ? (
+                <>
+                    {/* Group name, status and roster */}
+                    <View style={styles.groupHeader}>
+                        <Text style={styles.groupName} numberOfLines={1}>{contactName}</Text>
+                        <Text style={styles.statusText}>
+                            {statusText} · {participants.filter(p => p.status === 'connected').length + 1} in call
                         </Text>
                     </View>
-                )}
-            </View>
+                    {eventBanner && (
+                        <View style={styles.eventBanner}>
+                            <Text style={styles.eventBannerText}>{eventBanner}</Text>
+                        </View>
+                    )}
+                    {lobby.map(guest => (
+                        <View key={guest.userId} style={styles.lobbyBanner}>
+                            <Text style={styles.lobbyBannerText} numberOfLines={1}>{guest.name} wants to join</Text>
+                            <TouchableOpacity onPress={() => handleLobbyGuest(guest, false)} style={styles.lobbyBannerBtn}>
+                                <Text style={[styles.lobbyBannerAction, { color: NDEIP_COLORS.rose }]}>Deny</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity onPress={() => handleLobbyGuest(guest, true)} style={styles.lobbyBannerBtn}>
+                                <Text style={styles.lobbyBannerAction}>Admit</Text>
+                            </TouchableOpacity>
+                        </View>
+                    ))}
+                    <ParticipantGrid
+                        tiles={[
+                            { userId: user?.id || 'me', name: 'You', status: 'connected', stream: isVideoOn ? localStream : null, isLocal: true },
+                            ...participants,
+                        ]}
+                        callType={callType}
+                        activeSpeakerId={activeSpeakerId}
+                    />
+                </>
+            ) : (
+                /* Contact Info */
+                <View style={styles.contactSection}>
+                    <Animated.View style={[
+                        styles.avatarContainer,
+                        callState === 'ringing' && { transform: [{ scale: pulseAnim }] },
+                    ]}>
+                        <LinearGradient
+                            colors={[NDEIP_COLORS.primaryTeal, NDEIP_COLORS.electricBlue]}
+                            style={styles.avatar}
+                        >
+                            <Text style={styles.avatarText}>{initials}</Text>
+                        </LinearGradient>
+                        {callState === 'ringing' && (
+                            <View style={styles.pulseRing} />
+                        )}
+                    </Animated.View>
+
+                    <Text style={styles.contactName}>{contactName}</Text>
+                    <Text style={styles.statusText}>{statusText}</Text>
 
-            {/* Video area for video calls */}
-            {callType === 'video' && callState === 'connected' && (
+                    {/* CallConnecting animation while the call is set up or reconnects */}
+                    {(callState === 'ringing' || callState === 'connecting' || callState === 'reconnecting') && (
+                        <View style={{ width: '100%', height: 120, marginTop: 16 }}>
+                            <CallConnecting
+                                caller={{ id: 'me', name: 'You', avatar: null }}
+                                receiver={{ id: contactId, name: contactName, avatar: null }}
+                                connectionState={callState === 'reconnecting' ? 'reconnecting' : 'connecting'}
+                                onConnectionComplete={() => { }}
+                                onConnectionFailed={() => { }}
+                                showProgress={true}
+                                audioEnabled={false}
+                                style={{ flex: 1 }}
+                            />
+                        </View>
+                    )}
+                    {callState === 'connected' && (
+                        <View style={styles.callTypeBadge}>
+                            <FontAwesome
+                                name={callType === 'video' ? 'video-camera' : 'phone'}
+                                size={10}
+                                color={NDEIP_COLORS.emerald}
+                            />
+                            <Text style={styles.callTypeText}>
+                                {callType === 'video' ? 'Video Call' : 'Voice Call'}
+                            </Text>
+                        </View>
+                    )}
+                </View>
+            )}
+
+            {/* Video area for 1:1 video calls */}
+            {!isGroup && callType === 'video' && callState === 'connected' && (
                 <View style={styles.videoArea}>
                     <VideoFrame
-                        videoStream={null}
+                        videoStream={remoteStream}
                         participant={{ id: contactId, name: contactName, avatar: null }}
                         isLocal={false}
                         isPrimaryView={true}
@@ -326,7 +808,7 @@ export default function CallScreen() {
                     />
                     <View style={styles.localVideo}>
                         <VideoFrame
-                            videoStream={null}
+                            videoStream={isVideoOn ? localStream : null}
                             participant={{ id: 'me', name: 'You', avatar: null }}
                             isLocal={true}
                             isPrimaryView={false}
@@ -347,7 +829,7 @@ export default function CallScreen() {
                 <View style={styles.controlRow}>
                     <TouchableOpacity
                         style={[styles.controlBtn, isMuted && styles.controlBtnActive]}
-                        onPress={() => { CallService.toggleMute(); setIsMuted(m => !m); }}
+                        onPress={() => setIsMuted(CallService.toggleMute())}
                     >
                         <FontAwesome name={isMuted ? 'microphone-slash' : 'microphone'} size={22} color="#fff" />
                         <Text style={styles.controlLabel}>{isMuted ? 'Unmute' : 'Mute'}</Text>
@@ -355,7 +837,7 @@ export default function CallScreen() {
 
                     <TouchableOpacity
                         style={[styles.controlBtn, isSpeaker && styles.controlBtnActive]}
-                        onPress={() => { CallService.toggleSpeaker(); setIsSpeaker(s => !s); }}
+                        onPress={() => setIsSpeaker(CallService.toggleSpeaker())}
                     >
                         <FontAwesome name="volume-up" size={22} color="#fff" />
                         <Text style={styles.controlLabel}>Speaker</Text>
@@ -364,14 +846,37 @@ export default function CallScreen() {
                     {callType === 'video' && (
                         <TouchableOpacity
                             style={[styles.controlBtn, !isVideoOn && styles.controlBtnActive]}
-                            onPress={() => { CallService.toggleVideo(); setIsVideoOn(v => !v); }}
+                            onPress={() => setIsVideoOn(CallService.toggleVideo())}
                         >
                             <FontAwesome name={isVideoOn ? 'video-camera' : 'eye-slash'} size={20} color="#fff" />
                             <Text style={styles.controlLabel}>{isVideoOn ? 'Camera' : 'Camera Off'}</Text>
                         </TouchableOpacity>
                     )}
 
-                    <TouchableOpacity style={styles.controlBtn}>
+                    {canRecordCalls() && callState === 'connected' && (
+                        <TouchableOpacity
+                            style={[
+                                styles.controlBtn,
+                                recordingIsMine && styles.controlBtnActive,
+                                !!activeRecording && !recordingIsMine && { opacity: 0.4 },
+                            ]}
+                            disabled={!!activeRecording && !recordingIsMine}
+                            onPress={handleRecordToggle}
+                        >
+                            <FontAwesome
+                                name={recordingIsMine ? 'stop' : 'circle'}
+                                size={20}
+                                color={recordingIsMine ? '#fff' : NDEIP_COLORS.rose}
+                            />
+                            <Text style={styles.controlLabel}>{recordingIsMine ? 'Stop' : 'Record'}</Text>
+                        </TouchableOpacity>
+                    )}
+
+                    <TouchableOpacity
+                        style={[styles.controlBtn, !GROUP_CALLS_ENABLED && { opacity: 0.4 }]}
+                        disabled={!GROUP_CALLS_ENABLED}
+                        onPress={() => setShowAddPeople(true)}
+                    >
                         <FontAwesome name="plus" size={22} color="#fff" />
                         <Text style={styles.controlLabel}>Add</Text>
                     </TouchableOpacity>
@@ -387,6 +892,13 @@ export default function CallScreen() {
                     </LinearGradient>
                 </TouchableOpacity>
             </View>
+
+            <AddPeopleSheet
+                visible={showAddPeople}
+                excludeIds={participants.map(p => p.userId)}
+                onAdd={handleAddPerson}
+                onClose={() => setShowAddPeople(false)}
+            />
         </LinearGradient>
     );
 }
@@ -398,6 +910,14 @@ const styles = StyleSheet.create({
         gap: 6, paddingVertical: 8,
     },
     e2eText: { color: NDEIP_COLORS.gray[500], fontSize: 12 },
+    recordingBadge: {
+        flexDirection: 'row', alignItems: 'center', alignSelf: 'center',
+        gap: 8, marginVertical: 4, paddingHorizontal: 12, paddingVertical: 4, borderRadius: 14,
+        backgroundColor: 'rgba(239,68,68,0.15)',
+    },
+    recordingDot: { width: 8, height: 8, borderRadius: 4, backgroundColor: '#EF4444' },
+    recordingText: { color: '#FCA5A5', fontSize: 12, fontWeight: '600' },
+    recordingAction: { color: '#fff', fontSize: 12, fontWeight: '600', textDecorationLine: 'underline' },
     contactSection: { alignItems: 'center', paddingTop: 40, gap: 12 },
     avatarContainer: { position: 'relative' },
     avatar: {
@@ -412,6 +932,7 @@ const styles = StyleSheet.create({
     },
     contactName: { color: '#F0F4F3', fontSize: 28, fontWeight: '700' },
     statusText: { color: NDEIP_COLORS.gray[400], fontSize: 16 },
+    failureReason: { color: NDEIP_COLORS.gray[500], fontSize: 13, marginTop: 6 },
     callTypeBadge: {
         flexDirection: 'row', alignItems: 'center', gap: 6,
         backgroundColor: 'rgba(16,185,129,0.12)', paddingHorizontal: 12, paddingVertical: 6, borderRadius: 20,
@@ -440,7 +961,70 @@ const styles = StyleSheet.create({
         width: 72, height: 72, borderRadius: 36,
         alignItems: 'center', justifyContent: 'center',
     },
-    // Post-call (No Answer / Failed) screen
+    // Group call grid
+    groupHeader: { alignItems: 'center', paddingTop: 8, paddingHorizontal: 24, gap: 4 },
+    groupName: { color: '#F0F4F3', fontSize: 22, fontWeight: '700' },
+    eventBanner: {
+        alignSelf: 'center', marginTop: 8,
+        backgroundColor: 'rgba(16,185,129,0.15)', paddingHorizontal: 14, paddingVertical: 6, borderRadius: 16,
+    },
+    eventBannerText: { color: NDEIP_COLORS.emerald, fontSize: 12, fontWeight: '500' },
+    lobbyBanner: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        alignSelf: 'stretch',
+        marginHorizontal: 16,
+        marginBottom: 8,
+        paddingLeft: 14,
+        paddingVertical: 6,
+        borderRadius: 14,
+        backgroundColor: 'rgba(255,255,255,0.08)',
+    },
+    lobbyBannerText: { flex: 1, color: '#fff', fontSize: 13 },
+    lobbyBannerBtn: { paddingHorizontal: 12, paddingVertical: 6 },
+    lobbyBannerAction: { color: NDEIP_COLORS.emerald, fontSize: 13, fontWeight: '600' },
+    grid: { flex: 1, margin: 12, gap: 8 },
+    gridRow: { flex: 1, flexDirection: 'row', gap: 8 },
+    tile: {
+        flex: 1, borderRadius: 16, overflow: 'hidden',
+        backgroundColor: 'rgba(255,255,255,0.06)',
+        borderWidth: 2, borderColor: 'transparent',
+    },
+    tileSpeaking: { borderColor: NDEIP_COLORS.emerald },
+    tilePad: { flex: 1 },
+    tileBody: { flex: 1, alignItems: 'center', justifyContent: 'center' },
+    tileAvatar: {
+        width: 64, height: 64, borderRadius: 32,
+        alignItems: 'center', justifyContent: 'center',
+    },
+    tileAvatarText: { color: '#fff', fontSize: 22, fontWeight: '700' },
+    tileLabel: {
+        position: 'absolute', left: 8, right: 8, bottom: 8,
+        flexDirection: 'row', alignItems: 'center', gap: 6,
+    },
+    tileName: { color: '#fff', fontSize: 12, fontWeight: '600', flexShrink: 1 },
+    tileStatus: { color: NDEIP_COLORS.gray[400], fontSize: 11 },
+    // Add-to-call sheet
+    sheetBackdrop: { flex: 1, justifyContent: 'flex-end', backgroundColor: 'rgba(0,0,0,0.5)' },
+    sheet: {
+        maxHeight: '70%', backgroundColor: '#0D1F18',
+        borderTopLeftRadius: 20, borderTopRightRadius: 20,
+        paddingBottom: Platform.OS === 'ios' ? 34 : 16,
+    },
+    sheetHeader: {
+        flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between',
+        padding: 16,
+    },
+    sheetTitle: { color: '#F0F4F3', fontSize: 17, fontWeight: '600' },
+    sheetRow: { flexDirection: 'row', alignItems: 'center', gap: 12, paddingHorizontal: 16, paddingVertical: 10 },
+    sheetAvatar: {
+        width: 40, height: 40, borderRadius: 20,
+        alignItems: 'center', justifyContent: 'center',
+    },
+    sheetAvatarText: { color: '#fff', fontSize: 15, fontWeight: '700' },
+    sheetName: { flex: 1, color: '#F0F4F3', fontSize: 15 },
+    sheetEmpty: { color: NDEIP_COLORS.gray[500], textAlign: 'center', padding: 24 },
+    // Post-call (No Answer / Declined / Failed) screen
     postCallActions: {
         flex: 1,
         flexDirection: 'row',
@@ -462,4 +1046,7 @@ const styles = StyleSheet.create({
         fontSize: 12,
         fontWeight: '500',
     },
+    voiceMessageTimer: {
+        backgroundColor: 'rgba(244,63,94,0.12)',
+    },
 });
@@ -0,0 +1,259 @@
+/**
+ * Join Call — Opened from a shared call link (/call/join/<token>)
+ *
+ * Shows who is hosting, asks for the passcode when the link has one,
+ * then waits in the lobby until the host lets us in or turns us away.
+ */
+import React, { useState, useEffect, useRef } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    TextInput,
+    TouchableOpacity,
+    SafeAreaView,
+    StatusBar,
+    Platform,
+    ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import FontAwesome from '@expo/vector-icons/FontAwesome';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import { NDEIP_COLORS } from '@/constants/Colors';
+import { Spacing, Radii } from '@/constants/ndeipBrandSystem';
+import { CallService, type CallLinkPreview } from '@/services/CallService';
+import { useAuth } from '@/contexts/AuthContext';
+
+type JoinState = 'loading' | 'ready' | 'knocking' | 'waiting' | 'denied' | 'unavailable';
+
+export default function JoinCallScreen() {
+    const router = useRouter();
+    const { token } = useLocalSearchParams<{ token: string }>();
+    const { user } = useAuth();
+    const [preview, setPreview] = useState<CallLinkPreview | null>(null);
+    const [state, setState] = useState<JoinState>('loading');
+    const [passcode, setPasscode] = useState('');
+    const [error, setError] = useState<string | null>(null);
+    // Still in the lobby when the screen goes away, so we should leave it
+    const waitingRef = useRef(false);
+
+    useEffect(() => {
+        if (!user || !token) return;
+        CallService.setCurrentUser(user.id);
+
+        CallService.getCallLinkPreview(token).then(link => {
+            setPreview(link);
+            if (!link || link.state !== 'active') {
+                setState('unavailable');
+                setError(!link
+                    ? 'This call link does not exist.'
+                    : link.state === 'expired' ? 'This call link has expired.' : 'This call link has been revoked.');
+                return;
+            }
+            setState(link.hostId === user.id ? 'unavailable' : 'ready');
+            if (link.hostId === user.id) setError('This is your own call link. Admit guests from the Calls tab.');
+        });
+    }, [user, token]);
+
+    // Wait for the host's decision
+    useEffect(() => {
+        if (state !== 'waiting' || !preview) return;
+
+        return CallService.subscribeToLobbyEntry(preview.id, (entry) => {
+            if (entry.status === 'admitted' && entry.callId) {
+                waitingRef.current = false;
+                router.replace({
+                    pathname: '/call',
+                    params: {
+                        callId: entry.callId,
+                        name: preview.title || preview.hostName,
+                        type: preview.type,
+                        group: '1',
+                    },
+                } as any);
+            } else if (entry.status === 'denied') {
+                waitingRef.current = false;
+                setState('denied');
+            }
+        });
+    }, [state, preview]);
+
+    useEffect(() => () => {
+        if (waitingRef.current && preview) CallService.leaveLobby(preview.id);
+    }, [preview]);
+
+    const handleKnock = async () => {
+        if (!token || !preview) return;
+        if (preview.hasPasscode && !passcode.trim()) {
+            setError('Enter the passcode the host shared with you.');
+            return;
+        }
+
+        setError(null);
+        setState('knocking');
+        try {
+            const entry = await CallService.knockCallLink(token, passcode.trim());
+            if (entry.status === 'denied') {
+                setState('denied');
+                return;
+            }
+            waitingRef.current = true;
+            setState('waiting');
+        } catch (err: any) {
+            setError(err?.message || 'Could not reach the host. Please try again.');
+            setState('ready');
+        }
+    };
+
+    const handleCancel = () => {
+        if (waitingRef.current && preview) {
+            waitingRef.current = false;
+            CallService.leaveLobby(preview.id);
+        }
+        router.back();
+    };
+
+    const callName = preview?.title || (preview ? `${preview.hostName}'s call` : 'Call');
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar barStyle="light-content" />
+
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity onPress={handleCancel} style={styles.backBtn} activeOpacity={0.7}>
+                    <FontAwesome name="arrow-left" size={18} color={NDEIP_COLORS.gray[300]} />
+                </TouchableOpacity>
+                <Text style={styles.headerTitle}>Join Call</Text>
+                <View style={{ width: 36 }} />
+            </View>
+
+            {state === 'loading' ? (
+                <View style={styles.center}>
+                    <ActivityIndicator color={NDEIP_COLORS.primaryTeal} />
+                </View>
+            ) : (
+                <View style={styles.body}>
+                    <LinearGradient
+                        colors={[NDEIP_COLORS.primaryTeal, NDEIP_COLORS.electricBlue]}
+                        style={styles.icon}
+                    >
+                        <FontAwesome
+                            name={preview?.type === 'voice' ? 'phone' : 'video-camera'}
+                            size={28}
+                            color="#fff"
+                        />
+                    </LinearGradient>
+                    <Text style={styles.title}>{callName}</Text>
+                    {preview && <Text style={styles.subtitle}>Hosted by {preview.hostName}</Text>}
+
+                    {state === 'ready' || state === 'knocking' ? (
+                        <>
+                            {preview?.hasPasscode && (
+                                <View style={styles.inputWrap}>
+                                    <FontAwesome name="lock" size={14} color={NDEIP_COLORS.gray[500]} />
+                                    <TextInput
+                                        value={passcode}
+                                        onChangeText={setPasscode}
+                                        placeholder="Passcode"
+                                        placeholderTextColor={NDEIP_COLORS.gray[600]}
+                                        style={styles.input}
+                                        secureTextEntry
+                                        autoCapitalize="none"
+                                        onSubmitEditing={handleKnock}
+                                    />
+                                </View>
+                            )}
+                            {error && <Text style={styles.error}>{error}</Text>}
+                            <TouchableOpacity
+                                onPress={handleKnock}
+                                disabled={state === 'knocking'}
+                                activeOpacity={0.85}
+                                style={styles.joinBtn}
+                            >
+                                <LinearGradient
+                                    colors={NDEIP_COLORS.gradients.brand as any}
+                                    start={{ x: 0, y: 0 }} end={{ x: 1, y: 0 }}
+                                    style={styles.joinGradient}
+                                >
+                                    {state === 'knocking'
+                                        ? <ActivityIndicator color="#fff" />
+                                        : <Text style={styles.joinText}>Ask to join</Text>}
+                                </LinearGradient>
+                            </TouchableOpacity>
+                        </>
+                    ) : state === 'waiting' ? (
+                        <>
+                            <ActivityIndicator color={NDEIP_COLORS.primaryTeal} style={{ marginTop: 32 }} />
+                            <Text style={styles.message}>
+                                Waiting for {preview?.hostName ?? 'the host'} to let you in…
+                            </Text>
+                            <TouchableOpacity onPress={handleCancel} style={styles.secondaryBtn} activeOpacity={0.7}>
+                                <Text style={styles.secondaryText}>Leave lobby</Text>
+                            </TouchableOpacity>
+                        </>
+                    ) : (
+                        <>
+                            <Text style={[styles.message, { color: NDEIP_COLORS.rose }]}>
+                                {state === 'denied' ? "The host didn't let you in." : error}
+                            </Text>
+                            <TouchableOpacity onPress={() => router.back()} style={styles.secondaryBtn} activeOpacity={0.7}>
+                                <Text style={styles.secondaryText}>Close</Text>
+                            </TouchableOpacity>
+                        </>
+                    )}
+                </View>
+            )}
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: NDEIP_COLORS.gray[950],
+        paddingTop: Platform.OS === 'android' ? StatusBar.currentHeight : 0,
+    },
+    header: {
+        flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between',
+        paddingHorizontal: Spacing.screenHorizontal, paddingVertical: 14,
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: 'rgba(255,255,255,0.06)',
+    },
+    backBtn: {
+        width: 36, height: 36, borderRadius: 18,
+        alignItems: 'center', justifyContent: 'center',
+        backgroundColor: 'rgba(255,255,255,0.05)',
+    },
+    headerTitle: { color: '#fff', fontSize: 17, fontWeight: '600' },
+    center: { flex: 1, alignItems: 'center', justifyContent: 'center' },
+    body: { alignItems: 'center', paddingHorizontal: Spacing.screenHorizontal, paddingTop: 48 },
+    icon: {
+        width: 72, height: 72, borderRadius: 36,
+        alignItems: 'center', justifyContent: 'center',
+        marginBottom: 20,
+    },
+    title: { color: '#fff', fontSize: 22, fontWeight: '600', textAlign: 'center' },
+    subtitle: { color: NDEIP_COLORS.gray[400], fontSize: 14, marginTop: 6 },
+    inputWrap: {
+        flexDirection: 'row', alignItems: 'center', alignSelf: 'stretch',
+        backgroundColor: 'rgba(255,255,255,0.04)',
+        borderRadius: Radii.input,
+        height: 48, paddingHorizontal: 14, gap: 10,
+        marginTop: 32,
+    },
+    input: { flex: 1, color: '#F0F4F3', fontSize: 15 },
+    error: { color: NDEIP_COLORS.rose, fontSize: 13, marginTop: 12, textAlign: 'center' },
+    joinBtn: { alignSelf: 'stretch', marginTop: 24 },
+    joinGradient: {
+        alignItems: 'center', justifyContent: 'center',
+        height: 48, borderRadius: 14,
+    },
+    joinText: { color: '#fff', fontSize: 16, fontWeight: '600' },
+    message: { color: NDEIP_COLORS.gray[300], fontSize: 15, marginTop: 16, textAlign: 'center' },
+    secondaryBtn: {
+        marginTop: 24, paddingVertical: 12, paddingHorizontal: 24,
+        borderRadius: 12, backgroundColor: 'rgba(255,255,255,0.06)',
+    },
+    secondaryText: { color: NDEIP_COLORS.gray[300], fontSize: 14, fontWeight: '500' },
+});
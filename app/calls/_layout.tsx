@@ -5,6 +5,7 @@ export default function CallsLayout() {
         <Stack screenOptions={{ headerShown: false }}>
             <Stack.Screen name="keypad" />
             <Stack.Screen name="schedule" />
+            <Stack.Screen name="recordings" />
         </Stack>
     );
 }
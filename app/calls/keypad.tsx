@@ -1,22 +1,32 @@
 /**
  * Keypad Screen — Numeric dialer
+ *
+ * Dialled numbers are read as E.164 (see utils/phone) and resolved to
+ * ndeip users by profiles.phone. People we've exchanged messages with
+ * show up as the number is typed; anyone else is found once the full
+ * number is in.
+ * Numbers can be pasted into the display, formatting and all.
  */
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
     View,
     Text,
+    TextInput,
     StyleSheet,
     TouchableOpacity,
     SafeAreaView,
     StatusBar,
     Platform,
     Alert,
+    Share,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import FontAwesome from '@expo/vector-icons/FontAwesome';
 import { useRouter } from 'expo-router';
 import { NDEIP_COLORS } from '@/constants/Colors';
 import { Spacing, Radii } from '@/constants/ndeipBrandSystem';
+import { ChatService, type PhoneMatch } from '@/services/ChatService';
+import { cleanDialInput, toE164 } from '@/utils/phone';
 
 const KEYS = [
     ['1', '2', '3'],
@@ -29,20 +39,72 @@ const SUB_LABELS: Record<string, string> = {
     '6': 'MNO', '7': 'PQRS', '8': 'TUV', '9': 'WXYZ',
     '0': '+',
 };
+const LOOKUP_DEBOUNCE_MS = 250;
+// Matches listed above the keypad
+const MAX_MATCHES = 3;
+
+const initialsOf = (name: string) => name.split(' ').map(n => n[0]).join('').slice(0, 2).toUpperCase();
 
 export default function KeypadScreen() {
     const router = useRouter();
     const [number, setNumber] = useState('');
+    const [matches, setMatches] = useState<PhoneMatch[]>([]);
+    const [resolving, setResolving] = useState(false);
+
+    useEffect(() => {
+        if (!number) {
+            setMatches([]);
+            return;
+        }
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            const found = await ChatService.searchUsersByPhone(number);
+            if (!cancelled) setMatches(found);
+        }, LOOKUP_DEBOUNCE_MS);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [number]);
 
-    const handlePress = (key: string) => setNumber((prev) => prev + key);
+    const handlePress = (key: string) => setNumber((prev) => cleanDialInput(prev + key));
+    // Typing and pasting both land here; the system keyboard stays hidden
+    const handleChangeText = (text: string) => setNumber(cleanDialInput(text));
     const handleDelete = () => setNumber((prev) => prev.slice(0, -1));
-    const handleCall = () => {
-        if (!number.trim()) return;
-        router.push({ pathname: '/call', params: { id: 'dial', name: number, type: 'voice' } } as any);
+    const handleClear = () => setNumber('');
+
+    const startCall = (contact: PhoneMatch, type: 'voice' | 'video') => {
+        router.push({ pathname: '/call', params: { id: contact.id, name: contact.display_name, type } } as any);
+    };
+
+    const inviteToNdeip = (dialled: string) => {
+        Share.share({ message: `Let's talk on ndeip — it's free and end-to-end encrypted. I'm trying to reach you on ${dialled}.` });
     };
-    const handleVideoCall = () => {
-        if (!number.trim()) return;
-        router.push({ pathname: '/call', params: { id: 'dial', name: number, type: 'video' } } as any);
+
+    // Calls are placed to ndeip users only, so the number has to resolve to one
+    const handleCall = async (type: 'voice' | 'video') => {
+        if (!number) return;
+        const dialled = toE164(number);
+        if (!dialled) {
+            Alert.alert('Invalid number', 'Enter a full phone number, including the country code for numbers from abroad.');
+            return;
+        }
+
+        let contact = matches.find(m => m.phone === dialled);
+        if (!contact) {
+            setResolving(true);
+            contact = (await ChatService.searchUsersByPhone(dialled)).find(m => m.phone === dialled);
+            setResolving(false);
+        }
+
+        if (contact) {
+            startCall(contact, type);
+        } else {
+            Alert.alert('Not on ndeip', `No one on ndeip has the number ${dialled}.`, [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Invite', onPress: () => inviteToNdeip(dialled) },
+            ]);
+        }
     };
 
     return (
@@ -60,9 +122,46 @@ export default function KeypadScreen() {
 
             {/* Number display */}
             <View style={styles.display}>
-                <Text style={styles.displayNumber} numberOfLines={1} adjustsFontSizeToFit>
-                    {number || 'Enter number'}
-                </Text>
+                <TextInput
+                    value={number}
+                    onChangeText={handleChangeText}
+                    placeholder="Enter number"
+                    placeholderTextColor={NDEIP_COLORS.gray[600]}
+                    style={styles.displayNumber}
+                    showSoftInputOnFocus={false}
+                    keyboardType="phone-pad"
+                    textAlign="center"
+                    autoCorrect={false}
+                />
+            </View>
+
+            {/* Matching contacts */}
+            <View style={styles.matches}>
+                {matches.slice(0, MAX_MATCHES).map(match => (
+                    <TouchableOpacity
+                        key={match.id}
+                        style={styles.matchRow}
+                        onPress={() => setNumber(match.phone)}
+                        activeOpacity={0.6}
+                    >
+                        <LinearGradient
+                            colors={[NDEIP_COLORS.primaryTeal, NDEIP_COLORS.electricBlue]}
+                            style={styles.matchAvatar}
+                        >
+                            <Text style={styles.matchAvatarText}>{initialsOf(match.display_name || '?')}</Text>
+                        </LinearGradient>
+                        <View style={{ flex: 1 }}>
+                            <Text style={styles.matchName} numberOfLines={1}>{match.display_name}</Text>
+                            <Text style={styles.matchPhone}>{match.phone}</Text>
+                        </View>
+                        <TouchableOpacity onPress={() => startCall(match, 'voice')} style={styles.matchAction}>
+                            <FontAwesome name="phone" size={16} color={NDEIP_COLORS.primaryTeal} />
+                        </TouchableOpacity>
+                        <TouchableOpacity onPress={() => startCall(match, 'video')} style={styles.matchAction}>
+                            <FontAwesome name="video-camera" size={15} color={NDEIP_COLORS.primaryTeal} />
+                        </TouchableOpacity>
+                    </TouchableOpacity>
+                ))}
             </View>
 
             {/* Keypad grid */}
@@ -90,7 +189,7 @@ export default function KeypadScreen() {
             {/* Action row — voice + video + delete */}
             <View style={styles.actionRow}>
                 {/* Video call */}
-                <TouchableOpacity onPress={handleVideoCall} activeOpacity={0.85}>
+                <TouchableOpacity onPress={() => handleCall('video')} disabled={resolving} activeOpacity={0.85}>
                     <LinearGradient
                         colors={['#2563EB', '#3B82F6'] as any}
                         style={styles.videoCallBtn}
@@ -99,7 +198,7 @@ export default function KeypadScreen() {
                     </LinearGradient>
                 </TouchableOpacity>
                 {/* Voice call */}
-                <TouchableOpacity onPress={handleCall} activeOpacity={0.85}>
+                <TouchableOpacity onPress={() => handleCall('voice')} disabled={resolving} activeOpacity={0.85}>
                     <LinearGradient
                         colors={NDEIP_COLORS.gradients.brand as any}
                         style={styles.callBtn}
@@ -108,7 +207,7 @@ export default function KeypadScreen() {
                     </LinearGradient>
                 </TouchableOpacity>
                 {/* Delete */}
-                <TouchableOpacity onPress={handleDelete} style={styles.deleteBtn} activeOpacity={0.7}>
+                <TouchableOpacity onPress={handleDelete} onLongPress={handleClear} style={styles.deleteBtn} activeOpacity={0.7}>
                     <FontAwesome name="long-arrow-left" size={22} color={NDEIP_COLORS.gray[400]} />
                 </TouchableOpacity>
             </View>
@@ -138,11 +237,32 @@ const styles = StyleSheet.create({
         alignItems: 'center',
     },
     displayNumber: {
+        alignSelf: 'stretch',
         color: '#fff',
         fontSize: 32,
         fontWeight: '300',
         letterSpacing: 2,
     },
+    matches: {
+        minHeight: 56,
+        paddingHorizontal: Spacing.screenHorizontal,
+    },
+    matchRow: {
+        flexDirection: 'row', alignItems: 'center', gap: 12,
+        paddingVertical: 8,
+    },
+    matchAvatar: {
+        width: 40, height: 40, borderRadius: 20,
+        alignItems: 'center', justifyContent: 'center',
+    },
+    matchAvatarText: { color: '#fff', fontSize: 14, fontWeight: '700' },
+    matchName: { color: '#fff', fontSize: 15, fontWeight: '500' },
+    matchPhone: { color: NDEIP_COLORS.gray[500], fontSize: 12, marginTop: 2 },
+    matchAction: {
+        width: 36, height: 36, borderRadius: 18,
+        alignItems: 'center', justifyContent: 'center',
+        backgroundColor: 'rgba(27,77,62,0.2)',
+    },
     keypad: {
         flex: 1,
         justifyContent: 'center',
@@ -0,0 +1,264 @@
+/**
+ * Call Recordings — Finished recordings of calls we were on, with
+ * playback and, for our own recordings, deletion.
+ *
+ * Opened from the Calls tab, or with `id` from a call history row to
+ * play that call's recording straight away.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    FlatList,
+    TouchableOpacity,
+    SafeAreaView,
+    StatusBar,
+    Platform,
+    Alert,
+    Modal,
+    ActivityIndicator,
+    RefreshControl,
+} from 'react-native';
+import FontAwesome from '@expo/vector-icons/FontAwesome';
+import * as Linking from 'expo-linking';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import { NDEIP_COLORS } from '@/constants/Colors';
+import { Spacing } from '@/constants/ndeipBrandSystem';
+import { CallRecordingService, type CallRecording } from '@/services/CallRecordingService';
+import EmptyState from '@/components/ui/EmptyState';
+import { useAuth } from '@/contexts/AuthContext';
+
+// expo-av is native-only; lazy-load to avoid web build crash
+let Video: any = null;
+try { Video = require('expo-av').Video; } catch (e) { }
+
+function formatLength(seconds: number): string {
+    const mins = Math.floor(seconds / 60);
+    return `${mins}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function formatSize(bytes: number): string {
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatDate(iso: string): string {
+    return new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+function PlayerModal({ recording, url, onClose }: {
+    recording: CallRecording | null;
+    url: string | null;
+    onClose: () => void;
+}) {
+    const isVideo = !!recording?.mimeType?.startsWith('video');
+
+    return (
+        <Modal visible={!!recording} transparent animationType="fade" onRequestClose={onClose}>
+            <View style={styles.playerBackdrop}>
+                <View style={styles.playerHeader}>
+                    <Text style={styles.playerTitle} numberOfLines={1}>{recording?.callName ?? 'Recording'}</Text>
+                    <TouchableOpacity onPress={onClose} style={styles.backBtn} activeOpacity={0.7}>
+                        <FontAwesome name="times" size={18} color={NDEIP_COLORS.gray[300]} />
+                    </TouchableOpacity>
+                </View>
+                {!url ? (
+                    <ActivityIndicator color={NDEIP_COLORS.primaryTeal} />
+                ) : (
+                    <Video
+                        source={{ uri: url }}
+                        style={isVideo ? styles.playerVideo : styles.playerAudio}
+                        useNativeControls
+                        shouldPlay
+                        resizeMode="contain"
+                    />
+                )}
+                {recording && (
+                    <Text style={styles.playerMeta}>
+                        Recorded by {recording.recorderName} · {formatDate(recording.createdAt)}
+                    </Text>
+                )}
+            </View>
+        </Modal>
+    );
+}
+
+export default function CallRecordingsScreen() {
+    const router = useRouter();
+    const { id } = useLocalSearchParams<{ id?: string }>();
+    const { user } = useAuth();
+    const [recordings, setRecordings] = useState<CallRecording[]>([]);
+    const [loading, setLoading] = useState(true);
+    const [refreshing, setRefreshing] = useState(false);
+    const [playing, setPlaying] = useState<CallRecording | null>(null);
+    const [playbackUrl, setPlaybackUrl] = useState<string | null>(null);
+
+    const load = useCallback(async () => {
+        const list = await CallRecordingService.getRecordings();
+        setRecordings(list);
+        setLoading(false);
+        return list;
+    }, []);
+
+    const handlePlay = useCallback(async (recording: CallRecording) => {
+        try {
+            const url = await CallRecordingService.getPlaybackUrl(recording);
+            if (!Video) {
+                Linking.openURL(url);
+                return;
+            }
+            setPlaying(recording);
+            setPlaybackUrl(url);
+        } catch (err: any) {
+            setPlaying(null);
+            Alert.alert('Could not play recording', err?.message || 'Please try again');
+        }
+    }, []);
+
+    useEffect(() => {
+        if (!user) return;
+        CallRecordingService.setCurrentUser(user.id);
+        load().then(list => {
+            const requested = id && list.find(r => r.id === id);
+            if (requested) handlePlay(requested);
+        });
+    }, [user, id]);
+
+    const handleRefresh = async () => {
+        setRefreshing(true);
+        await load();
+        setRefreshing(false);
+    };
+
+    const handleClosePlayer = () => {
+        setPlaying(null);
+        setPlaybackUrl(null);
+    };
+
+    const handleDelete = (recording: CallRecording) => {
+        Alert.alert(
+            'Delete recording?',
+            'It will be removed for everyone who was on the call.',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Delete',
+                    style: 'destructive',
+                    onPress: async () => {
+                        try {
+                            await CallRecordingService.deleteRecording(recording);
+                            setRecordings(current => current.filter(r => r.id !== recording.id));
+                        } catch (err: any) {
+                            Alert.alert('Could not delete', err?.message || 'Please try again');
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar barStyle="light-content" />
+
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => router.back()} style={styles.backBtn} activeOpacity={0.7}>
+                    <FontAwesome name="arrow-left" size={18} color={NDEIP_COLORS.gray[300]} />
+                </TouchableOpacity>
+                <Text style={styles.headerTitle}>Call Recordings</Text>
+                <View style={{ width: 36 }} />
+            </View>
+
+            {loading ? (
+                <View style={styles.center}>
+                    <ActivityIndicator color={NDEIP_COLORS.primaryTeal} />
+                </View>
+            ) : (
+                <FlatList
+                    data={recordings}
+                    keyExtractor={r => r.id}
+                    contentContainerStyle={{ flexGrow: 1 }}
+                    refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} tintColor={NDEIP_COLORS.primaryTeal} />}
+                    renderItem={({ item }) => (
+                        <TouchableOpacity style={styles.row} activeOpacity={0.6} onPress={() => handlePlay(item)}>
+                            <View style={styles.rowIcon}>
+                                <FontAwesome
+                                    name={item.mimeType?.startsWith('video') ? 'video-camera' : 'microphone'}
+                                    size={16}
+                                    color={NDEIP_COLORS.primaryTeal}
+                                />
+                            </View>
+                            <View style={styles.rowContent}>
+                                <Text style={styles.rowTitle} numberOfLines={1}>{item.callName}</Text>
+                                <Text style={styles.rowMeta} numberOfLines={1}>
+                                    {formatDate(item.createdAt)} · {formatLength(item.duration)} · {formatSize(item.size)}
+                                    {item.recordedBy === user?.id ? '' : ` · by ${item.recorderName}`}
+                                </Text>
+                            </View>
+                            {item.recordedBy === user?.id && (
+                                <TouchableOpacity onPress={() => handleDelete(item)} style={styles.rowAction} activeOpacity={0.6}>
+                                    <FontAwesome name="trash-o" size={18} color={NDEIP_COLORS.rose} />
+                                </TouchableOpacity>
+                            )}
+                            <FontAwesome name="play-circle" size={22} color={NDEIP_COLORS.primaryTeal} />
+                        </TouchableOpacity>
+                    )}
+                    ListEmptyComponent={
+                        <EmptyState variant="recordings" />
+                    }
+                />
+            )}
+
+            <PlayerModal recording={playing} url={playbackUrl} onClose={handleClosePlayer} />
+        </SafeAreaView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: NDEIP_COLORS.gray[950],
+        paddingTop: Platform.OS === 'android' ? StatusBar.currentHeight : 0,
+    },
+    header: {
+        flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between',
+        paddingHorizontal: Spacing.screenHorizontal, paddingVertical: 14,
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: 'rgba(255,255,255,0.06)',
+    },
+    backBtn: {
+        width: 36, height: 36, borderRadius: 18,
+        alignItems: 'center', justifyContent: 'center',
+        backgroundColor: 'rgba(255,255,255,0.05)',
+    },
+    headerTitle: { color: '#fff', fontSize: 17, fontWeight: '600' },
+    center: { flex: 1, alignItems: 'center', justifyContent: 'center' },
+    row: {
+        flexDirection: 'row', alignItems: 'center', gap: 12,
+        paddingHorizontal: Spacing.screenHorizontal, paddingVertical: 12,
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: 'rgba(255,255,255,0.04)',
+    },
+    rowIcon: {
+        width: 40, height: 40, borderRadius: 20,
+        alignItems: 'center', justifyContent: 'center',
+        backgroundColor: 'rgba(27,77,62,0.2)',
+    },
+    rowContent: { flex: 1 },
+    rowTitle: { color: '#fff', fontSize: 15, fontWeight: '500' },
+    rowMeta: { color: NDEIP_COLORS.gray[500], fontSize: 12, marginTop: 2 },
+    rowAction: { padding: 8 },
+    // Player
+    playerBackdrop: {
+        flex: 1, justifyContent: 'center', gap: 16,
+        backgroundColor: 'rgba(0,0,0,0.92)',
+        paddingHorizontal: Spacing.screenHorizontal,
+    },
+    playerHeader: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', gap: 12 },
+    playerTitle: { flex: 1, color: '#fff', fontSize: 17, fontWeight: '600' },
+    playerVideo: { width: '100%', aspectRatio: 9 / 16, maxHeight: '70%', alignSelf: 'center' },
+    playerAudio: { width: '100%', height: 64 },
+    playerMeta: { color: NDEIP_COLORS.gray[400], fontSize: 13, textAlign: 'center' },
+});
@@ -1,7 +1,8 @@
 /**
  * Schedule Call — Create a scheduled call with title, description, time
+ * and invitees, or import calls from an .ics calendar
  */
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
     View,
     Text,
@@ -13,15 +14,133 @@ import {
     StatusBar,
     Platform,
     Alert,
+    Share,
+    Modal,
+    ActivityIndicator,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import FontAwesome from '@expo/vector-icons/FontAwesome';
 import { useRouter } from 'expo-router';
 import { NDEIP_COLORS } from '@/constants/Colors';
 import { Spacing, Radii, Glass } from '@/constants/ndeipBrandSystem';
+import { CallService } from '@/services/CallService';
+import { ChatService } from '@/services/ChatService';
+import { ScheduledCallService } from '@/services/ScheduledCallService';
+import { useAuth } from '@/contexts/AuthContext';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "Feb 25, 2026", "25 Feb 2026", "2026-02-25", "today" or "tomorrow"
+function parseDay(input: string): Date | null {
+    const text = input.trim().toLowerCase();
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (text === 'today') return today;
+    if (text === 'tomorrow') return new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+
+    let year: number, month: number, day: number;
+    let m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (m) {
+        [year, month, day] = [Number(m[1]), Number(m[2]) - 1, Number(m[3])];
+    } else if ((m = text.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})$/))) {
+        [year, month, day] = [Number(m[3]), MONTHS.indexOf(m[1]), Number(m[2])];
+    } else if ((m = text.match(/^(\d{1,2})\s+([a-z]{3})[a-z]*\.?,?\s+(\d{4})$/))) {
+        [year, month, day] = [Number(m[3]), MONTHS.indexOf(m[2]), Number(m[1])];
+    } else {
+        return null;
+    }
+
+    const date = new Date(year, month, day);
+    return month >= 0 && date.getDate() === day ? date : null;
+}
+
+// "10:00 AM", "10am", "14:30"
+function parseTime(day: Date, input: string): Date | null {
+    const m = input.trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!m) return null;
+
+    let hours = Number(m[1]);
+    const minutes = Number(m[2] ?? 0);
+    if (m[3]) {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (m[3] === 'pm' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59) return null;
+
+    const date = new Date(day);
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+}
+
+function ImportSheet({ visible, onClose, onImported }: {
+    visible: boolean;
+    onClose: () => void;
+    onImported: (count: number) => void;
+}) {
+    const [source, setSource] = useState('');
+    const [importing, setImporting] = useState(false);
+
+    useEffect(() => {
+        if (visible) setSource('');
+    }, [visible]);
+
+    const handleImport = async () => {
+        if (!source.trim()) return;
+        setImporting(true);
+        try {
+            onImported(await ScheduledCallService.importIcs(source));
+        } catch (err: any) {
+            Alert.alert('Could not import', err?.message || 'Please check the calendar and try again.');
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    return (
+        <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+            <View style={styles.sheetBackdrop}>
+                <View style={styles.sheet}>
+                    <View style={styles.sheetHeader}>
+                        <Text style={styles.headerTitle}>Import from calendar</Text>
+                        <TouchableOpacity onPress={onClose}>
+                            <FontAwesome name="times" size={18} color={NDEIP_COLORS.gray[400]} />
+                        </TouchableOpacity>
+                    </View>
+                    <Text style={styles.sheetHint}>
+                        Paste the contents of an .ics file, or a link to one.
+                    </Text>
+                    <View style={[styles.inputWrap, styles.importWrap]}>
+                        <TextInput
+                            value={source}
+                            onChangeText={setSource}
+                            placeholder={'BEGIN:VCALENDAR… or https://…/calendar.ics'}
+                            placeholderTextColor={NDEIP_COLORS.gray[600]}
+                            style={[styles.input, styles.textArea]}
+                            multiline
+                            autoCapitalize="none"
+                            autoCorrect={false}
+                        />
+                    </View>
+                    <TouchableOpacity onPress={handleImport} disabled={importing || !source.trim()} activeOpacity={0.85} style={styles.scheduleBtn}>
+                        <LinearGradient
+                            colors={NDEIP_COLORS.gradients.brand as any}
+                            start={{ x: 0, y: 0 }} end={{ x: 1, y: 0 }}
+                            style={[styles.scheduleGradient, (importing || !source.trim()) && { opacity: 0.5 }]}
+                        >
+                            {importing
+                                ? <ActivityIndicator color="#fff" />
+                                : <Text style={styles.scheduleText}>Import</Text>}
+                        </LinearGradient>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        </Modal>
+    );
+}
 
 export default function ScheduleCallScreen() {
     const router = useRouter();
+    const { user } = useAuth();
     const [title, setTitle] = useState('');
     const [description, setDescription] = useState('');
     const [date, setDate] = useState('');
@@ -29,30 +148,105 @@ export default function ScheduleCallScreen() {
     const [endTime, setEndTime] = useState('');
     const [callType, setCallType] = useState<'voice' | 'video'>('voice');
     const [focused, setFocused] = useState<string | null>(null);
+    const [creatingLink, setCreatingLink] = useState(false);
+    const [contacts, setContacts] = useState<any[]>([]);
+    const [invitees, setInvitees] = useState<string[]>([]);
+    const [scheduling, setScheduling] = useState(false);
+    const [showImport, setShowImport] = useState(false);
+
+    useEffect(() => {
+        if (!user) return;
+        ChatService.setCurrentUser(user.id);
+        CallService.setCurrentUser(user.id);
+        ScheduledCallService.setCurrentUser(user.id);
+        ChatService.getAllUsers().then(setContacts);
+    }, [user]);
+
+    const toggleInvitee = (userId: string) => {
+        setInvitees(current => current.includes(userId)
+            ? current.filter(id => id !== userId)
+            : [...current, userId]);
+    };
 
-    const handleSchedule = () => {
+    const handleSchedule = async () => {
         if (!title.trim()) {
             Alert.alert('Required', 'Please enter a call title.');
             return;
         }
-        Alert.alert(
-            'Call Scheduled! 📅',
-            `"${title}" has been scheduled. Participants will be notified.`,
-            [{ text: 'OK', onPress: () => router.back() }]
-        );
+        const day = parseDay(date);
+        if (!day) {
+            Alert.alert('Check the date', 'Use a date like "Feb 25, 2026" or "2026-02-25".');
+            return;
+        }
+        const startsAt = parseTime(day, startTime);
+        const endsAt = parseTime(day, endTime);
+        if (!startsAt || !endsAt) {
+            Alert.alert('Check the time', 'Use times like "10:00 AM" or "14:30".');
+            return;
+        }
+        // An end time earlier than the start runs past midnight
+        if (endsAt <= startsAt) endsAt.setDate(endsAt.getDate() + 1);
+
+        setScheduling(true);
+        try {
+            await ScheduledCallService.scheduleCall({
+                title,
+                description,
+                type: callType,
+                startsAt,
+                endsAt,
+                participantIds: invitees,
+            });
+            Alert.alert(
+                'Call Scheduled! 📅',
+                invitees.length
+                    ? `"${title.trim()}" has been scheduled. Invitations were sent in chat.`
+                    : `"${title.trim()}" has been scheduled.`,
+                [{ text: 'OK', onPress: () => router.back() }]
+            );
+        } catch (err: any) {
+            Alert.alert('Could not schedule', err?.message || 'Please try again');
+        } finally {
+            setScheduling(false);
+        }
     };
 
-    const handleCreateLink = () => {
+    const handleImported = (count: number) => {
+        setShowImport(false);
         Alert.alert(
-            'Call Link Created! 🔗',
-            'Your call link has been copied to clipboard:\nndeip.com/call/abc123',
-            [
-                { text: 'Share', onPress: () => { } },
-                { text: 'OK' },
-            ]
+            count ? 'Calls Imported 📅' : 'Nothing to import',
+            count
+                ? `${count} upcoming ${count === 1 ? 'call was' : 'calls were'} added to your schedule.`
+                : 'The calendar has no upcoming events.',
+            [{ text: 'OK', onPress: () => { if (count) router.back(); } }]
         );
     };
 
+    const handleCreateLink = async () => {
+        if (creatingLink) return;
+        setCreatingLink(true);
+        try {
+            // Scheduled calls are usually days away, so the link lives for a week
+            const link = await CallService.createCallLink({
+                type: callType,
+                title: title.trim() || undefined,
+                expiresInHours: 24 * 7,
+            });
+            Alert.alert(
+                'Call Link Created! 🔗',
+                `Anyone with this link can ask to join. You'll admit them from the Calls tab.\n${link.url}`,
+                [
+                    { text: 'Share', onPress: () => Share.share({ message: link.url }) },
+                    { text: 'OK' },
+                ]
+            );
+        } catch (err: any) {
+            Alert.alert('Could not create link', err?.message || 'Please try again');
+        } finally {
+            setCreatingLink(false);
+        }
+    };
+
     return (
         <SafeAreaView style={styles.container}>
             <StatusBar barStyle="light-content" />
@@ -63,7 +257,9 @@ export default function ScheduleCallScreen() {
                     <FontAwesome name="arrow-left" size={18} color={NDEIP_COLORS.gray[300]} />
                 </TouchableOpacity>
                 <Text style={styles.headerTitle}>Schedule Call</Text>
-                <View style={{ width: 36 }} />
+                <TouchableOpacity onPress={() => setShowImport(true)} style={styles.backBtn} activeOpacity={0.7}>
+                    <FontAwesome name="download" size={16} color={NDEIP_COLORS.gray[300]} />
+                </TouchableOpacity>
             </View>
 
             <ScrollView
@@ -176,24 +372,49 @@ export default function ScheduleCallScreen() {
                     </View>
                 </View>
 
+                {/* Invitees */}
+                <View style={styles.field}>
+                    <Text style={styles.label}>Invite <Text style={styles.labelHint}>(optional)</Text></Text>
+                    <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.inviteRow}>
+                        {contacts.map(contact => {
+                            const selected = invitees.includes(contact.id);
+                            return (
+                                <TouchableOpacity
+                                    key={contact.id}
+                                    onPress={() => toggleInvitee(contact.id)}
+                                    style={[styles.inviteChip, selected && styles.inviteChipActive]}
+                                    activeOpacity={0.7}
+                                >
+                                    {selected && <FontAwesome name="check" size={11} color="#fff" />}
+                                    <Text style={[styles.inviteText, selected && styles.typeTextActive]}>
+                                        {contact.display_name || 'Unknown'}
+                                    </Text>
+                                </TouchableOpacity>
+                            );
+                        })}
+                    </ScrollView>
+                </View>
+
                 {/* Create Link */}
-                <TouchableOpacity onPress={handleCreateLink} style={styles.linkBtn} activeOpacity={0.7}>
+                <TouchableOpacity onPress={handleCreateLink} disabled={creatingLink} style={styles.linkBtn} activeOpacity={0.7}>
                     <FontAwesome name="link" size={14} color={NDEIP_COLORS.electricBlue} />
                     <Text style={styles.linkBtnText}>Create call link to share</Text>
                 </TouchableOpacity>
 
                 {/* Schedule button */}
-                <TouchableOpacity onPress={handleSchedule} activeOpacity={0.85} style={styles.scheduleBtn}>
+                <TouchableOpacity onPress={handleSchedule} disabled={scheduling} activeOpacity={0.85} style={styles.scheduleBtn}>
                     <LinearGradient
                         colors={NDEIP_COLORS.gradients.brand as any}
                         start={{ x: 0, y: 0 }} end={{ x: 1, y: 0 }}
-                        style={styles.scheduleGradient}
+                        style={[styles.scheduleGradient, scheduling && { opacity: 0.6 }]}
                     >
                         <FontAwesome name="calendar-check-o" size={16} color="#fff" />
-                        <Text style={styles.scheduleText}>Schedule Call</Text>
+                        <Text style={styles.scheduleText}>{scheduling ? 'Scheduling…' : 'Schedule Call'}</Text>
                     </LinearGradient>
                 </TouchableOpacity>
             </ScrollView>
+
+            <ImportSheet visible={showImport} onClose={() => setShowImport(false)} onImported={handleImported} />
         </SafeAreaView>
     );
 }
@@ -247,6 +468,32 @@ const styles = StyleSheet.create({
     inputFocused: { borderColor: 'rgba(27,77,62,0.35)' },
     input: { flex: 1, color: '#F0F4F3', fontSize: 15 },
     textArea: { textAlignVertical: 'top', height: '100%' as any },
+    inviteRow: { gap: 8 },
+    inviteChip: {
+        flexDirection: 'row', alignItems: 'center', gap: 6,
+        paddingHorizontal: 14, paddingVertical: 9, borderRadius: 18,
+        backgroundColor: 'rgba(255,255,255,0.04)',
+    },
+    inviteChipActive: { backgroundColor: 'rgba(27,77,62,0.45)' },
+    inviteText: { color: NDEIP_COLORS.gray[400], fontSize: 13, fontWeight: '500' },
+    sheetBackdrop: { flex: 1, justifyContent: 'flex-end', backgroundColor: 'rgba(0,0,0,0.5)' },
+    sheet: {
+        backgroundColor: NDEIP_COLORS.gray[900],
+        borderTopLeftRadius: 20, borderTopRightRadius: 20,
+        paddingTop: 16, paddingBottom: 40,
+    },
+    sheetHeader: {
+        flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between',
+        paddingHorizontal: Spacing.screenHorizontal, marginBottom: 8,
+    },
+    sheetHint: {
+        color: NDEIP_COLORS.gray[400], fontSize: 13,
+        paddingHorizontal: Spacing.screenHorizontal, marginBottom: 12,
+    },
+    importWrap: {
+        height: 140, alignItems: 'flex-start', paddingVertical: 12,
+        marginHorizontal: Spacing.screenHorizontal, marginBottom: 16,
+    },
     timeRow: {
         flexDirection: 'row',
         gap: 12,
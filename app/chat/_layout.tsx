@@ -83,6 +83,16 @@ export default function ChatLayout() {
             title: 'Chat'
           }}
         />
+        <Stack.Screen
+          name="info"
+          options={{
+            title: 'Message Info',
+            headerStyle: { backgroundColor: NDEIP_COLORS.gray[950] },
+            headerTintColor: NDEIP_COLORS.gray[100],
+            headerTitleStyle: { fontWeight: '700' as const, fontSize: 17 },
+            headerShadowVisible: false,
+          }}
+        />
       </Stack>
     </ChatErrorBoundary>
   );
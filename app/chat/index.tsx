@@ -4,12 +4,17 @@ import {
     Text,
     StyleSheet,
     ScrollView,
+    FlatList,
+    ActivityIndicator,
     TouchableOpacity,
     TextInput,
     KeyboardAvoidingView,
     Platform,
     Modal,
     Animated,
+    Alert,
+    PanResponder,
+    Image,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import FontAwesome from '@expo/vector-icons/FontAwesome';
@@ -17,7 +22,13 @@ import { useRouter, useLocalSearchParams } from 'expo-router';
 import Colors, { NDEIP_COLORS } from '@/constants/Colors';
 import { useColorScheme } from '@/components/useColorScheme';
 import { Typography, Spacing, Radii, Glass } from '@/constants/ndeipBrandSystem';
-import { ChatService, Message as ServiceMessage } from '@/services/ChatService';
+import {
+    ChatService, Message as ServiceMessage, MessageEdit, MessageReaction, ScheduledMessage, Conversation, canEditMessage,
+    MESSAGE_PAGE_SIZE,
+} from '@/services/ChatService';
+import { EncryptionService, VerificationStatus } from '@/services/EncryptionService';
+import { GROUP_CALLS_ENABLED } from '@/services/CallService';
+import type { StoryQuote } from '@/services/StoryService';
 import { useAuth } from '@/contexts/AuthContext';
 import { useVoiceRecording } from '@/hooks/useVoiceRecording';
 import QuantumTyping from '@/components/chat/QuantumTyping';
@@ -26,9 +37,14 @@ import MessageReactions from '@/components/chat/MessageReactions';
 import HolographicBubble from '@/components/chat/HolographicBubbles';
 import EmptyState from '@/components/ui/EmptyState';
 import MeshReadIndicator from '@/components/chat/MeshReadIndicator';
+import { SafetyNumberPanel, ENCRYPTION_STATUS } from '@/utils/EncryptionVisualizer';
+
+// expo-av is native-only; lazy-load to avoid web build crash
+let Audio: any = null;
+try { Audio = require('expo-av').Audio; } catch (e) { }
 
 // ─── Types ────────────────────────────────────────────────
-type MessageType = 'text' | 'voice' | 'video' | 'viewonce' | 'call_event';
+type MessageType = 'text' | 'voice' | 'video' | 'viewonce' | 'call_event' | 'system';
 interface ChatMessage {
     id: string;
     text?: string;
@@ -38,18 +54,89 @@ interface ChatMessage {
     type: MessageType;
     ephemeral?: boolean;
     duration?: number;
+    audioUrl?: string;
     consumed?: boolean;
     kept?: boolean;
     caption?: string;
     viewOnceViewed?: boolean;
     scheduled?: boolean;
     scheduledTime?: string;
+    fromSchedule?: boolean;
+    createdAt?: string;
+    edited?: boolean;
+    replyTo?: string;
+    quoted?: { id: string; text?: string; type: string; sent: boolean };
+    story?: StoryQuote;
+    storyReaction?: string;
+    forwarded?: boolean;
+    forwardedManyTimes?: boolean;
+    urgent?: boolean;
+    reactions?: ChatReaction[];
+    readCount?: number;
     // Call event fields
     call_type?: 'voice' | 'video';
     call_status?: string;
     call_duration?: number;
 }
 
+// Shape expected by MessageReactions
+interface ChatReaction {
+    emoji: string;
+    user: { id: string; name: string; avatar?: string };
+    timestamp: number;
+}
+
+function toChatReactions(reactions: MessageReaction[] = []): ChatReaction[] {
+    return reactions.map(r => ({
+        emoji: r.emoji,
+        user: { id: r.user_id, name: r.display_name || 'Unknown', avatar: r.avatar_url },
+        timestamp: new Date(r.created_at).getTime(),
+    }));
+}
+
+function toChatMessage(m: ServiceMessage): ChatMessage {
+    return {
+        id: m.id,
+        text: m.text || '',
+        sent: m.sent ?? false,
+        time: m.time || '',
+        status: m.status,
+        type: m.type as MessageType,
+        ephemeral: m.ephemeral,
+        duration: m.duration,
+        audioUrl: m.audio_url,
+        consumed: m.consumed,
+        kept: m.kept,
+        scheduled: m.scheduled,
+        scheduledTime: m.scheduledTime,
+        fromSchedule: m.from_schedule,
+        createdAt: m.created_at,
+        edited: m.edited,
+        replyTo: m.reply_to,
+        quoted: m.quoted,
+        story: m.story,
+        storyReaction: m.story_reaction,
+        forwarded: m.forwarded,
+        forwardedManyTimes: m.forwarded_many_times,
+        urgent: m.urgent,
+        reactions: m.reactions ? toChatReactions(m.reactions) : undefined,
+        readCount: m.read_count,
+    };
+}
+
+function toScheduledChatMessage(s: ScheduledMessage): ChatMessage {
+    return {
+        id: s.id,
+        text: s.text,
+        sent: true,
+        time: new Date(s.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+        status: 'scheduled',
+        type: 'text',
+        scheduled: true,
+        scheduledTime: new Date(s.send_at).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' }),
+    };
+}
+
 // ─── Quick Phrases Data ───────────────────────────────────
 const LANGUAGE_PAIRS = [
     { id: 'sn', label: 'Shona \u2192 English' },
@@ -231,32 +318,225 @@ function ViewOnceBubble({ message, isDark, sent, bubbleRadius }: {
     );
 }
 
+// ─── Swipe To Reply ───────────────────────────────────────
+const SWIPE_REPLY_THRESHOLD = 56;
+
+function SwipeToReply({ onReply, children }: { onReply: () => void; children: React.ReactNode }) {
+    const translateX = useRef(new Animated.Value(0)).current;
+    const onReplyRef = useRef(onReply);
+    onReplyRef.current = onReply;
+
+    const panResponder = useRef(PanResponder.create({
+        // Only claim clearly horizontal drags so vertical scrolling still works
+        onMoveShouldSetPanResponder: (_, g) => g.dx > 12 && Math.abs(g.dx) > Math.abs(g.dy) * 2,
+        onPanResponderMove: (_, g) => translateX.setValue(Math.min(Math.max(g.dx, 0), SWIPE_REPLY_THRESHOLD + 16)),
+        onPanResponderRelease: (_, g) => {
+            if (g.dx >= SWIPE_REPLY_THRESHOLD) onReplyRef.current();
+            Animated.spring(translateX, { toValue: 0, useNativeDriver: true }).start();
+        },
+        onPanResponderTerminate: () => {
+            Animated.spring(translateX, { toValue: 0, useNativeDriver: true }).start();
+        },
+    })).current;
+
+    const iconOpacity = translateX.interpolate({
+        inputRange: [0, SWIPE_REPLY_THRESHOLD],
+        outputRange: [0, 1],
+        extrapolate: 'clamp',
+    });
+
+    return (
+        <View {...panResponder.panHandlers}>
+            <Animated.View style={[styles.swipeReplyIcon, { opacity: iconOpacity }]}>
+                <FontAwesome name="reply" size={14} color={NDEIP_COLORS.electricBlue} />
+            </Animated.View>
+            <Animated.View style={{ transform: [{ translateX }] }}>
+                {children}
+            </Animated.View>
+        </View>
+    );
+}
+
+// ─── Quoted Message Preview ───────────────────────────────
+function quotePreviewText(quoted: { text?: string; type: string }): string {
+    if (quoted.type === 'voice') return '🎤 Voice message';
+    if (quoted.type === 'image') return '📷 Photo';
+    if (quoted.type === 'video') return '🎥 Video';
+    return quoted.text || '';
+}
+
+function QuotedPreview({ quoted, sent, contactName, onPress }: {
+    quoted: NonNullable<ChatMessage['quoted']>; sent: boolean; contactName: string; onPress: () => void;
+}) {
+    return (
+        <TouchableOpacity
+            onPress={onPress}
+            activeOpacity={0.7}
+            style={[styles.quoteBlock, {
+                backgroundColor: sent ? 'rgba(255,255,255,0.12)' : 'rgba(0,0,0,0.05)',
+                borderLeftColor: sent ? 'rgba(255,255,255,0.7)' : NDEIP_COLORS.electricBlue,
+            }]}
+        >
+            <Text style={{ fontSize: 12, fontWeight: '600', color: sent ? '#fff' : NDEIP_COLORS.electricBlue }}>
+                {quoted.sent ? 'You' : contactName}
+            </Text>
+            <Text numberOfLines={2} style={{ fontSize: 13, color: sent ? 'rgba(255,255,255,0.75)' : NDEIP_COLORS.gray[500] }}>
+                {quotePreviewText(quoted)}
+            </Text>
+        </TouchableOpacity>
+    );
+}
+
+// ─── Quoted Story ─────────────────────────────────────────
+// Story replies and reactions show the segment they answer; tapping it
+// opens the story while it is still up
+function StoryQuotePreview({ message, sent }: { message: ChatMessage; sent: boolean }) {
+    const router = useRouter();
+    const story = message.story;
+    if (!story) return null;
+
+    const label = message.storyReaction
+        ? (sent ? 'You reacted to their story' : 'Reacted to your story')
+        : (sent ? 'You replied to their story' : 'Replied to your story');
+
+    return (
+        <TouchableOpacity
+            disabled={!story.available || !story.authorId}
+            onPress={() => router.push({ pathname: '/story', params: { userId: story.authorId } } as any)}
+            activeOpacity={0.7}
+            style={[styles.quoteBlock, styles.storyQuote, {
+                backgroundColor: sent ? 'rgba(255,255,255,0.12)' : 'rgba(0,0,0,0.05)',
+                borderLeftColor: sent ? 'rgba(255,255,255,0.7)' : NDEIP_COLORS.electricBlue,
+            }]}
+        >
+            <View style={{ flex: 1 }}>
+                <Text style={{ fontSize: 12, fontWeight: '600', color: sent ? '#fff' : NDEIP_COLORS.electricBlue }}>
+                    {label}
+                </Text>
+                <Text numberOfLines={2} style={{ fontSize: 13, color: sent ? 'rgba(255,255,255,0.75)' : NDEIP_COLORS.gray[500] }}>
+                    {!story.available
+                        ? 'Story no longer available'
+                        : story.type === 'text' ? story.text : story.type === 'video' ? '🎥 Video' : '📷 Photo'}
+                </Text>
+            </View>
+            {story.available && (story.thumbnailUrl ? (
+                <Image source={{ uri: story.thumbnailUrl }} style={styles.storyThumb} />
+            ) : (
+                <View style={[styles.storyThumb, { backgroundColor: story.backgroundColor || NDEIP_COLORS.primaryTeal }]}>
+                    <FontAwesome
+                        name={story.type === 'video' ? 'video-camera' : story.type === 'text' ? 'font' : 'image'}
+                        size={14}
+                        color="rgba(255,255,255,0.8)"
+                    />
+                </View>
+            ))}
+        </TouchableOpacity>
+    );
+}
+
+function ForwardedLabel({ message, sent }: { message: ChatMessage; sent: boolean }) {
+    if (!message.forwarded) return null;
+    return (
+        <View style={{ flexDirection: 'row', alignItems: 'center', gap: 4, marginBottom: 4 }}>
+            <FontAwesome
+                name={message.forwardedManyTimes ? 'angle-double-right' : 'share'}
+                size={11}
+                color={sent ? 'rgba(255,255,255,0.6)' : NDEIP_COLORS.gray[500]}
+            />
+            <Text style={{ fontSize: 11, fontStyle: 'italic', color: sent ? 'rgba(255,255,255,0.6)' : NDEIP_COLORS.gray[500] }}>
+                {message.forwardedManyTimes ? 'Forwarded many times' : 'Forwarded'}
+            </Text>
+        </View>
+    );
+}
+
+function UrgentLabel({ message, sent }: { message: ChatMessage; sent: boolean }) {
+    if (!message.urgent) return null;
+    return (
+        <View style={{ flexDirection: 'row', alignItems: 'center', gap: 4, marginBottom: 4 }}>
+            <FontAwesome name="exclamation-circle" size={11} color={sent ? 'rgba(255,255,255,0.8)' : NDEIP_COLORS.rose} />
+            <Text style={{ fontSize: 11, fontWeight: '600', color: sent ? 'rgba(255,255,255,0.8)' : NDEIP_COLORS.rose }}>
+                Urgent
+            </Text>
+        </View>
+    );
+}
+
+// Scheduled messages are delivered by the server, which has to read them
+function ScheduledLabel({ message, sent }: { message: ChatMessage; sent: boolean }) {
+    if (!message.fromSchedule) return null;
+    return (
+        <View style={{ flexDirection: 'row', alignItems: 'center', gap: 4, marginBottom: 4 }}>
+            <FontAwesome name="unlock-alt" size={11} color={sent ? 'rgba(255,255,255,0.6)' : NDEIP_COLORS.gray[500]} />
+            <Text style={{ fontSize: 11, fontStyle: 'italic', color: sent ? 'rgba(255,255,255,0.6)' : NDEIP_COLORS.gray[500] }}>
+                Scheduled · not end-to-end encrypted
+            </Text>
+        </View>
+    );
+}
+
 // ─── Message Bubble ───────────────────────────────────────
-function MessageBubble({ message, isDark, isFirst, isLast, onConsume, onKeep }: {
-    message: ChatMessage; isDark: boolean; isFirst: boolean; isLast: boolean;
+function MessageBubble({
+    message, isDark, isFirst, isLast, contactName, currentUserId, recipientCount, showReadReceipts,
+    onConsume, onKeep, onEdit, onShowEdits, onManageScheduled, onReply, onForward, onJumpTo, onReact, onShowInfo, onRetry,
+}: {
+    message: ChatMessage; isDark: boolean; isFirst: boolean; isLast: boolean; contactName: string;
+    currentUserId: string; recipientCount: number; showReadReceipts: boolean;
     onConsume: (id: string) => void; onKeep: (id: string) => void;
+    onEdit: (message: ChatMessage) => void; onShowEdits: (message: ChatMessage) => void;
+    onManageScheduled: (message: ChatMessage) => void;
+    onReply: (message: ChatMessage) => void; onForward: (message: ChatMessage) => void;
+    onJumpTo: (messageId: string) => void;
+    onReact: (message: ChatMessage, emoji: string) => void;
+    onShowInfo: (message: ChatMessage) => void;
+    onRetry: (message: ChatMessage) => void;
 }) {
     const sent = message.sent;
     const [playing, setPlaying] = useState(false);
     const [progress, setProgress] = useState(0);
     const [showReactionPicker, setShowReactionPicker] = useState(false);
-    const [reactions, setReactions] = useState<any[]>([]);
+    const soundRef = useRef<any>(null);
+
+    useEffect(() => () => { soundRef.current?.unloadAsync(); }, []);
 
     const handleLongPress = useCallback(() => {
         setShowReactionPicker(prev => !prev);
     }, []);
 
-    const handleReaction = useCallback((messageId: string, emoji: string) => {
-        setReactions(prev => {
-            const existing = prev.find(r => r.emoji === emoji);
-            if (existing) return prev.filter(r => r.emoji !== emoji);
-            return [...prev, { emoji, user: { id: 'me', name: 'You' }, timestamp: Date.now() }];
-        });
+    const handleReaction = useCallback((_messageId: string, emoji: string) => {
+        onReact(message, emoji);
         setShowReactionPicker(false);
-    }, []);
+    }, [message, onReact]);
+
+    // Recorded voice messages stream from storage; only ephemeral ones play once
+    const playRecording = useCallback(async (audioUrl: string) => {
+        setPlaying(true);
+        try {
+            const uri = await ChatService.getVoiceMessageUrl(audioUrl);
+            const { sound } = await Audio.Sound.createAsync({ uri }, { shouldPlay: true }, (status: any) => {
+                if (!status.isLoaded) return;
+                if (status.durationMillis) setProgress(status.positionMillis / status.durationMillis);
+                if (status.didJustFinish) {
+                    setPlaying(false);
+                    soundRef.current?.unloadAsync();
+                    soundRef.current = null;
+                    if (message.ephemeral && !message.kept) onConsume(message.id);
+                }
+            });
+            soundRef.current = sound;
+        } catch (e: any) {
+            setPlaying(false);
+            Alert.alert('Could not play voice message', e?.message || 'Please try again.');
+        }
+    }, [message, onConsume]);
 
     const handlePlay = useCallback(() => {
-        if (message.consumed || message.kept) return;
+        if (message.consumed) return;
+        if (message.type === 'voice' && message.audioUrl && Audio) {
+            playRecording(message.audioUrl);
+            return;
+        }
+        if (message.kept) return;
         setPlaying(true);
         const dur = (message.duration || 5) * 1000;
         const interval = 100;
@@ -270,7 +550,7 @@ function MessageBubble({ message, isDark, isFirst, isLast, onConsume, onKeep }:
                 if (!message.kept) onConsume(message.id);
             }
         }, interval);
-    }, [message, onConsume]);
+    }, [message, onConsume, playRecording]);
 
     const bubbleRadius = sent
         ? { borderTopLeftRadius: 20, borderTopRightRadius: isFirst ? 20 : 8, borderBottomLeftRadius: 20, borderBottomRightRadius: isLast ? 6 : 8 }
@@ -281,6 +561,25 @@ function MessageBubble({ message, isDark, isFirst, isLast, onConsume, onKeep }:
         return <ViewOnceBubble message={message} isDark={isDark} sent={sent} bubbleRadius={bubbleRadius} />;
     }
 
+    // System notice (group membership changes) — centered, no bubble
+    if (message.type === 'system') {
+        return (
+            <View style={{ alignItems: 'center', marginVertical: 8 }}>
+                <Text style={{
+                    fontSize: 12,
+                    color: isDark ? NDEIP_COLORS.gray[400] : NDEIP_COLORS.gray[600],
+                    backgroundColor: isDark ? 'rgba(255,255,255,0.04)' : 'rgba(0,0,0,0.03)',
+                    borderRadius: 12,
+                    paddingHorizontal: 12,
+                    paddingVertical: 6,
+                    overflow: 'hidden',
+                }}>
+                    {message.text}
+                </Text>
+            </View>
+        );
+    }
+
     // Call event bubble — centered, compact
     if (message.type === 'call_event') {
         const isVideo = message.call_type === 'video';
@@ -342,6 +641,7 @@ function MessageBubble({ message, isDark, isFirst, isLast, onConsume, onKeep }:
                             end={{ x: 1, y: 1 }}
                             style={[styles.bubble, styles.bubbleSent, bubbleRadius, { minWidth: 180 }]}
                         >
+                            <ForwardedLabel message={message} sent />
                             <View style={styles.mediaRow}>
                                 <TouchableOpacity onPress={handlePlay} disabled={playing || message.consumed}>
                                     <FontAwesome name={playing ? 'pause' : icon} size={20} color="#fff" />
@@ -380,6 +680,7 @@ function MessageBubble({ message, isDark, isFirst, isLast, onConsume, onKeep }:
                             styles.bubble, styles.bubbleReceived, bubbleRadius,
                             { backgroundColor: isDark ? NDEIP_COLORS.gray[800] : NDEIP_COLORS.gray[100], minWidth: 180 },
                         ]}>
+                            <ForwardedLabel message={message} sent={false} />
                             <View style={styles.mediaRow}>
                                 <TouchableOpacity onPress={handlePlay} disabled={playing || message.consumed}>
                                     <FontAwesome name={playing ? 'pause' : icon} size={20} color={isDark ? '#F0F4F3' : NDEIP_COLORS.gray[900]} />
@@ -424,7 +725,11 @@ function MessageBubble({ message, isDark, isFirst, isLast, onConsume, onKeep }:
     if (message.scheduled) {
         return (
             <View style={[styles.bubbleRow, styles.bubbleRowSent]}>
-                <View style={{ maxWidth: '75%' }}>
+                <TouchableOpacity
+                    style={{ maxWidth: '75%' }}
+                    activeOpacity={0.8}
+                    onPress={() => onManageScheduled(message)}
+                >
                     <View style={[styles.bubble, bubbleRadius, {
                         backgroundColor: isDark ? 'rgba(37,99,235,0.12)' : 'rgba(37,99,235,0.08)',
                         borderWidth: 1, borderColor: 'rgba(37,99,235,0.2)',
@@ -440,7 +745,7 @@ function MessageBubble({ message, isDark, isFirst, isLast, onConsume, onKeep }:
                             {message.text}
                         </Text>
                     </View>
-                </View>
+                </TouchableOpacity>
             </View>
         );
     }
@@ -461,10 +766,34 @@ function MessageBubble({ message, isDark, isFirst, isLast, onConsume, onKeep }:
                             end={{ x: 1, y: 1 }}
                             style={[styles.bubble, styles.bubbleSent, bubbleRadius]}
                         >
+                            <UrgentLabel message={message} sent />
+                            <ForwardedLabel message={message} sent />
+                            <ScheduledLabel message={message} sent />
+                            <StoryQuotePreview message={message} sent />
+                            {message.quoted && (
+                                <QuotedPreview quoted={message.quoted} sent contactName={contactName} onPress={() => onJumpTo(message.quoted!.id)} />
+                            )}
                             <Text style={styles.bubbleTextSent}>{message.text}</Text>
                             <View style={styles.bubbleMeta}>
+                                {message.edited && (
+                                    <TouchableOpacity onPress={() => onShowEdits(message)}>
+                                        <Text style={[styles.bubbleTimeSent, styles.editedLabel]}>edited</Text>
+                                    </TouchableOpacity>
+                                )}
                                 <Text style={styles.bubbleTimeSent}>{message.time}</Text>
-                                <MeshReadIndicator status={message.status || 'sent'} />
+                                {message.status === 'failed' ? (
+                                    <TouchableOpacity onPress={() => onRetry(message)} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+                                        <FontAwesome name="exclamation-circle" size={14} color={NDEIP_COLORS.rose} />
+                                    </TouchableOpacity>
+                                ) : (
+                                    <MeshReadIndicator
+                                        // Turning read receipts off also hides other people's. The server
+                                        // drops them too; this covers messages loaded before the switch.
+                                        status={!showReadReceipts && message.status === 'read' ? 'delivered' : (message.status || 'sent')}
+                                        readCount={showReadReceipts ? message.readCount : 0}
+                                        recipientCount={recipientCount}
+                                    />
+                                )}
                             </View>
                         </LinearGradient>
                     ) : (
@@ -472,24 +801,72 @@ function MessageBubble({ message, isDark, isFirst, isLast, onConsume, onKeep }:
                             styles.bubble, styles.bubbleReceived, bubbleRadius,
                             { backgroundColor: isDark ? NDEIP_COLORS.gray[800] : NDEIP_COLORS.gray[100] },
                         ]}>
+                            <UrgentLabel message={message} sent={false} />
+                            <ForwardedLabel message={message} sent={false} />
+                            <ScheduledLabel message={message} sent={false} />
+                            <StoryQuotePreview message={message} sent={false} />
+                            {message.quoted && (
+                                <QuotedPreview quoted={message.quoted} sent={false} contactName={contactName} onPress={() => onJumpTo(message.quoted!.id)} />
+                            )}
                             <Text style={[styles.bubbleTextReceived, { color: isDark ? '#F0F4F3' : NDEIP_COLORS.gray[900] }]}>
                                 {message.text}
                             </Text>
-                            <Text style={[styles.bubbleTimeReceived, { color: isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400] }]}>
+                            <Text
+                                style={[styles.bubbleTimeReceived, { color: isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400] }]}
+                                onPress={message.edited ? () => onShowEdits(message) : undefined}
+                            >
+                                {message.edited && <Text style={styles.editedLabel}>edited · </Text>}
                                 {message.time}
                             </Text>
                         </View>
                     )}
                 </TouchableOpacity>
+                {/* Message Actions */}
+                {showReactionPicker && (
+                    <View style={[styles.actionRow, sent && styles.actionRowSent]}>
+                        <TouchableOpacity
+                            style={[styles.actionChip, { backgroundColor: isDark ? Glass.dark.background : Glass.light.background }]}
+                            onPress={() => { setShowReactionPicker(false); onReply(message); }}
+                        >
+                            <FontAwesome name="reply" size={11} color={NDEIP_COLORS.electricBlue} />
+                            <Text style={[styles.actionChipText, { color: isDark ? '#F0F4F3' : NDEIP_COLORS.gray[900] }]}>Reply</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                            style={[styles.actionChip, { backgroundColor: isDark ? Glass.dark.background : Glass.light.background }]}
+                            onPress={() => { setShowReactionPicker(false); onForward(message); }}
+                        >
+                            <FontAwesome name="share" size={11} color={NDEIP_COLORS.electricBlue} />
+                            <Text style={[styles.actionChipText, { color: isDark ? '#F0F4F3' : NDEIP_COLORS.gray[900] }]}>Forward</Text>
+                        </TouchableOpacity>
+                        {sent && (
+                            <TouchableOpacity
+                                style={[styles.actionChip, { backgroundColor: isDark ? Glass.dark.background : Glass.light.background }]}
+                                onPress={() => { setShowReactionPicker(false); onShowInfo(message); }}
+                            >
+                                <FontAwesome name="info-circle" size={11} color={NDEIP_COLORS.electricBlue} />
+                                <Text style={[styles.actionChipText, { color: isDark ? '#F0F4F3' : NDEIP_COLORS.gray[900] }]}>Info</Text>
+                            </TouchableOpacity>
+                        )}
+                        {canEditMessage({ type: message.type, created_at: message.createdAt, sent }) && (
+                            <TouchableOpacity
+                                style={[styles.actionChip, { backgroundColor: isDark ? Glass.dark.background : Glass.light.background }]}
+                                onPress={() => { setShowReactionPicker(false); onEdit(message); }}
+                            >
+                                <FontAwesome name="pencil" size={11} color={NDEIP_COLORS.electricBlue} />
+                                <Text style={[styles.actionChipText, { color: isDark ? '#F0F4F3' : NDEIP_COLORS.gray[900] }]}>Edit</Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                )}
                 {/* Message Reactions */}
                 <MessageReactions
                     message={{ id: message.id, text: message.text } as any}
-                    reactions={reactions as any}
+                    reactions={(message.reactions || []) as any}
                     onReaction={handleReaction}
                     onReactionLongPress={() => { }}
                     showReactionPicker={showReactionPicker}
                     onReactionPickerToggle={(show: boolean) => setShowReactionPicker(show)}
-                    currentUser={{ id: 'me', name: 'You' } as any}
+                    currentUser={{ id: currentUserId, name: 'You' } as any}
                     variant="compact"
                 />
             </View>
@@ -572,10 +949,142 @@ function QuickPhrasesModal({ visible, onClose, onSelect, isDark }: {
     );
 }
 
+// ─── Edit History Modal ───────────────────────────────────
+function EditHistoryModal({ message, edits, onClose, isDark }: {
+    message: ChatMessage | null; edits: MessageEdit[];
+    onClose: () => void; isDark: boolean;
+}) {
+    return (
+        <Modal visible={!!message} animationType="slide" transparent>
+            <View style={styles.modalOverlay}>
+                <View style={[styles.modalContent, {
+                    backgroundColor: isDark ? NDEIP_COLORS.gray[900] : '#fff',
+                }]}>
+                    <View style={styles.modalHeader}>
+                        <Text style={[styles.modalTitle, { color: isDark ? '#F0F4F3' : NDEIP_COLORS.gray[900] }]}>
+                            Edit History
+                        </Text>
+                        <TouchableOpacity onPress={onClose}>
+                            <FontAwesome name="times" size={20} color={NDEIP_COLORS.gray[500]} />
+                        </TouchableOpacity>
+                    </View>
+                    <ScrollView showsVerticalScrollIndicator={false}>
+                        <Text style={[styles.phraseCategoryLabel, { color: NDEIP_COLORS.emerald }]}>Current</Text>
+                        <View style={[styles.phraseRow, {
+                            backgroundColor: isDark ? Glass.dark.background : Glass.light.background,
+                            borderColor: isDark ? Glass.dark.borderSubtle : Glass.light.borderSubtle,
+                        }]}>
+                            <Text style={[styles.phraseOriginal, { color: isDark ? '#F0F4F3' : NDEIP_COLORS.gray[900] }]}>
+                                {message?.text}
+                            </Text>
+                        </View>
+                        <Text style={[styles.phraseCategoryLabel, { color: isDark ? NDEIP_COLORS.gray[400] : NDEIP_COLORS.gray[500] }]}>
+                            Previous versions
+                        </Text>
+                        {edits.map(edit => (
+                            <View key={edit.id} style={[styles.phraseRow, {
+                                backgroundColor: isDark ? Glass.dark.background : Glass.light.background,
+                                borderColor: isDark ? Glass.dark.borderSubtle : Glass.light.borderSubtle,
+                            }]}>
+                                <Text style={[styles.phraseTranslated, { color: isDark ? NDEIP_COLORS.gray[300] : NDEIP_COLORS.gray[700] }]}>
+                                    {edit.previous_text}
+                                </Text>
+                                <Text style={{ color: NDEIP_COLORS.gray[500], fontSize: 11, marginTop: 4 }}>
+                                    Replaced {new Date(edit.edited_at).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}
+                                </Text>
+                            </View>
+                        ))}
+                    </ScrollView>
+                </View>
+            </View>
+        </Modal>
+    );
+}
+
+// ─── Safety Number Modal ──────────────────────────────────
+const VERIFICATION_TO_STATUS: Record<VerificationStatus, string> = {
+    unverified: ENCRYPTION_STATUS.ENCRYPTED,
+    verified: ENCRYPTION_STATUS.VERIFIED,
+    changed: ENCRYPTION_STATUS.COMPROMISED,
+};
+
+function SafetyNumberModal({ visible, contactId, contactName, onClose, isDark }: {
+    visible: boolean; contactId: string | null; contactName: string;
+    onClose: () => void; isDark: boolean;
+}) {
+    const [safetyNumber, setSafetyNumber] = useState<string | null>(null);
+    const [verification, setVerification] = useState<VerificationStatus>('unverified');
+
+    useEffect(() => {
+        if (!visible || !contactId) return;
+        EncryptionService.getSafetyNumber(contactId).then(setSafetyNumber);
+        EncryptionService.getVerificationStatus(contactId).then(setVerification);
+    }, [visible, contactId]);
+
+    const handleToggleVerified = async (verified: boolean) => {
+        if (!contactId) return;
+        await EncryptionService.markVerified(contactId, verified ? safetyNumber : null);
+        setVerification(verified ? 'verified' : 'unverified');
+    };
+
+    return (
+        <Modal visible={visible} animationType="slide" transparent>
+            <View style={styles.modalOverlay}>
+                <View style={[styles.modalContent, {
+                    backgroundColor: isDark ? NDEIP_COLORS.gray[900] : '#fff',
+                }]}>
+                    <View style={styles.modalHeader}>
+                        <Text style={[styles.modalTitle, { color: isDark ? '#F0F4F3' : NDEIP_COLORS.gray[900] }]}>
+                            Encryption
+                        </Text>
+                        <TouchableOpacity onPress={onClose}>
+                            <FontAwesome name="times" size={20} color={NDEIP_COLORS.gray[500]} />
+                        </TouchableOpacity>
+                    </View>
+                    {contactId ? (
+                        <SafetyNumberPanel
+                            contactName={contactName}
+                            safetyNumber={safetyNumber}
+                            status={VERIFICATION_TO_STATUS[verification]}
+                            onToggleVerified={handleToggleVerified}
+                        />
+                    ) : (
+                        <Text style={{ color: NDEIP_COLORS.gray[500], fontSize: 12, marginBottom: 16, paddingHorizontal: 4 }}>
+                            Messages in this group are end-to-end encrypted for every member's devices.
+                        </Text>
+                    )}
+                </View>
+            </View>
+        </Modal>
+    );
+}
+
 // ─── Schedule Picker Modal ────────────────────────────────
-function ScheduleModal({ visible, onClose, onSchedule, isDark }: {
+function resolveScheduleTime(value: string): Date {
+    const now = new Date();
+    const at = (daysAhead: number, hour: number) => {
+        const d = new Date(now);
+        d.setDate(d.getDate() + daysAhead);
+        d.setHours(hour, 0, 0, 0);
+        return d;
+    };
+
+    switch (value) {
+        case '30m': return new Date(now.getTime() + 30 * 60000);
+        case '1h': return new Date(now.getTime() + 60 * 60000);
+        case '2h': return new Date(now.getTime() + 120 * 60000);
+        case 'tomorrow_9am': return at(1, 9);
+        case 'tomorrow_6pm': return at(1, 18);
+        case 'weekend': return at((6 - now.getDay() + 7) % 7 || 7, 10);
+        default: return new Date(now.getTime() + 60 * 60000);
+    }
+}
+
+function ScheduleModal({ visible, onClose, onSchedule, onSendUrgent, isDark }: {
     visible: boolean; onClose: () => void;
-    onSchedule: (timeLabel: string) => void;
+    onSchedule: (value: string) => void;
+    // Only offered in 1:1 chats; urgent messages get through Do Not Disturb
+    onSendUrgent?: () => void;
     isDark: boolean;
 }) {
     const scheduleOptions = [
@@ -592,7 +1101,7 @@ function ScheduleModal({ visible, onClose, onSchedule, isDark }: {
             <View style={styles.modalOverlay}>
                 <View style={[styles.modalContent, {
                     backgroundColor: isDark ? NDEIP_COLORS.gray[900] : '#fff',
-                    maxHeight: 400,
+                    maxHeight: onSendUrgent ? 480 : 400,
                 }]}>
                     <View style={styles.modalHeader}>
                         <Text style={[styles.modalTitle, { color: isDark ? '#F0F4F3' : NDEIP_COLORS.gray[900] }]}>
@@ -602,9 +1111,34 @@ function ScheduleModal({ visible, onClose, onSchedule, isDark }: {
                             <FontAwesome name="times" size={20} color={NDEIP_COLORS.gray[500]} />
                         </TouchableOpacity>
                     </View>
-                    <Text style={{ color: NDEIP_COLORS.gray[500], fontSize: 12, marginBottom: 16, paddingHorizontal: 4 }}>
-                        Message will be sent when your phone is online and the app is open.
+                    {onSendUrgent && (
+                        <TouchableOpacity
+                            style={[styles.scheduleOption, {
+                                backgroundColor: 'rgba(244,63,94,0.08)',
+                                borderColor: 'rgba(244,63,94,0.3)',
+                                marginBottom: 16,
+                            }]}
+                            onPress={onSendUrgent}
+                            activeOpacity={0.7}
+                        >
+                            <FontAwesome name="exclamation-circle" size={16} color={NDEIP_COLORS.rose} />
+                            <View style={{ flex: 1 }}>
+                                <Text style={{ color: NDEIP_COLORS.rose, fontSize: 15, fontWeight: '600' }}>Send now as urgent</Text>
+                                <Text style={{ color: NDEIP_COLORS.gray[500], fontSize: 12, marginTop: 2 }}>
+                                    Gets through their Do Not Disturb. For emergencies only.
+                                </Text>
+                            </View>
+                        </TouchableOpacity>
+                    )}
+                    <Text style={{ color: NDEIP_COLORS.gray[500], fontSize: 12, marginBottom: 8, paddingHorizontal: 4 }}>
+                        Message will be sent at the chosen time, even if your phone is offline.
                     </Text>
+                    <View style={{ flexDirection: 'row', alignItems: 'center', gap: 6, marginBottom: 16, paddingHorizontal: 4 }}>
+                        <FontAwesome name="unlock-alt" size={12} color={NDEIP_COLORS.amber} />
+                        <Text style={{ color: NDEIP_COLORS.amber, fontSize: 12, flex: 1 }}>
+                            To send it for you, ndeip stores the message on its servers, so scheduled messages are not end-to-end encrypted.
+                        </Text>
+                    </View>
                     {scheduleOptions.map((opt, i) => (
                         <TouchableOpacity
                             key={i}
@@ -612,7 +1146,7 @@ function ScheduleModal({ visible, onClose, onSchedule, isDark }: {
                                 backgroundColor: isDark ? Glass.dark.background : Glass.light.background,
                                 borderColor: isDark ? Glass.dark.borderSubtle : Glass.light.borderSubtle,
                             }]}
-                            onPress={() => onSchedule(opt.label)}
+                            onPress={() => onSchedule(opt.value)}
                             activeOpacity={0.7}
                         >
                             <FontAwesome name="clock-o" size={16} color={NDEIP_COLORS.electricBlue} />
@@ -628,6 +1162,171 @@ function ScheduleModal({ visible, onClose, onSchedule, isDark }: {
     );
 }
 
+// ─── Jump To Date Modal ───────────────────────────────────
+function JumpToDateModal({ visible, onClose, onJump, isDark }: {
+    visible: boolean; onClose: () => void;
+    onJump: (date: Date) => void;
+    isDark: boolean;
+}) {
+    const [customDate, setCustomDate] = useState('');
+
+    const daysAgo = (days: number) => {
+        const d = new Date();
+        d.setHours(0, 0, 0, 0);
+        d.setDate(d.getDate() - days);
+        return d;
+    };
+
+    const dateOptions = [
+        { label: 'Today', date: () => daysAgo(0) },
+        { label: 'Yesterday', date: () => daysAgo(1) },
+        { label: 'A week ago', date: () => daysAgo(7) },
+        { label: 'A month ago', date: () => daysAgo(30) },
+        { label: 'A year ago', date: () => daysAgo(365) },
+        { label: 'Beginning of chat', date: () => new Date(0) },
+    ];
+
+    const handleCustom = () => {
+        const match = customDate.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+        if (!date || isNaN(date.getTime())) {
+            Alert.alert('Invalid date', 'Enter a date as YYYY-MM-DD.');
+            return;
+        }
+        setCustomDate('');
+        onJump(date);
+    };
+
+    return (
+        <Modal visible={visible} animationType="slide" transparent>
+            <View style={styles.modalOverlay}>
+                <View style={[styles.modalContent, {
+                    backgroundColor: isDark ? NDEIP_COLORS.gray[900] : '#fff',
+                }]}>
+                    <View style={styles.modalHeader}>
+                        <Text style={[styles.modalTitle, { color: isDark ? '#F0F4F3' : NDEIP_COLORS.gray[900] }]}>
+                            Jump to Date
+                        </Text>
+                        <TouchableOpacity onPress={onClose}>
+                            <FontAwesome name="times" size={20} color={NDEIP_COLORS.gray[500]} />
+                        </TouchableOpacity>
+                    </View>
+                    {dateOptions.map(opt => (
+                        <TouchableOpacity
+                            key={opt.label}
+                            style={[styles.scheduleOption, {
+                                backgroundColor: isDark ? Glass.dark.background : Glass.light.background,
+                                borderColor: isDark ? Glass.dark.borderSubtle : Glass.light.borderSubtle,
+                            }]}
+                            onPress={() => onJump(opt.date())}
+                            activeOpacity={0.7}
+                        >
+                            <FontAwesome name="calendar" size={15} color={NDEIP_COLORS.electricBlue} />
+                            <Text style={{ color: isDark ? '#F0F4F3' : NDEIP_COLORS.gray[900], fontSize: 15, flex: 1 }}>
+                                {opt.label}
+                            </Text>
+                            <FontAwesome name="chevron-right" size={10} color={NDEIP_COLORS.gray[600]} />
+                        </TouchableOpacity>
+                    ))}
+                    <View style={[styles.scheduleOption, {
+                        backgroundColor: isDark ? Glass.dark.background : Glass.light.background,
+                        borderColor: isDark ? Glass.dark.borderSubtle : Glass.light.borderSubtle,
+                    }]}>
+                        <FontAwesome name="pencil" size={15} color={NDEIP_COLORS.electricBlue} />
+                        <TextInput
+                            value={customDate}
+                            onChangeText={setCustomDate}
+                            placeholder="YYYY-MM-DD"
+                            placeholderTextColor={NDEIP_COLORS.gray[500]}
+                            style={{ color: isDark ? '#F0F4F3' : NDEIP_COLORS.gray[900], fontSize: 15, flex: 1, padding: 0 }}
+                            keyboardType="numbers-and-punctuation"
+                            returnKeyType="go"
+                            onSubmitEditing={handleCustom}
+                        />
+                        <TouchableOpacity onPress={handleCustom}>
+                            <Text style={{ color: NDEIP_COLORS.primaryTeal, fontSize: 14, fontWeight: '600' }}>Go</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </View>
+        </Modal>
+    );
+}
+
+// ─── Forward Modal ────────────────────────────────────────
+function ForwardModal({ message, onClose, onForward, isDark }: {
+    message: ChatMessage | null; onClose: () => void;
+    onForward: (conversationIds: string[]) => void; isDark: boolean;
+}) {
+    const [conversations, setConversations] = useState<Conversation[]>([]);
+    const [selected, setSelected] = useState<string[]>([]);
+
+    useEffect(() => {
+        if (!message) return;
+        setSelected([]);
+        ChatService.getConversations().then(setConversations);
+    }, [message]);
+
+    const toggle = (id: string) => {
+        setSelected(prev => prev.includes(id) ? prev.filter(c => c !== id) : [...prev, id]);
+    };
+
+    return (
+        <Modal visible={!!message} animationType="slide" transparent>
+            <View style={styles.modalOverlay}>
+                <View style={[styles.modalContent, {
+                    backgroundColor: isDark ? NDEIP_COLORS.gray[900] : '#fff',
+                }]}>
+                    <View style={styles.modalHeader}>
+                        <Text style={[styles.modalTitle, { color: isDark ? '#F0F4F3' : NDEIP_COLORS.gray[900] }]}>
+                            Forward to...
+                        </Text>
+                        <TouchableOpacity onPress={onClose}>
+                            <FontAwesome name="times" size={20} color={NDEIP_COLORS.gray[500]} />
+                        </TouchableOpacity>
+                    </View>
+                    <ScrollView showsVerticalScrollIndicator={false}>
+                        {conversations.map(conv => {
+                            const isSelected = selected.includes(conv.id);
+                            return (
+                                <TouchableOpacity
+                                    key={conv.id}
+                                    style={[styles.scheduleOption, {
+                                        backgroundColor: isDark ? Glass.dark.background : Glass.light.background,
+                                        borderColor: isSelected ? NDEIP_COLORS.electricBlue : (isDark ? Glass.dark.borderSubtle : Glass.light.borderSubtle),
+                                    }]}
+                                    onPress={() => toggle(conv.id)}
+                                    activeOpacity={0.7}
+                                >
+                                    <FontAwesome name={conv.isGroup ? 'users' : 'user'} size={16} color={NDEIP_COLORS.electricBlue} />
+                                    <Text style={{ color: isDark ? '#F0F4F3' : NDEIP_COLORS.gray[900], fontSize: 15, flex: 1 }}>
+                                        {conv.name}
+                                    </Text>
+                                    <FontAwesome
+                                        name={isSelected ? 'check-circle' : 'circle-thin'}
+                                        size={18}
+                                        color={isSelected ? NDEIP_COLORS.electricBlue : NDEIP_COLORS.gray[600]}
+                                    />
+                                </TouchableOpacity>
+                            );
+                        })}
+                    </ScrollView>
+                    <TouchableOpacity
+                        disabled={!selected.length}
+                        onPress={() => onForward(selected)}
+                        style={[styles.forwardButton, { opacity: selected.length ? 1 : 0.4 }]}
+                    >
+                        <FontAwesome name="share" size={14} color="#fff" />
+                        <Text style={{ color: '#fff', fontSize: 15, fontWeight: '600' }}>
+                            Forward{selected.length > 1 ? ` to ${selected.length} chats` : ''}
+                        </Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        </Modal>
+    );
+}
+
 // ─── Main Chat Screen ─────────────────────────────────────
 export default function ChatDetailScreen() {
     const colorScheme = useColorScheme() ?? 'dark';
@@ -635,9 +1334,12 @@ export default function ChatDetailScreen() {
     const colors = Colors[colorScheme];
     const router = useRouter();
     const params = useLocalSearchParams();
-    const scrollRef = useRef<ScrollView>(null);
+    const listRef = useRef<FlatList<ChatMessage>>(null);
     const [inputText, setInputText] = useState('');
     const [messages, setMessages] = useState<ChatMessage[]>([]);
+    const [scheduledMessages, setScheduledMessages] = useState<ChatMessage[]>([]);
+    const scheduledCountRef = useRef(0);
+    scheduledCountRef.current = scheduledMessages.length;
     const [showPhrases, setShowPhrases] = useState(false);
     const [showSchedule, setShowSchedule] = useState(false);
     const chatId = (params.id as string) || '1';
@@ -647,59 +1349,82 @@ export default function ChatDetailScreen() {
     const contactTypingTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
     const voiceRecording = useVoiceRecording();
     const recordingPulse = useRef(new Animated.Value(1)).current;
+    const [editingMessage, setEditingMessage] = useState<ChatMessage | null>(null);
+    const [historyMessage, setHistoryMessage] = useState<ChatMessage | null>(null);
+    const [editHistory, setEditHistory] = useState<MessageEdit[]>([]);
+    const [showSafetyNumber, setShowSafetyNumber] = useState(false);
+    const [contactId, setContactId] = useState<string | null>(null);
+    const [recipientCount, setRecipientCount] = useState(1);
+    const [replyingTo, setReplyingTo] = useState<ChatMessage | null>(null);
+    const [forwardingMessage, setForwardingMessage] = useState<ChatMessage | null>(null);
+    const [highlightedId, setHighlightedId] = useState<string | null>(null);
+    const [showJumpToDate, setShowJumpToDate] = useState(false);
+    // The loaded window may start above the latest message (search hits,
+    // jump to date), in which case newer pages load on scroll down
+    const [hasOlder, setHasOlder] = useState(false);
+    const [hasNewer, setHasNewer] = useState(false);
+    const hasNewerRef = useRef(false);
+    hasNewerRef.current = hasNewer;
+    const [loadingOlder, setLoadingOlder] = useState(false);
+    const pagingRef = useRef(false);
+    // Set when opened from a search hit, cleared once we've scrolled to it
+    const pendingFocusId = useRef((params.messageId as string) || null);
 
     // ─── Load messages from ChatService ───────────────────
     const { user } = useAuth();
 
+    const loadScheduled = useCallback(async () => {
+        const pending = await ChatService.listScheduled(chatId);
+        setScheduledMessages(pending.map(toScheduledChatMessage));
+    }, [chatId]);
+
     useEffect(() => {
         if (!user) return;
         ChatService.setCurrentUser(user.id);
 
+        // Safety numbers are only shown for 1:1 chats
+        ChatService.getConversationMembers(chatId).then(members => {
+            const others = members.filter(id => id !== user.id);
+            setContactId(others.length === 1 ? others[0] : null);
+            setRecipientCount(Math.max(others.length, 1));
+        });
+
         const load = async () => {
-            const msgs = await ChatService.getMessages(chatId);
-            const mapped: ChatMessage[] = msgs.map(m => ({
-                id: m.id,
-                text: m.text || '',
-                sent: m.sent ?? false,
-                time: m.time || '',
-                status: m.status,
-                type: m.type as MessageType,
-                ephemeral: m.ephemeral,
-                duration: m.duration,
-                consumed: m.consumed,
-                kept: m.kept,
-                scheduled: m.scheduled,
-                scheduledTime: m.scheduledTime,
-            }));
-            setMessages(mapped);
+            if (pendingFocusId.current) {
+                const msgs = await ChatService.getMessageContext(chatId, pendingFocusId.current);
+                setMessages(msgs.map(toChatMessage));
+                setHasOlder(true);
+                setHasNewer(true);
+            } else {
+                const cached = await ChatService.getCachedMessages(chatId);
+                if (cached.length) setMessages(cached.map(toChatMessage));
+                const msgs = await ChatService.getMessages(chatId);
+                setMessages(msgs.map(toChatMessage));
+                setHasOlder(msgs.length >= MESSAGE_PAGE_SIZE);
+                setHasNewer(false);
+            }
+            await loadScheduled();
         };
         load();
 
         // Subscribe to new messages (incoming + status updates)
         const unsubscribe = ChatService.subscribeToMessages(chatId, (newMsgs: ServiceMessage[]) => {
+            // One of our scheduled messages may just have been dispatched
+            if (newMsgs.some(m => m.sent) && scheduledCountRef.current > 0) loadScheduled();
+            // The chat is open, so anything new from others has been read
+            if (newMsgs.some(m => !m.sent && m.type !== 'system')) ChatService.markRead(chatId);
             newMsgs.forEach(msg => {
                 setMessages(prev => {
                     const exists = prev.findIndex(m => m.id === msg.id);
-                    const mapped: ChatMessage = {
-                        id: msg.id,
-                        text: msg.text || '',
-                        sent: msg.sent ?? false,
-                        time: msg.time || '',
-                        status: msg.status,
-                        type: msg.type as MessageType,
-                        ephemeral: msg.ephemeral,
-                        duration: msg.duration,
-                        consumed: msg.consumed,
-                        kept: msg.kept,
-                        scheduled: msg.scheduled,
-                        scheduledTime: msg.scheduledTime,
-                    };
+                    const mapped = toChatMessage(msg);
                     if (exists >= 0) {
-                        // Update existing message (status change)
+                        // Update existing message (status change or edit)
                         const next = [...prev];
-                        next[exists] = mapped;
+                        next[exists] = { ...mapped, reactions: prev[exists].reactions };
                         return next;
                     }
+                    // Not contiguous with an older window; picked up when paging down
+                    if (hasNewerRef.current) return prev;
                     // New incoming message — clear typing indicator
                     if (!mapped.sent) {
                         setContactTyping(false);
@@ -712,16 +1437,64 @@ export default function ChatDetailScreen() {
                 });
             });
             // Auto-scroll
-            setTimeout(() => scrollRef.current?.scrollToEnd({ animated: true }), 100);
+            if (!hasNewerRef.current) {
+                setTimeout(() => listRef.current?.scrollToOffset({ offset: 0, animated: true }), 100);
+            }
         });
 
-        return () => unsubscribe();
-    }, [chatId, user]);
+        const unsubscribeReactions = ChatService.subscribeToReactions(chatId, (messageId, reactions) => {
+            setMessages(prev => prev.map(m => m.id === messageId ? { ...m, reactions: toChatReactions(reactions) } : m));
+        });
 
-    // Auto-scroll when messages update
-    useEffect(() => {
-        setTimeout(() => scrollRef.current?.scrollToEnd({ animated: false }), 200);
-    }, [messages.length]);
+        return () => {
+            unsubscribe();
+            unsubscribeReactions();
+        };
+    }, [chatId, user, loadScheduled]);
+
+    // ─── History Paging ───────────────────────────────────
+    // The list is inverted, so index 0 is the newest message
+    const listData = React.useMemo(() => [...messages].reverse(), [messages]);
+
+    const loadOlder = useCallback(async () => {
+        const oldest = messages.find(m => m.createdAt);
+        if (pagingRef.current || !hasOlder || !oldest) return;
+        pagingRef.current = true;
+        setLoadingOlder(true);
+
+        const page = await ChatService.getMessages(chatId, { before: { created_at: oldest.createdAt!, id: oldest.id } });
+        setMessages(prev => [...page.map(toChatMessage).filter(m => !prev.some(p => p.id === m.id)), ...prev]);
+        setHasOlder(page.length >= MESSAGE_PAGE_SIZE);
+
+        setLoadingOlder(false);
+        pagingRef.current = false;
+    }, [chatId, messages, hasOlder]);
+
+    const loadNewer = useCallback(async () => {
+        const newest = [...messages].reverse().find(m => m.createdAt);
+        if (pagingRef.current || !hasNewer || !newest) return;
+        pagingRef.current = true;
+
+        const page = await ChatService.getMessages(chatId, { after: { created_at: newest.createdAt!, id: newest.id } });
+        setMessages(prev => [...prev, ...page.map(toChatMessage).filter(m => !prev.some(p => p.id === m.id))]);
+        if (page.length < MESSAGE_PAGE_SIZE) {
+            // Caught up with the live end of the conversation
+            setHasNewer(false);
+            ChatService.markRead(chatId);
+        }
+
+        pagingRef.current = false;
+    }, [chatId, messages, hasNewer]);
+
+    const jumpToLatest = useCallback(async () => {
+        if (hasNewer) {
+            const msgs = await ChatService.getMessages(chatId);
+            setMessages(msgs.map(toChatMessage));
+            setHasOlder(msgs.length >= MESSAGE_PAGE_SIZE);
+            setHasNewer(false);
+        }
+        listRef.current?.scrollToOffset({ offset: 0, animated: true });
+    }, [chatId, hasNewer]);
 
     const handleConsume = useCallback((id: string) => {
         setTimeout(() => {
@@ -735,40 +1508,239 @@ export default function ChatDetailScreen() {
         ));
     }, []);
 
+    const handleReact = useCallback(async (message: ChatMessage, emoji: string) => {
+        if (!user) return;
+        const mine = message.reactions?.find(r => r.user.id === user.id);
+        const others = (message.reactions || []).filter(r => r.user.id !== user.id);
+        // Tapping your current emoji again removes it
+        const removing = mine?.emoji === emoji;
+
+        setMessages(prev => prev.map(m => m.id === message.id ? {
+            ...m,
+            reactions: removing
+                ? others
+                : [...others, { emoji, user: { id: user.id, name: 'You' }, timestamp: Date.now() }],
+        } : m));
+
+        const ok = removing
+            ? await ChatService.unreact(message.id)
+            : await ChatService.react(message.id, emoji);
+
+        if (!ok) {
+            const current = await ChatService.getReactions([message.id]);
+            setMessages(prev => prev.map(m => m.id === message.id
+                ? { ...m, reactions: toChatReactions(current[message.id]) }
+                : m));
+        }
+    }, [user]);
+
+    const handleShowInfo = useCallback((message: ChatMessage) => {
+        router.push({ pathname: '/chat/info', params: { messageId: message.id, text: message.text || '' } } as any);
+    }, [router]);
+
+    const handleRetry = useCallback(async (message: ChatMessage) => {
+        const reason = await ChatService.getSendError(message.id);
+        Alert.alert('Message not sent', reason || 'This message could not be delivered.', [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Delete',
+                style: 'destructive',
+                onPress: async () => {
+                    await ChatService.discardMessage(message.id);
+                    setMessages(prev => prev.filter(m => m.id !== message.id));
+                },
+            },
+            { text: 'Try Again', onPress: () => ChatService.retryMessage(message.id) },
+        ]);
+    }, []);
+
+    const handleStartReply = useCallback((message: ChatMessage) => {
+        setEditingMessage(null);
+        setReplyingTo(message);
+    }, []);
+
+    const handleJumpTo = useCallback(async (messageId: string) => {
+        const index = listData.findIndex(m => m.id === messageId);
+        if (index < 0) {
+            // Outside the loaded window, so page in the history around it
+            const context = await ChatService.getMessageContext(chatId, messageId);
+            if (!context.some(m => m.id === messageId)) {
+                Alert.alert('Message unavailable', 'The original message was deleted.');
+                return;
+            }
+            pendingFocusId.current = messageId;
+            setMessages(context.map(toChatMessage));
+            setHasOlder(true);
+            setHasNewer(true);
+            return;
+        }
+        listRef.current?.scrollToIndex({ index, viewPosition: 0.5, animated: true });
+        setHighlightedId(messageId);
+        setTimeout(() => setHighlightedId(prev => prev === messageId ? null : prev), 1500);
+    }, [chatId, listData]);
+
+    const handleJumpToDate = useCallback(async (date: Date) => {
+        setShowJumpToDate(false);
+        const page = await ChatService.getMessages(chatId, { after: { created_at: date.toISOString() } });
+        if (!page.length) {
+            jumpToLatest();
+            return;
+        }
+        pendingFocusId.current = page[0].id;
+        setMessages(page.map(toChatMessage));
+        setHasOlder(true);
+        setHasNewer(page.length >= MESSAGE_PAGE_SIZE);
+    }, [chatId, jumpToLatest]);
+
+    // 1:1 chats call the other member; group chats ring everyone
+    const handleStartCall = useCallback((type: 'voice' | 'video') => {
+        if (contactId) {
+            router.push({ pathname: '/call', params: { id: contactId, name: contactName, type } } as any);
+        } else if (recipientCount > 1) {
+            if (!GROUP_CALLS_ENABLED) {
+                Alert.alert('Group calls', 'Calling a whole group isn\'t available yet.');
+                return;
+            }
+            router.push({ pathname: '/call', params: { conversationId: chatId, name: contactName, type, group: '1' } } as any);
+        }
+    }, [contactId, recipientCount, chatId, contactName, router]);
+
+    // Wait for a freshly loaded window to render before jumping into it
+    useEffect(() => {
+        const target = pendingFocusId.current;
+        if (!target || !listData.length) return;
+        pendingFocusId.current = null;
+        if (listData.some(m => m.id === target)) setTimeout(() => handleJumpTo(target), 300);
+    }, [listData, handleJumpTo]);
+
+    const handleForward = useCallback(async (conversationIds: string[]) => {
+        const target = forwardingMessage;
+        setForwardingMessage(null);
+        if (!target) return;
+
+        const forwarded = await ChatService.forwardMessages([target.id], conversationIds);
+        if (!forwarded.length) {
+            Alert.alert('Forward failed', 'This message could not be forwarded.');
+        }
+    }, [forwardingMessage]);
+
+    const handleStartEdit = useCallback((message: ChatMessage) => {
+        setReplyingTo(null);
+        setEditingMessage(message);
+        setInputText(message.text || '');
+    }, []);
+
+    const handleCancelEdit = useCallback(() => {
+        setEditingMessage(null);
+        setInputText('');
+    }, []);
+
+    const handleShowEdits = useCallback(async (message: ChatMessage) => {
+        setHistoryMessage(message);
+        setEditHistory(await ChatService.getEditHistory(message.id));
+    }, []);
+
     const handleSend = useCallback(async () => {
         if (!inputText.trim()) return;
         const text = inputText.trim();
         setInputText('');
-        await ChatService.sendMessage(chatId, text);
+
+        if (editingMessage?.scheduled) {
+            const target = editingMessage;
+            setEditingMessage(null);
+            const updated = await ChatService.updateScheduled(target.id, { text });
+            if (updated) {
+                setScheduledMessages(prev => prev.map(m => m.id === updated.id ? toScheduledChatMessage(updated) : m));
+            } else {
+                Alert.alert('Edit failed', 'This message has already been sent or cancelled.');
+                loadScheduled();
+            }
+            return;
+        }
+
+        if (editingMessage) {
+            const target = editingMessage;
+            setEditingMessage(null);
+            if (text === target.text) return;
+            const updated = await ChatService.editMessage(target.id, text);
+            if (updated) {
+                setMessages(prev => prev.map(m => m.id === updated.id ? toChatMessage(updated) : m));
+            } else {
+                Alert.alert('Edit failed', 'Messages can only be edited within 15 minutes of sending.');
+            }
+            return;
+        }
+
+        if (replyingTo) {
+            const target = replyingTo;
+            setReplyingTo(null);
+            await ChatService.sendReply(chatId, target.id, text);
+        } else {
+            await ChatService.sendMessage(chatId, text);
+        }
         // Show "contact is typing" indicator after 1s (before auto-reply arrives)
         if (contactTypingTimer.current) clearTimeout(contactTypingTimer.current);
         contactTypingTimer.current = setTimeout(() => setContactTyping(true), 1000);
-    }, [inputText, chatId]);
+    }, [inputText, chatId, editingMessage, replyingTo, loadScheduled]);
 
     const handlePhraseSelect = useCallback((original: string, translated: string) => {
         setInputText(`${original}\n${translated}`);
         setShowPhrases(false);
     }, []);
 
-    const handleSchedule = useCallback((timeLabel: string) => {
-        if (!inputText.trim()) {
-            setShowSchedule(false);
-            return;
-        }
-        const scheduledMsg: ChatMessage = {
-            id: String(Date.now()),
-            text: inputText.trim(),
-            sent: true,
-            time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-            status: 'scheduled',
-            type: 'text',
-            scheduled: true,
-            scheduledTime: timeLabel,
-        };
-        setMessages(prev => [...prev, scheduledMsg]);
+    const handleSendUrgent = useCallback(async () => {
+        setShowSchedule(false);
+        const text = inputText.trim();
+        if (!text) return;
         setInputText('');
+        const target = replyingTo;
+        setReplyingTo(null);
+        await ChatService.sendMessage(chatId, text, 'text', { urgent: true, replyTo: target?.id });
+    }, [inputText, chatId, replyingTo]);
+
+    const handleSchedule = useCallback(async (value: string) => {
         setShowSchedule(false);
-    }, [inputText]);
+        const text = inputText.trim();
+        if (!text) return;
+        const sendAt = resolveScheduleTime(value);
+
+        if (editingMessage?.scheduled) {
+            const updated = await ChatService.updateScheduled(editingMessage.id, { text, sendAt });
+            setEditingMessage(null);
+            setInputText('');
+            if (updated) {
+                setScheduledMessages(prev => prev.map(m => m.id === updated.id ? toScheduledChatMessage(updated) : m));
+            } else {
+                Alert.alert('Reschedule failed', 'This message has already been sent or cancelled.');
+                loadScheduled();
+            }
+            return;
+        }
+
+        const scheduled = await ChatService.scheduleMessage(chatId, text, sendAt);
+        if (scheduled) {
+            setScheduledMessages(prev => [...prev, toScheduledChatMessage(scheduled)]);
+            setInputText('');
+        } else {
+            Alert.alert('Schedule failed', 'Could not schedule this message. Please try again.');
+        }
+    }, [inputText, chatId, editingMessage, loadScheduled]);
+
+    const handleManageScheduled = useCallback((message: ChatMessage) => {
+        Alert.alert('Scheduled message', `Sends ${message.scheduledTime}`, [
+            { text: 'Edit', onPress: () => handleStartEdit(message) },
+            {
+                text: 'Cancel message',
+                style: 'destructive',
+                onPress: async () => {
+                    if (await ChatService.cancelScheduled(message.id)) {
+                        setScheduledMessages(prev => prev.filter(m => m.id !== message.id));
+                    }
+                },
+            },
+            { text: 'Close', style: 'cancel' },
+        ]);
+    }, [handleStartEdit]);
 
     // ─── Voice Recording Handlers ────────────────────────
     const handleMicPress = useCallback(async () => {
@@ -836,6 +1808,39 @@ export default function ChatDetailScreen() {
         return { isFirst, isLast };
     };
 
+    const renderMessage = ({ item: msg, index }: { item: ChatMessage; index: number }) => {
+        const { isFirst, isLast } = getGroupInfo(messages.length - 1 - index);
+        const bubble = (
+            <MessageBubble
+                message={msg}
+                isDark={isDark}
+                isFirst={isFirst}
+                isLast={isLast}
+                contactName={contactName}
+                currentUserId={user?.id || ''}
+                recipientCount={recipientCount}
+                showReadReceipts={user?.read_receipts ?? true}
+                onConsume={handleConsume}
+                onKeep={handleKeep}
+                onEdit={handleStartEdit}
+                onShowEdits={handleShowEdits}
+                onManageScheduled={handleManageScheduled}
+                onReply={handleStartReply}
+                onForward={setForwardingMessage}
+                onJumpTo={handleJumpTo}
+                onReact={handleReact}
+                onShowInfo={handleShowInfo}
+                onRetry={handleRetry}
+            />
+        );
+        const canReply = msg.type !== 'system' && msg.type !== 'call_event';
+        return (
+            <View style={highlightedId === msg.id ? styles.highlightedRow : undefined}>
+                {canReply ? <SwipeToReply onReply={() => handleStartReply(msg)}>{bubble}</SwipeToReply> : bubble}
+            </View>
+        );
+    };
+
     return (
         <View style={[styles.container, { backgroundColor: bg }]}>
             {/* ─── Header ─── */}
@@ -862,53 +1867,100 @@ export default function ChatDetailScreen() {
                         <Text style={[styles.headerStatus, { color: NDEIP_COLORS.emerald }]}>Online</Text>
                     </View>
                 </TouchableOpacity>
-                <View style={styles.e2eBadge}>
+                <TouchableOpacity style={styles.e2eBadge} onPress={() => setShowSafetyNumber(true)}>
                     <FontAwesome name="lock" size={10} color={NDEIP_COLORS.emerald} />
-                </View>
-                <TouchableOpacity style={styles.headerAction} onPress={() => router.push({ pathname: '/call', params: { id: chatId, name: contactName, type: 'voice' } } as any)}>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.headerAction} onPress={() => setShowJumpToDate(true)}>
+                    <FontAwesome name="calendar" size={15} color={colors.text} />
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.headerAction} onPress={() => handleStartCall('voice')}>
                     <FontAwesome name="phone" size={18} color={colors.text} />
                 </TouchableOpacity>
-                <TouchableOpacity style={styles.headerAction} onPress={() => router.push({ pathname: '/call', params: { id: chatId, name: contactName, type: 'video' } } as any)}>
+                <TouchableOpacity style={styles.headerAction} onPress={() => handleStartCall('video')}>
                     <FontAwesome name="video-camera" size={16} color={colors.text} />
                 </TouchableOpacity>
             </View>
 
             {/* ─── Messages ─── */}
-            <ScrollView
-                ref={scrollRef}
+            <FlatList
+                ref={listRef}
+                inverted
+                data={listData}
+                keyExtractor={msg => msg.id}
+                renderItem={renderMessage}
                 style={styles.messagesArea}
                 contentContainerStyle={styles.messagesContent}
                 showsVerticalScrollIndicator={false}
-            >
-                {messages.length === 0 ? (
-                    <EmptyState variant="messages" isDark={isDark} />
-                ) : messages.map((msg, i) => {
-                    const { isFirst, isLast } = getGroupInfo(i);
-                    return (
-                        <MessageBubble
-                            key={msg.id}
-                            message={msg}
-                            isDark={isDark}
-                            isFirst={isFirst}
-                            isLast={isLast}
-                            onConsume={handleConsume}
-                            onKeep={handleKeep}
-                        />
-                    );
-                })}
-                {/* ─── Typing Indicator ─── */}
-                {contactTyping && (
-                    <View style={{ paddingVertical: 4, paddingHorizontal: 4 }}>
-                        <QuantumTyping
-                            users={[{ id: chatId, name: contactName, avatar: null }] as any}
-                            variant="compact"
-                            showAvatars={false}
-                            showUserNames={false}
-                            onUserPress={() => { }}
-                        />
-                    </View>
-                )}
-            </ScrollView>
+                initialNumToRender={20}
+                windowSize={11}
+                onEndReached={loadOlder}
+                onEndReachedThreshold={0.5}
+                onStartReached={hasNewer ? loadNewer : undefined}
+                onStartReachedThreshold={0.5}
+                // Keeps the visible message in place as pages load in
+                maintainVisibleContentPosition={{ minIndexForVisible: 0, autoscrollToTopThreshold: hasNewer ? undefined : 40 }}
+                onScrollToIndexFailed={info => {
+                    listRef.current?.scrollToOffset({ offset: info.averageItemLength * info.index, animated: false });
+                    setTimeout(() => listRef.current?.scrollToIndex({ index: info.index, viewPosition: 0.5, animated: true }), 100);
+                }}
+                ListEmptyComponent={<EmptyState variant="messages" isDark={isDark} />}
+                ListFooterComponent={loadingOlder ? (
+                    <ActivityIndicator style={{ paddingVertical: 12 }} color={NDEIP_COLORS.primaryTeal} />
+                ) : null}
+                ListHeaderComponent={
+                    <>
+                        {/* ─── Pending Scheduled Messages ─── */}
+                        {!hasNewer && scheduledMessages.map(msg => (
+                            <MessageBubble
+                                key={msg.id}
+                                message={msg}
+                                isDark={isDark}
+                                isFirst
+                                isLast
+                                contactName={contactName}
+                                currentUserId={user?.id || ''}
+                                recipientCount={recipientCount}
+                                showReadReceipts={user?.read_receipts ?? true}
+                                onConsume={handleConsume}
+                                onKeep={handleKeep}
+                                onEdit={handleStartEdit}
+                                onShowEdits={handleShowEdits}
+                                onManageScheduled={handleManageScheduled}
+                                onReply={handleStartReply}
+                                onForward={setForwardingMessage}
+                                onJumpTo={handleJumpTo}
+                                onReact={handleReact}
+                                onShowInfo={handleShowInfo}
+                                onRetry={handleRetry}
+                            />
+                        ))}
+                        {/* ─── Typing Indicator ─── */}
+                        {contactTyping && (
+                            <View style={{ paddingVertical: 4, paddingHorizontal: 4 }}>
+                                <QuantumTyping
+                                    users={[{ id: chatId, name: contactName, avatar: null }] as any}
+                                    variant="compact"
+                                    showAvatars={false}
+                                    showUserNames={false}
+                                    onUserPress={() => { }}
+                                />
+                            </View>
+                        )}
+                    </>
+                }
+            />
+            {hasNewer && (
+                <TouchableOpacity
+                    style={[styles.jumpToLatest, {
+                        backgroundColor: isDark ? NDEIP_COLORS.gray[800] : '#fff',
+                        borderColor: isDark ? Glass.dark.borderSubtle : Glass.light.borderSubtle,
+                    }]}
+                    onPress={jumpToLatest}
+                    activeOpacity={0.8}
+                >
+                    <FontAwesome name="angle-double-down" size={18} color={NDEIP_COLORS.primaryTeal} />
+                </TouchableOpacity>
+            )}
 
             {/* ─── Input Area ─── */}
             <KeyboardAvoidingView
@@ -919,6 +1971,38 @@ export default function ChatDetailScreen() {
                     backgroundColor: isDark ? 'rgba(20,30,27,0.92)' : 'rgba(248,250,250,0.92)',
                     borderTopColor: isDark ? Glass.dark.borderSubtle : Glass.light.borderSubtle,
                 }]}>
+                    {/* ─── Editing Banner ─── */}
+                    {editingMessage && (
+                        <View style={[styles.editBanner, { borderLeftColor: NDEIP_COLORS.electricBlue }]}>
+                            <View style={{ flex: 1 }}>
+                                <Text style={{ color: NDEIP_COLORS.electricBlue, fontSize: 12, fontWeight: '600' }}>
+                                    {editingMessage.scheduled ? 'Editing scheduled message' : 'Editing message'}
+                                </Text>
+                                <Text numberOfLines={1} style={{ color: NDEIP_COLORS.gray[500], fontSize: 13 }}>
+                                    {editingMessage.text}
+                                </Text>
+                            </View>
+                            <TouchableOpacity onPress={handleCancelEdit}>
+                                <FontAwesome name="times" size={16} color={NDEIP_COLORS.gray[500]} />
+                            </TouchableOpacity>
+                        </View>
+                    )}
+                    {/* ─── Reply Banner ─── */}
+                    {replyingTo && (
+                        <View style={[styles.editBanner, { borderLeftColor: NDEIP_COLORS.emerald }]}>
+                            <View style={{ flex: 1 }}>
+                                <Text style={{ color: NDEIP_COLORS.emerald, fontSize: 12, fontWeight: '600' }}>
+                                    Replying to {replyingTo.sent ? 'yourself' : contactName}
+                                </Text>
+                                <Text numberOfLines={1} style={{ color: NDEIP_COLORS.gray[500], fontSize: 13 }}>
+                                    {quotePreviewText(replyingTo)}
+                                </Text>
+                            </View>
+                            <TouchableOpacity onPress={() => setReplyingTo(null)}>
+                                <FontAwesome name="times" size={16} color={NDEIP_COLORS.gray[500]} />
+                            </TouchableOpacity>
+                        </View>
+                    )}
                     {/* ─── Input / Recording Bar ─── */}
                     <View style={styles.inputRow}>
                         {voiceRecording.isRecording ? (
@@ -1003,6 +2087,32 @@ export default function ChatDetailScreen() {
                 visible={showSchedule}
                 onClose={() => setShowSchedule(false)}
                 onSchedule={handleSchedule}
+                onSendUrgent={contactId && !editingMessage ? handleSendUrgent : undefined}
+                isDark={isDark}
+            />
+            <EditHistoryModal
+                message={historyMessage}
+                edits={editHistory}
+                onClose={() => { setHistoryMessage(null); setEditHistory([]); }}
+                isDark={isDark}
+            />
+            <ForwardModal
+                message={forwardingMessage}
+                onClose={() => setForwardingMessage(null)}
+                onForward={handleForward}
+                isDark={isDark}
+            />
+            <JumpToDateModal
+                visible={showJumpToDate}
+                onClose={() => setShowJumpToDate(false)}
+                onJump={handleJumpToDate}
+                isDark={isDark}
+            />
+            <SafetyNumberModal
+                visible={showSafetyNumber}
+                contactId={contactId}
+                contactName={contactName}
+                onClose={() => setShowSafetyNumber(false)}
                 isDark={isDark}
             />
         </View>
@@ -1039,9 +2149,21 @@ const styles = StyleSheet.create({
     bubbleMeta: { flexDirection: 'row', alignItems: 'center', justifyContent: 'flex-end', marginTop: 4, gap: 4 },
     bubbleTimeSent: { color: 'rgba(255,255,255,0.5)', fontSize: 10 },
     bubbleTimeReceived: { fontSize: 10, marginTop: 4, textAlign: 'right' as any },
-    inputArea: {
+    editedLabel: { fontStyle: 'italic' },
+    actionRow: { flexDirection: 'row', gap: 6, marginTop: 4 },
+    actionRowSent: { justifyContent: 'flex-end' },
+    actionChip: {
         flexDirection: 'row',
-        alignItems: 'flex-end',
+        alignItems: 'center',
+        gap: 5,
+        paddingHorizontal: 10,
+        paddingVertical: 5,
+        borderRadius: 12,
+    },
+    actionChipText: { fontSize: 12, fontWeight: '500' as any },
+    inputArea: {
+        flexDirection: 'column',
+        alignItems: 'stretch',
         paddingHorizontal: 10,
         paddingVertical: 10,
         paddingBottom: Platform.OS === 'ios' ? 30 : 10,
@@ -1142,6 +2264,65 @@ const styles = StyleSheet.create({
         borderWidth: StyleSheet.hairlineWidth,
         marginBottom: 8,
     },
+    quoteBlock: {
+        borderLeftWidth: 3,
+        borderRadius: 8,
+        paddingHorizontal: 8,
+        paddingVertical: 4,
+        marginBottom: 6,
+    },
+    storyQuote: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+    },
+    storyThumb: {
+        width: 36,
+        height: 54,
+        borderRadius: 6,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    swipeReplyIcon: {
+        position: 'absolute',
+        left: 4,
+        top: 0,
+        bottom: 0,
+        justifyContent: 'center',
+    },
+    jumpToLatest: {
+        position: 'absolute',
+        right: 16,
+        bottom: 96,
+        width: 40,
+        height: 40,
+        borderRadius: 20,
+        borderWidth: StyleSheet.hairlineWidth,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    highlightedRow: {
+        backgroundColor: 'rgba(37,99,235,0.12)',
+        borderRadius: 12,
+    },
+    forwardButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: 8,
+        marginTop: 12,
+        paddingVertical: 14,
+        borderRadius: 14,
+        backgroundColor: NDEIP_COLORS.electricBlue,
+    },
+    editBanner: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 10,
+        borderLeftWidth: 3,
+        paddingLeft: 10,
+        marginBottom: 8,
+    },
     // Recording styles
     inputRow: {
         flexDirection: 'row',
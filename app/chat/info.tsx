@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, ScrollView, ActivityIndicator } from 'react-native';
+import { useLocalSearchParams } from 'expo-router';
+import FontAwesome from '@expo/vector-icons/FontAwesome';
+import Colors, { NDEIP_COLORS } from '@/constants/Colors';
+import { useColorScheme } from '@/components/useColorScheme';
+import { Typography, Spacing, Radii, Glass } from '@/constants/ndeipBrandSystem';
+import { ChatService, MessageReceipt } from '@/services/ChatService';
+import { useAuth } from '@/contexts/AuthContext';
+
+function formatReceiptTime(value: string): string {
+    const date = new Date(value);
+    const isToday = date.toDateString() === new Date().toDateString();
+    return isToday
+        ? `Today, ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+        : date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+export default function MessageInfoScreen() {
+    const colorScheme = useColorScheme() ?? 'dark';
+    const isDark = colorScheme === 'dark';
+    const colors = Colors[colorScheme];
+    const params = useLocalSearchParams();
+    const messageId = params.messageId as string;
+    const text = (params.text as string) || '';
+    const { user } = useAuth();
+    const [receipts, setReceipts] = useState<MessageReceipt[]>([]);
+    const [loading, setLoading] = useState(true);
+
+    const bg = isDark ? NDEIP_COLORS.gray[950] : NDEIP_COLORS.gray[50];
+    const cardBg = isDark ? Glass.dark.background : Glass.light.background;
+    const borderC = isDark ? Glass.dark.borderSubtle : Glass.light.borderSubtle;
+    const subtle = isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400];
+
+    useEffect(() => {
+        ChatService.getMessageReceipts(messageId).then(data => {
+            setReceipts(data);
+            setLoading(false);
+        });
+    }, [messageId]);
+
+    const readBy = receipts.filter(r => r.read_at);
+    const deliveredTo = receipts.filter(r => !r.read_at && r.delivered_at);
+    const pending = receipts.filter(r => !r.delivered_at);
+
+    const renderSection = (label: string, icon: string, iconColor: string, rows: MessageReceipt[], timeOf: (r: MessageReceipt) => string | undefined) => {
+        if (!rows.length) return null;
+        return (
+            <>
+                <View style={styles.sectionHeader}>
+                    <FontAwesome name={icon as any} size={12} color={iconColor} />
+                    <Text style={[styles.sectionLabel, { color: subtle }]}>{label}</Text>
+                </View>
+                <View style={[styles.card, { backgroundColor: cardBg, borderColor: borderC }]}>
+                    {rows.map((r, i) => {
+                        const time = timeOf(r);
+                        return (
+                            <View
+                                key={r.user_id}
+                                style={[styles.row, i < rows.length - 1 && {
+                                    borderBottomWidth: StyleSheet.hairlineWidth,
+                                    borderBottomColor: isDark ? 'rgba(255,255,255,0.04)' : 'rgba(0,0,0,0.04)',
+                                }]}
+                            >
+                                <View style={[styles.avatar, { backgroundColor: NDEIP_COLORS.primaryTeal }]}>
+                                    <Text style={styles.avatarText}>{r.display_name.charAt(0).toUpperCase()}</Text>
+                                </View>
+                                <View style={{ flex: 1 }}>
+                                    <Text style={[styles.rowTitle, { color: colors.text }]}>{r.display_name}</Text>
+                                    {time && <Text style={[styles.rowValue, { color: subtle }]}>{formatReceiptTime(time)}</Text>}
+                                </View>
+                            </View>
+                        );
+                    })}
+                </View>
+            </>
+        );
+    };
+
+    return (
+        <ScrollView style={[styles.container, { backgroundColor: bg }]} contentContainerStyle={{ paddingBottom: 60 }}>
+            <View style={[styles.preview, { backgroundColor: cardBg, borderColor: borderC }]}>
+                <Text style={[styles.previewText, { color: colors.text }]} numberOfLines={6}>{text}</Text>
+            </View>
+
+            {loading ? (
+                <ActivityIndicator style={{ marginTop: 32 }} color={NDEIP_COLORS.primaryTeal} />
+            ) : (
+                <>
+                    {renderSection('READ BY', 'circle', NDEIP_COLORS.electricBlue, readBy, r => r.read_at)}
+                    {renderSection('DELIVERED TO', 'adjust', NDEIP_COLORS.primaryTeal, deliveredTo, r => r.delivered_at)}
+                    {renderSection('WAITING', 'circle-o', subtle, pending, () => undefined)}
+                    {user?.read_receipts === false && (
+                        <Text style={[styles.hint, { color: NDEIP_COLORS.gray[600] }]}>
+                            You turned off read receipts, so you can't see when others read your messages.
+                        </Text>
+                    )}
+                </>
+            )}
+        </ScrollView>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: { flex: 1 },
+    preview: {
+        margin: Spacing.screenHorizontal,
+        padding: 16,
+        borderRadius: Radii.card,
+        borderWidth: StyleSheet.hairlineWidth,
+    },
+    previewText: { fontSize: 15, lineHeight: 21 },
+    sectionHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 8,
+        paddingHorizontal: Spacing.screenHorizontal,
+        marginBottom: 8,
+        marginTop: 16,
+    },
+    sectionLabel: { ...Typography.presets.sectionLabel as any },
+    card: { marginHorizontal: Spacing.screenHorizontal, borderRadius: Radii.card, borderWidth: StyleSheet.hairlineWidth, overflow: 'hidden' },
+    row: { flexDirection: 'row', alignItems: 'center', padding: 16, gap: 12 },
+    avatar: { width: 36, height: 36, borderRadius: 18, alignItems: 'center', justifyContent: 'center' },
+    avatarText: { color: '#fff', fontSize: 14, fontWeight: '600' },
+    rowTitle: { fontSize: 15, fontWeight: '500' },
+    rowValue: { fontSize: 13, marginTop: 2 },
+    hint: { fontSize: 12, lineHeight: 18, paddingHorizontal: Spacing.screenHorizontal + 4, marginTop: 10 },
+});
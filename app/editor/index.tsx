@@ -1,11 +1,20 @@
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { View, StyleSheet, Alert } from 'react-native';
 import { useRouter, useLocalSearchParams } from 'expo-router';
 import MediaEditor from '@/components/media/MediaEditor';
+import StoryAudienceSheet from '@/components/ui/StoryAudienceSheet';
+import { ChatService } from '@/services/ChatService';
+import { StoryService, type StoryAudience } from '@/services/StoryService';
+import { useAuth } from '@/contexts/AuthContext';
 
 export default function EditorScreen() {
     const router = useRouter();
     const params = useLocalSearchParams();
+    const { user } = useAuth();
+    const [edited, setEdited] = useState<any>(null);
+    const [posting, setPosting] = useState(false);
+    // MediaEditor goes back itself after saving; we stay to pick an audience
+    const savedRef = useRef(false);
 
     const media = {
         uri: params.uri as string || '',
@@ -14,24 +23,57 @@ export default function EditorScreen() {
         type: 'image',
     };
 
+    useEffect(() => {
+        if (!user) return;
+        ChatService.setCurrentUser(user.id);
+        StoryService.setCurrentUser(user.id);
+    }, [user]);
+
     const handleSave = (editedMedia: any) => {
-        Alert.alert('Story Created', 'Your edited media has been posted to your story!');
-        router.back();
+        savedRef.current = true;
+        setEdited(editedMedia);
     };
 
     const handleCancel = () => {
         // Will be called by MediaEditor before navigation
     };
 
+    const handleShare = async (audience: StoryAudience, viewers: string[]) => {
+        if (!edited) return;
+        setPosting(true);
+        try {
+            await StoryService.uploadStory({
+                media: { uri: edited.uri, type: edited.type === 'video' ? 'video' : 'image' },
+                caption: edited.textOverlays?.map((t: any) => t.text).filter(Boolean).join(' ') || undefined,
+                audience,
+                viewers,
+            });
+            setEdited(null);
+            router.back();
+        } catch (err: any) {
+            Alert.alert('Could not post story', err?.message || 'Please try again');
+        }
+        setPosting(false);
+    };
+
     return (
         <View style={styles.container}>
             <MediaEditor
                 route={{ params: { media } } as any}
-                navigation={{ goBack: () => router.back(), navigate: () => { } } as any}
+                navigation={{ goBack: () => { if (!savedRef.current) router.back(); }, navigate: () => { } } as any}
                 media={media as any}
                 onSave={handleSave}
                 onCancel={handleCancel}
             />
+            <StoryAudienceSheet
+                visible={!!edited}
+                posting={posting}
+                onShare={handleShare}
+                onClose={() => {
+                    savedRef.current = false;
+                    setEdited(null);
+                }}
+            />
         </View>
     );
 }
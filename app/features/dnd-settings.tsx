@@ -1,15 +1,19 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Switch, Alert } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import FontAwesome from '@expo/vector-icons/FontAwesome';
 import Colors, { NDEIP_COLORS } from '@/constants/Colors';
 import { useColorScheme } from '@/components/useColorScheme';
 import { Typography, Spacing, Radii, Glass } from '@/constants/ndeipBrandSystem';
+import { useRouter } from 'expo-router';
 import { useAuth } from '@/contexts/AuthContext';
+import { ChatService } from '@/services/ChatService';
+import { DndService, BREAKTHROUGH_LABELS, REPEAT_CALL_MINUTES, inQuietHours, type Breakthrough } from '@/services/DndService';
+import ContactPicker from '@/components/ui/ContactPicker';
 
 const DND_MODES = [
     { key: 'available', icon: 'check-circle', label: 'Available', desc: 'Everyone can reach you', color: NDEIP_COLORS.emerald },
-    { key: 'be_quiet', icon: 'clock-o', label: 'Busy', desc: 'Only Top 5 can call', color: NDEIP_COLORS.amber },
+    { key: 'be_quiet', icon: 'clock-o', label: 'Busy', desc: 'Only Top 5 can call · messages arrive silently', color: NDEIP_COLORS.amber },
     { key: 'get_busy', icon: 'moon-o', label: 'Do Not Disturb', desc: 'Silence all except emergencies', color: NDEIP_COLORS.rose },
     { key: 'do_not_disturb', icon: 'eye-slash', label: 'Invisible', desc: 'Appear offline to everyone', color: NDEIP_COLORS.gray[500] },
 ] as const;
@@ -18,6 +22,7 @@ export default function DNDSettingsScreen() {
     const colorScheme = useColorScheme() ?? 'dark';
     const isDark = colorScheme === 'dark';
     const colors = Colors[colorScheme];
+    const router = useRouter();
     const { user, updateProfile } = useAuth();
 
     const [active, setActive] = useState(user?.dnd_mode || 'available');
@@ -52,15 +57,69 @@ export default function DNDSettingsScreen() {
         }
     };
 
-    // Get Top 5 contacts from auth (use stored IDs, map to display names)
-    const top5Names = user?.top3_contacts?.slice(0, 5) || [];
-    const TOP_5_EXCEPTIONS = [
-        { name: 'Sarah', id: '1' },
-        { name: 'Marcus', id: '2' },
-        { name: 'Thandi', id: '3' },
-        { name: 'Kai', id: '4' },
-        { name: 'Priya', id: '5' },
-    ];
+    // Top 5 contacts can still call through Busy and quiet hours
+    const [topContacts, setTopContacts] = useState<any[]>([]);
+    useEffect(() => {
+        ChatService.getTopContacts(user?.top3_contacts || []).then(setTopContacts);
+    }, [user?.top3_contacts]);
+
+    // Emergency contacts get through every mode
+    const [emergencyContacts, setEmergencyContacts] = useState<any[]>([]);
+    const [allContacts, setAllContacts] = useState<any[]>([]);
+    const [pickingEmergency, setPickingEmergency] = useState(false);
+    // Who got through while we weren't taking calls; opening this screen counts as seeing them
+    const [breakthroughs, setBreakthroughs] = useState<Breakthrough[]>([]);
+
+    useEffect(() => {
+        DndService.getEmergencyContacts().then(setEmergencyContacts);
+        DndService.getBreakthroughs().then(list => {
+            setBreakthroughs(list);
+            if (list.some(b => !b.seen)) DndService.markBreakthroughsSeen();
+        });
+    }, []);
+
+    const handleAddEmergency = () => {
+        setPickingEmergency(true);
+        if (!allContacts.length) ChatService.getAllUsers().then(setAllContacts);
+    };
+
+    const handlePickEmergency = async (id: string) => {
+        setPickingEmergency(false);
+        try {
+            await DndService.addEmergencyContact(id);
+            setEmergencyContacts(await DndService.getEmergencyContacts());
+        } catch {
+            Alert.alert('Error', 'Failed to add emergency contact.');
+        }
+    };
+
+    const handleRemoveEmergency = (contact: any) => {
+        Alert.alert(
+            'Remove emergency contact?',
+            `${contact.display_name} will no longer get through Do Not Disturb.`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Remove',
+                    style: 'destructive',
+                    onPress: async () => {
+                        try {
+                            await DndService.removeEmergencyContact(contact.id);
+                            setEmergencyContacts(current => current.filter(c => c.id !== contact.id));
+                        } catch {
+                            Alert.alert('Error', 'Failed to remove emergency contact.');
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    const openBreakthrough = (b: Breakthrough) => {
+        if (b.conversationId) {
+            router.push({ pathname: '/chat', params: { id: b.conversationId, name: b.senderName } } as any);
+        }
+    };
 
     return (
         <ScrollView style={[styles.container, { backgroundColor: bg }]} contentContainerStyle={{ paddingBottom: 60 }}>
@@ -97,19 +156,21 @@ export default function DNDSettingsScreen() {
                 EXCEPTIONS — TOP 5
             </Text>
             <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.exceptionsRow}>
-                {TOP_5_EXCEPTIONS.map(contact => (
+                {topContacts.map(contact => (
                     <View key={contact.id} style={styles.exceptionItem}>
                         <LinearGradient colors={NDEIP_COLORS.gradients.brand as any} style={styles.exceptionAvatar}>
-                            <Text style={styles.exceptionInitial}>{contact.name[0]}</Text>
+                            <Text style={styles.exceptionInitial}>{(contact.display_name || '?')[0]}</Text>
                         </LinearGradient>
-                        <Text style={[styles.exceptionName, { color: isDark ? NDEIP_COLORS.gray[300] : NDEIP_COLORS.gray[600] }]}>{contact.name}</Text>
+                        <Text style={[styles.exceptionName, { color: isDark ? NDEIP_COLORS.gray[300] : NDEIP_COLORS.gray[600] }]} numberOfLines={1}>
+                            {(contact.display_name || '').split(' ')[0]}
+                        </Text>
                     </View>
                 ))}
-                <TouchableOpacity style={styles.exceptionItem}>
+                <TouchableOpacity style={styles.exceptionItem} onPress={() => router.push('/features/top3' as any)}>
                     <View style={[styles.exceptionAdd, { borderColor: borderC }]}>
-                        <FontAwesome name="plus" size={14} color={NDEIP_COLORS.gray[500]} />
+                        <FontAwesome name={topContacts.length ? 'pencil' : 'plus'} size={14} color={NDEIP_COLORS.gray[500]} />
                     </View>
-                    <Text style={[styles.exceptionName, { color: NDEIP_COLORS.gray[500] }]}>Add</Text>
+                    <Text style={[styles.exceptionName, { color: NDEIP_COLORS.gray[500] }]}>{topContacts.length ? 'Edit' : 'Add'}</Text>
                 </TouchableOpacity>
             </ScrollView>
 
@@ -120,9 +181,14 @@ export default function DNDSettingsScreen() {
                 borderColor: borderC,
             }]}>
                 <View style={{ flex: 1 }}>
-                    <Text style={[styles.quietTitle, { color: colors.text }]}>Enable Quiet Hours</Text>
+                    <Text style={[styles.quietTitle, { color: colors.text }]}>
+                        Enable Quiet Hours
+                        {quietHours && inQuietHours(user?.quiet_hours_start ?? null, user?.quiet_hours_end ?? null, user?.timezone ?? null) && (
+                            <Text style={{ color: NDEIP_COLORS.amber, fontSize: 12, fontWeight: '500' }}>  · On now</Text>
+                        )}
+                    </Text>
                     <Text style={[styles.quietDesc, { color: NDEIP_COLORS.gray[500] }]}>
-                        Auto-DND from {user?.quiet_hours_start || '10 PM'} to {user?.quiet_hours_end || '7 AM'}
+                        Only Top 5 can call from {user?.quiet_hours_start || '10 PM'} to {user?.quiet_hours_end || '7 AM'} your time · other alerts wait until they end
                     </Text>
                 </View>
                 <Switch
@@ -132,6 +198,73 @@ export default function DNDSettingsScreen() {
                     thumbColor="#fff"
                 />
             </View>
+
+            {/* Emergency Contacts */}
+            <Text style={[styles.sectionLabel, { color: isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400], marginTop: 24 }]}>
+                EMERGENCY CONTACTS
+            </Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.exceptionsRow}>
+                {emergencyContacts.map(contact => (
+                    <TouchableOpacity key={contact.id} style={styles.exceptionItem} onPress={() => handleRemoveEmergency(contact)}>
+                        <LinearGradient colors={[NDEIP_COLORS.rose, NDEIP_COLORS.amber]} style={styles.exceptionAvatar}>
+                            <Text style={styles.exceptionInitial}>{(contact.display_name || '?')[0]}</Text>
+                        </LinearGradient>
+                        <Text style={[styles.exceptionName, { color: isDark ? NDEIP_COLORS.gray[300] : NDEIP_COLORS.gray[600] }]} numberOfLines={1}>
+                            {(contact.display_name || '').split(' ')[0]}
+                        </Text>
+                    </TouchableOpacity>
+                ))}
+                <TouchableOpacity style={styles.exceptionItem} onPress={handleAddEmergency}>
+                    <View style={[styles.exceptionAdd, { borderColor: borderC }]}>
+                        <FontAwesome name="plus" size={14} color={NDEIP_COLORS.gray[500]} />
+                    </View>
+                    <Text style={[styles.exceptionName, { color: NDEIP_COLORS.gray[500] }]}>Add</Text>
+                </TouchableOpacity>
+            </ScrollView>
+            <Text style={[styles.hint, { color: NDEIP_COLORS.gray[500] }]}>
+                Emergency contacts always get through, even in Do Not Disturb. So does anyone who calls twice within {REPEAT_CALL_MINUTES} minutes, and people you've messaged back and forth with when they mark a call or message urgent.
+            </Text>
+
+            {/* Breakthroughs */}
+            {breakthroughs.length > 0 && (
+                <>
+                    <Text style={[styles.sectionLabel, { color: isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400], marginTop: 24 }]}>
+                        GOT THROUGH
+                    </Text>
+                    <View style={[styles.quietCard, styles.breakthroughList, {
+                        backgroundColor: isDark ? Glass.dark.background : Glass.light.background,
+                        borderColor: borderC,
+                    }]}>
+                        {breakthroughs.map(b => (
+                            <TouchableOpacity
+                                key={b.id}
+                                style={styles.breakthroughRow}
+                                onPress={() => openBreakthrough(b)}
+                                disabled={!b.conversationId}
+                                activeOpacity={0.7}
+                            >
+                                <FontAwesome name={b.kind === 'call' ? 'phone' : 'comment'} size={14} color={NDEIP_COLORS.rose} />
+                                <View style={{ flex: 1 }}>
+                                    <Text style={[styles.quietTitle, { color: colors.text }]} numberOfLines={1}>{b.senderName}</Text>
+                                    <Text style={[styles.quietDesc, { color: NDEIP_COLORS.gray[500] }]}>
+                                        {BREAKTHROUGH_LABELS[b.reason]} · {new Date(b.createdAt).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                                    </Text>
+                                </View>
+                                {!b.seen && <View style={styles.unseenDot} />}
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                </>
+            )}
+
+            <ContactPicker
+                visible={pickingEmergency}
+                title="Add emergency contact"
+                contacts={allContacts}
+                excludeIds={emergencyContacts.map(c => c.id)}
+                onPick={handlePickEmergency}
+                onClose={() => setPickingEmergency(false)}
+            />
         </ScrollView>
     );
 }
@@ -164,4 +297,8 @@ const styles = StyleSheet.create({
     },
     quietTitle: { fontSize: 15, fontWeight: '600' },
     quietDesc: { fontSize: 12, marginTop: 2 },
+    hint: { fontSize: 12, lineHeight: 18, paddingHorizontal: Spacing.screenHorizontal, marginTop: 10 },
+    breakthroughList: { flexDirection: 'column', alignItems: 'stretch', paddingVertical: 4 },
+    breakthroughRow: { flexDirection: 'row', alignItems: 'center', gap: 12, paddingVertical: 10 },
+    unseenDot: { width: 8, height: 8, borderRadius: 4, backgroundColor: NDEIP_COLORS.rose },
 });
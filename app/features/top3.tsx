@@ -1,21 +1,13 @@
-import React, { useState, useCallback } from 'react';
-import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Alert } from 'react-native';
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import FontAwesome from '@expo/vector-icons/FontAwesome';
 import Colors, { NDEIP_COLORS } from '@/constants/Colors';
 import { useColorScheme } from '@/components/useColorScheme';
 import { Typography, Spacing, Radii, Glass } from '@/constants/ndeipBrandSystem';
 import { useAuth } from '@/contexts/AuthContext';
-
-const CONTACT_POOL = [
-    { id: '1', name: 'Sarah Chen' },
-    { id: '2', name: 'Marcus Johnson' },
-    { id: '3', name: 'Thandi Nkosi' },
-    { id: '4', name: 'Kai Chen' },
-    { id: '5', name: 'Priya Sharma' },
-    { id: '6', name: 'David Williams' },
-    { id: '7', name: 'Lerato Moyo' },
-];
+import { ChatService, MAX_TOP_CONTACTS } from '@/services/ChatService';
+import ContactPicker from '@/components/ui/ContactPicker';
 
 const rankColors = ['#F59E0B', '#A8B8B3', '#CD7F32', '#10B981', '#2563EB'];
 
@@ -27,6 +19,10 @@ const avatarGrads = [
     [NDEIP_COLORS.cyan, NDEIP_COLORS.electricBlue],
 ];
 
+function initialsOf(name: string): string {
+    return name.split(' ').map(n => n[0]).join('').slice(0, 2).toUpperCase();
+}
+
 export default function Top3Screen() {
     const colorScheme = useColorScheme() ?? 'dark';
     const isDark = colorScheme === 'dark';
@@ -39,58 +35,66 @@ export default function Top3Screen() {
     const savedIds = user?.top3_contacts || [];
     const [slots, setSlots] = useState<(string | null)[]>(() => {
         const initial: (string | null)[] = [];
-        for (let i = 0; i < 5; i++) {
+        for (let i = 0; i < MAX_TOP_CONTACTS; i++) {
             initial.push(savedIds[i] || null);
         }
         return initial;
     });
+    const [contacts, setContacts] = useState<any[] | null>(null);
+    const [pickingSlot, setPickingSlot] = useState<number | null>(null);
 
-    const getContact = (id: string) => CONTACT_POOL.find(c => c.id === id);
+    useEffect(() => {
+        ChatService.getContacts().then(setContacts);
+    }, []);
 
-    const handleRemove = useCallback(async (index: number) => {
+    const contactsById = useMemo(
+        () => new Map((contacts || []).map(c => [c.id, c])),
+        [contacts]
+    );
+
+    // Until contacts load, saved ids are taken on trust; after that only
+    // people who are still contacts count
+    const save = useCallback(async (updated: (string | null)[]) => {
+        setSlots(updated);
+        const ids = (updated.filter(Boolean) as string[])
+            .filter((id, i, all) => all.indexOf(id) === i && id !== user?.id)
+            .filter(id => !contacts || contactsById.has(id))
+            .slice(0, MAX_TOP_CONTACTS);
+        await updateProfile({ top3_contacts: ids });
+    }, [user?.id, contacts, contactsById, updateProfile]);
+
+    const handleRemove = useCallback((index: number) => {
         const updated = [...slots];
         updated[index] = null;
-        setSlots(updated);
-        const ids = updated.filter(Boolean) as string[];
-        try {
-            await updateProfile({ top3_contacts: ids } as any);
-        } catch {
-            Alert.alert('Error', 'Failed to update Top 5.');
-        }
-    }, [slots, updateProfile]);
-
-    const handleAdd = useCallback(async (index: number) => {
-        // Find contacts not already in slots
-        const used = new Set(slots.filter(Boolean));
-        const available = CONTACT_POOL.filter(c => !used.has(c.id));
-        if (available.length === 0) {
-            Alert.alert('All contacts assigned', 'All available contacts are already in your Top 5.');
-            return;
-        }
-        // For now, pick the first available
-        const nextContact = available[0];
+        save(updated);
+    }, [slots, save]);
+
+    const handlePick = useCallback((id: string) => {
+        if (pickingSlot === null) return;
         const updated = [...slots];
-        updated[index] = nextContact.id;
-        setSlots(updated);
-        const ids = updated.filter(Boolean) as string[];
-        try {
-            await updateProfile({ top3_contacts: ids } as any);
-        } catch {
-            Alert.alert('Error', 'Failed to update Top 5.');
-        }
-    }, [slots, updateProfile]);
+        updated[pickingSlot] = id;
+        setPickingSlot(null);
+        save(updated);
+    }, [slots, pickingSlot, save]);
+
+    const handleMoveUp = useCallback((index: number) => {
+        if (index === 0) return;
+        const updated = [...slots];
+        [updated[index - 1], updated[index]] = [updated[index], updated[index - 1]];
+        save(updated);
+    }, [slots, save]);
 
     return (
         <ScrollView style={[styles.container, { backgroundColor: bg }]} contentContainerStyle={{ paddingBottom: 60 }}>
             <Text style={[styles.headerDesc, { color: isDark ? NDEIP_COLORS.gray[400] : NDEIP_COLORS.gray[500] }]}>
-                Your Top 5 contacts get priority access — they can reach you even in DND mode and appear first in your chats.
+                Your Top 5 contacts get priority access — they can still call you when you're Busy or in quiet hours, their chats stay at the top and their messages alert on a priority channel. Only people you've messaged with one-on-one, who have written back, can be picked.
             </Text>
 
             <View style={styles.slotsContainer}>
                 {slots.map((contactId, i) => {
-                    const contact = contactId ? getContact(contactId) : null;
+                    const contact = contactId ? contactsById.get(contactId) : null;
                     const filled = !!contact;
-                    const initials = filled ? contact!.name.split(' ').map(n => n[0]).join('') : '';
+                    const initials = filled ? initialsOf(contact.display_name || '?') : '';
 
                     return (
                         <View
@@ -112,7 +116,7 @@ export default function Top3Screen() {
                                         <Text style={styles.slotInitials}>{initials}</Text>
                                     </LinearGradient>
                                     <View style={{ flex: 1 }}>
-                                        <Text style={[styles.slotName, { color: colors.text }]}>{contact!.name}</Text>
+                                        <Text style={[styles.slotName, { color: colors.text }]}>{contact.display_name}</Text>
                                         <Text style={[styles.slotMeta, { color: NDEIP_COLORS.gray[500] }]}>Top {i + 1} · Priority access</Text>
                                     </View>
                                     <TouchableOpacity style={styles.removeBtn} onPress={() => handleRemove(i)}>
@@ -120,7 +124,7 @@ export default function Top3Screen() {
                                     </TouchableOpacity>
                                 </View>
                             ) : (
-                                <TouchableOpacity style={styles.slotEmpty} onPress={() => handleAdd(i)}>
+                                <TouchableOpacity style={styles.slotEmpty} onPress={() => setPickingSlot(i)} disabled={!contacts}>
                                     <View style={[styles.emptyCircle, { borderColor: borderC }]}>
                                         <FontAwesome name="plus" size={20} color={NDEIP_COLORS.gray[500]} />
                                     </View>
@@ -128,18 +132,31 @@ export default function Top3Screen() {
                                 </TouchableOpacity>
                             )}
 
-                            {/* Drag Handle */}
-                            <View style={styles.dragHandle}>
-                                <FontAwesome name="bars" size={14} color={NDEIP_COLORS.gray[600]} />
-                            </View>
+                            {/* Move up a rank */}
+                            <TouchableOpacity
+                                style={styles.moveUp}
+                                onPress={() => handleMoveUp(i)}
+                                disabled={!filled || i === 0}
+                            >
+                                <FontAwesome name="chevron-up" size={14} color={filled && i > 0 ? NDEIP_COLORS.gray[400] : 'transparent'} />
+                            </TouchableOpacity>
                         </View>
                     );
                 })}
             </View>
 
             <Text style={[styles.hint, { color: NDEIP_COLORS.gray[600] }]}>
-                Drag to reorder. Your #1 contact gets premium priority — their messages always appear first.
+                Tap the arrow to move someone up. Your #1 contact gets premium priority — their chat always appears first.
             </Text>
+
+            <ContactPicker
+                visible={pickingSlot !== null}
+                contacts={contacts || []}
+                title="Add to Top 5"
+                excludeIds={slots.filter(Boolean) as string[]}
+                onPick={handlePick}
+                onClose={() => setPickingSlot(null)}
+            />
         </ScrollView>
     );
 }
@@ -177,6 +194,6 @@ const styles = StyleSheet.create({
     slotEmpty: { flex: 1, flexDirection: 'row', alignItems: 'center', gap: 12 },
     emptyCircle: { width: 48, height: 48, borderRadius: 24, borderWidth: 2, borderStyle: 'dashed', alignItems: 'center', justifyContent: 'center' },
     emptyLabel: { fontSize: 15, fontWeight: '500' },
-    dragHandle: { padding: 4 },
+    moveUp: { padding: 4 },
     hint: { fontSize: 12, lineHeight: 18, paddingHorizontal: Spacing.screenHorizontal + 4, marginTop: 16 },
 });
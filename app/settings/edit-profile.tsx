@@ -6,6 +6,7 @@ import Colors, { NDEIP_COLORS } from '@/constants/Colors';
 import { useColorScheme } from '@/components/useColorScheme';
 import { Typography, Spacing, Radii, Glass } from '@/constants/ndeipBrandSystem';
 import { useAuth } from '@/contexts/AuthContext';
+import { toE164 } from '@/utils/phone';
 
 export default function EditProfileScreen() {
     const colorScheme = useColorScheme() ?? 'dark';
@@ -27,6 +28,16 @@ export default function EditProfileScreen() {
         : 'Y';
 
     const handleSaveField = async (field: string, value: string) => {
+        // Stored in E.164 so people can find us from the keypad
+        if (field === 'phone' && value.trim()) {
+            const number = toE164(value);
+            if (!number) {
+                Alert.alert('Phone', 'Enter a full phone number, including the country code for numbers from abroad.');
+                return;
+            }
+            value = number;
+            setPhone(number);
+        }
         setSaving(true);
         try {
             await updateProfile({ [field]: value });
@@ -4,13 +4,14 @@ import FontAwesome from '@expo/vector-icons/FontAwesome';
 import Colors, { NDEIP_COLORS } from '@/constants/Colors';
 import { useColorScheme } from '@/components/useColorScheme';
 import { Typography, Spacing, Radii, Glass } from '@/constants/ndeipBrandSystem';
+import { useAuth } from '@/contexts/AuthContext';
 
 const PRIVACY_SETTINGS = [
     { title: 'Last Seen', value: 'Everyone', type: 'select' },
     { title: 'Profile Photo', value: 'My Contacts', type: 'select' },
     { title: 'About', value: 'Everyone', type: 'select' },
     { title: 'Groups', value: 'Everyone', type: 'select' },
-    { title: 'Read Receipts', value: true, type: 'toggle' },
+    { title: 'Read Receipts', value: true, type: 'toggle', key: 'read_receipts' },
     { title: 'Online Status', value: true, type: 'toggle' },
 ];
 
@@ -27,6 +28,15 @@ export default function PrivacyScreen() {
     const bg = isDark ? NDEIP_COLORS.gray[950] : NDEIP_COLORS.gray[50];
     const cardBg = isDark ? Glass.dark.background : Glass.light.background;
     const borderC = isDark ? Glass.dark.borderSubtle : Glass.light.borderSubtle;
+    const { user, updateProfile } = useAuth();
+
+    // Rows with a key are stored on the profile; the rest are display-only for now
+    const toggleValue = (item: any): boolean =>
+        item.key === 'read_receipts' ? (user?.read_receipts ?? true) : item.value;
+
+    const handleToggle = (item: any, value: boolean) => {
+        if (item.key === 'read_receipts') updateProfile({ read_receipts: value });
+    };
 
     const renderRow = (item: any, i: number, isLast: boolean) => (
         <TouchableOpacity
@@ -40,7 +50,8 @@ export default function PrivacyScreen() {
             </View>
             {item.type === 'toggle' && (
                 <Switch
-                    value={item.value as boolean}
+                    value={toggleValue(item)}
+                    onValueChange={(value) => handleToggle(item, value)}
                     trackColor={{ false: NDEIP_COLORS.gray[700], true: NDEIP_COLORS.primaryTeal }}
                     thumbColor="#fff"
                     style={{ transform: [{ scaleX: 0.85 }, { scaleY: 0.85 }] }}
@@ -59,7 +70,7 @@ export default function PrivacyScreen() {
                 {PRIVACY_SETTINGS.map((item, i) => renderRow(item, i, i === PRIVACY_SETTINGS.length - 1))}
             </View>
             <Text style={[styles.hint, { color: NDEIP_COLORS.gray[600] }]}>
-                These settings control who can see your personal information.
+                These settings control who can see your personal information. If you turn off read receipts, you won't be able to see read receipts from other people.
             </Text>
 
             <Text style={[styles.sectionLabel, { color: isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400], marginTop: 24 }]}>SECURITY</Text>
@@ -1,9 +1,10 @@
 import React from 'react';
-import { View, Text, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Switch } from 'react-native';
 import FontAwesome from '@expo/vector-icons/FontAwesome';
 import Colors, { NDEIP_COLORS } from '@/constants/Colors';
 import { useColorScheme } from '@/components/useColorScheme';
 import { Typography, Spacing, Radii, Glass } from '@/constants/ndeipBrandSystem';
+import { useAuth } from '@/contexts/AuthContext';
 
 const STORAGE_INFO = [
     { label: 'Photos', size: '1.2 GB', color: NDEIP_COLORS.electricBlue },
@@ -13,7 +14,7 @@ const STORAGE_INFO = [
 ];
 
 const DATA_SETTINGS = [
-    { title: 'Use Less Data for Calls', value: 'Off', type: 'select' },
+    { title: 'Use Less Data for Calls', value: false, type: 'toggle', key: 'low_data_calls', description: 'Lower video quality and audio bitrate on calls' },
     { title: 'Auto-Download Media', value: 'Wi-Fi Only', type: 'select' },
     { title: 'Upload Quality', value: 'HD', type: 'select' },
     { title: 'Network Stats', value: '', type: 'nav' },
@@ -27,6 +28,15 @@ export default function StorageDataScreen() {
     const cardBg = isDark ? Glass.dark.background : Glass.light.background;
     const borderC = isDark ? Glass.dark.borderSubtle : Glass.light.borderSubtle;
     const totalGB = 5.0;
+    const { user, updateProfile } = useAuth();
+
+    // Rows with a key are stored on the profile; the rest are display-only for now
+    const toggleValue = (item: any): boolean =>
+        item.key === 'low_data_calls' ? (user?.low_data_calls ?? false) : item.value;
+
+    const handleToggle = (item: any, value: boolean) => {
+        if (item.key === 'low_data_calls') updateProfile({ low_data_calls: value });
+    };
 
     return (
         <ScrollView style={[styles.container, { backgroundColor: bg }]} contentContainerStyle={{ paddingBottom: 60 }}>
@@ -60,12 +70,24 @@ export default function StorageDataScreen() {
             <Text style={[styles.sectionLabel, { color: isDark ? NDEIP_COLORS.gray[500] : NDEIP_COLORS.gray[400] }]}>DATA USAGE</Text>
             <View style={[styles.card, { backgroundColor: cardBg, borderColor: borderC }]}>
                 {DATA_SETTINGS.map((item, i) => (
-                    <TouchableOpacity key={i} style={[styles.row, i < DATA_SETTINGS.length - 1 && { borderBottomWidth: StyleSheet.hairlineWidth, borderBottomColor: isDark ? 'rgba(255,255,255,0.04)' : 'rgba(0,0,0,0.04)' }]} activeOpacity={0.6}>
+                    <TouchableOpacity key={i} style={[styles.row, i < DATA_SETTINGS.length - 1 && { borderBottomWidth: StyleSheet.hairlineWidth, borderBottomColor: isDark ? 'rgba(255,255,255,0.04)' : 'rgba(0,0,0,0.04)' }]} activeOpacity={item.type === 'toggle' ? 1 : 0.6}>
                         <View style={{ flex: 1 }}>
                             <Text style={[styles.rowTitle, { color: colors.text }]}>{item.title}</Text>
-                            {item.value && <Text style={[styles.rowValue, { color: NDEIP_COLORS.gray[500] }]}>{item.value}</Text>}
+                            {item.type === 'toggle'
+                                ? item.description && <Text style={[styles.rowValue, { color: NDEIP_COLORS.gray[500] }]}>{item.description}</Text>
+                                : !!item.value && <Text style={[styles.rowValue, { color: NDEIP_COLORS.gray[500] }]}>{item.value as string}</Text>}
                         </View>
-                        <FontAwesome name="chevron-right" size={12} color={NDEIP_COLORS.gray[600]} style={{ opacity: 0.5 }} />
+                        {item.type === 'toggle' ? (
+                            <Switch
+                                value={toggleValue(item)}
+                                onValueChange={(value) => handleToggle(item, value)}
+                                trackColor={{ false: NDEIP_COLORS.gray[700], true: NDEIP_COLORS.primaryTeal }}
+                                thumbColor="#fff"
+                                style={{ transform: [{ scaleX: 0.85 }, { scaleY: 0.85 }] }}
+                            />
+                        ) : (
+                            <FontAwesome name="chevron-right" size={12} color={NDEIP_COLORS.gray[600]} style={{ opacity: 0.5 }} />
+                        )}
                     </TouchableOpacity>
                 ))}
             </View>
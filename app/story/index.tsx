@@ -8,16 +8,102 @@ import {
     Platform,
     Animated,
     TextInput,
+    Image,
+    Modal,
+    FlatList,
+    Alert,
+    ActivityIndicator,
+    Keyboard,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import FontAwesome from '@expo/vector-icons/FontAwesome';
 import { useRouter, useLocalSearchParams } from 'expo-router';
 import { NDEIP_COLORS } from '@/constants/Colors';
-import { StoryService, UserStory, StorySegment } from '@/services/StoryService';
+import {
+    StoryService, UserStory, StorySegment, StoryViewer as Viewer, STORY_AUDIENCES,
+    STORY_REACTIONS_ENABLED, QUICK_REACTIONS,
+} from '@/services/StoryService';
+import { ChatService } from '@/services/ChatService';
+import { useAuth } from '@/contexts/AuthContext';
+
+// expo-av is native-only; lazy-load to avoid web build crash
+let Video: any = null;
+try { Video = require('expo-av').Video; } catch (e) { }
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
-// Gradient backgrounds for stories (since we don't have real images)
+const PHOTO_DURATION_MS = 5000;
+const NOTICE_MS = 1500;
+const MAX_VIDEO_DURATION_MS = 30000;
+
+function segmentDuration(segment: StorySegment): number {
+    if (segment.type === 'video' && segment.duration) {
+        return Math.min(segment.duration * 1000, MAX_VIDEO_DURATION_MS);
+    }
+    return PHOTO_DURATION_MS;
+}
+
+function SeenBySheet({ visible, segment, onClose }: {
+    visible: boolean;
+    segment: StorySegment | null;
+    onClose: () => void;
+}) {
+    const [viewers, setViewers] = useState<Viewer[] | null>(null);
+
+    useEffect(() => {
+        if (!visible || !segment) return;
+        setViewers(null);
+        StoryService.getViewers(segment.id).then(setViewers);
+    }, [visible, segment?.id, segment?.viewCount]);
+
+    const audience = STORY_AUDIENCES.find(a => a.value === segment?.audience);
+
+    return (
+        <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+            <View style={styles.sheetBackdrop}>
+                <View style={styles.sheet}>
+                    <View style={styles.sheetHeader}>
+                        <View>
+                            <Text style={styles.sheetTitle}>Seen by {viewers?.length ?? segment?.viewCount ?? 0}</Text>
+                            {audience && <Text style={styles.sheetSubtitle}>Shared with {audience.label.toLowerCase()}</Text>}
+                        </View>
+                        <TouchableOpacity onPress={onClose}>
+                            <FontAwesome name="times" size={18} color={NDEIP_COLORS.gray[400]} />
+                        </TouchableOpacity>
+                    </View>
+                    {!viewers ? (
+                        <ActivityIndicator color={NDEIP_COLORS.primaryTeal} style={{ paddingVertical: 24 }} />
+                    ) : (
+                        <FlatList
+                            data={viewers}
+                            keyExtractor={v => v.userId}
+                            renderItem={({ item }) => (
+                                <View style={styles.viewerRow}>
+                                    <LinearGradient
+                                        colors={[NDEIP_COLORS.primaryTeal, NDEIP_COLORS.electricBlue]}
+                                        style={styles.viewerAvatar}
+                                    >
+                                        <Text style={styles.headerAvatarText}>
+                                            {item.name.split(' ').map(n => n[0]).join('').slice(0, 2)}
+                                        </Text>
+                                    </LinearGradient>
+                                    <Text style={styles.viewerName} numberOfLines={1}>{item.name}</Text>
+                                    {item.replied && <FontAwesome name="comment" size={13} color={NDEIP_COLORS.gray[400]} />}
+                                    {item.reaction && <Text style={styles.viewerReaction}>{item.reaction}</Text>}
+                                    <Text style={styles.viewerTime}>{getTimeAgo(new Date(item.viewedAt).getTime())}</Text>
+                                </View>
+                            )}
+                            ListEmptyComponent={<Text style={styles.sheetEmpty}>No views yet</Text>}
+                        />
+                    )}
+                </View>
+            </View>
+        </Modal>
+    );
+}
+
+// Backgrounds for text segments without a colour of their own, and
+// behind media while it loads
 const STORY_GRADIENTS: [string, string][] = [
     ['#1B4D3E', '#2A7A5E'],
     ['#2563EB', '#7C3AED'],
@@ -33,36 +119,67 @@ export default function StoryViewer() {
     const router = useRouter();
     const params = useLocalSearchParams();
     const userId = (params.userId as string) || '';
+    const { user } = useAuth();
 
     const [story, setStory] = useState<UserStory | null>(null);
     const [currentIndex, setCurrentIndex] = useState(0);
     const [replyText, setReplyText] = useState('');
+    const [showSeenBy, setShowSeenBy] = useState(false);
+    const [replying, setReplying] = useState(false);
+    const [sending, setSending] = useState(false);
+    const [notice, setNotice] = useState<string | null>(null);
+    const noticeTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
     const progressAnim = useRef(new Animated.Value(0)).current;
-    const timerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+    // How far through the current segment we were when paused
+    const progressRef = useRef(0);
 
     useEffect(() => {
+        if (!user) return;
+        StoryService.setCurrentUser(user.id);
+        ChatService.setCurrentUser(user.id);
         const load = async () => {
             const stories = await StoryService.getAllStories();
             const found = stories.find(s => s.userId === userId);
             if (found) {
+                // Pick up where the viewer left off
+                const firstUnseen = found.segments.findIndex(s => !s.seen);
+                const start = firstUnseen > 0 ? firstUnseen : 0;
                 setStory(found);
-                // Mark first segment as seen
-                StoryService.markSeen(userId, found.segments[0]?.id);
+                setCurrentIndex(start);
+                StoryService.markSeen(found.segments[start]);
             } else {
                 router.back();
             }
         };
         load();
-    }, [userId]);
+    }, [user, userId]);
+
+    // The author watches the view counts go up
+    useEffect(() => {
+        if (!story?.isMyStory) return;
+        return StoryService.subscribeToViews((segmentId) => {
+            setStory(current => current && {
+                ...current,
+                segments: current.segments.map(s => s.id === segmentId ? { ...s, viewCount: s.viewCount + 1 } : s),
+            });
+        });
+    }, [story?.isMyStory]);
+
+    useEffect(() => () => {
+        if (noticeTimer.current) clearTimeout(noticeTimer.current);
+    }, []);
+
+    // The story holds still while the seen-by list is open or a reply is typed
+    const paused = showSeenBy || replying;
 
     // Auto-advance timer
     useEffect(() => {
-        if (!story) return;
+        if (!story || paused) return;
 
-        progressAnim.setValue(0);
+        const duration = segmentDuration(story.segments[currentIndex]);
         const animation = Animated.timing(progressAnim, {
             toValue: 1,
-            duration: 5000,
+            duration: duration * (1 - progressRef.current),
             useNativeDriver: false,
         });
         animation.start(({ finished }) => {
@@ -71,25 +188,85 @@ export default function StoryViewer() {
             }
         });
 
-        return () => animation.stop();
-    }, [currentIndex, story]);
+        return () => {
+            animation.stop();
+            progressAnim.stopAnimation(value => { progressRef.current = value; });
+        };
+    }, [currentIndex, story, paused]);
+
+    const showSegment = useCallback((index: number) => {
+        progressRef.current = 0;
+        progressAnim.setValue(0);
+        setCurrentIndex(index);
+    }, [progressAnim]);
 
     const goNext = useCallback(() => {
         if (!story) return;
         if (currentIndex < story.segments.length - 1) {
             const nextIdx = currentIndex + 1;
-            setCurrentIndex(nextIdx);
-            StoryService.markSeen(userId, story.segments[nextIdx].id);
+            showSegment(nextIdx);
+            StoryService.markSeen(story.segments[nextIdx]);
         } else {
             router.back();
         }
-    }, [currentIndex, story, router, userId]);
+    }, [currentIndex, story, router, showSegment]);
 
     const goPrev = useCallback(() => {
         if (currentIndex > 0) {
-            setCurrentIndex(currentIndex - 1);
+            showSegment(currentIndex - 1);
+        }
+    }, [currentIndex, showSegment]);
+
+    const flashNotice = (text: string) => {
+        if (noticeTimer.current) clearTimeout(noticeTimer.current);
+        setNotice(text);
+        noticeTimer.current = setTimeout(() => setNotice(null), NOTICE_MS);
+    };
+
+    // Replies and reactions land in the chat with the author
+    const sendToAuthor = async (text: string, reaction?: string) => {
+        if (!story || sending) return;
+        const segment = story.segments[currentIndex];
+        setSending(true);
+        try {
+            await ChatService.replyToStory(story.userId, segment.id, text, reaction);
+            if (!reaction) {
+                setReplyText('');
+                Keyboard.dismiss();
+            }
+            flashNotice(reaction ? `Sent ${reaction}` : 'Reply sent');
+        } catch (err: any) {
+            Alert.alert(reaction ? 'Could not send reaction' : 'Could not send reply', err?.message || 'Please try again');
         }
-    }, [currentIndex]);
+        setSending(false);
+    };
+
+    const handleDelete = () => {
+        if (!story) return;
+        const segment = story.segments[currentIndex];
+        setShowSeenBy(false);
+        Alert.alert('Delete from your story?', 'Nobody will be able to see it any more.', [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Delete',
+                style: 'destructive',
+                onPress: async () => {
+                    try {
+                        await StoryService.deleteMyStory(segment);
+                        const segments = story.segments.filter(s => s.id !== segment.id);
+                        if (!segments.length) {
+                            router.back();
+                            return;
+                        }
+                        setStory({ ...story, segments });
+                        showSegment(Math.min(currentIndex, segments.length - 1));
+                    } catch (err: any) {
+                        Alert.alert('Could not delete', err?.message || 'Please try again');
+                    }
+                },
+            },
+        ]);
+    };
 
     const handleTap = useCallback((x: number) => {
         if (x < SCREEN_WIDTH * 0.3) {
@@ -109,7 +286,35 @@ export default function StoryViewer() {
     return (
         <View style={styles.container}>
             {/* Background */}
-            <LinearGradient colors={gradient as any} style={StyleSheet.absoluteFill} />
+            {segment.type === 'text' && segment.backgroundColor
+                ? <View style={[StyleSheet.absoluteFill, { backgroundColor: segment.backgroundColor }]} />
+                : <LinearGradient colors={gradient as any} style={StyleSheet.absoluteFill} />}
+
+            {/* Story content */}
+            {segment.type === 'image' && segment.mediaUrl && (
+                <Image source={{ uri: segment.mediaUrl }} style={StyleSheet.absoluteFill} resizeMode="contain" />
+            )}
+            {segment.type === 'video' && segment.mediaUrl && Video && (
+                <Video
+                    source={{ uri: segment.mediaUrl }}
+                    style={StyleSheet.absoluteFill}
+                    resizeMode="contain"
+                    shouldPlay={!paused}
+                    isMuted={false}
+                />
+            )}
+            {segment.type === 'text' && (
+                <View style={styles.storyContent}>
+                    <Text style={[styles.storyText, segment.textColor ? { color: segment.textColor } : null]}>
+                        {segment.text}
+                    </Text>
+                </View>
+            )}
+            {segment.type !== 'text' && !segment.mediaUrl && (
+                <View style={styles.storyContent}>
+                    <FontAwesome name="image" size={60} color="rgba(255,255,255,0.3)" />
+                </View>
+            )}
 
             {/* Tap zones */}
             <TouchableOpacity
@@ -157,9 +362,16 @@ export default function StoryViewer() {
                         <Text style={styles.headerTime}>{timeAgo}</Text>
                     </View>
                 </View>
-                <TouchableOpacity onPress={() => router.back()} style={styles.closeBtn}>
-                    <FontAwesome name="times" size={22} color="#fff" />
-                </TouchableOpacity>
+                <View style={styles.headerActions}>
+                    {story.isMyStory && (
+                        <TouchableOpacity onPress={handleDelete} style={styles.closeBtn}>
+                            <FontAwesome name="trash-o" size={20} color="#fff" />
+                        </TouchableOpacity>
+                    )}
+                    <TouchableOpacity onPress={() => router.back()} style={styles.closeBtn}>
+                        <FontAwesome name="times" size={22} color="#fff" />
+                    </TouchableOpacity>
+                </View>
             </View>
 
             {/* Caption */}
@@ -169,28 +381,76 @@ export default function StoryViewer() {
                 </View>
             )}
 
-            {/* Story content placeholder */}
-            <View style={styles.storyContent}>
-                <FontAwesome name="image" size={60} color="rgba(255,255,255,0.3)" />
-            </View>
+            <View style={{ flex: 1 }} pointerEvents="none" />
 
-            {/* Reply input */}
-            <View style={styles.replyArea}>
-                <View style={styles.replyInputWrap}>
-                    <TextInput
-                        value={replyText}
-                        onChangeText={setReplyText}
-                        placeholder={`Reply to ${story.userName.split(' ')[0]}...`}
-                        placeholderTextColor="rgba(255,255,255,0.5)"
-                        style={styles.replyInput}
-                    />
+            {notice && (
+                <View style={styles.notice} pointerEvents="none">
+                    <Text style={styles.noticeText}>{notice}</Text>
                 </View>
-                {replyText.length > 0 && (
-                    <TouchableOpacity style={styles.replySendBtn} onPress={() => setReplyText('')}>
-                        <FontAwesome name="send" size={16} color="#fff" />
+            )}
+
+            {/* Seen by, replies and reactions, for the author */}
+            {story.isMyStory ? (
+                <View style={[styles.replyArea, { justifyContent: 'center' }]}>
+                    <TouchableOpacity style={styles.seenByBtn} onPress={() => setShowSeenBy(true)}>
+                        <FontAwesome name="eye" size={16} color="#fff" />
+                        <Text style={styles.seenByText}>{segment.viewCount}</Text>
+                        <FontAwesome name="comment" size={15} color="#fff" style={styles.seenByIcon} />
+                        <Text style={styles.seenByText}>{segment.replyCount}</Text>
+                        {(STORY_REACTIONS_ENABLED || segment.reactionCount > 0) && (
+                            <>
+                                <FontAwesome name="heart" size={15} color="#fff" style={styles.seenByIcon} />
+                                <Text style={styles.seenByText}>{segment.reactionCount}</Text>
+                            </>
+                        )}
                     </TouchableOpacity>
-                )}
-            </View>
+                </View>
+            ) : (
+                <View>
+                    {STORY_REACTIONS_ENABLED && !replyText && (
+                        <View style={styles.reactionRow}>
+                            {QUICK_REACTIONS.map(emoji => (
+                                <TouchableOpacity
+                                    key={emoji}
+                                    style={styles.reactionBtn}
+                                    onPress={() => sendToAuthor(emoji, emoji)}
+                                    disabled={sending}
+                                >
+                                    <Text style={styles.reactionEmoji}>{emoji}</Text>
+                                </TouchableOpacity>
+                            ))}
+                        </View>
+                    )}
+                    <View style={styles.replyArea}>
+                        <View style={styles.replyInputWrap}>
+                            <TextInput
+                                value={replyText}
+                                onChangeText={setReplyText}
+                                onFocus={() => setReplying(true)}
+                                onBlur={() => setReplying(false)}
+                                placeholder={`Reply to ${story.userName.split(' ')[0]}...`}
+                                placeholderTextColor="rgba(255,255,255,0.5)"
+                                style={styles.replyInput}
+                                returnKeyType="send"
+                                onSubmitEditing={() => replyText.trim() && sendToAuthor(replyText.trim())}
+                            />
+                        </View>
+                        {replyText.trim().length > 0 && (
+                            <TouchableOpacity
+                                style={styles.replySendBtn}
+                                onPress={() => sendToAuthor(replyText.trim())}
+                                disabled={sending}
+                            >
+                                {sending
+                                    ? <ActivityIndicator size="small" color="#fff" />
+                                    : <FontAwesome name="send" size={16} color="#fff" />}
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                </View>
+            )}
+
+            <SeenBySheet visible={showSeenBy} segment={segment} onClose={() => setShowSeenBy(false)} />
         </View>
     );
 }
@@ -227,8 +487,13 @@ const styles = StyleSheet.create({
     headerAvatarText: { color: '#fff', fontSize: 13, fontWeight: '600' },
     headerName: { color: '#fff', fontSize: 15, fontWeight: '600' },
     headerTime: { color: 'rgba(255,255,255,0.6)', fontSize: 12 },
+    headerActions: { flexDirection: 'row', alignItems: 'center' },
     closeBtn: { width: 36, height: 36, alignItems: 'center', justifyContent: 'center' },
-    storyContent: { flex: 1, alignItems: 'center', justifyContent: 'center' },
+    storyContent: {
+        ...StyleSheet.absoluteFillObject,
+        alignItems: 'center', justifyContent: 'center', paddingHorizontal: 32,
+    },
+    storyText: { color: '#fff', fontSize: 28, fontWeight: '700', textAlign: 'center' },
     captionArea: {
         position: 'absolute', bottom: 100, left: 0, right: 0,
         paddingHorizontal: 20, alignItems: 'center',
@@ -252,4 +517,42 @@ const styles = StyleSheet.create({
         backgroundColor: NDEIP_COLORS.primaryTeal,
         alignItems: 'center', justifyContent: 'center',
     },
+    seenByBtn: {
+        flexDirection: 'row', alignItems: 'center', gap: 8,
+        paddingHorizontal: 16, paddingVertical: 10,
+    },
+    seenByText: { color: '#fff', fontSize: 15, fontWeight: '600' },
+    seenByIcon: { marginLeft: 12 },
+    reactionRow: {
+        flexDirection: 'row', justifyContent: 'space-around',
+        paddingHorizontal: 12, paddingTop: 8,
+    },
+    reactionBtn: { padding: 6 },
+    reactionEmoji: { fontSize: 28 },
+    notice: {
+        position: 'absolute', top: '45%', alignSelf: 'center',
+        paddingHorizontal: 16, paddingVertical: 8, borderRadius: 16,
+        backgroundColor: 'rgba(0,0,0,0.6)',
+    },
+    noticeText: { color: '#fff', fontSize: 15, fontWeight: '600' },
+    // Seen by
+    sheetBackdrop: { flex: 1, justifyContent: 'flex-end', backgroundColor: 'rgba(0,0,0,0.5)' },
+    sheet: {
+        maxHeight: '60%', minHeight: '35%',
+        backgroundColor: NDEIP_COLORS.gray[900],
+        borderTopLeftRadius: 20, borderTopRightRadius: 20,
+        paddingBottom: 24,
+    },
+    sheetHeader: {
+        flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between',
+        paddingHorizontal: 20, paddingVertical: 16,
+    },
+    sheetTitle: { color: '#fff', fontSize: 17, fontWeight: '600' },
+    sheetSubtitle: { color: NDEIP_COLORS.gray[500], fontSize: 12, marginTop: 2 },
+    sheetEmpty: { color: NDEIP_COLORS.gray[500], fontSize: 14, textAlign: 'center', paddingVertical: 24 },
+    viewerRow: { flexDirection: 'row', alignItems: 'center', gap: 12, paddingHorizontal: 20, paddingVertical: 10 },
+    viewerAvatar: { width: 40, height: 40, borderRadius: 20, alignItems: 'center', justifyContent: 'center' },
+    viewerName: { flex: 1, color: '#fff', fontSize: 15 },
+    viewerTime: { color: NDEIP_COLORS.gray[500], fontSize: 12 },
+    viewerReaction: { fontSize: 18 },
 });
@@ -20,6 +20,9 @@ const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const cluster = require('cluster');
 const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 
 // Import custom modules
 const QuantumAuth = require('./security/QuantumAuth');
@@ -27,6 +30,14 @@ const models = require('./models');
 const dbManager = require('./database/connection');
 const AIService = require('./services/AIService');
 
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB
+});
+
 class QuantumServer {
   constructor() {
     this.app = express();
@@ -266,7 +277,7 @@ class QuantumServer {
     this.app.put('/api/chats/:chatId', QuantumAuth.authenticate, this.updateChat.bind(this));
 
     // Media routes
-    this.app.post('/api/media/upload', QuantumAuth.authenticate, this.handleMediaUpload.bind(this));
+    this.app.post('/api/media/upload', QuantumAuth.authenticate, upload.single('file'), this.handleMediaUpload.bind(this));
     this.app.get('/api/media/:mediaId', this.getMedia.bind(this));
 
     // Call routes
@@ -751,74 +762,806 @@ class QuantumServer {
     });
   }
 
-  // Placeholder methods for missing handlers
+  // ─── Route helpers ──────────────────────────────────────────
+
+  // Send a consistent error envelope: { error, code, details?, requestId }
+  sendError(req, res, status, error, code, details) {
+    if (status >= 500) this.healthMetrics.errorsCount++;
+
+    return res.status(status).json({
+      error,
+      code,
+      ...(details ? { details } : {}),
+      requestId: req.headers['x-request-id'] || uuidv4(),
+    });
+  }
+
+  // Parse ?limit=&before= into a bounded page size and an ObjectId cursor
+  parsePagination(query) {
+    const limit = Math.min(
+      Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+    const before = query.before && mongoose.isValidObjectId(query.before)
+      ? new mongoose.Types.ObjectId(query.before)
+      : null;
+
+    return { limit, before, invalidCursor: Boolean(query.before) && !before };
+  }
+
+  // Direct chats have no document of their own; their id is derived from both user ids
+  getDirectChatId(userA, userB) {
+    return `dm:${[userA.toString(), userB.toString()].sort().join(':')}`;
+  }
+
+  // Resolve a chat id to its members, or null if the user is not one of them
+  async getChatAccess(chatId, userId) {
+    if (typeof chatId !== 'string') return null;
+
+    if (chatId.startsWith('dm:')) {
+      // Only the canonical id of a chat with an existing user is accepted
+      const memberIds = chatId.slice(3).split(':');
+      const otherId = memberIds.find(id => id !== userId.toString());
+      if (memberIds.length !== 2 || !otherId || !mongoose.isValidObjectId(otherId)) return null;
+      if (chatId !== this.getDirectChatId(userId, otherId)) return null;
+      if (!await models.QuantumUser.exists({ _id: otherId })) return null;
+      return { isDirect: true, group: null, memberIds };
+    }
+
+    const group = await models.QuantumGroup.findOne({ groupId: chatId, isActive: true });
+    if (!group) return null;
+
+    const member = group.members.find(m => m.userId.equals(userId));
+    if (!member) return null;
+
+    return {
+      isDirect: false,
+      group,
+      member,
+      memberIds: group.members.map(m => m.userId.toString()),
+    };
+  }
+
+  // Find a message by Mongo _id or by its public messageId
+  findMessage(messageId) {
+    return mongoose.isValidObjectId(messageId)
+      ? models.QuantumMessage.findById(messageId)
+      : models.QuantumMessage.findOne({ messageId });
+  }
+
+  getMediaTypeFromMime(mimeType = '') {
+    if (mimeType.startsWith('image/gif')) return 'gif';
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType.startsWith('video/')) return 'video';
+    if (mimeType.startsWith('audio/')) return 'audio';
+    return 'document';
+  }
+
+  // ─── User handlers ──────────────────────────────────────────
   async getUserProfile(req, res) {
-    res.json({ message: 'Get user profile endpoint' });
+    try {
+      const user = await models.QuantumUser.findById(req.user.id);
+      if (!user) {
+        return this.sendError(req, res, 404, 'User not found', 'USER_NOT_FOUND');
+      }
+
+      res.json({ user: user.toSafeObject() });
+    } catch (error) {
+      console.error('Get profile error:', error);
+      this.sendError(req, res, 500, 'Failed to load profile', 'PROFILE_FETCH_FAILED');
+    }
   }
 
   async updateUserProfile(req, res) {
-    res.json({ message: 'Update user profile endpoint' });
+    try {
+      const user = await models.QuantumUser.findById(req.user.id);
+      if (!user) {
+        return this.sendError(req, res, 404, 'User not found', 'USER_NOT_FOUND');
+      }
+
+      const editable = ['firstName', 'lastName', 'displayName', 'about', 'language', 'timezone', 'avatar'];
+      for (const field of editable) {
+        if (req.body[field] !== undefined) {
+          user.profile[field] = req.body[field];
+        }
+      }
+
+      await user.save();
+      await this.cacheUserData(user._id, user);
+
+      res.json({ user: user.toSafeObject() });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return this.sendError(req, res, 400, 'Invalid profile data', 'VALIDATION_FAILED', error.message);
+      }
+      console.error('Update profile error:', error);
+      this.sendError(req, res, 500, 'Failed to update profile', 'PROFILE_UPDATE_FAILED');
+    }
   }
 
   async getUserContacts(req, res) {
-    res.json({ message: 'Get user contacts endpoint' });
+    try {
+      const user = await models.QuantumUser.findById(req.user.id)
+        .populate('contacts.contactId');
+      if (!user) {
+        return this.sendError(req, res, 404, 'User not found', 'USER_NOT_FOUND');
+      }
+
+      const contacts = user.contacts
+        .filter(c => c.contactId)
+        .map(c => ({
+          ...c.contactId.toPublicProfile(),
+          nickname: c.nickname,
+          relationship: c.relationship,
+          isFavorite: c.isFavorite,
+        }));
+
+      res.json({ contacts });
+    } catch (error) {
+      console.error('Get contacts error:', error);
+      this.sendError(req, res, 500, 'Failed to load contacts', 'CONTACTS_FETCH_FAILED');
+    }
   }
 
+  // ─── Message handlers ───────────────────────────────────────
+
+  // GET /api/messages/:chatId?before=<messageObjectId>&limit=<n> — newest first
   async getMessages(req, res) {
-    res.json({ message: 'Get messages endpoint' });
+    try {
+      const { chatId } = req.params;
+      const userId = req.user.id;
+
+      const access = await this.getChatAccess(chatId, userId);
+      if (!access) {
+        return this.sendError(req, res, 403, 'Not a member of this chat', 'NOT_CHAT_MEMBER');
+      }
+
+      const { limit, before, invalidCursor } = this.parsePagination(req.query);
+      if (invalidCursor) {
+        return this.sendError(req, res, 400, 'Invalid cursor', 'INVALID_CURSOR');
+      }
+
+      const filter = {
+        chatId,
+        isDeleted: false,
+        'deletedFor.userId': { $ne: userId },
+      };
+      if (before) filter._id = { $lt: before };
+
+      // Fetch one extra row to know whether another page exists
+      const rows = await models.QuantumMessage.find(filter)
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .lean();
+
+      const hasMore = rows.length > limit;
+      const messages = hasMore ? rows.slice(0, limit) : rows;
+
+      res.json({
+        messages,
+        nextCursor: hasMore ? messages[messages.length - 1]._id : null,
+        hasMore,
+      });
+    } catch (error) {
+      console.error('Get messages error:', error);
+      this.sendError(req, res, 500, 'Failed to load messages', 'MESSAGES_FETCH_FAILED');
+    }
   }
 
   async sendMessage(req, res) {
-    res.json({ message: 'Send message endpoint' });
+    try {
+      const { chatId, text, type, replyTo, attachments } = req.body;
+      const senderId = req.user.id;
+      const messageType = type || 'text';
+
+      if (!chatId) {
+        return this.sendError(req, res, 400, 'chatId is required', 'VALIDATION_FAILED');
+      }
+      if (messageType === 'text' && !text?.trim()) {
+        return this.sendError(req, res, 400, 'Message text is required', 'VALIDATION_FAILED');
+      }
+
+      const access = await this.getChatAccess(chatId, senderId);
+      if (!access) {
+        return this.sendError(req, res, 403, 'Not a member of this chat', 'NOT_CHAT_MEMBER');
+      }
+
+      let parent = null;
+      if (replyTo) {
+        parent = await this.findMessage(replyTo);
+        if (!parent || parent.chatId !== chatId) {
+          return this.sendError(req, res, 400, 'Reply target not found in this chat', 'INVALID_REPLY_TARGET');
+        }
+      }
+
+      const message = await models.QuantumMessage.create({
+        chatId,
+        senderId,
+        messageType,
+        content: { text: text?.trim() },
+        attachments: Array.isArray(attachments) ? attachments : [],
+        replyToMessageId: parent?._id,
+        status: 'sent',
+        groupInfo: {
+          isGroupMessage: !access.isDirect,
+          groupId: access.group?._id,
+          recipientIds: access.memberIds.filter(id => id !== senderId.toString()),
+        },
+      });
+
+      if (access.group) {
+        access.group.analytics.totalMessages += 1;
+        access.member.messageCount += 1;
+        await access.group.save();
+      }
+
+      await this.cacheMessage(message);
+      this.io.to(`chat:${chatId}`).emit('new_message', message);
+      await this.sendMessageNotifications(chatId, message, senderId);
+      this.healthMetrics.messagesDelivered++;
+
+      res.status(201).json({ message });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return this.sendError(req, res, 400, 'Invalid message', 'VALIDATION_FAILED', error.message);
+      }
+      console.error('Send message error:', error);
+      this.sendError(req, res, 500, 'Failed to send message', 'MESSAGE_SEND_FAILED');
+    }
   }
 
+  // DELETE /api/messages/:messageId?forEveryone=true
   async deleteMessage(req, res) {
-    res.json({ message: 'Delete message endpoint' });
+    try {
+      const userId = req.user.id;
+      const forEveryone = req.query.forEveryone === 'true';
+
+      const message = await this.findMessage(req.params.messageId);
+      if (!message || message.isDeleted) {
+        return this.sendError(req, res, 404, 'Message not found', 'MESSAGE_NOT_FOUND');
+      }
+
+      const access = await this.getChatAccess(message.chatId, userId);
+      if (!access) {
+        return this.sendError(req, res, 403, 'Not a member of this chat', 'NOT_CHAT_MEMBER');
+      }
+
+      if (forEveryone) {
+        const isSender = message.senderId.equals(userId);
+        const isAdmin = ['admin', 'owner'].includes(access.member?.role);
+        if (!isSender && !isAdmin) {
+          return this.sendError(req, res, 403, 'Only the sender or an admin can delete for everyone', 'FORBIDDEN');
+        }
+
+        await message.deleteForEveryone(userId);
+        this.io.to(`chat:${message.chatId}`).emit('message_deleted', {
+          messageId: message._id,
+          chatId: message.chatId,
+          deletedBy: userId,
+        });
+      } else {
+        await message.deleteForUser(userId);
+      }
+
+      res.json({ messageId: message._id, deletedForEveryone: forEveryone });
+    } catch (error) {
+      console.error('Delete message error:', error);
+      this.sendError(req, res, 500, 'Failed to delete message', 'MESSAGE_DELETE_FAILED');
+    }
   }
 
+  // ─── Chat handlers ──────────────────────────────────────────
   async getChats(req, res) {
-    res.json({ message: 'Get chats endpoint' });
+    try {
+      const userId = req.user.id;
+
+      const groups = await models.QuantumGroup.find({
+        'members.userId': userId,
+        isActive: true,
+        isArchived: false,
+      }).lean();
+
+      // Direct chats only exist once a message has been sent in them
+      const directChatIds = await models.QuantumMessage.distinct('chatId', {
+        chatId: { $regex: `^dm:(?:${userId}:[^:]+|[^:]+:${userId})$` },
+      });
+
+      const chats = [
+        ...groups.map(group => ({
+          chatId: group.groupId,
+          type: 'group',
+          name: group.name,
+          avatar: group.avatar,
+          memberCount: group.members.length,
+          role: group.members.find(m => m.userId.toString() === userId.toString())?.role,
+        })),
+        ...directChatIds.map(chatId => ({
+          chatId,
+          type: 'direct',
+          participantId: chatId.slice(3).split(':').find(id => id !== userId.toString()),
+        })),
+      ];
+
+      // Attach the latest visible message for ordering and previews
+      await Promise.all(chats.map(async (chat) => {
+        chat.lastMessage = await models.QuantumMessage.findOne({
+          chatId: chat.chatId,
+          isDeleted: false,
+          'deletedFor.userId': { $ne: userId },
+        }).sort({ _id: -1 }).lean();
+      }));
+
+      chats.sort((a, b) =>
+        new Date(b.lastMessage?.createdAt || 0) - new Date(a.lastMessage?.createdAt || 0)
+      );
+
+      res.json({ chats });
+    } catch (error) {
+      console.error('Get chats error:', error);
+      this.sendError(req, res, 500, 'Failed to load chats', 'CHATS_FETCH_FAILED');
+    }
   }
 
+  // POST /api/chats { type: 'direct' | 'group', participantIds, name?, description? }
   async createChat(req, res) {
-    res.json({ message: 'Create chat endpoint' });
+    try {
+      const userId = req.user.id;
+      const { type = 'direct', participantIds = [], name, description } = req.body;
+
+      const otherIds = [...new Set(participantIds.map(String))].filter(id => id !== userId.toString());
+      if (otherIds.length === 0 || !otherIds.every(id => mongoose.isValidObjectId(id))) {
+        return this.sendError(req, res, 400, 'At least one valid participant is required', 'VALIDATION_FAILED');
+      }
+
+      const existingCount = await models.QuantumUser.countDocuments({
+        _id: { $in: otherIds },
+        isActive: true,
+        isDeleted: false,
+      });
+      if (existingCount !== otherIds.length) {
+        return this.sendError(req, res, 404, 'One or more participants not found', 'USER_NOT_FOUND');
+      }
+
+      if (type === 'direct') {
+        if (otherIds.length !== 1) {
+          return this.sendError(req, res, 400, 'Direct chats have exactly one participant', 'VALIDATION_FAILED');
+        }
+        return res.json({
+          chat: {
+            chatId: this.getDirectChatId(userId, otherIds[0]),
+            type: 'direct',
+            participantId: otherIds[0],
+          },
+        });
+      }
+
+      if (type !== 'group') {
+        return this.sendError(req, res, 400, `Unknown chat type: ${type}`, 'VALIDATION_FAILED');
+      }
+      if (!name?.trim()) {
+        return this.sendError(req, res, 400, 'Group name is required', 'VALIDATION_FAILED');
+      }
+
+      const group = await models.QuantumGroup.create({
+        name: name.trim(),
+        description,
+        createdBy: userId,
+        admins: [{
+          userId,
+          promotedAt: new Date(),
+          promotedBy: userId,
+          permissions: ['manage_members', 'delete_messages', 'change_settings'],
+        }],
+        members: [
+          { userId, role: 'owner' },
+          ...otherIds.map(id => ({ userId: id, invitedBy: userId })),
+        ],
+        analytics: { totalMembers: otherIds.length + 1 },
+      });
+
+      otherIds.forEach(id => {
+        this.io.to(`user:${id}`).emit('chat_created', { chatId: group.groupId });
+      });
+
+      res.status(201).json({ chat: { chatId: group.groupId, type: 'group', group } });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return this.sendError(req, res, 400, 'Invalid chat', 'VALIDATION_FAILED', error.message);
+      }
+      console.error('Create chat error:', error);
+      this.sendError(req, res, 500, 'Failed to create chat', 'CHAT_CREATE_FAILED');
+    }
   }
 
   async updateChat(req, res) {
-    res.json({ message: 'Update chat endpoint' });
+    try {
+      const { chatId } = req.params;
+      const userId = req.user.id;
+
+      const access = await this.getChatAccess(chatId, userId);
+      if (!access) {
+        return this.sendError(req, res, 403, 'Not a member of this chat', 'NOT_CHAT_MEMBER');
+      }
+      if (access.isDirect) {
+        return this.sendError(req, res, 400, 'Direct chats cannot be updated', 'INVALID_CHAT_TYPE');
+      }
+      if (!['admin', 'owner'].includes(access.member.role)) {
+        return this.sendError(req, res, 403, 'Only admins can update this chat', 'FORBIDDEN');
+      }
+
+      const { group } = access;
+      const { name, description, avatar, settings } = req.body;
+
+      if (name !== undefined) group.name = name;
+      if (description !== undefined) group.description = description;
+      if (avatar !== undefined) group.avatar = avatar;
+      if (settings) {
+        const editableSettings = ['allowMemberInvites', 'requireAdminApproval', 'allowMediaSharing', 'allowVoiceMessages', 'messageHistory'];
+        for (const key of editableSettings) {
+          if (settings[key] !== undefined) group.settings[key] = settings[key];
+        }
+      }
+
+      await group.save();
+      this.io.to(`chat:${chatId}`).emit('chat_updated', { chatId, group });
+
+      res.json({ chat: { chatId, type: 'group', group } });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return this.sendError(req, res, 400, 'Invalid chat update', 'VALIDATION_FAILED', error.message);
+      }
+      console.error('Update chat error:', error);
+      this.sendError(req, res, 500, 'Failed to update chat', 'CHAT_UPDATE_FAILED');
+    }
   }
 
+  // ─── Media handlers ─────────────────────────────────────────
+
+  // POST /api/media/upload (multipart, field "file")
   async handleMediaUpload(req, res) {
-    res.json({ message: 'Media upload endpoint' });
+    try {
+      const file = req.file;
+      if (!file) {
+        return this.sendError(req, res, 400, 'File is required', 'VALIDATION_FAILED');
+      }
+
+      const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+
+      // Re-use an identical upload from the same user
+      const existing = await models.QuantumMedia.findOne({
+        uploadedBy: req.user.id,
+        'originalFile.hash': hash,
+        isDeleted: false,
+      });
+      if (existing) {
+        return res.json({ media: existing });
+      }
+
+      const mediaId = crypto.randomUUID();
+      const filename = `${mediaId}${path.extname(file.originalname)}`;
+      await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+      const filePath = path.join(UPLOAD_DIR, filename);
+      await fs.promises.writeFile(filePath, file.buffer);
+
+      // Don't leave the file behind if the record can't be written
+      const media = await models.QuantumMedia.create({
+        mediaId,
+        uploadedBy: req.user.id,
+        mediaType: req.body.mediaType || this.getMediaTypeFromMime(file.mimetype),
+        originalFile: {
+          filename,
+          originalName: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size,
+          url: `/api/media/${mediaId}`,
+          hash,
+        },
+        storage: {
+          provider: 'local',
+          key: filename,
+        },
+        processing: { status: 'completed', completedAt: new Date() },
+      }).catch(async (error) => {
+        await fs.promises.unlink(filePath).catch(() => {});
+        throw error;
+      });
+
+      res.status(201).json({ media });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return this.sendError(req, res, 400, 'Invalid media', 'VALIDATION_FAILED', error.message);
+      }
+      console.error('Media upload error:', error);
+      this.sendError(req, res, 500, 'Failed to upload media', 'MEDIA_UPLOAD_FAILED');
+    }
   }
 
   async getMedia(req, res) {
-    res.json({ message: 'Get media endpoint' });
+    try {
+      const media = await models.QuantumMedia.findOne({
+        mediaId: req.params.mediaId,
+        isDeleted: false,
+      });
+      if (!media || media.expiration?.isExpired) {
+        return this.sendError(req, res, 404, 'Media not found', 'MEDIA_NOT_FOUND');
+      }
+
+      await media.incrementDownload();
+
+      if (media.storage?.cdn?.url) {
+        return res.redirect(media.storage.cdn.url);
+      }
+
+      res.type(media.originalFile.mimeType || 'application/octet-stream');
+      res.sendFile(path.join(UPLOAD_DIR, media.storage.key));
+    } catch (error) {
+      console.error('Get media error:', error);
+      this.sendError(req, res, 500, 'Failed to load media', 'MEDIA_FETCH_FAILED');
+    }
   }
 
+  // ─── Call handlers ──────────────────────────────────────────
+
+  // POST /api/calls/initiate { participantIds, callType, chatId? }
   async initiateCall(req, res) {
-    res.json({ message: 'Initiate call endpoint' });
+    try {
+      const userId = req.user.id;
+      const { participantIds = [], callType = 'voice', chatId } = req.body;
+
+      const calleeIds = [...new Set(participantIds.map(String))].filter(id => id !== userId.toString());
+      if (calleeIds.length === 0 || !calleeIds.every(id => mongoose.isValidObjectId(id))) {
+        return this.sendError(req, res, 400, 'At least one valid participant is required', 'VALIDATION_FAILED');
+      }
+
+      const isGroupCall = calleeIds.length > 1;
+      let group = null;
+      if (chatId) {
+        const access = await this.getChatAccess(chatId, userId);
+        if (!access) {
+          return this.sendError(req, res, 403, 'Not a member of this chat', 'NOT_CHAT_MEMBER');
+        }
+        group = access.group;
+      }
+
+      const baseType = callType.replace('group_', '');
+      const call = await models.QuantumCall.create({
+        callType: isGroupCall ? `group_${baseType}` : baseType,
+        initiator: userId,
+        participants: [
+          { userId, status: 'connected', joinedAt: new Date() },
+          ...calleeIds.map(id => ({ userId: id, status: 'ringing' })),
+        ],
+        groupInfo: {
+          isGroupCall,
+          groupId: group?._id,
+        },
+        callStatus: 'ringing',
+      });
+
+      calleeIds.forEach(id => {
+        this.io.to(`user:${id}`).emit('incoming_call', {
+          callId: call.callId,
+          callType: call.callType,
+          fromUserId: userId,
+          chatId,
+        });
+      });
+
+      res.status(201).json({ call });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return this.sendError(req, res, 400, 'Invalid call', 'VALIDATION_FAILED', error.message);
+      }
+      console.error('Initiate call error:', error);
+      this.sendError(req, res, 500, 'Failed to start call', 'CALL_INITIATE_FAILED');
+    }
   }
 
   async answerCall(req, res) {
-    res.json({ message: 'Answer call endpoint' });
+    try {
+      const userId = req.user.id;
+      const call = await models.QuantumCall.findOne({ callId: req.params.callId });
+      if (!call) {
+        return this.sendError(req, res, 404, 'Call not found', 'CALL_NOT_FOUND');
+      }
+
+      const participant = call.participants.find(p => p.userId.equals(userId));
+      if (!participant || call.initiator.equals(userId)) {
+        return this.sendError(req, res, 403, 'Not invited to this call', 'NOT_CALL_PARTICIPANT');
+      }
+      if (!['ringing', 'active'].includes(call.callStatus)) {
+        return this.sendError(req, res, 409, 'Call is no longer available', 'CALL_NOT_ACTIVE');
+      }
+
+      if (call.callStatus === 'ringing') {
+        call.callStatus = 'active';
+        call.startedAt = new Date();
+      }
+      await call.updateParticipantStatus(userId, 'connected');
+
+      this.io.to(`user:${call.initiator}`).emit('call_answered', {
+        callId: call.callId,
+        userId,
+      });
+
+      res.json({ call });
+    } catch (error) {
+      console.error('Answer call error:', error);
+      this.sendError(req, res, 500, 'Failed to answer call', 'CALL_ANSWER_FAILED');
+    }
   }
 
+  // POST /api/calls/:callId/end { reason? }
   async endCall(req, res) {
-    res.json({ message: 'End call endpoint' });
+    try {
+      const userId = req.user.id;
+      const call = await models.QuantumCall.findOne({ callId: req.params.callId });
+      if (!call) {
+        return this.sendError(req, res, 404, 'Call not found', 'CALL_NOT_FOUND');
+      }
+
+      const participant = call.participants.find(p => p.userId.equals(userId));
+      if (!participant) {
+        return this.sendError(req, res, 403, 'Not a participant of this call', 'NOT_CALL_PARTICIPANT');
+      }
+      if (call.callStatus === 'ended') {
+        return res.json({ call });
+      }
+
+      const isInitiator = call.initiator.equals(userId);
+      const stillConnected = call.participants.filter(p =>
+        p.status === 'connected' && !p.userId.equals(userId)
+      );
+
+      // Leaving a group call that others are still on only disconnects this user
+      if (call.groupInfo.isGroupCall && !isInitiator && stillConnected.length > 1) {
+        await call.updateParticipantStatus(userId, 'disconnected');
+      } else {
+        let reason = req.body.reason || 'completed';
+        if (call.callStatus === 'ringing') {
+          reason = isInitiator ? 'missed' : 'declined';
+          if (!isInitiator) participant.status = 'declined';
+        }
+        await call.endCall(reason);
+      }
+
+      const notifyIds = call.participants
+        .map(p => p.userId.toString())
+        .filter(id => id !== userId.toString());
+      notifyIds.forEach(id => {
+        this.io.to(`user:${id}`).emit('call_ended', {
+          callId: call.callId,
+          endedBy: userId,
+          callStatus: call.callStatus,
+          endReason: call.endReason,
+        });
+      });
+
+      res.json({ call });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return this.sendError(req, res, 400, 'Invalid end reason', 'VALIDATION_FAILED', error.message);
+      }
+      console.error('End call error:', error);
+      this.sendError(req, res, 500, 'Failed to end call', 'CALL_END_FAILED');
+    }
   }
 
+  // ─── Status handlers ────────────────────────────────────────
+
+  // Whether a viewer may see a status under its author's privacy settings
+  canViewStatus(status, author, viewerId) {
+    const viewer = viewerId.toString();
+    if (status.userId.toString() === viewer) return true;
+
+    const { visibility, allowedViewers = [], blockedViewers = [] } = status.privacy || {};
+    if (blockedViewers.some(id => id.toString() === viewer)) return false;
+
+    const contact = author?.contacts?.find(c => c.contactId?.toString() === viewer);
+    switch (visibility) {
+      case 'public': return true;
+      case 'close_friends': return Boolean(contact?.isFavorite);
+      case 'custom': return allowedViewers.some(id => id.toString() === viewer);
+      case 'contacts':
+      default:
+        return Boolean(contact);
+    }
+  }
+
+  // GET /api/status — active statuses from the user and their contacts, grouped by author
   async getStatuses(req, res) {
-    res.json({ message: 'Get statuses endpoint' });
+    try {
+      const userId = req.user.id;
+      const user = await models.QuantumUser.findById(userId).select('contacts');
+      if (!user) {
+        return this.sendError(req, res, 404, 'User not found', 'USER_NOT_FOUND');
+      }
+
+      const authorIds = [userId, ...user.contacts.map(c => c.contactId).filter(Boolean)];
+      const statuses = await models.QuantumStatus.find({
+        userId: { $in: authorIds },
+        isActive: true,
+        expiresAt: { $gt: new Date() },
+      }).sort({ createdAt: 1 }).lean();
+
+      const authors = await models.QuantumUser.find({ _id: { $in: authorIds } })
+        .select('username profile contacts auth.lastSeen');
+      const authorsById = new Map(authors.map(a => [a._id.toString(), a]));
+
+      const byAuthor = new Map();
+      for (const status of statuses) {
+        const authorId = status.userId.toString();
+        const author = authorsById.get(authorId);
+        if (!this.canViewStatus(status, author, userId)) continue;
+
+        if (!byAuthor.has(authorId)) {
+          byAuthor.set(authorId, {
+            user: author?.toPublicProfile(),
+            isMine: authorId === userId.toString(),
+            statuses: [],
+          });
+        }
+
+        byAuthor.get(authorId).statuses.push({
+          ...status,
+          viewed: status.interactions?.views?.some(v => v.userId?.toString() === userId.toString()),
+        });
+      }
+
+      res.json({ statuses: [...byAuthor.values()] });
+    } catch (error) {
+      console.error('Get statuses error:', error);
+      this.sendError(req, res, 500, 'Failed to load statuses', 'STATUS_FETCH_FAILED');
+    }
   }
 
   async createStatus(req, res) {
-    res.json({ message: 'Create status endpoint' });
+    try {
+      const {
+        type, text, mediaUrl, thumbnailUrl, duration,
+        backgroundColor, textColor, font,
+        visibility = 'contacts', allowedViewers = [],
+      } = req.body;
+
+      if (!['text', 'image', 'video', 'audio'].includes(type)) {
+        return this.sendError(req, res, 400, 'Unknown status type', 'VALIDATION_FAILED');
+      }
+      if (type === 'text' && !text?.trim()) {
+        return this.sendError(req, res, 400, 'Status text is required', 'VALIDATION_FAILED');
+      }
+      if (type !== 'text' && !mediaUrl) {
+        return this.sendError(req, res, 400, 'mediaUrl is required for media statuses', 'VALIDATION_FAILED');
+      }
+
+      const status = await models.QuantumStatus.create({
+        userId: req.user.id,
+        content: { type, text, mediaUrl, thumbnailUrl, duration, backgroundColor, textColor, font },
+        privacy: {
+          visibility,
+          allowedViewers: visibility === 'custom' ? allowedViewers : [],
+        },
+      });
+
+      res.status(201).json({ status });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return this.sendError(req, res, 400, 'Invalid status', 'VALIDATION_FAILED', error.message);
+      }
+      console.error('Create status error:', error);
+      this.sendError(req, res, 500, 'Failed to create status', 'STATUS_CREATE_FAILED');
+    }
   }
 
   async loadUserChatRooms(socket, userId) {
-    // Load and join user's chat rooms
-    console.log(`Loading chat rooms for user ${userId}`);
+    // Join the rooms of every group the user belongs to
+    try {
+      const groups = await models.QuantumGroup.find({ 'members.userId': userId, isActive: true })
+        .select('groupId')
+        .lean();
+      groups.forEach(group => socket.join(`chat:${group.groupId}`));
+    } catch (error) {
+      console.error('Load chat rooms error:', error);
+    }
   }
 
   async sendPendingMessages(userId) {
@@ -413,7 +413,7 @@ const QuantumMessageSchema = new mongoose.Schema({
 });
 
 // Indexes
-QuantumMessageQuantumMessageSchema.index({ chatId: 1, createdAt: -1 });
+QuantumMessageSchema.index({ chatId: 1, createdAt: -1 });
 QuantumMessageSchema.index({ senderId: 1, createdAt: -1 });
 QuantumMessageSchema.index({ messageType: 1 });
 QuantumMessageSchema.index({ status: 1 });
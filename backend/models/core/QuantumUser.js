@@ -763,7 +763,7 @@ const QuantumUserSchema = new mongoose.Schema({
 });
 
 // Indexes for performance
-QuantumUserQuantumUserQuantumUserQuantumUserSchema.index({ 'profile.status': 1 });
+QuantumUserSchema.index({ 'profile.status': 1 });
 QuantumUserSchema.index({ 'auth.lastSeen': 1 });
 QuantumUserSchema.index({ isActive: 1, isDeleted: 1 });
 QuantumUserSchema.index({ 'subscription.plan': 1, 'subscription.status': 1 });
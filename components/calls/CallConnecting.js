@@ -47,6 +47,8 @@ const CONNECTION_STATES = {
   SYNCING_AUDIO: 'syncing_audio',
   ESTABLISHING: 'establishing',
   CONNECTED: 'connected',
+  // A connected call whose network dropped, while ICE restarts
+  RECONNECTING: 'reconnecting',
   FAILED: 'failed',
   TIMEOUT: 'timeout',
 };
@@ -103,6 +105,17 @@ const CallConnecting = ({
 
   // Handle connection state changes
   useEffect(() => {
+    if (connectionState === CONNECTION_STATES.RECONNECTING) {
+      // Back to the start of the bar; the stages resume once connected
+      Animated.timing(progressAnimation, {
+        toValue: 0,
+        duration: timing.normal,
+        useNativeDriver: false,
+      }).start();
+      setProgressValue(0);
+      return;
+    }
+
     const stageIndex = connectionStages.findIndex(stage => stage.state === connectionState);
     if (stageIndex !== -1) {
       setCurrentStage(stageIndex);
@@ -461,7 +474,9 @@ const CallConnecting = ({
   const renderProgressIndicator = () => {
     if (!showProgress) return null;
 
-    const currentStageData = connectionStages[currentStage];
+    const currentStageData = connectionState === CONNECTION_STATES.RECONNECTING
+      ? { label: 'Reconnecting…' }
+      : connectionStages[currentStage];
 
     return (
       <View style={styles.progressContainer}>
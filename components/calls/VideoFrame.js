@@ -15,6 +15,7 @@ import {
   Text,
   Modal,
   ScrollView,
+  Platform,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { BlurView } from 'expo-blur';
@@ -44,6 +45,12 @@ import {
   getDynamicColor,
 } from '../../constants/ndeipBrandSystem';
 
+// RTCView is native-only; on web the frame keeps showing the participant card
+let RTCView = null;
+if (Platform.OS !== 'web') {
+  try { RTCView = require('react-native-webrtc').RTCView; } catch (e) { }
+}
+
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 
 // Video quality levels
@@ -125,6 +132,11 @@ const VideoFrame = ({
     console.warn('[VideoFrame] Mesh generation failed (non-fatal):', e);
   }
 
+  // Show the stream once it carries video; camera-off falls back to the card
+  useEffect(() => {
+    setVideoLoaded(!!RTCView && !!videoStream && videoStream.getVideoTracks().length > 0);
+  }, [videoStream]);
+
   // Initialize animations
   useEffect(() => {
     startBorderAnimation();
@@ -368,12 +380,13 @@ const VideoFrame = ({
 
     return (
       <View style={styles.videoContent}>
-        {/* Video stream placeholder */}
-        <View style={[styles.videoStream, { backgroundColor: '#1a1a1a' }]}>
-          <Text style={[styles.streamLabel, { color: colors.crystallineWhite }]}>
-            {isLocal ? 'Your Video' : `${participant?.name || 'Participant'}'s Video`}
-          </Text>
-        </View>
+        <RTCView
+          streamURL={videoStream.toURL()}
+          style={[styles.videoStream, { backgroundColor: '#1a1a1a' }]}
+          objectFit="cover"
+          mirror={isLocal}
+          zOrder={isLocal ? 1 : 0}
+        />
 
         {/* Filter overlays */}
         {renderFilterOverlay()}
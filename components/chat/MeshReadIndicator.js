@@ -5,6 +5,9 @@
  * ◔  sent     — 25% filled with brand teal
  * ◑  delivered — 50% filled with brand teal
  * ●  read     — fully filled, one-time mesh ripple glow
+ *
+ * In groups, pass readCount/recipientCount: a delivered message fills
+ * from half towards full as more members read it.
  */
 import React, { useEffect, useRef } from 'react';
 import { Animated, View, StyleSheet } from 'react-native';
@@ -28,7 +31,7 @@ function arcPath(percentage) {
     return `M ${CX} ${CY} L ${CX} ${CY - R} A ${R} ${R} 0 ${largeArc} 1 ${x} ${y} Z`;
 }
 
-export default function MeshReadIndicator({ status = 'sent' }) {
+export default function MeshReadIndicator({ status = 'sent', readCount = 0, recipientCount = 1 }) {
     const pulseAnim = useRef(new Animated.Value(1)).current;
     const glowAnim = useRef(new Animated.Value(0)).current;
 
@@ -75,7 +78,9 @@ export default function MeshReadIndicator({ status = 'sent' }) {
             strokeColor = teal;
             break;
         case 'delivered':
-            fillPercentage = 0.5;
+            fillPercentage = recipientCount > 1
+                ? 0.5 + 0.5 * Math.min(readCount / recipientCount, 0.99)
+                : 0.5;
             strokeColor = teal;
             break;
         case 'read':
@@ -18,7 +18,7 @@ import {
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
-import { PanGestureHandler, LongPressGestureHandler } from 'react-native-gesture-handler';
+import { PanGestureHandler } from 'react-native-gesture-handler';
 import Svg, {
   Circle,
   Path,
@@ -285,7 +285,10 @@ const MessageReactions = ({
               styles.moreReactionsBadge,
               { backgroundColor: colors.surface, borderColor: colors.border },
             ]}
-            onPress={() => setShowReactionHistory(true)}
+            onPress={() => {
+              setSelectedReaction(null);
+              setShowReactionHistory(true);
+            }}
           >
             <Text style={[styles.moreReactionsText, { color: colors.textSecondary }]}>
               +{reactionsList.length - maxVisible}
@@ -554,32 +557,35 @@ const ReactionBadge = ({
   const textColor = reactionGroup.hasUserReacted ? colors.background : colors.text;
 
   return (
-    <LongPressGestureHandler onActivated={() => onLongPress(reactionGroup)}>
-      <TouchableOpacity style={badgeStyle} onPress={handlePress}>
-        {/* Glow effect */}
-        <Animated.View
-          style={[
-            styles.badgeGlow,
-            {
-              backgroundColor: colors.primary,
-              opacity: glowOpacity,
-            },
-          ]}
-        />
+    <TouchableOpacity
+      style={badgeStyle}
+      onPress={handlePress}
+      onLongPress={() => onLongPress(reactionGroup)}
+      delayLongPress={350}
+    >
+      {/* Glow effect */}
+      <Animated.View
+        style={[
+          styles.badgeGlow,
+          {
+            backgroundColor: colors.primary,
+            opacity: glowOpacity,
+          },
+        ]}
+      />
 
-        <View style={styles.badgeContent}>
-          <Text style={[styles.badgeEmoji, variant === 'compact' && styles.badgeEmojiCompact]}>
-            {reactionGroup.emoji}
-          </Text>
+      <View style={styles.badgeContent}>
+        <Text style={[styles.badgeEmoji, variant === 'compact' && styles.badgeEmojiCompact]}>
+          {reactionGroup.emoji}
+        </Text>
 
-          {variant !== 'compact' && (
-            <Text style={[styles.badgeCount, { color: textColor }]}>
-              {reactionGroup.count}
-            </Text>
-          )}
-        </View>
-      </TouchableOpacity>
-    </LongPressGestureHandler>
+        {variant !== 'compact' && (
+          <Text style={[styles.badgeCount, { color: textColor }]}>
+            {reactionGroup.count}
+          </Text>
+        )}
+      </View>
+    </TouchableOpacity>
   );
 };
 
@@ -601,7 +607,12 @@ const ReactionHistoryModal = ({
     return acc;
   }, {});
 
-  const [selectedTab, setSelectedTab] = useState(selectedReaction?.emoji || Object.keys(reactionTabs)[0]);
+  const [selectedTab, setSelectedTab] = useState(selectedReaction?.emoji || null);
+
+  // Open on the emoji that was long-pressed, or "All" from the overflow badge
+  useEffect(() => {
+    if (visible) setSelectedTab(selectedReaction?.emoji || null);
+  }, [visible, selectedReaction]);
 
   const renderReactionUser = ({ item: reaction }) => (
     <FloatingCard variant="small" style={styles.reactionUserCard}>
@@ -38,6 +38,7 @@ import FloatingCard from '../../components/ui/FloatingCards';
 import QuantumLoader from '../../components/ndeip/QuantumLoader';
 import { useMeshTheme, useMeshColors, useMeshAnimations } from '../../hooks/useMeshTheme';
 import { generateUserMesh } from '../../utils/MeshGenerator';
+import { countMissedCalls } from '../../../services/CallService';
 import {
   MeshColors,
   MeshTypography,
@@ -69,6 +70,11 @@ const CALL_STATUS = {
   NO_ANSWER: 'no_answer',
 };
 
+// A call that rang us without being picked up, as countMissedCalls() counts it
+const isMissedCall = (call) =>
+  call.type !== CALL_TYPES.OUTGOING &&
+  (call.status === CALL_STATUS.MISSED || call.status === CALL_STATUS.NO_ANSWER);
+
 const CallHistory = ({
   navigation,
   calls: initialCalls = [],
@@ -109,7 +115,7 @@ const CallHistory = ({
   const filteredCalls = useMemo(() => {
     switch (activeFilter) {
       case 'missed':
-        return calls.filter(call => call.status === CALL_STATUS.MISSED);
+        return calls.filter(isMissedCall);
       case 'outgoing':
         return calls.filter(call => call.type === CALL_TYPES.OUTGOING);
       case 'incoming':
@@ -123,10 +129,30 @@ const CallHistory = ({
     }
   }, [calls, activeFilter]);
 
+  // Missed calls per contact, counted like the calls tab does, keyed by
+  // the contact's most recent missed call, which shows the badge
+  const missedCounts = useMemo(() => {
+    const history = [...calls]
+      .filter(call => call.contact?.id)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .map(call => ({
+        id: call.id,
+        is_group: false, // Legacy entries have a single contact
+        incoming: call.type !== CALL_TYPES.OUTGOING,
+        caller_id: call.contact.id,
+        callee_id: call.contact.id,
+        status: call.status,
+      }));
+
+    const counts = new Map();
+    countMissedCalls(history).forEach(({ count, latestCallId }) => counts.set(latestCallId, count));
+    return counts;
+  }, [calls]);
+
   // Generate call insights
   const callInsights = useMemo(() => {
     const totalCalls = calls.length;
-    const missedCalls = calls.filter(call => call.status === CALL_STATUS.MISSED).length;
+    const missedCalls = calls.filter(isMissedCall).length;
     const totalDuration = calls.reduce((sum, call) => sum + (call.duration || 0), 0);
     const videoCalls = calls.filter(call => call.isVideoCall).length;
     const avgDuration = totalCalls > 0 ? totalDuration / totalCalls : 0;
@@ -378,6 +404,7 @@ const CallHistory = ({
       }}
       onCallBack={() => handleCallBack(call)}
       onDelete={() => handleDeleteCall(call)}
+      missedCount={missedCounts.get(call.id) || 0}
       colors={colors}
       timing={timing}
     />
@@ -451,12 +478,14 @@ const CallHistoryItem = ({
   onLongPress,
   onCallBack,
   onDelete,
+  missedCount,
   colors,
   timing,
 }) => {
   const scaleAnim = useRef(new Animated.Value(1)).current;
   const selectionAnim = useRef(new Animated.Value(0)).current;
   const missedPulse = useRef(new Animated.Value(0)).current;
+  const missed = isMissedCall(call);
 
   useEffect(() => {
     // Animate selection state
@@ -467,7 +496,7 @@ const CallHistoryItem = ({
     }).start();
 
     // Pulse animation for missed calls
-    if (call.status === CALL_STATUS.MISSED) {
+    if (missed) {
       Animated.loop(
         Animated.sequence([
           Animated.timing(missedPulse, {
@@ -516,7 +545,7 @@ const CallHistoryItem = ({
   };
 
   const getCallIconColor = () => {
-    if (call.status === CALL_STATUS.MISSED) {
+    if (missed) {
       return colors.accents.mutedRed;
     }
     return call.type === CALL_TYPES.OUTGOING ? colors.accents.success : colors.primary;
@@ -565,7 +594,7 @@ const CallHistoryItem = ({
           variant="medium"
           style={[
             styles.callCard,
-            call.status === CALL_STATUS.MISSED && styles.missedCallCard,
+            missed && styles.missedCallCard,
           ]}
           interactive={false}
         >
@@ -591,7 +620,7 @@ const CallHistoryItem = ({
           )}
 
           {/* Missed call pulse */}
-          {call.status === CALL_STATUS.MISSED && (
+          {missed && (
             <Animated.View
               style={[
                 styles.missedPulse,
@@ -616,9 +645,16 @@ const CallHistoryItem = ({
               </View>
 
               <View style={styles.contactInfo}>
-                <Text style={[styles.contactName, { color: colors.text }]}>
-                  {call.contact?.name || call.phoneNumber || 'Unknown'}
-                </Text>
+                <View style={styles.contactNameRow}>
+                  <Text style={[styles.contactName, { color: colors.text }]} numberOfLines={1}>
+                    {call.contact?.name || call.phoneNumber || 'Unknown'}
+                  </Text>
+                  {missedCount > 0 && (
+                    <View style={[styles.missedBadge, { backgroundColor: colors.accents.mutedRed }]}>
+                      <Text style={styles.missedBadgeText}>{missedCount}</Text>
+                    </View>
+                  )}
+                </View>
 
                 <View style={styles.callMeta}>
                   <Ionicons
@@ -652,6 +688,18 @@ const CallHistoryItem = ({
                 {getStatusText()}
               </Text>
 
+              {/* Call back, until we have */}
+              {missedCount > 0 && !selectionMode && (
+                <TouchableOpacity
+                  onPress={(e) => {
+                    e.stopPropagation();
+                    onCallBack();
+                  }}
+                >
+                  <Text style={[styles.callBackText, { color: colors.primary }]}>Call back</Text>
+                </TouchableOpacity>
+              )}
+
               {call.duration > 0 && (
                 <CallDurationVisualization
                   duration={call.duration}
@@ -1122,10 +1170,32 @@ const styles = StyleSheet.create({
     flex: 1,
   },
 
+  contactNameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 2,
+  },
+
   contactName: {
+    flexShrink: 1,
     fontSize: MeshTypography.sizes.body,
     fontWeight: MeshTypography.weights.medium,
-    marginBottom: 2,
+  },
+
+  missedBadge: {
+    minWidth: 18,
+    height: 18,
+    borderRadius: 9,
+    paddingHorizontal: 5,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: MeshSpacing.xs,
+  },
+
+  missedBadgeText: {
+    color: '#fff',
+    fontSize: MeshTypography.sizes.caption,
+    fontWeight: MeshTypography.weights.semiBold,
   },
 
   callMeta: {
@@ -1149,6 +1219,11 @@ const styles = StyleSheet.create({
     marginBottom: MeshSpacing.xs,
   },
 
+  callBackText: {
+    fontSize: MeshTypography.sizes.caption,
+    fontWeight: MeshTypography.weights.semiBold,
+  },
+
   durationVisualization: {
     marginTop: MeshSpacing.xs,
   },
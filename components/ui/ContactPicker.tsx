@@ -0,0 +1,107 @@
+/**
+ * ContactPicker — Bottom sheet to pick one person from a contact list,
+ * searchable by name. Used for Top 5, emergency contacts and story
+ * audiences.
+ */
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal, TextInput, FlatList } from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import FontAwesome from '@expo/vector-icons/FontAwesome';
+import { NDEIP_COLORS } from '@/constants/Colors';
+
+function initialsOf(name: string): string {
+    return name.split(' ').map(n => n[0]).join('').slice(0, 2).toUpperCase();
+}
+
+export default function ContactPicker({ visible, title, contacts, excludeIds, onPick, onClose }: {
+    visible: boolean;
+    title: string;
+    contacts: any[];
+    excludeIds: string[];
+    onPick: (id: string) => void;
+    onClose: () => void;
+}) {
+    const [query, setQuery] = useState('');
+
+    useEffect(() => {
+        if (!visible) setQuery('');
+    }, [visible]);
+
+    const q = query.trim().toLowerCase();
+    const available = contacts.filter(c =>
+        !excludeIds.includes(c.id) && (!q || (c.display_name || '').toLowerCase().includes(q))
+    );
+
+    return (
+        <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+            <View style={styles.sheetBackdrop}>
+                <View style={styles.sheet}>
+                    <View style={styles.sheetHeader}>
+                        <Text style={styles.sheetTitle}>{title}</Text>
+                        <TouchableOpacity onPress={onClose}>
+                            <FontAwesome name="times" size={18} color={NDEIP_COLORS.gray[400]} />
+                        </TouchableOpacity>
+                    </View>
+                    <View style={styles.searchBox}>
+                        <FontAwesome name="search" size={14} color={NDEIP_COLORS.gray[500]} />
+                        <TextInput
+                            value={query}
+                            onChangeText={setQuery}
+                            placeholder="Search contacts"
+                            placeholderTextColor={NDEIP_COLORS.gray[500]}
+                            style={styles.searchInput}
+                            autoCorrect={false}
+                        />
+                    </View>
+                    <FlatList
+                        data={available}
+                        keyExtractor={c => c.id}
+                        keyboardShouldPersistTaps="handled"
+                        renderItem={({ item }) => (
+                            <TouchableOpacity style={styles.sheetRow} onPress={() => onPick(item.id)}>
+                                <LinearGradient colors={[NDEIP_COLORS.primaryTeal, NDEIP_COLORS.electricBlue]} style={styles.sheetAvatar}>
+                                    <Text style={styles.sheetAvatarText}>{initialsOf(item.display_name || '?')}</Text>
+                                </LinearGradient>
+                                <View style={{ flex: 1 }}>
+                                    <Text style={styles.sheetName}>{item.display_name}</Text>
+                                    {!!item.about && <Text style={styles.sheetAbout} numberOfLines={1}>{item.about}</Text>}
+                                </View>
+                                <FontAwesome name="plus-circle" size={20} color={NDEIP_COLORS.primaryTeal} />
+                            </TouchableOpacity>
+                        )}
+                        ListEmptyComponent={
+                            <Text style={styles.sheetEmpty}>{q ? 'No contacts match' : 'No one else to add'}</Text>
+                        }
+                    />
+                </View>
+            </View>
+        </Modal>
+    );
+}
+
+const styles = StyleSheet.create({
+    sheetBackdrop: { flex: 1, justifyContent: 'flex-end', backgroundColor: 'rgba(0,0,0,0.5)' },
+    sheet: {
+        maxHeight: '75%', minHeight: '50%',
+        backgroundColor: NDEIP_COLORS.gray[900],
+        borderTopLeftRadius: 20, borderTopRightRadius: 20,
+        paddingBottom: 24,
+    },
+    sheetHeader: {
+        flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between',
+        paddingHorizontal: 20, paddingVertical: 16,
+    },
+    sheetTitle: { color: '#fff', fontSize: 17, fontWeight: '600' },
+    searchBox: {
+        flexDirection: 'row', alignItems: 'center', gap: 8,
+        marginHorizontal: 20, marginBottom: 8, paddingHorizontal: 12,
+        borderRadius: 12, backgroundColor: 'rgba(255,255,255,0.06)',
+    },
+    searchInput: { flex: 1, color: '#fff', fontSize: 15, paddingVertical: 10 },
+    sheetRow: { flexDirection: 'row', alignItems: 'center', gap: 12, paddingHorizontal: 20, paddingVertical: 10 },
+    sheetAvatar: { width: 40, height: 40, borderRadius: 20, alignItems: 'center', justifyContent: 'center' },
+    sheetAvatarText: { color: '#fff', fontSize: 14, fontWeight: '600' },
+    sheetName: { color: '#fff', fontSize: 15 },
+    sheetAbout: { color: NDEIP_COLORS.gray[500], fontSize: 12, marginTop: 2 },
+    sheetEmpty: { color: NDEIP_COLORS.gray[500], fontSize: 14, textAlign: 'center', paddingVertical: 24 },
+});
@@ -5,7 +5,7 @@ import FontAwesome from '@expo/vector-icons/FontAwesome';
 import { NDEIP_COLORS } from '@/constants/Colors';
 import { Typography, Spacing, Radii, Glass } from '@/constants/ndeipBrandSystem';
 
-type EmptyStateVariant = 'chats' | 'calls' | 'stories' | 'messages' | 'search' | 'gallery';
+type EmptyStateVariant = 'chats' | 'calls' | 'recordings' | 'stories' | 'messages' | 'search' | 'gallery';
 
 interface EmptyStateProps {
     variant: EmptyStateVariant;
@@ -32,6 +32,12 @@ const VARIANTS: Record<EmptyStateVariant, {
         subtitle: 'Your calls will appear here.\nTap the phone button to start a call',
         gradientColors: ['#1B4D3E', '#0D7C5F'],
     },
+    recordings: {
+        icon: 'play-circle',
+        title: 'No recordings yet',
+        subtitle: 'Calls recorded with everyone\'s consent\nwill appear here',
+        gradientColors: ['#1B4D3E', '#0D7C5F'],
+    },
     stories: {
         icon: 'camera',
         title: 'No stories right now',
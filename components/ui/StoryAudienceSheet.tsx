@@ -0,0 +1,167 @@
+/**
+ * StoryAudienceSheet — Bottom sheet to choose who a new story segment is
+ * shared with before posting it. Close friends are edited in place and
+ * kept for next time; people picked for a custom audience are only for
+ * this story.
+ */
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal, ScrollView, ActivityIndicator, Alert } from 'react-native';
+import FontAwesome from '@expo/vector-icons/FontAwesome';
+import { NDEIP_COLORS } from '@/constants/Colors';
+import { ChatService } from '@/services/ChatService';
+import { StoryService, STORY_AUDIENCES, type StoryAudience } from '@/services/StoryService';
+import ContactPicker from '@/components/ui/ContactPicker';
+
+export default function StoryAudienceSheet({ visible, posting, onShare, onClose }: {
+    visible: boolean;
+    posting: boolean;
+    onShare: (audience: StoryAudience, viewers: string[]) => void;
+    onClose: () => void;
+}) {
+    const [audience, setAudience] = useState<StoryAudience>('contacts');
+    const [contacts, setContacts] = useState<any[]>([]);
+    const [closeFriends, setCloseFriends] = useState<any[]>([]);
+    const [viewers, setViewers] = useState<any[]>([]);
+    const [picking, setPicking] = useState(false);
+
+    useEffect(() => {
+        if (!visible) return;
+        ChatService.getAllUsers().then(setContacts);
+        StoryService.getCloseFriends().then(setCloseFriends);
+    }, [visible]);
+
+    const people = audience === 'close_friends' ? closeFriends : viewers;
+    const canShare = !posting && (audience === 'public' || audience === 'contacts' || people.length > 0);
+
+    const handlePick = async (id: string) => {
+        setPicking(false);
+        const person = contacts.find(c => c.id === id);
+        if (!person) return;
+        if (audience === 'custom') {
+            setViewers(current => [...current, person]);
+            return;
+        }
+        try {
+            await StoryService.addCloseFriend(id);
+            setCloseFriends(current => [...current, person]);
+        } catch (err: any) {
+            Alert.alert('Could not add', err?.message || 'Please try again');
+        }
+    };
+
+    const handleRemove = async (id: string) => {
+        if (audience === 'custom') {
+            setViewers(current => current.filter(p => p.id !== id));
+            return;
+        }
+        try {
+            await StoryService.removeCloseFriend(id);
+            setCloseFriends(current => current.filter(p => p.id !== id));
+        } catch (err: any) {
+            Alert.alert('Could not remove', err?.message || 'Please try again');
+        }
+    };
+
+    return (
+        <>
+            <Modal visible={visible && !picking} transparent animationType="slide" onRequestClose={onClose}>
+                <View style={styles.sheetBackdrop}>
+                    <View style={styles.sheet}>
+                        <View style={styles.sheetHeader}>
+                            <Text style={styles.sheetTitle}>Share story with</Text>
+                            <TouchableOpacity onPress={onClose} disabled={posting}>
+                                <FontAwesome name="times" size={18} color={NDEIP_COLORS.gray[400]} />
+                            </TouchableOpacity>
+                        </View>
+                        <ScrollView>
+                            {STORY_AUDIENCES.map(option => (
+                                <TouchableOpacity
+                                    key={option.value}
+                                    style={styles.optionRow}
+                                    onPress={() => setAudience(option.value)}
+                                    activeOpacity={0.7}
+                                >
+                                    <FontAwesome
+                                        name={audience === option.value ? 'dot-circle-o' : 'circle-o'}
+                                        size={20}
+                                        color={audience === option.value ? NDEIP_COLORS.primaryTeal : NDEIP_COLORS.gray[500]}
+                                    />
+                                    <View style={{ flex: 1 }}>
+                                        <Text style={styles.optionLabel}>{option.label}</Text>
+                                        <Text style={styles.optionDesc}>{option.description}</Text>
+                                    </View>
+                                </TouchableOpacity>
+                            ))}
+
+                            {(audience === 'close_friends' || audience === 'custom') && (
+                                <View style={styles.people}>
+                                    {people.map(person => (
+                                        <View key={person.id} style={styles.chip}>
+                                            <Text style={styles.chipText} numberOfLines={1}>{person.display_name}</Text>
+                                            <TouchableOpacity onPress={() => handleRemove(person.id)} hitSlop={8}>
+                                                <FontAwesome name="times" size={11} color={NDEIP_COLORS.gray[400]} />
+                                            </TouchableOpacity>
+                                        </View>
+                                    ))}
+                                    <TouchableOpacity style={[styles.chip, styles.addChip]} onPress={() => setPicking(true)}>
+                                        <FontAwesome name="plus" size={11} color={NDEIP_COLORS.primaryTeal} />
+                                        <Text style={[styles.chipText, { color: NDEIP_COLORS.primaryTeal }]}>Add</Text>
+                                    </TouchableOpacity>
+                                </View>
+                            )}
+                        </ScrollView>
+                        <TouchableOpacity
+                            style={[styles.shareBtn, !canShare && { opacity: 0.5 }]}
+                            onPress={() => onShare(audience, viewers.map(p => p.id))}
+                            disabled={!canShare}
+                        >
+                            {posting
+                                ? <ActivityIndicator color="#fff" />
+                                : <Text style={styles.shareText}>Share</Text>}
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </Modal>
+
+            <ContactPicker
+                visible={visible && picking}
+                title={audience === 'custom' ? 'Share with' : 'Add close friend'}
+                contacts={contacts}
+                excludeIds={people.map(p => p.id)}
+                onPick={handlePick}
+                onClose={() => setPicking(false)}
+            />
+        </>
+    );
+}
+
+const styles = StyleSheet.create({
+    sheetBackdrop: { flex: 1, justifyContent: 'flex-end', backgroundColor: 'rgba(0,0,0,0.5)' },
+    sheet: {
+        maxHeight: '75%',
+        backgroundColor: NDEIP_COLORS.gray[900],
+        borderTopLeftRadius: 20, borderTopRightRadius: 20,
+        paddingBottom: 24,
+    },
+    sheetHeader: {
+        flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between',
+        paddingHorizontal: 20, paddingVertical: 16,
+    },
+    sheetTitle: { color: '#fff', fontSize: 17, fontWeight: '600' },
+    optionRow: { flexDirection: 'row', alignItems: 'center', gap: 14, paddingHorizontal: 20, paddingVertical: 12 },
+    optionLabel: { color: '#fff', fontSize: 15 },
+    optionDesc: { color: NDEIP_COLORS.gray[500], fontSize: 12, marginTop: 2 },
+    people: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, paddingHorizontal: 20, paddingTop: 4, paddingBottom: 12 },
+    chip: {
+        flexDirection: 'row', alignItems: 'center', gap: 6, maxWidth: 160,
+        paddingHorizontal: 12, paddingVertical: 6, borderRadius: 16,
+        backgroundColor: 'rgba(255,255,255,0.08)',
+    },
+    addChip: { backgroundColor: 'rgba(27,77,62,0.25)' },
+    chipText: { color: '#fff', fontSize: 13 },
+    shareBtn: {
+        marginHorizontal: 20, marginTop: 12, paddingVertical: 14, borderRadius: 14,
+        alignItems: 'center', backgroundColor: NDEIP_COLORS.primaryTeal,
+    },
+    shareText: { color: '#fff', fontSize: 16, fontWeight: '600' },
+});
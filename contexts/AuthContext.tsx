@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
 import { supabase } from '@/lib/supabase';
+import { EncryptionService } from '@/services/EncryptionService';
 import type { Session, User as SupabaseUser } from '@supabase/supabase-js';
 
 // ─── Types ────────────────────────────────────────────────────
@@ -14,7 +15,11 @@ export interface User {
     dnd_mode: 'available' | 'be_quiet' | 'get_busy' | 'do_not_disturb';
     quiet_hours_start: string | null;
     quiet_hours_end: string | null;
+    // IANA zone quiet hours are read in, kept in step with the device
+    timezone: string | null;
     top3_contacts: string[];
+    read_receipts: boolean;
+    low_data_calls: boolean;
     is_online: boolean;
     created_at: string;
 }
@@ -42,17 +47,24 @@ const DEFAULT_PROFILE: Omit<User, 'id' | 'email' | 'created_at'> = {
     dnd_mode: 'available',
     quiet_hours_start: '22:00',
     quiet_hours_end: '07:00',
+    timezone: null,
     top3_contacts: [],
+    read_receipts: true,
+    low_data_calls: false,
     is_online: false,
 };
 
 // ─── Fetch profile from Supabase ──────────────────────────────
+// The phone column isn't readable through the table, not even our own
 async function fetchProfile(userId: string): Promise<User | null> {
-    const { data, error } = await supabase
-        .from('profiles')
-        .select('*')
-        .eq('id', userId)
-        .single();
+    const [{ data, error }, { data: phone }] = await Promise.all([
+        supabase
+            .from('profiles')
+            .select('id, email, display_name, avatar_url, about, links, dnd_mode, quiet_hours_start, quiet_hours_end, timezone, top3_contacts, read_receipts, low_data_calls, is_online, created_at')
+            .eq('id', userId)
+            .single(),
+        supabase.rpc('get_own_phone'),
+    ]);
 
     if (error || !data) {
         console.warn('Failed to fetch profile:', error?.message);
@@ -65,12 +77,15 @@ async function fetchProfile(userId: string): Promise<User | null> {
         display_name: data.display_name,
         avatar_url: data.avatar_url,
         about: data.about || 'Hey there! I am using ndeip.',
-        phone: data.phone || '',
+        phone: phone || '',
         links: data.links || [],
         dnd_mode: data.dnd_mode || 'available',
         quiet_hours_start: data.quiet_hours_start,
         quiet_hours_end: data.quiet_hours_end,
+        timezone: data.timezone ?? null,
         top3_contacts: data.top3_contacts || [],
+        read_receipts: data.read_receipts ?? true,
+        low_data_calls: data.low_data_calls ?? false,
         is_online: data.is_online || false,
         created_at: data.created_at,
     };
@@ -150,6 +165,10 @@ export function AuthProvider({ children }: { children: ReactNode }) {
             // Mark offline before signing out
             await supabase.from('profiles').update({ is_online: false, last_seen: new Date().toISOString() }).eq('id', user.id);
         }
+        // The next account on this device must not inherit our keys or history
+        await EncryptionService.signOut().catch((err) => {
+            console.error('Failed to clear encryption keys:', err?.message || err);
+        });
         await supabase.auth.signOut();
         setUser(null);
         setSession(null);
@@ -215,3 +215,2582 @@ CREATE INDEX IF NOT EXISTS idx_call_signals_callee ON call_signals(callee_id, cr
 ALTER PUBLICATION supabase_realtime ADD TABLE messages;
 ALTER PUBLICATION supabase_realtime ADD TABLE call_signals;
 ALTER PUBLICATION supabase_realtime ADD TABLE profiles;
+
+-- ─── 10. Message Editing ────────────────────────────────────
+-- Senders may edit their own text messages for 15 minutes.
+-- Every edit keeps the previous text in message_edits.
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS edit_count INTEGER DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS message_edits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    previous_text TEXT,
+    edited_by UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    edited_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE OR REPLACE FUNCTION log_message_edit()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.text IS DISTINCT FROM OLD.text
+        OR NEW.ciphertext IS DISTINCT FROM OLD.ciphertext THEN
+        IF OLD.type <> 'text' THEN
+            RAISE EXCEPTION 'Only text messages can be edited';
+        END IF;
+        IF NOW() - OLD.created_at > INTERVAL '15 minutes' THEN
+            RAISE EXCEPTION 'Edit window has expired';
+        END IF;
+
+        -- Encrypted history only exists on the members' devices
+        IF NOT COALESCE(OLD.encrypted, FALSE) THEN
+            INSERT INTO message_edits (message_id, previous_text, edited_by)
+            VALUES (OLD.id, OLD.text, auth.uid());
+        END IF;
+
+        NEW.edited_at := NOW();
+        NEW.edit_count := COALESCE(OLD.edit_count, 0) + 1;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_message_edited ON messages;
+CREATE TRIGGER on_message_edited
+    BEFORE UPDATE ON messages
+    FOR EACH ROW EXECUTE FUNCTION log_message_edit();
+
+-- Senders may only change the content. created_at, type and the rest
+-- stay as inserted so the edit window cannot be reopened. Editable
+-- columns added to messages later must be granted where they are added.
+REVOKE UPDATE ON messages FROM anon, authenticated;
+GRANT UPDATE (text) ON messages TO authenticated;
+
+ALTER TABLE message_edits ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can view message edits"
+    ON message_edits FOR SELECT
+    USING (
+        message_id IN (
+            SELECT m.id FROM messages m
+            JOIN conversation_members cm ON cm.conversation_id = m.conversation_id
+            WHERE cm.user_id = auth.uid()
+        )
+    );
+
+CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits(message_id, edited_at DESC);
+
+-- ─── 11. Scheduled Messages ─────────────────────────────────
+-- Messages queued by the sender and posted by dispatch_scheduled_messages(),
+-- which pg_cron runs every minute.
+CREATE TABLE IF NOT EXISTS scheduled_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    sender_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    text TEXT NOT NULL,
+    send_at TIMESTAMPTZ NOT NULL,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'cancelled', 'failed')),
+    message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Marks messages the server posted from the queue. They were stored in
+-- the clear, so clients label them as not end-to-end encrypted.
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS from_schedule BOOLEAN DEFAULT FALSE;
+
+ALTER TABLE scheduled_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Senders can view own scheduled messages"
+    ON scheduled_messages FOR SELECT
+    USING (auth.uid() = sender_id);
+
+CREATE POLICY "Members can schedule messages"
+    ON scheduled_messages FOR INSERT
+    WITH CHECK (
+        auth.uid() = sender_id
+        AND status = 'pending'
+        AND conversation_id IN (
+            SELECT conversation_id FROM conversation_members
+            WHERE user_id = auth.uid()
+        )
+    );
+
+-- Only pending messages can be edited or cancelled
+CREATE POLICY "Senders can update pending scheduled messages"
+    ON scheduled_messages FOR UPDATE
+    USING (auth.uid() = sender_id AND status = 'pending')
+    WITH CHECK (auth.uid() = sender_id AND status IN ('pending', 'cancelled'));
+
+CREATE OR REPLACE FUNCTION dispatch_scheduled_messages()
+RETURNS INTEGER AS $$
+DECLARE
+    due RECORD;
+    new_message_id UUID;
+    sent_count INTEGER := 0;
+BEGIN
+    FOR due IN
+        SELECT * FROM scheduled_messages
+        WHERE status = 'pending' AND send_at <= NOW()
+        ORDER BY send_at
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        -- The sender may have left the conversation since scheduling
+        IF NOT EXISTS (
+            SELECT 1 FROM conversation_members
+            WHERE conversation_id = due.conversation_id AND user_id = due.sender_id
+        ) THEN
+            UPDATE scheduled_messages SET status = 'failed', updated_at = NOW() WHERE id = due.id;
+            CONTINUE;
+        END IF;
+
+        INSERT INTO messages (conversation_id, sender_id, text, type, status, from_schedule)
+        VALUES (due.conversation_id, due.sender_id, due.text, 'text', 'sent', TRUE)
+        RETURNING id INTO new_message_id;
+
+        UPDATE conversations SET updated_at = NOW() WHERE id = due.conversation_id;
+
+        UPDATE scheduled_messages
+        SET status = 'sent', message_id = new_message_id, updated_at = NOW()
+        WHERE id = due.id;
+
+        sent_count := sent_count + 1;
+    END LOOP;
+
+    RETURN sent_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+SELECT cron.schedule('dispatch-scheduled-messages', '* * * * *', 'SELECT dispatch_scheduled_messages()');
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due ON scheduled_messages(send_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_sender ON scheduled_messages(sender_id, conversation_id);
+
+-- ─── 12. End-to-End Encryption ──────────────────────────────
+-- Each device publishes an X25519 identity key, an Ed25519 signing key,
+-- a signed prekey and a pool of one-time prekeys (X3DH). Private keys
+-- never leave the device. Encrypted messages store one envelope per
+-- recipient device in messages.ciphertext and leave messages.text NULL.
+CREATE TABLE IF NOT EXISTS device_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    device_id TEXT NOT NULL,
+    identity_key TEXT NOT NULL,
+    signing_key TEXT NOT NULL,
+    signed_prekey_id INTEGER NOT NULL,
+    signed_prekey TEXT NOT NULL,
+    signed_prekey_signature TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, device_id)
+);
+
+CREATE TABLE IF NOT EXISTS one_time_prekeys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    device_id TEXT NOT NULL,
+    key_id INTEGER NOT NULL,
+    public_key TEXT NOT NULL,
+    claimed_at TIMESTAMPTZ,
+    UNIQUE(user_id, device_id, key_id)
+);
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS encrypted BOOLEAN DEFAULT FALSE;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS ciphertext JSONB;
+GRANT UPDATE (ciphertext) ON messages TO authenticated;
+
+ALTER TABLE device_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE one_time_prekeys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view device keys"
+    ON device_keys FOR SELECT
+    USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Users can publish own device keys"
+    ON device_keys FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own device keys"
+    ON device_keys FOR UPDATE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can remove own device keys"
+    ON device_keys FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- One-time prekeys are handed out only through claim_prekey_bundles()
+CREATE POLICY "Users can view own one-time prekeys"
+    ON one_time_prekeys FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can upload own one-time prekeys"
+    ON one_time_prekeys FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can remove own one-time prekeys"
+    ON one_time_prekeys FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Returns one prekey bundle per device of target_user (or only
+-- target_device), atomically claiming a one-time prekey for each so
+-- it is never handed out twice.
+CREATE OR REPLACE FUNCTION claim_prekey_bundles(target_user UUID, target_device TEXT DEFAULT NULL)
+RETURNS TABLE (
+    device_id TEXT,
+    identity_key TEXT,
+    signing_key TEXT,
+    signed_prekey_id INTEGER,
+    signed_prekey TEXT,
+    signed_prekey_signature TEXT,
+    one_time_prekey_id INTEGER,
+    one_time_prekey TEXT
+) AS $$
+#variable_conflict use_column
+DECLARE
+    dk RECORD;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    FOR dk IN
+        SELECT * FROM device_keys
+        WHERE user_id = target_user
+          AND (target_device IS NULL OR device_id = target_device)
+    LOOP
+        device_id := dk.device_id;
+        identity_key := dk.identity_key;
+        signing_key := dk.signing_key;
+        signed_prekey_id := dk.signed_prekey_id;
+        signed_prekey := dk.signed_prekey;
+        signed_prekey_signature := dk.signed_prekey_signature;
+        one_time_prekey_id := NULL;
+        one_time_prekey := NULL;
+
+        UPDATE one_time_prekeys
+        SET claimed_at = NOW()
+        WHERE id = (
+            SELECT id FROM one_time_prekeys
+            WHERE user_id = target_user
+              AND device_id = dk.device_id
+              AND claimed_at IS NULL
+            ORDER BY key_id
+            LIMIT 1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING key_id, public_key INTO one_time_prekey_id, one_time_prekey;
+
+        RETURN NEXT;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE INDEX IF NOT EXISTS idx_device_keys_user ON device_keys(user_id);
+CREATE INDEX IF NOT EXISTS idx_one_time_prekeys_unclaimed
+    ON one_time_prekeys(user_id, device_id, key_id) WHERE claimed_at IS NULL;
+
+-- ─── 13. Group Roles ────────────────────────────────────────
+-- Group members are 'admin' or 'member'. Only admins may add, remove or
+-- promote members; anyone may leave. Membership changes are announced
+-- in the group as system messages by log_membership_change().
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES profiles(id) ON DELETE SET NULL DEFAULT auth.uid();
+ALTER TABLE conversation_members ADD COLUMN IF NOT EXISTS role TEXT DEFAULT 'member' CHECK (role IN ('admin', 'member'));
+ALTER TABLE conversation_members ADD COLUMN IF NOT EXISTS added_by UUID REFERENCES profiles(id) ON DELETE SET NULL DEFAULT auth.uid();
+
+-- SECURITY DEFINER so policies on conversation_members can call it
+-- without recursing into their own RLS checks.
+CREATE OR REPLACE FUNCTION is_conversation_admin(conv_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM conversation_members
+        WHERE conversation_id = conv_id
+          AND user_id = auth.uid()
+          AND role = 'admin'
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION is_conversation_member(conv_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM conversation_members
+        WHERE conversation_id = conv_id AND user_id = auth.uid()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION conversation_has_members(conv_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (SELECT 1 FROM conversation_members WHERE conversation_id = conv_id);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION is_group_conversation(conv_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE((SELECT is_group FROM conversations WHERE id = conv_id), FALSE);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- The creator must be able to read the row they just inserted
+DROP POLICY IF EXISTS "Members can view conversations" ON conversations;
+CREATE POLICY "Members can view conversations"
+    ON conversations FOR SELECT
+    USING (
+        created_by = auth.uid()
+        OR id IN (
+            SELECT conversation_id FROM conversation_members
+            WHERE user_id = auth.uid()
+        )
+    );
+
+-- The original self-referencing policy recurses under RLS
+DROP POLICY IF EXISTS "Members can view memberships" ON conversation_members;
+CREATE POLICY "Members can view memberships"
+    ON conversation_members FOR SELECT
+    USING (is_conversation_member(conversation_id));
+
+CREATE POLICY "Admins can update groups"
+    ON conversations FOR UPDATE
+    USING (is_group AND is_conversation_admin(id))
+    WITH CHECK (is_group AND is_conversation_admin(id));
+
+-- 1:1 chats are only created by find_or_create_direct_conversation(),
+-- so nobody can add themselves or others to a direct chat from here
+DROP POLICY IF EXISTS "Authenticated users can join conversations" ON conversation_members;
+CREATE POLICY "Members can be added to conversations"
+    ON conversation_members FOR INSERT
+    WITH CHECK (
+        auth.uid() IS NOT NULL
+        AND is_group_conversation(conversation_id)
+        AND (
+            -- Admins add plain members
+            (is_conversation_admin(conversation_id) AND role = 'member')
+            -- The creator joins their new group as its first admin
+            OR (
+                user_id = auth.uid()
+                AND conversation_id IN (
+                    SELECT id FROM conversations WHERE created_by = auth.uid()
+                )
+                AND NOT conversation_has_members(conversation_id)
+            )
+        )
+    );
+
+CREATE POLICY "Members can update own membership"
+    ON conversation_members FOR UPDATE
+    USING (user_id = auth.uid())
+    WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Admins can update group memberships"
+    ON conversation_members FOR UPDATE
+    USING (is_conversation_admin(conversation_id))
+    WITH CHECK (is_conversation_admin(conversation_id));
+
+CREATE POLICY "Members can leave and admins can remove"
+    ON conversation_members FOR DELETE
+    USING (user_id = auth.uid() OR is_conversation_admin(conversation_id));
+
+-- Row-level policies cannot compare OLD and NEW, so updates are checked
+-- here: a membership never moves to another conversation or user,
+-- members may only update their own mute/pin/star/read state and only
+-- admins may change anyone's role.
+CREATE OR REPLACE FUNCTION guard_member_update()
+RETURNS TRIGGER AS $$
+DECLARE
+    settings TEXT[] := ARRAY['muted', 'pinned', 'starred', 'last_read_at', 'last_delivered_at'];
+BEGIN
+    IF NEW.conversation_id IS DISTINCT FROM OLD.conversation_id
+        OR NEW.user_id IS DISTINCT FROM OLD.user_id THEN
+        RAISE EXCEPTION 'Memberships cannot be moved';
+    END IF;
+
+    -- pg_trigger_depth() > 1 lets log_membership_change() hand over admin
+    IF NEW.role IS DISTINCT FROM OLD.role
+        AND pg_trigger_depth() = 1
+        AND NOT is_conversation_admin(OLD.conversation_id) THEN
+        RAISE EXCEPTION 'Only group admins can change roles';
+    END IF;
+
+    IF (to_jsonb(NEW) - settings - 'role') IS DISTINCT FROM (to_jsonb(OLD) - settings - 'role') THEN
+        RAISE EXCEPTION 'Only mute, pin, star and read state can be changed';
+    END IF;
+
+    -- Admins may change other people's role, never their settings
+    IF OLD.user_id <> auth.uid()
+        AND (to_jsonb(NEW) - 'role') IS DISTINCT FROM (to_jsonb(OLD) - 'role') THEN
+        RAISE EXCEPTION 'Members can only change their own settings';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS on_member_role_change ON conversation_members;
+DROP TRIGGER IF EXISTS on_member_update ON conversation_members;
+CREATE TRIGGER on_member_update
+    BEFORE UPDATE ON conversation_members
+    FOR EACH ROW EXECUTE FUNCTION guard_member_update();
+
+-- A 1:1 chat never has more than its two participants
+CREATE OR REPLACE FUNCTION cap_direct_conversation_members()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Lock the conversation so concurrent inserts are counted in turn
+    PERFORM 1 FROM conversations
+    WHERE id = NEW.conversation_id AND NOT is_group
+    FOR UPDATE;
+
+    IF FOUND AND (
+        SELECT COUNT(*) FROM conversation_members WHERE conversation_id = NEW.conversation_id
+    ) >= 2 THEN
+        RAISE EXCEPTION 'A direct chat has exactly two members';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_direct_member_added ON conversation_members;
+CREATE TRIGGER on_direct_member_added
+    BEFORE INSERT ON conversation_members
+    FOR EACH ROW EXECUTE FUNCTION cap_direct_conversation_members();
+
+-- Returns the caller's 1:1 chat with another user, creating it and both
+-- memberships when there is none yet
+CREATE OR REPLACE FUNCTION find_or_create_direct_conversation(p_other UUID)
+RETURNS UUID AS $$
+DECLARE
+    me UUID := auth.uid();
+    conv_id UUID;
+BEGIN
+    IF me IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    ELSIF p_other IS NULL OR p_other = me OR NOT EXISTS (SELECT 1 FROM profiles WHERE id = p_other) THEN
+        RAISE EXCEPTION 'A direct chat needs another user';
+    END IF;
+
+    -- Two people opening the chat at once must end up in the same one
+    PERFORM pg_advisory_xact_lock(hashtext(LEAST(me, p_other)::TEXT || GREATEST(me, p_other)::TEXT));
+
+    SELECT c.id INTO conv_id
+    FROM conversations c
+    JOIN conversation_members a ON a.conversation_id = c.id AND a.user_id = me
+    JOIN conversation_members b ON b.conversation_id = c.id AND b.user_id = p_other
+    WHERE NOT c.is_group
+    ORDER BY c.created_at
+    LIMIT 1;
+
+    IF conv_id IS NULL THEN
+        INSERT INTO conversations (is_group, created_by)
+        VALUES (FALSE, me)
+        RETURNING id INTO conv_id;
+
+        INSERT INTO conversation_members (conversation_id, user_id, added_by)
+        VALUES (conv_id, me, me), (conv_id, p_other, me);
+    END IF;
+    RETURN conv_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION log_membership_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    conv RECORD;
+    member_row conversation_members%ROWTYPE;
+    actor UUID := auth.uid();
+    actor_name TEXT;
+    member_name TEXT;
+    notice TEXT;
+BEGIN
+    IF TG_OP = 'DELETE' THEN member_row := OLD; ELSE member_row := NEW; END IF;
+
+    -- Nothing to announce for 1:1 chats or when the group itself is deleted
+    SELECT * INTO conv FROM conversations WHERE id = member_row.conversation_id;
+    IF NOT FOUND OR NOT conv.is_group THEN
+        RETURN NULL;
+    END IF;
+
+    actor := COALESCE(actor, member_row.user_id);
+    SELECT display_name INTO actor_name FROM profiles WHERE id = actor;
+    SELECT display_name INTO member_name FROM profiles WHERE id = member_row.user_id;
+
+    IF TG_OP = 'INSERT' THEN
+        IF member_row.user_id = actor AND conv.created_by = actor THEN
+            notice := format('%s created group "%s"', actor_name, COALESCE(conv.group_name, 'Group'));
+        ELSIF member_row.user_id = actor THEN
+            notice := format('%s joined', member_name);
+        ELSE
+            notice := format('%s added %s', actor_name, member_name);
+        END IF;
+    ELSIF TG_OP = 'DELETE' THEN
+        IF member_row.user_id = actor THEN
+            notice := format('%s left', member_name);
+        ELSE
+            notice := format('%s removed %s', actor_name, member_name);
+        END IF;
+
+        -- A group is never left without an admin
+        IF OLD.role = 'admin' AND NOT EXISTS (
+            SELECT 1 FROM conversation_members
+            WHERE conversation_id = OLD.conversation_id AND role = 'admin'
+        ) THEN
+            UPDATE conversation_members SET role = 'admin'
+            WHERE id = (
+                SELECT id FROM conversation_members
+                WHERE conversation_id = OLD.conversation_id
+                ORDER BY joined_at ASC
+                LIMIT 1
+            );
+        END IF;
+    ELSIF NEW.role IS DISTINCT FROM OLD.role THEN
+        IF NEW.role = 'admin' AND pg_trigger_depth() > 1 THEN
+            notice := format('%s is now an admin', member_name);
+        ELSIF NEW.role = 'admin' THEN
+            notice := format('%s made %s an admin', actor_name, member_name);
+        ELSE
+            notice := format('%s is no longer an admin', member_name);
+        END IF;
+    ELSE
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO messages (conversation_id, sender_id, text, type)
+    VALUES (member_row.conversation_id, actor, notice, 'system');
+
+    UPDATE conversations SET updated_at = NOW() WHERE id = member_row.conversation_id;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_membership_changed ON conversation_members;
+CREATE TRIGGER on_membership_changed
+    AFTER INSERT OR DELETE OR UPDATE OF role ON conversation_members
+    FOR EACH ROW EXECUTE FUNCTION log_membership_change();
+
+CREATE INDEX IF NOT EXISTS idx_conversation_members_admins ON conversation_members(conversation_id) WHERE role = 'admin';
+
+-- ─── 14. Replies & Forwarding ───────────────────────────────
+-- reply_to quotes a message in the same conversation. Forwarded copies
+-- point at their source and count how many hops the content has made,
+-- so clients can label frequently forwarded messages.
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS forwarded_from UUID REFERENCES messages(id) ON DELETE SET NULL;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS forward_count INTEGER DEFAULT 0;
+
+-- Deleting a quoted message must not fail because replies reference it
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_reply_to_fkey;
+ALTER TABLE messages ADD CONSTRAINT messages_reply_to_fkey
+    FOREIGN KEY (reply_to) REFERENCES messages(id) ON DELETE SET NULL;
+
+CREATE OR REPLACE FUNCTION prepare_message_links()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.reply_to IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM messages
+        WHERE id = NEW.reply_to AND conversation_id = NEW.conversation_id
+    ) THEN
+        RAISE EXCEPTION 'Replies must quote a message in the same conversation';
+    END IF;
+
+    -- The counter is derived here so clients cannot reset it. Only
+    -- messages the sender can see may be forwarded.
+    IF NEW.forwarded_from IS NOT NULL THEN
+        SELECT COALESCE(src.forward_count, 0) + 1 INTO NEW.forward_count
+        FROM messages src
+        JOIN conversation_members cm
+          ON cm.conversation_id = src.conversation_id AND cm.user_id = NEW.sender_id
+        WHERE src.id = NEW.forwarded_from;
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Forwarded message not found';
+        END IF;
+    ELSE
+        NEW.forward_count := 0;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_message_links ON messages;
+CREATE TRIGGER on_message_links
+    BEFORE INSERT ON messages
+    FOR EACH ROW EXECUTE FUNCTION prepare_message_links();
+
+-- Links are fixed once sent. Only the ON DELETE SET NULL of the foreign
+-- keys may clear them, when the quoted or forwarded message is deleted.
+CREATE OR REPLACE FUNCTION keep_message_links()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.reply_to IS NOT NULL THEN
+        NEW.reply_to := OLD.reply_to;
+    END IF;
+    IF NEW.forwarded_from IS NOT NULL THEN
+        NEW.forwarded_from := OLD.forwarded_from;
+    END IF;
+    NEW.forward_count := OLD.forward_count;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS on_message_links_update ON messages;
+CREATE TRIGGER on_message_links_update
+    BEFORE UPDATE ON messages
+    FOR EACH ROW EXECUTE FUNCTION keep_message_links();
+
+CREATE INDEX IF NOT EXISTS idx_messages_reply_to ON messages(reply_to) WHERE reply_to IS NOT NULL;
+
+-- ─── 15. Message Reactions ──────────────────────────────────
+-- One reaction per user per message; reacting again replaces the emoji.
+-- conversation_id is copied from the message so realtime subscribers
+-- can filter by conversation.
+CREATE TABLE IF NOT EXISTS message_reactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE DEFAULT auth.uid(),
+    emoji TEXT NOT NULL CHECK (char_length(emoji) BETWEEN 1 AND 16),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(message_id, user_id)
+);
+
+CREATE OR REPLACE FUNCTION set_reaction_conversation()
+RETURNS TRIGGER AS $$
+BEGIN
+    SELECT conversation_id INTO NEW.conversation_id FROM messages WHERE id = NEW.message_id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS on_reaction_write ON message_reactions;
+CREATE TRIGGER on_reaction_write
+    BEFORE INSERT OR UPDATE OF message_id ON message_reactions
+    FOR EACH ROW EXECUTE FUNCTION set_reaction_conversation();
+
+ALTER TABLE message_reactions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can view reactions"
+    ON message_reactions FOR SELECT
+    USING (is_conversation_member(conversation_id));
+
+CREATE POLICY "Members can react"
+    ON message_reactions FOR INSERT
+    WITH CHECK (auth.uid() = user_id AND is_conversation_member(conversation_id));
+
+CREATE POLICY "Users can change own reaction"
+    ON message_reactions FOR UPDATE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can remove own reaction"
+    ON message_reactions FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- DELETE events only carry the old row with REPLICA IDENTITY FULL
+ALTER TABLE message_reactions REPLICA IDENTITY FULL;
+ALTER PUBLICATION supabase_realtime ADD TABLE message_reactions;
+
+CREATE INDEX IF NOT EXISTS idx_message_reactions_message ON message_reactions(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_reactions_conv ON message_reactions(conversation_id);
+
+-- ─── 16. Message Receipts ───────────────────────────────────
+-- Per-recipient delivery and read state. Clients never write receipts
+-- directly: they advance conversation_members.last_delivered_at /
+-- last_read_at and apply_read_position() records receipts for every
+-- message in between, then rolls the counts up onto the message so the
+-- sender sees one aggregate status. Users with read receipts off only
+-- report delivery, and cannot see when others read their messages.
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS read_receipts BOOLEAN DEFAULT TRUE;
+ALTER TABLE conversation_members ADD COLUMN IF NOT EXISTS last_delivered_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS delivered_count INTEGER DEFAULT 0;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS read_count INTEGER DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS message_receipts (
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    delivered_at TIMESTAMPTZ,
+    read_at TIMESTAMPTZ,
+    PRIMARY KEY (message_id, user_id)
+);
+
+ALTER TABLE message_receipts ENABLE ROW LEVEL SECURITY;
+
+-- Senders read receipts through get_message_receipts(); users see their own
+CREATE POLICY "Users can view own receipts"
+    ON message_receipts FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Aggregates the receipts of the given messages onto them. Read counts
+-- are only kept for senders who share read receipts themselves, so a
+-- sender with them off sees no more than delivery in any message column.
+CREATE OR REPLACE FUNCTION roll_up_receipts(target_messages UUID[])
+RETURNS VOID AS $$
+    UPDATE messages m
+    SET delivered_count = counts.delivered,
+        read_count = counts.read,
+        status = counts.status
+    FROM (
+        SELECT src.id, c.delivered, c.read,
+               CASE
+                   WHEN c.recipients > 0 AND c.read >= c.recipients THEN 'read'
+                   WHEN c.recipients > 0 AND c.delivered >= c.recipients THEN 'delivered'
+                   ELSE 'sent'
+               END AS status
+        FROM messages src
+        JOIN profiles p ON p.id = src.sender_id
+        CROSS JOIN LATERAL (
+            SELECT COUNT(r.delivered_at)::INTEGER AS delivered,
+                   CASE WHEN COALESCE(p.read_receipts, TRUE) THEN COUNT(r.read_at)::INTEGER ELSE 0 END AS read,
+                   (SELECT COUNT(*) - 1 FROM conversation_members cm
+                    WHERE cm.conversation_id = src.conversation_id) AS recipients
+            FROM message_receipts r
+            WHERE r.message_id = src.id
+        ) c
+        WHERE src.id = ANY(target_messages)
+    ) counts
+    WHERE m.id = counts.id
+      AND (m.delivered_count, m.read_count, m.status)
+          IS DISTINCT FROM (counts.delivered, counts.read, counts.status);
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION apply_read_position()
+RETURNS TRIGGER AS $$
+DECLARE
+    shares_reads BOOLEAN;
+    delivered_from TIMESTAMPTZ;
+    read_from TIMESTAMPTZ;
+    read_to TIMESTAMPTZ;
+    changed UUID[];
+BEGIN
+    SELECT COALESCE(read_receipts, TRUE) INTO shares_reads FROM profiles WHERE id = NEW.user_id;
+
+    -- Reading a message implies it was delivered
+    IF NEW.last_read_at > COALESCE(NEW.last_delivered_at, '-infinity') THEN
+        NEW.last_delivered_at := NEW.last_read_at;
+    END IF;
+
+    -- Only messages between the old and new positions are acknowledged
+    delivered_from := COALESCE(OLD.last_delivered_at, '-infinity');
+    read_from := COALESCE(OLD.last_read_at, '-infinity');
+    read_to := CASE WHEN shares_reads THEN NEW.last_read_at END;
+    IF COALESCE(NEW.last_delivered_at <= delivered_from, TRUE)
+       AND COALESCE(read_to <= read_from, TRUE) THEN
+        RETURN NEW;
+    END IF;
+
+    WITH acked AS (
+        INSERT INTO message_receipts (message_id, user_id, conversation_id, delivered_at, read_at)
+        SELECT m.id, NEW.user_id, m.conversation_id, NOW(),
+               CASE WHEN m.created_at > read_from AND m.created_at <= read_to THEN NOW() END
+        FROM messages m
+        WHERE m.conversation_id = NEW.conversation_id
+          AND m.sender_id <> NEW.user_id
+          AND m.type <> 'system'
+          AND ((m.created_at > delivered_from AND m.created_at <= NEW.last_delivered_at)
+               OR (m.created_at > read_from AND m.created_at <= read_to))
+        ON CONFLICT (message_id, user_id) DO UPDATE
+            SET delivered_at = COALESCE(message_receipts.delivered_at, EXCLUDED.delivered_at),
+                read_at = COALESCE(message_receipts.read_at, EXCLUDED.read_at)
+            WHERE message_receipts.delivered_at IS NULL
+               OR (message_receipts.read_at IS NULL AND EXCLUDED.read_at IS NOT NULL)
+        RETURNING message_id
+    )
+    SELECT array_agg(message_id) INTO changed FROM acked;
+
+    IF changed IS NOT NULL THEN
+        PERFORM roll_up_receipts(changed);
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_read_position_changed ON conversation_members;
+CREATE TRIGGER on_read_position_changed
+    BEFORE UPDATE OF last_read_at, last_delivered_at ON conversation_members
+    FOR EACH ROW EXECUTE FUNCTION apply_read_position();
+
+-- Turning read receipts off hides reads on messages already sent, and
+-- turning them back on shows them again
+CREATE OR REPLACE FUNCTION apply_read_receipts_setting()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM roll_up_receipts(ARRAY(
+        SELECT DISTINCT r.message_id
+        FROM message_receipts r
+        JOIN messages m ON m.id = r.message_id
+        WHERE m.sender_id = NEW.id AND r.read_at IS NOT NULL
+    ));
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_read_receipts_changed ON profiles;
+CREATE TRIGGER on_read_receipts_changed
+    AFTER UPDATE OF read_receipts ON profiles
+    FOR EACH ROW
+    WHEN (OLD.read_receipts IS DISTINCT FROM NEW.read_receipts)
+    EXECUTE FUNCTION apply_read_receipts_setting();
+
+-- Receipt breakdown for the message-info screen, visible to the sender
+-- only. Read times are hidden when the viewer has read receipts off.
+CREATE OR REPLACE FUNCTION get_message_receipts(target_message UUID)
+RETURNS TABLE (
+    user_id UUID,
+    display_name TEXT,
+    avatar_url TEXT,
+    delivered_at TIMESTAMPTZ,
+    read_at TIMESTAMPTZ
+) AS $$
+#variable_conflict use_column
+DECLARE
+    viewer_shares_reads BOOLEAN;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM messages WHERE id = target_message AND sender_id = auth.uid()) THEN
+        RETURN;
+    END IF;
+
+    SELECT COALESCE(read_receipts, TRUE) INTO viewer_shares_reads FROM profiles WHERE id = auth.uid();
+
+    RETURN QUERY
+    SELECT cm.user_id, p.display_name, p.avatar_url, r.delivered_at,
+           CASE WHEN viewer_shares_reads THEN r.read_at END
+    FROM messages m
+    JOIN conversation_members cm ON cm.conversation_id = m.conversation_id AND cm.user_id <> m.sender_id
+    JOIN profiles p ON p.id = cm.user_id
+    LEFT JOIN message_receipts r ON r.message_id = m.id AND r.user_id = cm.user_id
+    WHERE m.id = target_message
+    ORDER BY r.read_at DESC NULLS LAST, r.delivered_at DESC NULLS LAST, p.display_name;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+CREATE INDEX IF NOT EXISTS idx_message_receipts_conv ON message_receipts(conversation_id, user_id);
+
+-- ─── 17. Message Search ─────────────────────────────────────
+-- Full-text index over plaintext message bodies. Encrypted messages
+-- have no server-side text, so clients search those in their local
+-- plaintext cache instead. The 'simple' config avoids stemming for a
+-- single language, which suits mixed-language chats.
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('simple', COALESCE(text, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_messages_search ON messages USING GIN (search_vector);
+
+-- Runs as the caller, so the messages SELECT policy limits hits to
+-- conversations the user belongs to. Matches in the snippet are wrapped
+-- in [[ and ]] for the client to highlight.
+CREATE OR REPLACE FUNCTION search_messages(
+    search_query TEXT,
+    filter_conversation UUID DEFAULT NULL,
+    filter_sender UUID DEFAULT NULL,
+    filter_type TEXT DEFAULT NULL,
+    filter_from TIMESTAMPTZ DEFAULT NULL,
+    filter_to TIMESTAMPTZ DEFAULT NULL,
+    max_results INT DEFAULT 50
+)
+RETURNS TABLE (
+    id UUID,
+    conversation_id UUID,
+    sender_id UUID,
+    sender_name TEXT,
+    type TEXT,
+    created_at TIMESTAMPTZ,
+    snippet TEXT,
+    rank REAL
+) AS $$
+    WITH q AS (SELECT websearch_to_tsquery('simple', search_query) AS query)
+    SELECT m.id, m.conversation_id, m.sender_id, p.display_name, m.type, m.created_at,
+           ts_headline('simple', m.text, q.query,
+               'StartSel=[[, StopSel=]], MaxWords=18, MinWords=6, MaxFragments=2, FragmentDelimiter=" … "'),
+           ts_rank(m.search_vector, q.query)
+    FROM messages m
+    CROSS JOIN q
+    LEFT JOIN profiles p ON p.id = m.sender_id
+    WHERE m.search_vector @@ q.query
+      AND m.type <> 'system'
+      AND (filter_conversation IS NULL OR m.conversation_id = filter_conversation)
+      AND (filter_sender IS NULL OR m.sender_id = filter_sender)
+      AND (filter_type IS NULL OR m.type = filter_type)
+      AND (filter_from IS NULL OR m.created_at >= filter_from)
+      AND (filter_to IS NULL OR m.created_at <= filter_to)
+    ORDER BY ts_rank(m.search_vector, q.query) DESC, m.created_at DESC
+    LIMIT max_results;
+$$ LANGUAGE sql STABLE;
+
+-- ─── 18. WebRTC Calls ───────────────────────────────────────
+-- SDP offers/answers and ICE candidates ride on call_signals rows keyed
+-- by payload.call_history_id. A callee answering late reads the offer
+-- and the caller's earlier candidates back from the table. Calls whose
+-- media never connects end as 'failed'.
+ALTER TABLE call_history DROP CONSTRAINT IF EXISTS call_history_status_check;
+ALTER TABLE call_history ADD CONSTRAINT call_history_status_check
+    CHECK (status IN ('completed', 'missed', 'declined', 'no_answer', 'failed'));
+
+CREATE INDEX IF NOT EXISTS idx_call_signals_call ON call_signals((payload->>'call_history_id'));
+
+-- ─── 19. Group Calls ────────────────────────────────────────
+-- call_history keeps one row per call; for group calls callee_id is
+-- NULL and the roster lives in call_participants, using the participant
+-- states of the backend QuantumCall model. Everyone in a call follows
+-- the roster over Realtime to learn about joins and departures. Clients
+-- only ever change their own row (or invite someone); timestamps and
+-- the final call_history outcome are filled in by triggers.
+ALTER TABLE call_history ALTER COLUMN callee_id DROP NOT NULL;
+ALTER TABLE call_history ADD COLUMN IF NOT EXISTS is_group BOOLEAN DEFAULT FALSE;
+ALTER TABLE call_history ADD COLUMN IF NOT EXISTS conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL;
+ALTER TABLE call_history ADD COLUMN IF NOT EXISTS topology TEXT DEFAULT 'p2p'
+    CHECK (topology IN ('p2p', 'mesh', 'sfu'));
+
+CREATE TABLE IF NOT EXISTS call_participants (
+    call_id UUID NOT NULL REFERENCES call_history(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'calling'
+        CHECK (status IN ('calling', 'ringing', 'connected', 'disconnected', 'declined', 'missed')),
+    invited_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    joined_at TIMESTAMPTZ,
+    left_at TIMESTAMPTZ,
+    duration INTEGER DEFAULT 0, -- seconds
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (call_id, user_id)
+);
+
+ALTER TABLE call_participants ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION is_call_participant(target_call UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM call_participants
+        WHERE call_id = target_call AND user_id = auth.uid()
+    ) OR EXISTS (
+        SELECT 1 FROM call_history
+        WHERE id = target_call AND (caller_id = auth.uid() OR callee_id = auth.uid())
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE POLICY "Call participants can view call history"
+    ON call_history FOR SELECT
+    USING (is_call_participant(id));
+
+CREATE POLICY "Call participants can view roster"
+    ON call_participants FOR SELECT
+    USING (is_call_participant(call_id));
+
+-- Joining a 1:1 call we're in, or inviting someone into it as ourselves
+CREATE POLICY "Call participants can add to roster"
+    ON call_participants FOR INSERT
+    WITH CHECK (
+        is_call_participant(call_id)
+        AND (auth.uid() = user_id OR (status = 'calling' AND invited_by = auth.uid()))
+    );
+
+-- Someone else's row may only be rung again once they have left;
+-- otherwise only our own changes
+CREATE POLICY "Users can update own participation"
+    ON call_participants FOR UPDATE
+    USING (
+        auth.uid() = user_id
+        OR (is_call_participant(call_id) AND status IN ('disconnected', 'declined', 'missed'))
+    )
+    WITH CHECK (auth.uid() = user_id OR (status = 'calling' AND invited_by = auth.uid()));
+
+-- Row-level policies cannot compare OLD and NEW, so updates are also
+-- checked here: a row never moves to another call or user, our own row
+-- only changes status and re-inviting only changes status and inviter.
+-- Timestamps are left to stamp_call_participant(). Named to run before
+-- the other roster triggers change the row.
+CREATE OR REPLACE FUNCTION guard_call_participant_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.call_id IS DISTINCT FROM OLD.call_id OR NEW.user_id IS DISTINCT FROM OLD.user_id THEN
+        RAISE EXCEPTION 'Roster rows cannot be moved';
+    END IF;
+
+    IF OLD.user_id = auth.uid() THEN
+        IF (to_jsonb(NEW) - 'status') IS DISTINCT FROM (to_jsonb(OLD) - 'status') THEN
+            RAISE EXCEPTION 'Only your call status can be changed';
+        END IF;
+    ELSIF (to_jsonb(NEW) - 'status' - 'invited_by') IS DISTINCT FROM (to_jsonb(OLD) - 'status' - 'invited_by') THEN
+        RAISE EXCEPTION 'Other participants can only be invited again';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS on_call_participant_check ON call_participants;
+CREATE TRIGGER on_call_participant_check
+    BEFORE UPDATE ON call_participants
+    FOR EACH ROW EXECUTE FUNCTION guard_call_participant_update();
+
+-- Mirrors QuantumCallSchema.methods.updateParticipantStatus
+CREATE OR REPLACE FUNCTION stamp_call_participant()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status = 'connected' AND NEW.joined_at IS NULL THEN
+        NEW.joined_at := NOW();
+    ELSIF NEW.status = 'calling' THEN
+        NEW.left_at := NULL;
+    ELSIF NEW.status IN ('disconnected', 'declined', 'missed') AND NEW.left_at IS NULL THEN
+        NEW.left_at := NOW();
+        IF NEW.joined_at IS NOT NULL THEN
+            NEW.duration := EXTRACT(EPOCH FROM NEW.left_at - NEW.joined_at)::INTEGER;
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS on_call_participant_status ON call_participants;
+CREATE TRIGGER on_call_participant_status
+    BEFORE INSERT OR UPDATE OF status ON call_participants
+    FOR EACH ROW EXECUTE FUNCTION stamp_call_participant();
+
+-- When the last person leaves a group call: close it, mark anyone still
+-- ringing as missed, and record whether anybody besides the caller joined
+CREATE OR REPLACE FUNCTION close_group_call()
+RETURNS TRIGGER AS $$
+DECLARE
+    call call_history%ROWTYPE;
+BEGIN
+    SELECT * INTO call FROM call_history WHERE id = NEW.call_id;
+    IF NOT call.is_group OR call.ended_at IS NOT NULL THEN
+        RETURN NEW;
+    END IF;
+    IF EXISTS (SELECT 1 FROM call_participants WHERE call_id = NEW.call_id AND status = 'connected') THEN
+        RETURN NEW;
+    END IF;
+
+    UPDATE call_history SET
+        ended_at = NOW(),
+        duration = COALESCE((
+            SELECT EXTRACT(EPOCH FROM NOW() - MIN(joined_at))::INTEGER
+            FROM call_participants
+            WHERE call_id = NEW.call_id AND user_id <> call.caller_id AND joined_at IS NOT NULL
+        ), 0),
+        status = CASE WHEN EXISTS (
+            SELECT 1 FROM call_participants
+            WHERE call_id = NEW.call_id AND user_id <> call.caller_id AND joined_at IS NOT NULL
+        ) THEN 'completed' ELSE 'missed' END
+    WHERE id = NEW.call_id;
+
+    UPDATE call_participants SET status = 'missed'
+    WHERE call_id = NEW.call_id AND status IN ('calling', 'ringing');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_call_participant_left ON call_participants;
+CREATE TRIGGER on_call_participant_left
+    AFTER UPDATE OF status ON call_participants
+    FOR EACH ROW
+    WHEN (NEW.status IN ('disconnected', 'declined', 'missed'))
+    EXECUTE FUNCTION close_group_call();
+
+ALTER PUBLICATION supabase_realtime ADD TABLE call_participants;
+
+CREATE INDEX IF NOT EXISTS idx_call_participants_user ON call_participants(user_id, created_at DESC);
+
+-- ─── 20. Call Links ─────────────────────────────────────────
+-- A call link is a shareable token for people who aren't in a chat with
+-- the host. Opening /call/join/<token> knocks on the link's lobby
+-- (call_link_guests); the host admits or denies each guest, and admitted
+-- guests are put on the roster of the host's call so they join it like
+-- any group call. Links expire, can be revoked, and may carry a passcode
+-- kept as a bcrypt hash. Guests never read call_links directly: the
+-- functions below check the token, expiry and passcode on their behalf.
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS call_links (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    token TEXT UNIQUE NOT NULL DEFAULT translate(encode(gen_random_bytes(12), 'base64'), '+/', '-_'),
+    host_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    type TEXT NOT NULL DEFAULT 'video' CHECK (type IN ('voice', 'video')),
+    title TEXT,
+    passcode_hash TEXT,
+    expires_at TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '24 hours',
+    revoked_at TIMESTAMPTZ,
+    call_id UUID REFERENCES call_history(id) ON DELETE SET NULL, -- the call currently running on the link
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE call_history ADD COLUMN IF NOT EXISTS link_id UUID REFERENCES call_links(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS call_link_guests (
+    link_id UUID NOT NULL REFERENCES call_links(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    -- Copied from the link so the host can follow their lobby over Realtime
+    host_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'waiting'
+        CHECK (status IN ('waiting', 'admitted', 'denied', 'left')),
+    call_id UUID REFERENCES call_history(id) ON DELETE SET NULL,
+    requested_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (link_id, user_id)
+);
+
+ALTER TABLE call_links ENABLE ROW LEVEL SECURITY;
+ALTER TABLE call_link_guests ENABLE ROW LEVEL SECURITY;
+
+-- Links are created through create_call_link() so the passcode is hashed server-side
+CREATE POLICY "Hosts can view own call links"
+    ON call_links FOR SELECT
+    USING (auth.uid() = host_id);
+
+CREATE POLICY "Hosts can update own call links"
+    ON call_links FOR UPDATE
+    USING (auth.uid() = host_id)
+    WITH CHECK (auth.uid() = host_id);
+
+-- Hosts may rename or revoke a link. Its running call is only set by
+-- set_call_link_call(), as admitted guests are put on that call's roster.
+REVOKE UPDATE ON call_links FROM anon, authenticated;
+GRANT UPDATE (title, revoked_at) ON call_links TO authenticated;
+
+CREATE POLICY "Hosts can delete own call links"
+    ON call_links FOR DELETE
+    USING (auth.uid() = host_id);
+
+CREATE POLICY "Guests and hosts can view lobby"
+    ON call_link_guests FOR SELECT
+    USING (auth.uid() = user_id OR auth.uid() = host_id);
+
+-- Guests can only walk away; hosts can only turn people away.
+-- Knocking and admitting go through the functions below.
+CREATE POLICY "Guests and hosts can update lobby"
+    ON call_link_guests FOR UPDATE
+    USING (auth.uid() = user_id OR auth.uid() = host_id)
+    WITH CHECK (
+        (auth.uid() = user_id AND status = 'left')
+        OR (auth.uid() = host_id AND status = 'denied')
+    );
+
+CREATE OR REPLACE FUNCTION create_call_link(
+    p_type TEXT DEFAULT 'video',
+    p_title TEXT DEFAULT NULL,
+    p_passcode TEXT DEFAULT NULL,
+    p_expires_at TIMESTAMPTZ DEFAULT NOW() + INTERVAL '24 hours'
+)
+RETURNS call_links AS $$
+DECLARE
+    link call_links%ROWTYPE;
+BEGIN
+    IF p_expires_at <= NOW() THEN
+        RAISE EXCEPTION 'Expiry must be in the future';
+    END IF;
+
+    INSERT INTO call_links (host_id, type, title, passcode_hash, expires_at)
+    VALUES (
+        auth.uid(),
+        p_type,
+        NULLIF(trim(p_title), ''),
+        CASE WHEN NULLIF(p_passcode, '') IS NULL THEN NULL ELSE crypt(p_passcode, gen_salt('bf')) END,
+        p_expires_at
+    )
+    RETURNING * INTO link;
+    RETURN link;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
+
+-- What the join screen shows before the guest knocks
+CREATE OR REPLACE FUNCTION get_call_link(p_token TEXT)
+RETURNS TABLE (
+    id UUID,
+    title TEXT,
+    type TEXT,
+    host_id UUID,
+    host_name TEXT,
+    has_passcode BOOLEAN,
+    state TEXT
+) AS $$
+    SELECT l.id, l.title, l.type, l.host_id, p.display_name,
+           l.passcode_hash IS NOT NULL,
+           CASE
+               WHEN l.revoked_at IS NOT NULL THEN 'revoked'
+               WHEN l.expires_at <= NOW() THEN 'expired'
+               ELSE 'active'
+           END
+    FROM call_links l
+    JOIN profiles p ON p.id = l.host_id
+    WHERE l.token = p_token;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Puts the caller in the lobby. A guest who was turned away stays out.
+CREATE OR REPLACE FUNCTION knock_call_link(p_token TEXT, p_passcode TEXT DEFAULT NULL)
+RETURNS call_link_guests AS $$
+DECLARE
+    link call_links%ROWTYPE;
+    guest call_link_guests%ROWTYPE;
+BEGIN
+    SELECT * INTO link FROM call_links WHERE token = p_token;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'This call link does not exist';
+    ELSIF link.revoked_at IS NOT NULL THEN
+        RAISE EXCEPTION 'This call link has been revoked';
+    ELSIF link.expires_at <= NOW() THEN
+        RAISE EXCEPTION 'This call link has expired';
+    ELSIF link.host_id = auth.uid() THEN
+        RAISE EXCEPTION 'You are the host of this call';
+    ELSIF link.passcode_hash IS NOT NULL
+        AND (p_passcode IS NULL OR crypt(p_passcode, link.passcode_hash) <> link.passcode_hash) THEN
+        RAISE EXCEPTION 'Incorrect passcode';
+    END IF;
+
+    INSERT INTO call_link_guests (link_id, user_id, host_id)
+    VALUES (link.id, auth.uid(), link.host_id)
+    ON CONFLICT (link_id, user_id) DO UPDATE
+        SET status = 'waiting', call_id = NULL, requested_at = NOW()
+        WHERE call_link_guests.status <> 'denied';
+
+    SELECT * INTO guest FROM call_link_guests WHERE link_id = link.id AND user_id = auth.uid();
+    RETURN guest;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
+
+-- Makes a call the one running on the link. It must be a call the host
+-- started for this link, so guests can't be let into any other call.
+CREATE OR REPLACE FUNCTION set_call_link_call(p_link UUID, p_call UUID)
+RETURNS VOID AS $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM call_links l
+        JOIN call_history c ON c.link_id = l.id
+        WHERE l.id = p_link AND c.id = p_call
+          AND l.host_id = auth.uid() AND c.caller_id = auth.uid()
+          AND c.ended_at IS NULL
+    ) THEN
+        RAISE EXCEPTION 'This call was not started on your call link';
+    END IF;
+
+    UPDATE call_links SET call_id = p_call WHERE id = p_link;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Lets a waiting guest into the host's running call. They go on the
+-- roster as ringing (not calling) so they join from the lobby instead
+-- of getting an incoming-call screen.
+CREATE OR REPLACE FUNCTION admit_call_link_guest(p_link UUID, p_user UUID)
+RETURNS VOID AS $$
+DECLARE
+    link call_links%ROWTYPE;
+BEGIN
+    SELECT * INTO link FROM call_links WHERE id = p_link AND host_id = auth.uid();
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Call link not found';
+    ELSIF link.revoked_at IS NOT NULL OR link.expires_at <= NOW() THEN
+        RAISE EXCEPTION 'This call link is no longer active';
+    ELSIF link.call_id IS NULL OR EXISTS (
+        SELECT 1 FROM call_history WHERE id = link.call_id AND ended_at IS NOT NULL
+    ) THEN
+        RAISE EXCEPTION 'Start the call before admitting guests';
+    END IF;
+
+    UPDATE call_link_guests SET status = 'admitted', call_id = link.call_id
+    WHERE link_id = p_link AND user_id = p_user AND status = 'waiting';
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'This guest is no longer waiting';
+    END IF;
+
+    INSERT INTO call_participants (call_id, user_id, status, invited_by)
+    VALUES (link.call_id, p_user, 'ringing', auth.uid())
+    ON CONFLICT (call_id, user_id) DO UPDATE SET status = 'ringing', invited_by = auth.uid();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Revoking a link turns away everyone still in its lobby
+CREATE OR REPLACE FUNCTION close_call_link_lobby()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE call_link_guests SET status = 'denied'
+    WHERE link_id = NEW.id AND status = 'waiting';
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_call_link_revoked ON call_links;
+CREATE TRIGGER on_call_link_revoked
+    AFTER UPDATE OF revoked_at ON call_links
+    FOR EACH ROW
+    WHEN (OLD.revoked_at IS NULL AND NEW.revoked_at IS NOT NULL)
+    EXECUTE FUNCTION close_call_link_lobby();
+
+ALTER PUBLICATION supabase_realtime ADD TABLE call_link_guests;
+
+CREATE INDEX IF NOT EXISTS idx_call_links_host ON call_links(host_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_call_link_guests_host ON call_link_guests(host_id, status);
+
+-- ─── 21. Scheduled Calls ────────────────────────────────────
+-- Calls planned ahead with a title, description, time range and the
+-- people invited. Each one gets a call link (section 20) that stays
+-- valid until the call's end, so the host starts the call from the
+-- link and invitees join through its lobby. Invitations go out as
+-- system messages in the host's 1:1 chats, and reminders are local
+-- notifications on each device. ical_uid is the UID used in .ics
+-- exports; imported events keep the UID from their file so importing
+-- the same file twice updates instead of duplicating.
+CREATE TABLE IF NOT EXISTS scheduled_calls (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    host_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    description TEXT,
+    type TEXT NOT NULL DEFAULT 'voice' CHECK (type IN ('voice', 'video')),
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    link_id UUID REFERENCES call_links(id) ON DELETE SET NULL,
+    ical_uid TEXT NOT NULL DEFAULT gen_random_uuid()::TEXT || '@ndeip.com',
+    status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'cancelled')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (ends_at > starts_at),
+    UNIQUE (host_id, ical_uid)
+);
+
+CREATE TABLE IF NOT EXISTS scheduled_call_participants (
+    scheduled_call_id UUID NOT NULL REFERENCES scheduled_calls(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (scheduled_call_id, user_id)
+);
+
+ALTER TABLE scheduled_calls ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scheduled_call_participants ENABLE ROW LEVEL SECURITY;
+
+-- SECURITY DEFINER so the two tables' policies can refer to each other
+CREATE OR REPLACE FUNCTION is_scheduled_call_host(target_call UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM scheduled_calls
+        WHERE id = target_call AND host_id = auth.uid()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION is_scheduled_call_invitee(target_call UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM scheduled_call_participants
+        WHERE scheduled_call_id = target_call AND user_id = auth.uid()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE POLICY "Hosts and invitees can view scheduled calls"
+    ON scheduled_calls FOR SELECT
+    USING (auth.uid() = host_id OR is_scheduled_call_invitee(id));
+
+CREATE POLICY "Users can schedule calls"
+    ON scheduled_calls FOR INSERT
+    WITH CHECK (auth.uid() = host_id);
+
+CREATE POLICY "Hosts can update scheduled calls"
+    ON scheduled_calls FOR UPDATE
+    USING (auth.uid() = host_id)
+    WITH CHECK (auth.uid() = host_id);
+
+CREATE POLICY "Hosts and invitees can view invitations"
+    ON scheduled_call_participants FOR SELECT
+    USING (auth.uid() = user_id OR is_scheduled_call_host(scheduled_call_id) OR is_scheduled_call_invitee(scheduled_call_id));
+
+CREATE POLICY "Hosts can invite"
+    ON scheduled_call_participants FOR INSERT
+    WITH CHECK (is_scheduled_call_host(scheduled_call_id));
+
+CREATE POLICY "Hosts can uninvite"
+    ON scheduled_call_participants FOR DELETE
+    USING (is_scheduled_call_host(scheduled_call_id));
+
+-- Invitees need the link's token to join from the Upcoming list
+CREATE POLICY "Invitees can view scheduled call links"
+    ON call_links FOR SELECT
+    USING (EXISTS (
+        SELECT 1 FROM scheduled_calls s
+        WHERE s.link_id = call_links.id AND is_scheduled_call_invitee(s.id)
+    ));
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_calls_host ON scheduled_calls(host_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_scheduled_call_participants_user ON scheduled_call_participants(user_id);
+
+-- ─── 22. Call Recordings ────────────────────────────────────
+-- Recording needs everyone's consent. Asking creates a recording row
+-- plus a pending consent row for each person on the call, and the
+-- recorder only starts once all of them have agreed; one refusal
+-- declines the request. Anyone can withdraw later, which makes the
+-- recorder stop and keep what it has. Files are uploaded to the private
+-- call-recordings bucket under <call_id>/<recording_id>, and the latest
+-- finished recording is linked from call_history.
+CREATE TABLE IF NOT EXISTS call_recordings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    call_id UUID NOT NULL REFERENCES call_history(id) ON DELETE CASCADE,
+    recorded_by UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'requested'
+        CHECK (status IN ('requested', 'declined', 'cancelled', 'recording', 'uploading', 'ready', 'failed')),
+    storage_path TEXT,
+    mime_type TEXT,
+    size BIGINT,
+    duration INTEGER DEFAULT 0, -- seconds
+    started_at TIMESTAMPTZ,
+    ended_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- call_id is copied from the recording so the call's Realtime channel
+-- can filter on it
+CREATE TABLE IF NOT EXISTS call_recording_consents (
+    recording_id UUID NOT NULL REFERENCES call_recordings(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    call_id UUID NOT NULL REFERENCES call_history(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'granted', 'declined')),
+    responded_at TIMESTAMPTZ,
+    PRIMARY KEY (recording_id, user_id)
+);
+
+ALTER TABLE call_history ADD COLUMN IF NOT EXISTS recording_id UUID REFERENCES call_recordings(id) ON DELETE SET NULL;
+
+ALTER TABLE call_recordings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE call_recording_consents ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Call participants can view recordings"
+    ON call_recordings FOR SELECT
+    USING (is_call_participant(call_id));
+
+CREATE POLICY "Recorders can update their recordings"
+    ON call_recordings FOR UPDATE
+    USING (auth.uid() = recorded_by)
+    WITH CHECK (auth.uid() = recorded_by);
+
+CREATE POLICY "Recorders can delete their recordings"
+    ON call_recordings FOR DELETE
+    USING (auth.uid() = recorded_by);
+
+CREATE POLICY "Call participants can view consents"
+    ON call_recording_consents FOR SELECT
+    USING (is_call_participant(call_id));
+
+CREATE POLICY "Users can answer own consent"
+    ON call_recording_consents FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+-- Asks everyone connected to the call except us. Rows are created here
+-- rather than by the client so nobody can be left off the list.
+CREATE OR REPLACE FUNCTION request_call_recording(p_call UUID)
+RETURNS call_recordings AS $$
+DECLARE
+    recording call_recordings%ROWTYPE;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM call_participants
+        WHERE call_id = p_call AND user_id = auth.uid() AND status = 'connected'
+    ) THEN
+        RAISE EXCEPTION 'Join the call before recording it';
+    ELSIF EXISTS (
+        SELECT 1 FROM call_recordings
+        WHERE call_id = p_call AND status IN ('requested', 'recording')
+    ) THEN
+        RAISE EXCEPTION 'This call is already being recorded';
+    END IF;
+
+    INSERT INTO call_recordings (call_id, recorded_by)
+    VALUES (p_call, auth.uid())
+    RETURNING * INTO recording;
+
+    INSERT INTO call_recording_consents (recording_id, user_id, call_id)
+    SELECT recording.id, user_id, p_call
+    FROM call_participants
+    WHERE call_id = p_call AND user_id <> auth.uid() AND status = 'connected';
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'There is nobody else on the call yet';
+    END IF;
+    RETURN recording;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION stamp_call_recording_consent()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.responded_at := NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Settles a request once the last person agrees, or the first declines
+CREATE OR REPLACE FUNCTION apply_call_recording_consent()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status = 'declined' THEN
+        UPDATE call_recordings SET status = 'declined'
+        WHERE id = NEW.recording_id AND status = 'requested';
+    ELSIF NOT EXISTS (
+        SELECT 1 FROM call_recording_consents
+        WHERE recording_id = NEW.recording_id AND status <> 'granted'
+    ) THEN
+        UPDATE call_recordings SET status = 'recording', started_at = NOW()
+        WHERE id = NEW.recording_id AND status = 'requested';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_call_recording_consent_stamp ON call_recording_consents;
+CREATE TRIGGER on_call_recording_consent_stamp
+    BEFORE UPDATE OF status ON call_recording_consents
+    FOR EACH ROW EXECUTE FUNCTION stamp_call_recording_consent();
+
+DROP TRIGGER IF EXISTS on_call_recording_consent ON call_recording_consents;
+CREATE TRIGGER on_call_recording_consent
+    AFTER UPDATE OF status ON call_recording_consents
+    FOR EACH ROW
+    WHEN (NEW.status <> 'pending')
+    EXECUTE FUNCTION apply_call_recording_consent();
+
+-- Recorders can only move their own recording along after it has
+-- started, or cancel it while it is still a request. Starting is left
+-- to apply_call_recording_consent() so nobody records without consent.
+CREATE OR REPLACE FUNCTION guard_call_recording_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.call_id IS DISTINCT FROM OLD.call_id OR NEW.recorded_by IS DISTINCT FROM OLD.recorded_by THEN
+        RAISE EXCEPTION 'Recordings cannot be moved to another call or recorder';
+    END IF;
+
+    -- pg_trigger_depth() > 1 is the consent trigger settling a request
+    IF NEW.status IS DISTINCT FROM OLD.status
+        AND pg_trigger_depth() = 1
+        AND NOT (
+            (OLD.status = 'requested' AND NEW.status = 'cancelled')
+            OR (OLD.status = 'recording' AND NEW.status IN ('uploading', 'failed'))
+            OR (OLD.status = 'uploading' AND NEW.status IN ('ready', 'failed'))
+        ) THEN
+        RAISE EXCEPTION 'A recording cannot go from % to %', OLD.status, NEW.status;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS on_call_recording_update ON call_recordings;
+CREATE TRIGGER on_call_recording_update
+    BEFORE UPDATE ON call_recordings
+    FOR EACH ROW EXECUTE FUNCTION guard_call_recording_update();
+
+-- call_history is not writable by every participant, so the link to a
+-- finished recording is set here
+CREATE OR REPLACE FUNCTION link_call_recording()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE call_history SET recording_id = NEW.id WHERE id = NEW.call_id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_call_recording_ready ON call_recordings;
+CREATE TRIGGER on_call_recording_ready
+    AFTER UPDATE OF status ON call_recordings
+    FOR EACH ROW
+    WHEN (OLD.status <> 'ready' AND NEW.status = 'ready')
+    EXECUTE FUNCTION link_call_recording();
+
+ALTER PUBLICATION supabase_realtime ADD TABLE call_recordings;
+ALTER PUBLICATION supabase_realtime ADD TABLE call_recording_consents;
+
+CREATE INDEX IF NOT EXISTS idx_call_recordings_call ON call_recordings(call_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_call_recording_consents_user ON call_recording_consents(user_id, status);
+
+-- Storage: objects are named <call_id>/<recording_id>.<ext>
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('call-recordings', 'call-recordings', FALSE)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Call participants can play recordings"
+    ON storage.objects FOR SELECT
+    USING (bucket_id = 'call-recordings' AND is_call_participant(((storage.foldername(name))[1])::UUID));
+
+CREATE POLICY "Recorders can upload recordings"
+    ON storage.objects FOR INSERT
+    WITH CHECK (bucket_id = 'call-recordings' AND EXISTS (
+        SELECT 1 FROM call_recordings
+        WHERE id::TEXT = split_part(storage.filename(name), '.', 1) AND recorded_by = auth.uid()
+    ));
+
+CREATE POLICY "Recorders can delete recordings"
+    ON storage.objects FOR DELETE
+    USING (bucket_id = 'call-recordings' AND EXISTS (
+        SELECT 1 FROM call_recordings
+        WHERE id::TEXT = split_part(storage.filename(name), '.', 1) AND recorded_by = auth.uid()
+    ));
+
+-- ─── 23. Call Quality ───────────────────────────────────────
+-- Each client adapts the media it sends to its own link and, when it
+-- leaves the call, files a summary of how the link behaved: averages and
+-- peaks of round-trip time, loss and bitrate, time spent at each quality
+-- level and how often video had to be paused. Summaries are kept per
+-- user on the call so a bad call can be diagnosed from either end.
+-- profiles.low_data_calls caps calls at the lowest quality level.
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS low_data_calls BOOLEAN DEFAULT FALSE;
+ALTER TABLE call_history ADD COLUMN IF NOT EXISTS quality_summaries JSONB DEFAULT '{}'::JSONB;
+
+-- Merges rather than overwrites, so participants leaving at the same
+-- time don't drop each other's summaries
+CREATE OR REPLACE FUNCTION record_call_quality(p_call UUID, p_summary JSONB)
+RETURNS VOID AS $$
+BEGIN
+    IF NOT is_call_participant(p_call) THEN
+        RAISE EXCEPTION 'Not a participant of this call';
+    END IF;
+
+    UPDATE call_history
+    SET quality_summaries = COALESCE(quality_summaries, '{}'::JSONB)
+        || jsonb_build_object(auth.uid()::TEXT, p_summary)
+    WHERE id = p_call;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ─── 24. Call Reconnection ──────────────────────────────────
+-- A dropped connection gets a grace period to come back through an ICE
+-- restart. A 1:1 call that can't recover is marked 'failed' with a short
+-- reason from the client that gave up, for the history list and support.
+ALTER TABLE call_history ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+
+-- ─── 25. Voice Messages ─────────────────────────────────────
+-- Voice messages, including the ones left after an unanswered or
+-- declined call, are uploaded to the private voice-messages bucket
+-- under <conversation_id>/<id>.m4a; messages.audio_url holds that path.
+-- Members of the conversation can play them and only the sender can
+-- remove them.
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('voice-messages', 'voice-messages', FALSE)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Members can play voice messages"
+    ON storage.objects FOR SELECT
+    USING (bucket_id = 'voice-messages' AND is_conversation_member(((storage.foldername(name))[1])::UUID));
+
+CREATE POLICY "Members can upload voice messages"
+    ON storage.objects FOR INSERT
+    WITH CHECK (bucket_id = 'voice-messages' AND is_conversation_member(((storage.foldername(name))[1])::UUID));
+
+CREATE POLICY "Senders can delete voice messages"
+    ON storage.objects FOR DELETE
+    USING (bucket_id = 'voice-messages' AND owner = auth.uid());
+
+-- ─── 26. Phone Lookup ───────────────────────────────────────
+-- profiles.phone holds E.164 numbers so the keypad can resolve what is
+-- dialled to an ndeip user. Clients put national numbers into E.164
+-- before saving, since only they know the country; the trigger below
+-- strips formatting and turns a leading 00 into +. Numbers stay private:
+-- the phone column is left out of the profile grants below, so nobody
+-- reads it through the table API. search_profiles_by_phone() finds
+-- anyone by their full number but matches partial numbers only among
+-- contacts, and get_own_phone() returns the caller's own.
+CREATE OR REPLACE FUNCTION normalize_phone(raw TEXT)
+RETURNS TEXT AS $$
+    SELECT regexp_replace(
+        regexp_replace(COALESCE(raw, ''), '[^0-9+]', '', 'g'),
+        '^(\+|00)', '+'
+    );
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION normalize_profile_phone()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.phone := normalize_phone(NEW.phone);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS on_profile_phone_change ON profiles;
+CREATE TRIGGER on_profile_phone_change
+    BEFORE INSERT OR UPDATE OF phone ON profiles
+    FOR EACH ROW EXECUTE FUNCTION normalize_profile_phone();
+
+UPDATE profiles SET phone = normalize_phone(phone) WHERE phone IS DISTINCT FROM normalize_phone(phone);
+
+CREATE INDEX IF NOT EXISTS idx_profiles_phone ON profiles (phone text_pattern_ops) WHERE phone <> '';
+
+-- Column grants only take effect once the table-wide one is gone.
+-- Columns added to profiles later must be granted where they are added.
+REVOKE SELECT ON profiles FROM anon, authenticated;
+GRANT SELECT (
+    id, email, display_name, avatar_url, about, links, dnd_mode,
+    quiet_hours_start, quiet_hours_end, top3_contacts, is_online,
+    last_seen, created_at, updated_at, read_receipts, low_data_calls
+) ON profiles TO anon, authenticated;
+
+CREATE OR REPLACE FUNCTION get_own_phone()
+RETURNS TEXT AS $$
+    SELECT phone FROM profiles WHERE id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Two people are contacts once both have written in a 1:1 chat they
+-- share. Anyone can open a chat with anyone, so sharing one proves
+-- nothing until the other side has answered.
+CREATE OR REPLACE FUNCTION are_contacts(a UUID, b UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM conversations c
+        JOIN conversation_members ma ON ma.conversation_id = c.id AND ma.user_id = a
+        JOIN conversation_members mb ON mb.conversation_id = c.id AND mb.user_id = b
+        WHERE NOT c.is_group
+          AND EXISTS (
+              SELECT 1 FROM messages m
+              WHERE m.conversation_id = c.id AND m.sender_id = a AND m.type <> 'system'
+          )
+          AND EXISTS (
+              SELECT 1 FROM messages m
+              WHERE m.conversation_id = c.id AND m.sender_id = b AND m.type <> 'system'
+          )
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- The phone given at signup was dropped before; keep it on the profile
+CREATE OR REPLACE FUNCTION handle_new_user()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO profiles (id, email, display_name, phone)
+    VALUES (
+        NEW.id,
+        NEW.email,
+        COALESCE(NEW.raw_user_meta_data->>'display_name', split_part(NEW.email, '@', 1)),
+        COALESCE(NEW.raw_user_meta_data->>'phone', '')
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- p_number is an E.164 number or the start of one
+CREATE OR REPLACE FUNCTION search_profiles_by_phone(p_number TEXT)
+RETURNS TABLE (id UUID, display_name TEXT, avatar_url TEXT, phone TEXT) AS $$
+    WITH wanted AS (SELECT normalize_phone(p_number) AS number)
+    SELECT p.id, p.display_name, p.avatar_url, p.phone
+    FROM profiles p, wanted w
+    WHERE p.id <> auth.uid()
+      AND p.phone <> ''
+      AND (
+          p.phone = w.number
+          OR (
+              length(w.number) >= 4
+              AND p.phone LIKE w.number || '%'
+              AND are_contacts(auth.uid(), p.id)
+          )
+      )
+    ORDER BY p.phone = w.number DESC, p.display_name
+    LIMIT 10;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- ─── 27. Do Not Disturb ─────────────────────────────────────
+-- profiles.dnd_mode and quiet hours are enforced here, before anything
+-- reaches the recipient:
+--   be_quiet (Busy)    only Top 5 contacts ring; messages arrive silently
+--   get_busy (DND)     nobody rings; message alerts wait until it's off
+--   quiet hours        like DND, but Top 5 contacts still get through
+--   do_not_disturb     (Invisible) only hides presence
+-- Quiet hours are read in the recipient's own timezone. A call that
+-- isn't let through never reaches the callee: the offer is dropped and
+-- the caller gets a reject saying why, so they can leave a voice
+-- message instead. Each message gets a message_alerts row per recipient
+-- saying whether to alert now, stay silent or defer; whatever presents
+-- notifications (the app, a push sender) goes by that row.
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS timezone TEXT; -- IANA, e.g. Africa/Harare
+GRANT SELECT (timezone) ON profiles TO anon, authenticated;
+ALTER TABLE call_history ADD COLUMN IF NOT EXISTS silenced_by TEXT
+    CHECK (silenced_by IN ('be_quiet', 'get_busy', 'quiet_hours'));
+
+-- Must match inQuietHours() in DndService, which the settings screen uses
+CREATE OR REPLACE FUNCTION in_quiet_hours(p_start TEXT, p_end TEXT, p_timezone TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+    local_time TIME;
+BEGIN
+    IF p_start IS NULL OR p_end IS NULL THEN
+        RETURN FALSE;
+    END IF;
+    BEGIN
+        local_time := (NOW() AT TIME ZONE COALESCE(NULLIF(p_timezone, ''), 'UTC'))::TIME;
+    EXCEPTION WHEN invalid_parameter_value THEN
+        local_time := (NOW() AT TIME ZONE 'UTC')::TIME;
+    END;
+    -- 22:00–07:00 runs across midnight
+    IF p_start::TIME <= p_end::TIME THEN
+        RETURN local_time >= p_start::TIME AND local_time < p_end::TIME;
+    END IF;
+    RETURN local_time >= p_start::TIME OR local_time < p_end::TIME;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- 'available', 'be_quiet', 'get_busy' or 'quiet_hours'
+CREATE OR REPLACE FUNCTION dnd_status(p_user UUID)
+RETURNS TEXT AS $$
+    SELECT CASE
+        WHEN dnd_mode IN ('be_quiet', 'get_busy') THEN dnd_mode
+        WHEN in_quiet_hours(quiet_hours_start, quiet_hours_end, timezone) THEN 'quiet_hours'
+        ELSE 'available'
+    END
+    FROM profiles WHERE id = p_user;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION is_top_contact(p_user UUID, p_contact UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM profiles
+        WHERE id = p_user AND p_contact::TEXT = ANY(top3_contacts)
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- What reaching p_recipient from p_sender does right now. p_kind is
+-- 'call' or 'message'. Calls get 'allow' or 'decline'; messages get
+-- 'allow', 'silence' or 'defer'.
+CREATE OR REPLACE FUNCTION dnd_policy(p_recipient UUID, p_sender UUID, p_kind TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    dnd TEXT := COALESCE(dnd_status(p_recipient), 'available');
+BEGIN
+    IF dnd = 'available' THEN
+        RETURN 'allow';
+    END IF;
+    IF dnd <> 'get_busy' AND is_top_contact(p_recipient, p_sender) THEN
+        RETURN 'allow';
+    END IF;
+    IF p_kind = 'call' THEN
+        RETURN 'decline';
+    END IF;
+    RETURN CASE dnd WHEN 'be_quiet' THEN 'silence' ELSE 'defer' END;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Whether both people are connected in a call that is still going.
+-- Offers between them (group mesh links, ICE restarts) aren't new calls.
+-- Decided from the roster, as the caller writes the offer's payload and
+-- can only ever mark their own row connected.
+CREATE OR REPLACE FUNCTION in_call_together(p_call UUID, p_user UUID, p_other UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (SELECT 1 FROM call_history WHERE id = p_call AND ended_at IS NULL)
+        AND (
+            SELECT COUNT(*) FROM call_participants
+            WHERE call_id = p_call AND user_id IN (p_user, p_other) AND status = 'connected'
+        ) = 2;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- The opening offer of a 1:1 call; group calls ring through
+-- call_participants and ICE restarts belong to calls already answered
+CREATE OR REPLACE FUNCTION screen_call_signal()
+RETURNS TRIGGER AS $$
+DECLARE
+    call_id UUID := (NEW.payload->>'call_history_id')::UUID;
+    dnd TEXT;
+BEGIN
+    -- Candidates for a call that was held back have nowhere to go
+    IF NEW.type = 'ice-candidate' THEN
+        IF EXISTS (SELECT 1 FROM call_history WHERE id = call_id AND silenced_by IS NOT NULL) THEN
+            RETURN NULL;
+        END IF;
+        RETURN NEW;
+    END IF;
+
+    IF NEW.type <> 'offer' OR in_call_together(call_id, NEW.caller_id, NEW.callee_id) THEN
+        RETURN NEW;
+    END IF;
+    IF dnd_policy(NEW.callee_id, NEW.caller_id, 'call') = 'allow' THEN
+        RETURN NEW;
+    END IF;
+
+    dnd := dnd_status(NEW.callee_id);
+    UPDATE call_history SET silenced_by = dnd WHERE id = call_id;
+    INSERT INTO call_signals (caller_id, callee_id, type, payload)
+    VALUES (NEW.callee_id, NEW.caller_id, 'reject', jsonb_build_object('call_history_id', call_id, 'dnd', dnd));
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_call_signal_screen ON call_signals;
+CREATE TRIGGER on_call_signal_screen
+    BEFORE INSERT ON call_signals
+    FOR EACH ROW EXECUTE FUNCTION screen_call_signal();
+
+-- Group invites to someone who isn't taking calls are missed straight
+-- away. A row without an inviter was rung by whoever started the call.
+CREATE OR REPLACE FUNCTION screen_call_invite()
+RETURNS TRIGGER AS $$
+DECLARE
+    inviter UUID;
+BEGIN
+    IF NEW.status <> 'calling' THEN
+        RETURN NEW;
+    END IF;
+    inviter := COALESCE(NEW.invited_by, (SELECT caller_id FROM call_history WHERE id = NEW.call_id));
+    IF inviter IS DISTINCT FROM NEW.user_id
+        AND dnd_policy(NEW.user_id, inviter, 'call') <> 'allow' THEN
+        NEW.status := 'missed';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Named to run before on_call_participant_status stamps the row
+DROP TRIGGER IF EXISTS on_call_participant_dnd ON call_participants;
+CREATE TRIGGER on_call_participant_dnd
+    BEFORE INSERT OR UPDATE OF status ON call_participants
+    FOR EACH ROW EXECUTE FUNCTION screen_call_invite();
+
+CREATE TABLE IF NOT EXISTS message_alerts (
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    sender_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    alert TEXT NOT NULL CHECK (alert IN ('allow', 'silence', 'defer')),
+    -- When a deferred alert was handed over after DND ended
+    released_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (message_id, user_id)
+);
+
+ALTER TABLE message_alerts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own message alerts"
+    ON message_alerts FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION queue_message_alerts()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.type = 'system' THEN
+        RETURN NEW;
+    END IF;
+    INSERT INTO message_alerts (message_id, user_id, conversation_id, sender_id, alert)
+    SELECT NEW.id, m.user_id, NEW.conversation_id, NEW.sender_id, dnd_policy(m.user_id, NEW.sender_id, 'message')
+    FROM conversation_members m
+    WHERE m.conversation_id = NEW.conversation_id AND m.user_id <> NEW.sender_id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_message_alerts ON messages;
+CREATE TRIGGER on_message_alerts
+    AFTER INSERT ON messages
+    FOR EACH ROW EXECUTE FUNCTION queue_message_alerts();
+
+-- Once we're out of DND and quiet hours, hands over the alerts that
+-- waited, one row per chat. Returns nothing while they still apply.
+CREATE OR REPLACE FUNCTION release_deferred_alerts()
+RETURNS TABLE (conversation_id UUID, messages INTEGER, last_sender_name TEXT) AS $$
+BEGIN
+    IF dnd_status(auth.uid()) IN ('get_busy', 'quiet_hours') THEN
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    WITH released AS (
+        UPDATE message_alerts a SET released_at = NOW()
+        WHERE a.user_id = auth.uid() AND a.alert = 'defer' AND a.released_at IS NULL
+        RETURNING a.conversation_id, a.sender_id, a.created_at
+    )
+    SELECT r.conversation_id, COUNT(*)::INTEGER,
+        (SELECT p.display_name FROM released r2 JOIN profiles p ON p.id = r2.sender_id
+         WHERE r2.conversation_id = r.conversation_id ORDER BY r2.created_at DESC LIMIT 1)
+    FROM released r
+    GROUP BY r.conversation_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE INDEX IF NOT EXISTS idx_message_alerts_deferred ON message_alerts(user_id) WHERE alert = 'defer' AND released_at IS NULL;
+
+ALTER PUBLICATION supabase_realtime ADD TABLE message_alerts;
+
+-- ─── 28. Top Contacts ───────────────────────────────────────
+-- profiles.top3_contacts holds up to five profile ids, best first. They
+-- get through Busy and quiet hours (dnd_policy), are pinned to the top
+-- of the chats list and alert on a priority notification channel.
+-- Whatever is saved is cleaned here: ids of people who aren't contacts
+-- (are_contacts(), section 26), duplicates and the user themselves are
+-- dropped, keeping the order they were given in.
+CREATE OR REPLACE FUNCTION clean_top_contacts()
+RETURNS TRIGGER AS $$
+BEGIN
+    SELECT COALESCE(array_agg(c.id ORDER BY c.ord), '{}') INTO NEW.top3_contacts
+    FROM (
+        SELECT DISTINCT ON (t.id) t.id, t.ord
+        FROM unnest(COALESCE(NEW.top3_contacts, '{}')) WITH ORDINALITY AS t(id, ord)
+        WHERE t.id <> NEW.id::TEXT
+            AND EXISTS (
+                SELECT 1 FROM profiles p
+                WHERE p.id::TEXT = t.id AND are_contacts(NEW.id, p.id)
+            )
+        ORDER BY t.id, t.ord
+    ) c;
+
+    IF cardinality(NEW.top3_contacts) > 5 THEN
+        RAISE EXCEPTION 'At most 5 top contacts';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_profile_top_contacts ON profiles;
+CREATE TRIGGER on_profile_top_contacts
+    BEFORE INSERT OR UPDATE OF top3_contacts ON profiles
+    FOR EACH ROW EXECUTE FUNCTION clean_top_contacts();
+
+-- The people the caller can pick for their Top 5
+CREATE OR REPLACE FUNCTION get_contacts()
+RETURNS TABLE (id UUID, display_name TEXT, avatar_url TEXT, is_online BOOLEAN, about TEXT) AS $$
+    SELECT DISTINCT p.id, p.display_name, p.avatar_url, p.is_online, p.about
+    FROM conversation_members mine
+    JOIN conversations c ON c.id = mine.conversation_id AND NOT c.is_group
+    JOIN conversation_members theirs
+      ON theirs.conversation_id = c.id AND theirs.user_id <> mine.user_id
+    JOIN profiles p ON p.id = theirs.user_id
+    WHERE mine.user_id = auth.uid() AND are_contacts(auth.uid(), p.id)
+    ORDER BY p.display_name;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- A deleted account leaves everyone's Top 5
+CREATE OR REPLACE FUNCTION forget_top_contact()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE profiles SET top3_contacts = array_remove(top3_contacts, OLD.id::TEXT)
+    WHERE OLD.id::TEXT = ANY(top3_contacts);
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_profile_deleted_top_contacts ON profiles;
+CREATE TRIGGER on_profile_deleted_top_contacts
+    AFTER DELETE ON profiles
+    FOR EACH ROW EXECUTE FUNCTION forget_top_contact();
+
+-- ─── 29. Emergency Breakthrough ─────────────────────────────
+-- What gets through Do Not Disturb anyway, whatever the mode:
+--   allowlist    the recipient's emergency contacts, always
+--   urgent       calls and messages the sender marked urgent, from a
+--                contact: both have written in a 1:1 chat (are_contacts)
+--   repeat_call  a second call from the same person within 3 minutes
+--                of one DND held back
+-- Each breakthrough is logged in dnd_breakthroughs, so the recipient
+-- can see afterwards who got through and why. Callees also find the
+-- reason in the offer's payload as `breakthrough`.
+ALTER TABLE call_history ADD COLUMN IF NOT EXISTS urgent BOOLEAN DEFAULT FALSE;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS urgent BOOLEAN DEFAULT FALSE;
+
+-- A message stays as urgent as it was sent
+CREATE OR REPLACE FUNCTION keep_message_urgent()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.urgent := OLD.urgent;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS on_message_urgent_update ON messages;
+CREATE TRIGGER on_message_urgent_update
+    BEFORE UPDATE OF urgent ON messages
+    FOR EACH ROW EXECUTE FUNCTION keep_message_urgent();
+
+CREATE TABLE IF NOT EXISTS emergency_contacts (
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    contact_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, contact_id),
+    CHECK (user_id <> contact_id)
+);
+
+ALTER TABLE emergency_contacts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own emergency contacts"
+    ON emergency_contacts FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can add emergency contacts"
+    ON emergency_contacts FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can remove emergency contacts"
+    ON emergency_contacts FOR DELETE
+    USING (auth.uid() = user_id);
+
+CREATE TABLE IF NOT EXISTS dnd_breakthroughs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    sender_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('call', 'message')),
+    reason TEXT NOT NULL CHECK (reason IN ('allowlist', 'urgent', 'repeat_call')),
+    -- The recipient's dnd_status() at the time
+    dnd TEXT NOT NULL CHECK (dnd IN ('be_quiet', 'get_busy', 'quiet_hours')),
+    call_history_id UUID REFERENCES call_history(id) ON DELETE CASCADE,
+    message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+    conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+    seen_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE dnd_breakthroughs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own breakthroughs"
+    ON dnd_breakthroughs FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can mark own breakthroughs seen"
+    ON dnd_breakthroughs FOR UPDATE
+    USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_dnd_breakthroughs_user ON dnd_breakthroughs(user_id, created_at DESC);
+
+-- Calls DND held back, written by screen_call_signal() only. Callers
+-- write their own call_history, so repeat_call can't count on it.
+-- No policies: clients neither read nor write this table.
+CREATE TABLE IF NOT EXISTS dnd_silenced_calls (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    caller_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    call_history_id UUID NOT NULL REFERENCES call_history(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE dnd_silenced_calls ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_dnd_silenced_calls_pair ON dnd_silenced_calls(user_id, caller_id, created_at DESC);
+
+-- Why p_sender gets through to p_recipient although dnd_policy() said
+-- no, or NULL if they don't
+CREATE OR REPLACE FUNCTION dnd_breakthrough(
+    p_recipient UUID, p_sender UUID, p_kind TEXT, p_urgent BOOLEAN, p_call_id UUID DEFAULT NULL
+)
+RETURNS TEXT AS $$
+    SELECT CASE
+        WHEN EXISTS (
+            SELECT 1 FROM emergency_contacts
+            WHERE user_id = p_recipient AND contact_id = p_sender
+        ) THEN 'allowlist'
+        WHEN p_urgent AND are_contacts(p_recipient, p_sender) THEN 'urgent'
+        WHEN p_kind = 'call' AND EXISTS (
+            SELECT 1 FROM dnd_silenced_calls
+            WHERE user_id = p_recipient AND caller_id = p_sender
+                AND call_history_id IS DISTINCT FROM p_call_id
+                AND created_at > NOW() - INTERVAL '3 minutes'
+        ) THEN 'repeat_call'
+    END;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- As in section 27, with breakthroughs let through and logged
+CREATE OR REPLACE FUNCTION screen_call_signal()
+RETURNS TRIGGER AS $$
+DECLARE
+    call_id UUID := (NEW.payload->>'call_history_id')::UUID;
+    dnd TEXT;
+    breakthrough TEXT;
+BEGIN
+    -- Candidates for a call that was held back have nowhere to go
+    IF NEW.type = 'ice-candidate' THEN
+        IF EXISTS (SELECT 1 FROM call_history WHERE id = call_id AND silenced_by IS NOT NULL) THEN
+            RETURN NULL;
+        END IF;
+        RETURN NEW;
+    END IF;
+
+    IF NEW.type <> 'offer' OR in_call_together(call_id, NEW.caller_id, NEW.callee_id) THEN
+        RETURN NEW;
+    END IF;
+    IF dnd_policy(NEW.callee_id, NEW.caller_id, 'call') = 'allow' THEN
+        RETURN NEW;
+    END IF;
+
+    dnd := dnd_status(NEW.callee_id);
+    breakthrough := dnd_breakthrough(
+        NEW.callee_id, NEW.caller_id, 'call',
+        COALESCE((SELECT h.urgent FROM call_history h WHERE h.id = call_id), FALSE),
+        call_id
+    );
+    IF breakthrough IS NOT NULL THEN
+        INSERT INTO dnd_breakthroughs (user_id, sender_id, kind, reason, dnd, call_history_id)
+        VALUES (NEW.callee_id, NEW.caller_id, 'call', breakthrough, dnd, call_id);
+        NEW.payload := NEW.payload || jsonb_build_object('breakthrough', breakthrough);
+        RETURN NEW;
+    END IF;
+
+    UPDATE call_history SET silenced_by = dnd WHERE id = call_id;
+    INSERT INTO dnd_silenced_calls (user_id, caller_id, call_history_id)
+    SELECT NEW.callee_id, NEW.caller_id, h.id FROM call_history h
+    WHERE h.id = call_id AND h.caller_id = NEW.caller_id AND h.callee_id = NEW.callee_id;
+    INSERT INTO call_signals (caller_id, callee_id, type, payload)
+    VALUES (NEW.callee_id, NEW.caller_id, 'reject', jsonb_build_object('call_history_id', call_id, 'dnd', dnd));
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- As in section 27, with breakthroughs alerting straight away. Urgent
+-- only counts in 1:1 chats, so nobody can wake a whole group.
+CREATE OR REPLACE FUNCTION queue_message_alerts()
+RETURNS TRIGGER AS $$
+DECLARE
+    member UUID;
+    member_alert TEXT;
+    breakthrough TEXT;
+    is_urgent BOOLEAN;
+BEGIN
+    IF NEW.type = 'system' THEN
+        RETURN NEW;
+    END IF;
+
+    is_urgent := COALESCE(NEW.urgent, FALSE) AND NOT EXISTS (
+        SELECT 1 FROM conversations c WHERE c.id = NEW.conversation_id AND c.is_group
+    );
+
+    FOR member IN
+        SELECT m.user_id FROM conversation_members m
+        WHERE m.conversation_id = NEW.conversation_id AND m.user_id <> NEW.sender_id
+    LOOP
+        member_alert := dnd_policy(member, NEW.sender_id, 'message');
+        IF member_alert <> 'allow' THEN
+            breakthrough := dnd_breakthrough(member, NEW.sender_id, 'message', is_urgent);
+            IF breakthrough IS NOT NULL THEN
+                INSERT INTO dnd_breakthroughs (user_id, sender_id, kind, reason, dnd, message_id, conversation_id)
+                VALUES (member, NEW.sender_id, 'message', breakthrough, dnd_status(member), NEW.id, NEW.conversation_id);
+                member_alert := 'allow';
+            END IF;
+        END IF;
+
+        INSERT INTO message_alerts (message_id, user_id, conversation_id, sender_id, alert)
+        VALUES (NEW.id, member, NEW.conversation_id, NEW.sender_id, member_alert);
+    END LOOP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ─── 30. Stories ────────────────────────────────────────────
+-- A story is what someone shares with one audience, made of segments
+-- (a photo, a video or a text card) that each disappear 24 hours after
+-- they were posted. The audiences are the ones a QuantumStatus offers:
+--   public         anyone on ndeip
+--   contacts       the author's contacts (are_contacts(), section 26)
+--   close_friends  the author's close friends list
+--   custom         people picked for that story (story_audience)
+-- Expired segments can't be read from the moment they expire. Every
+-- hour pg_cron has the purge-story-media Edge Function remove their
+-- media through the Storage API, then purge_expired_stories() deletes
+-- the rows. Opening a segment records a story_views row; only
+-- the author can read who has seen it. Media is uploaded to the private
+-- stories bucket under <user_id>/<segment_id>.<ext> before the segment
+-- is posted with post_story_segment().
+CREATE TABLE IF NOT EXISTS stories (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    audience TEXT NOT NULL DEFAULT 'contacts'
+        CHECK (audience IN ('public', 'contacts', 'close_friends', 'custom')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    -- Pushed back to the newest segment's expiry as segments are added
+    expires_at TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '24 hours'
+);
+
+CREATE TABLE IF NOT EXISTS story_segments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+    type TEXT NOT NULL CHECK (type IN ('image', 'video', 'text')),
+    media_path TEXT,
+    caption TEXT,
+    text TEXT,
+    background_color TEXT,
+    text_color TEXT,
+    duration INTEGER, -- seconds, for video
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '24 hours',
+    CHECK ((type = 'text') = (media_path IS NULL))
+);
+
+CREATE TABLE IF NOT EXISTS story_audience (
+    story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    PRIMARY KEY (story_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS close_friends (
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    friend_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, friend_id),
+    CHECK (user_id <> friend_id)
+);
+
+CREATE TABLE IF NOT EXISTS story_views (
+    segment_id UUID NOT NULL REFERENCES story_segments(id) ON DELETE CASCADE,
+    viewer_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    viewed_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (segment_id, viewer_id)
+);
+
+-- Whether p_viewer is in the audience of a story that hasn't expired
+CREATE OR REPLACE FUNCTION can_view_story(p_story UUID, p_viewer UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM stories s
+        WHERE s.id = p_story AND s.expires_at > NOW() AND (
+            s.user_id = p_viewer
+            OR s.audience = 'public'
+            OR (s.audience = 'contacts' AND are_contacts(s.user_id, p_viewer))
+            OR (s.audience = 'close_friends' AND EXISTS (
+                SELECT 1 FROM close_friends
+                WHERE user_id = s.user_id AND friend_id = p_viewer
+            ))
+            OR (s.audience = 'custom' AND EXISTS (
+                SELECT 1 FROM story_audience
+                WHERE story_id = s.id AND user_id = p_viewer
+            ))
+        )
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION is_story_author(p_story UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (SELECT 1 FROM stories WHERE id = p_story AND user_id = auth.uid());
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+ALTER TABLE stories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE story_segments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE story_audience ENABLE ROW LEVEL SECURITY;
+ALTER TABLE close_friends ENABLE ROW LEVEL SECURITY;
+ALTER TABLE story_views ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Audiences can view stories"
+    ON stories FOR SELECT
+    USING (can_view_story(id, auth.uid()));
+
+CREATE POLICY "Authors can delete stories"
+    ON stories FOR DELETE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Audiences can view story segments"
+    ON story_segments FOR SELECT
+    USING (expires_at > NOW() AND can_view_story(story_id, auth.uid()));
+
+CREATE POLICY "Authors can delete story segments"
+    ON story_segments FOR DELETE
+    USING (is_story_author(story_id));
+
+CREATE POLICY "Authors can view story audiences"
+    ON story_audience FOR SELECT
+    USING (is_story_author(story_id));
+
+CREATE POLICY "Users can view own close friends"
+    ON close_friends FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can add close friends"
+    ON close_friends FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can remove close friends"
+    ON close_friends FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Authors see everyone who viewed; viewers only their own views
+CREATE POLICY "Authors and viewers can view story views"
+    ON story_views FOR SELECT
+    USING (
+        auth.uid() = viewer_id
+        OR EXISTS (
+            SELECT 1 FROM story_segments g
+            WHERE g.id = segment_id AND is_story_author(g.story_id)
+        )
+    );
+
+CREATE POLICY "Audiences can record story views"
+    ON story_views FOR INSERT
+    WITH CHECK (
+        auth.uid() = viewer_id
+        AND EXISTS (
+            SELECT 1 FROM story_segments g
+            WHERE g.id = segment_id AND g.expires_at > NOW()
+                AND can_view_story(g.story_id, auth.uid())
+                AND NOT is_story_author(g.story_id)
+        )
+    );
+
+-- Adds a segment to the author's live story for the same audience, or
+-- starts a new story. Custom audiences always start a new story with
+-- p_viewers as its audience.
+CREATE OR REPLACE FUNCTION post_story_segment(
+    p_id UUID,
+    p_audience TEXT,
+    p_type TEXT,
+    p_media_path TEXT DEFAULT NULL,
+    p_caption TEXT DEFAULT NULL,
+    p_text TEXT DEFAULT NULL,
+    p_background_color TEXT DEFAULT NULL,
+    p_text_color TEXT DEFAULT NULL,
+    p_duration INTEGER DEFAULT NULL,
+    p_viewers UUID[] DEFAULT '{}'
+)
+RETURNS UUID AS $$
+DECLARE
+    story UUID;
+    expiry TIMESTAMPTZ := NOW() + INTERVAL '24 hours';
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+    IF p_media_path IS NOT NULL AND split_part(p_media_path, '/', 1) <> auth.uid()::TEXT THEN
+        RAISE EXCEPTION 'Story media must be in your own folder';
+    END IF;
+    IF p_audience = 'custom' AND cardinality(COALESCE(p_viewers, '{}')) = 0 THEN
+        RAISE EXCEPTION 'Pick at least one person to share with';
+    END IF;
+
+    IF p_audience <> 'custom' THEN
+        SELECT id INTO story FROM stories
+        WHERE user_id = auth.uid() AND audience = p_audience AND expires_at > NOW()
+        ORDER BY created_at DESC
+        LIMIT 1;
+    END IF;
+
+    IF story IS NULL THEN
+        INSERT INTO stories (user_id, audience, expires_at)
+        VALUES (auth.uid(), p_audience, expiry)
+        RETURNING id INTO story;
+
+        INSERT INTO story_audience (story_id, user_id)
+        SELECT story, v FROM unnest(COALESCE(p_viewers, '{}')) AS v
+        WHERE p_audience = 'custom' AND v <> auth.uid()
+        ON CONFLICT DO NOTHING;
+    ELSE
+        UPDATE stories SET expires_at = expiry WHERE id = story;
+    END IF;
+
+    INSERT INTO story_segments (
+        id, story_id, type, media_path, caption, text, background_color, text_color, duration, expires_at
+    )
+    VALUES (
+        p_id, story, p_type, p_media_path, p_caption, p_text, p_background_color, p_text_color, p_duration, expiry
+    );
+    RETURN story;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Story media is readable by whoever may view the segment it belongs to
+CREATE OR REPLACE FUNCTION can_view_story_media(p_path TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM story_segments g
+        WHERE g.media_path = p_path AND g.expires_at > NOW()
+            AND can_view_story(g.story_id, auth.uid())
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Rows only, as storage objects can't be deleted from SQL. A segment is
+-- kept until the Edge Function has removed its media, so no file is
+-- left behind without a row pointing at it.
+CREATE OR REPLACE FUNCTION purge_expired_stories()
+RETURNS INTEGER AS $$
+DECLARE
+    purged INTEGER;
+BEGIN
+    DELETE FROM story_segments g
+    WHERE g.expires_at <= NOW()
+      AND NOT EXISTS (
+          SELECT 1 FROM storage.objects o
+          WHERE o.bucket_id = 'stories' AND o.name = g.media_path
+      );
+    GET DIAGNOSTICS purged = ROW_COUNT;
+
+    DELETE FROM stories s
+    WHERE s.expires_at <= NOW()
+      AND NOT EXISTS (SELECT 1 FROM story_segments WHERE story_id = s.id);
+    RETURN purged;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- The Edge Function is called with the project URL and service role key
+-- stored in Vault as 'project_url' and 'service_role_key'
+CREATE EXTENSION IF NOT EXISTS pg_net;
+
+SELECT cron.schedule('purge-story-media', '0 * * * *', $$
+    SELECT net.http_post(
+        url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+            || '/functions/v1/purge-story-media',
+        headers := jsonb_build_object(
+            'Authorization',
+            'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+        )
+    );
+$$);
+
+-- Half an hour later, once the media is gone
+SELECT cron.schedule('purge-expired-stories', '30 * * * *', 'SELECT purge_expired_stories()');
+
+ALTER PUBLICATION supabase_realtime ADD TABLE story_views;
+
+CREATE INDEX IF NOT EXISTS idx_stories_user ON stories(user_id, expires_at DESC);
+CREATE INDEX IF NOT EXISTS idx_story_segments_story ON story_segments(story_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_story_segments_expiry ON story_segments(expires_at);
+CREATE INDEX IF NOT EXISTS idx_story_views_viewer ON story_views(viewer_id);
+
+-- Storage: objects are named <user_id>/<segment_id>.<ext>
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('stories', 'stories', FALSE)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Audiences can view story media"
+    ON storage.objects FOR SELECT
+    USING (bucket_id = 'stories' AND (owner = auth.uid() OR can_view_story_media(name)));
+
+CREATE POLICY "Users can upload own story media"
+    ON storage.objects FOR INSERT
+    WITH CHECK (bucket_id = 'stories' AND (storage.foldername(name))[1] = auth.uid()::TEXT);
+
+CREATE POLICY "Users can delete own story media"
+    ON storage.objects FOR DELETE
+    USING (bucket_id = 'stories' AND owner = auth.uid());
+
+-- ─── 31. Story Replies ──────────────────────────────────────
+-- Replies and quick emoji reactions to a story segment are ordinary
+-- messages in the 1:1 chat with its author, so they reach the author
+-- through message alerts like any other message. messages.story_segment_id
+-- says which segment they answer and story_reaction holds the emoji of a
+-- reaction. Neither has a foreign key: segments are purged when they
+-- expire and the chat still shows that the message was about a story.
+-- The author counts replies and reactions from these messages.
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS story_segment_id UUID;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS story_reaction TEXT;
+
+-- Only someone who can see the segment can answer it, and only in a 1:1
+-- chat with its author
+CREATE OR REPLACE FUNCTION check_story_reply()
+RETURNS TRIGGER AS $$
+DECLARE
+    author UUID;
+BEGIN
+    IF NEW.story_segment_id IS NULL THEN
+        IF NEW.story_reaction IS NOT NULL THEN
+            RAISE EXCEPTION 'A story reaction needs a story';
+        END IF;
+        RETURN NEW;
+    END IF;
+
+    SELECT s.user_id INTO author
+    FROM story_segments g JOIN stories s ON s.id = g.story_id
+    WHERE g.id = NEW.story_segment_id AND g.expires_at > NOW();
+
+    IF author IS NULL OR author = NEW.sender_id OR NOT can_view_story(
+        (SELECT story_id FROM story_segments WHERE id = NEW.story_segment_id), NEW.sender_id
+    ) THEN
+        RAISE EXCEPTION 'This story is no longer available';
+    END IF;
+    IF NOT EXISTS (
+        SELECT 1 FROM conversation_members m
+        JOIN conversations c ON c.id = m.conversation_id
+        WHERE m.conversation_id = NEW.conversation_id AND m.user_id = author AND NOT c.is_group
+    ) THEN
+        RAISE EXCEPTION 'Story replies go to the chat with its author';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_story_reply ON messages;
+CREATE TRIGGER on_story_reply
+    BEFORE INSERT ON messages
+    FOR EACH ROW EXECUTE FUNCTION check_story_reply();
+
+-- What a message answered is fixed once it is sent
+CREATE OR REPLACE FUNCTION keep_story_reply()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.story_segment_id := OLD.story_segment_id;
+    NEW.story_reaction := OLD.story_reaction;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS on_story_reply_update ON messages;
+CREATE TRIGGER on_story_reply_update
+    BEFORE UPDATE OF story_segment_id, story_reaction ON messages
+    FOR EACH ROW EXECUTE FUNCTION keep_story_reply();
+
+CREATE INDEX IF NOT EXISTS idx_messages_story_segment ON messages(story_segment_id)
+    WHERE story_segment_id IS NOT NULL;
@@ -5,14 +5,19 @@
  * - Messages appear instantly in the UI before server confirmation
  * - Failed messages show retry UI
  * - Server confirmations update the message status
+ *
+ * Sends go through ChatService's persistent outbox, so the local id is
+ * the same client-generated id the server stores.
  */
-import { useState, useCallback, useRef } from 'react';
+import { useState, useCallback } from 'react';
+import * as ExpoCrypto from 'expo-crypto';
+import { ChatService } from '@/services/ChatService';
 
 export type MessageStatus = 'sending' | 'sent' | 'delivered' | 'read' | 'failed';
 
 export interface OptimisticMessage {
     id: string;
-    localId: string; // Client-generated temporary ID
+    localId: string; // Client-generated ID, kept by the server
     text?: string;
     sent: boolean;
     time: string;
@@ -26,11 +31,6 @@ export interface OptimisticMessage {
     createdAt: number;
 }
 
-let idCounter = 0;
-function generateLocalId(): string {
-    return `local_${Date.now()}_${++idCounter}`;
-}
-
 function getCurrentTime(): string {
     const now = new Date();
     const hours = now.getHours();
@@ -40,19 +40,28 @@ function getCurrentTime(): string {
     return `${h12}:${minutes} ${ampm}`;
 }
 
-export function useOptimisticMessages(initialMessages: OptimisticMessage[] = []) {
+export function useOptimisticMessages(conversationId: string, initialMessages: OptimisticMessage[] = []) {
     const [messages, setMessages] = useState<OptimisticMessage[]>(initialMessages);
-    const pendingRef = useRef<Map<string, ReturnType<typeof setTimeout>>>(new Map());
+
+    const applyResult = useCallback((localId: string, status: MessageStatus | null) => {
+        setMessages(prev =>
+            prev.map(m =>
+                m.localId === localId
+                    ? { ...m, status: status ?? 'failed', optimistic: status !== 'sent' }
+                    : m
+            )
+        );
+    }, []);
 
     /**
      * Add a message optimistically — appears instantly as 'sending'
      */
     const sendMessage = useCallback((text: string, type: 'text' | 'voice' | 'video' = 'text') => {
-        const localId = generateLocalId();
+        const placeholderId = ExpoCrypto.randomUUID();
 
         const newMsg: OptimisticMessage = {
-            id: localId,
-            localId,
+            id: placeholderId,
+            localId: placeholderId,
             text: type === 'text' ? text : undefined,
             sent: true,
             time: getCurrentTime(),
@@ -65,24 +74,21 @@ export function useOptimisticMessages(initialMessages: OptimisticMessage[] = [])
 
         setMessages(prev => [...prev, newMsg]);
 
-        // Simulate server confirmation after a delay (replace with real API call)
-        const timeout = setTimeout(() => {
-            setMessages(prev =>
-                prev.map(m =>
-                    m.localId === localId
-                        ? { ...m, status: 'sent' as MessageStatus, optimistic: false }
-                        : m
-                )
-            );
-            pendingRef.current.delete(localId);
-        }, 800 + Math.random() * 400);
-
-        pendingRef.current.set(localId, timeout);
-        return localId;
-    }, []);
+        // Adopt the outbox id once ChatService has queued the message
+        ChatService.sendMessage(conversationId, text, type).then(result => {
+            if (result) {
+                setMessages(prev => prev.map(m =>
+                    m.localId === placeholderId ? { ...m, id: result.id, localId: result.id } : m
+                ));
+            }
+            applyResult(result?.id ?? placeholderId, result?.status ?? null);
+        });
+
+        return placeholderId;
+    }, [conversationId, applyResult]);
 
     /**
-     * Simulate a delivery status update
+     * Apply a delivery receipt
      */
     const markDelivered = useCallback((localId: string) => {
         setMessages(prev =>
@@ -93,7 +99,7 @@ export function useOptimisticMessages(initialMessages: OptimisticMessage[] = [])
     }, []);
 
     /**
-     * Simulate a read receipt
+     * Apply a read receipt
      */
     const markRead = useCallback((localId: string) => {
         setMessages(prev =>
@@ -104,7 +110,7 @@ export function useOptimisticMessages(initialMessages: OptimisticMessage[] = [])
     }, []);
 
     /**
-     * Simulate a failed send
+     * Mark a send as failed
      */
     const markFailed = useCallback((localId: string) => {
         setMessages(prev =>
@@ -115,7 +121,7 @@ export function useOptimisticMessages(initialMessages: OptimisticMessage[] = [])
     }, []);
 
     /**
-     * Retry a failed message
+     * Retry a failed message from the outbox
      */
     const retryMessage = useCallback((localId: string) => {
         setMessages(prev =>
@@ -125,31 +131,15 @@ export function useOptimisticMessages(initialMessages: OptimisticMessage[] = [])
                     : m
             )
         );
-
-        // Simulate retry
-        const timeout = setTimeout(() => {
-            setMessages(prev =>
-                prev.map(m =>
-                    m.localId === localId
-                        ? { ...m, status: 'sent' as MessageStatus, optimistic: false }
-                        : m
-                )
-            );
-        }, 800 + Math.random() * 400);
-
-        pendingRef.current.set(localId, timeout);
+        ChatService.retryMessage(localId);
     }, []);
 
     /**
-     * Delete a message locally
+     * Delete an unsent message locally
      */
     const deleteMessage = useCallback((localId: string) => {
         setMessages(prev => prev.filter(m => m.localId !== localId));
-        const timeout = pendingRef.current.get(localId);
-        if (timeout) {
-            clearTimeout(timeout);
-            pendingRef.current.delete(localId);
-        }
+        ChatService.discardMessage(localId);
     }, []);
 
     return {
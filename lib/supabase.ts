@@ -6,8 +6,8 @@
  */
 import { createClient } from '@supabase/supabase-js';
 
-const SUPABASE_URL = 'https://gubmqxlnoyknkcneesjj.supabase.co';
-const SUPABASE_ANON_KEY = 'sb_publishable_1NXfHgMZYQGYl-M7ITmP6A_eLs4EGPC';
+export const SUPABASE_URL = 'https://gubmqxlnoyknkcneesjj.supabase.co';
+export const SUPABASE_ANON_KEY = 'sb_publishable_1NXfHgMZYQGYl-M7ITmP6A_eLs4EGPC';
 
 // ─── SSR-safe storage adapter ─────────────────────────────────
 // AsyncStorage accesses `window` on import, which crashes during
@@ -0,0 +1,298 @@
+/**
+ * CallQuality — Adapts outgoing call media to the link from live RTC stats
+ *
+ * CallService samples getStats() on its connections while a call is up
+ * and feeds each sample to a QualityController. Samples are graded, and
+ * the video we send steps between the QUALITY_LEVELS presets by changing
+ * RTCRtpSender encoding parameters, so adapting never renegotiates. When
+ * the link stays poor at the lowest level, video is paused and the call
+ * carries on as audio only until the link recovers. Data saver mode
+ * holds calls at the lowest level.
+ *
+ * Takes over parseRTCStats, calculateQualityLevel and autoAdjustQuality
+ * from the legacy webRTCQuantum service.
+ */
+
+// ─── Types ────────────────────────────────────────────────────
+export const QUALITY_LEVELS = {
+    LOW: 'low',
+    MEDIUM: 'medium',
+    HIGH: 'high',
+    HD: 'hd',
+} as const;
+
+export type QualityLevel = typeof QUALITY_LEVELS[keyof typeof QUALITY_LEVELS];
+export type LinkGrade = 'poor' | 'fair' | 'good' | 'excellent';
+
+export interface QualityPreset {
+    width: number;
+    height: number;
+    maxFramerate: number;
+    maxBitrate: number; // bits/s
+}
+
+export interface QualitySample {
+    rtt: number; // ms
+    packetLoss: number; // % of packets sent since the previous sample
+    jitter: number; // ms
+    bitrate: number; // bits/s we are sending
+    // What the congestion controller thinks the link can carry, when known
+    availableBitrate: number | null;
+    resolution: string | null; // of the video we send
+    frameRate: number;
+}
+
+// Running totals from the previous getStats() report, for deltas
+export interface StatsCounters {
+    timestamp: number;
+    bytesSent: number;
+    packetsSent: number;
+    packetsLost: number;
+}
+
+// Filed to call_history.quality_summaries when we leave a call
+export interface QualitySummary {
+    samples: number;
+    avgRtt: number;
+    maxRtt: number;
+    avgPacketLoss: number;
+    maxPacketLoss: number;
+    avgBitrate: number;
+    // Seconds spent sending at each level and on each grade of link
+    levels: Partial<Record<QualityLevel, number>>;
+    grades: Partial<Record<LinkGrade, number>>;
+    finalLevel: QualityLevel;
+    audioOnlyFallbacks: number;
+    dataSaver: boolean;
+}
+
+export interface QualityUpdate {
+    level: QualityLevel;
+    grade: LinkGrade;
+    audioOnly: boolean;
+    // The level or audio-only state moved and senders need new parameters
+    changed: boolean;
+}
+
+// ─── Presets ──────────────────────────────────────────────────
+export const QUALITY_POLL_MS = 2000;
+
+export const QUALITY_PRESETS: Record<QualityLevel, QualityPreset> = {
+    low: { width: 320, height: 240, maxFramerate: 15, maxBitrate: 150_000 },
+    medium: { width: 640, height: 480, maxFramerate: 24, maxBitrate: 500_000 },
+    high: { width: 1280, height: 720, maxFramerate: 30, maxBitrate: 1_200_000 },
+    hd: { width: 1920, height: 1080, maxFramerate: 30, maxBitrate: 2_500_000 },
+};
+
+const LEVEL_ORDER: QualityLevel[] = ['low', 'medium', 'high', 'hd'];
+
+// Calls start a step below the top so the first seconds don't overshoot
+export const START_LEVEL: QualityLevel = 'high';
+// Opus stays intelligible down to this on a constrained link
+export const DATA_SAVER_AUDIO_BITRATE = 24_000;
+
+// Consecutive samples needed before acting, so one bad reading or a
+// short burst of good ones doesn't make the picture flap
+const DOWNGRADE_SAMPLES = 2;
+const UPGRADE_SAMPLES = 5;
+const AUDIO_ONLY_SAMPLES = 3;
+const RECOVER_SAMPLES = 5;
+
+// ─── Stats ────────────────────────────────────────────────────
+// Reads what we send (outbound-rtp), how the far end received it
+// (remote-inbound-rtp) and the active candidate pair. Loss and bitrate
+// are worked out against the previous report's counters.
+export function parseRTCStats(stats: any, previous: StatsCounters | null): { sample: QualitySample; counters: StatsCounters } {
+    const counters: StatsCounters = { timestamp: 0, bytesSent: 0, packetsSent: 0, packetsLost: 0 };
+    const sample: QualitySample = {
+        rtt: 0,
+        packetLoss: 0,
+        jitter: 0,
+        bitrate: 0,
+        availableBitrate: null,
+        resolution: null,
+        frameRate: 0,
+    };
+    let remoteRtt = 0;
+
+    stats.forEach((report: any) => {
+        const kind = report.kind ?? report.mediaType;
+        if (report.type === 'outbound-rtp') {
+            counters.timestamp = Math.max(counters.timestamp, report.timestamp || 0);
+            counters.bytesSent += report.bytesSent || 0;
+            counters.packetsSent += report.packetsSent || 0;
+            if (kind === 'video') {
+                sample.frameRate = report.framesPerSecond || 0;
+                if (report.frameWidth && report.frameHeight) {
+                    sample.resolution = `${report.frameWidth}x${report.frameHeight}`;
+                }
+            }
+        } else if (report.type === 'remote-inbound-rtp') {
+            counters.packetsLost += Math.max(0, report.packetsLost || 0);
+            sample.jitter = Math.max(sample.jitter, (report.jitter || 0) * 1000);
+            remoteRtt = Math.max(remoteRtt, (report.roundTripTime || 0) * 1000);
+        } else if (report.type === 'candidate-pair' && report.state === 'succeeded' && report.nominated !== false) {
+            if (report.currentRoundTripTime) sample.rtt = report.currentRoundTripTime * 1000;
+            if (report.availableOutgoingBitrate) sample.availableBitrate = report.availableOutgoingBitrate;
+        }
+    });
+
+    if (!sample.rtt) sample.rtt = remoteRtt;
+
+    if (previous && counters.timestamp > previous.timestamp) {
+        const seconds = (counters.timestamp - previous.timestamp) / 1000;
+        sample.bitrate = Math.max(0, (counters.bytesSent - previous.bytesSent) * 8 / seconds);
+        const sent = counters.packetsSent - previous.packetsSent;
+        const lost = counters.packetsLost - previous.packetsLost;
+        if (sent > 0 && lost > 0) sample.packetLoss = Math.min(100, lost / (sent + lost) * 100);
+    }
+
+    return { sample, counters };
+}
+
+// In a mesh we send the same video down every connection, so the call
+// is graded on its weakest link while bitrates add up
+export function combineSamples(samples: QualitySample[]): QualitySample {
+    const known = samples.map(s => s.availableBitrate).filter((b): b is number => b !== null);
+    return {
+        rtt: Math.max(0, ...samples.map(s => s.rtt)),
+        packetLoss: Math.max(0, ...samples.map(s => s.packetLoss)),
+        jitter: Math.max(0, ...samples.map(s => s.jitter)),
+        bitrate: samples.reduce((sum, s) => sum + s.bitrate, 0),
+        availableBitrate: known.length ? Math.min(...known) : null,
+        resolution: samples.find(s => s.resolution)?.resolution ?? null,
+        frameRate: Math.max(0, ...samples.map(s => s.frameRate)),
+    };
+}
+
+// What we send is a result of adaptation, not a measure of the link, so
+// only the congestion controller's estimate counts towards the grade.
+// Audio needs so little that bandwidth only matters with video on.
+export function calculateQualityLevel(sample: QualitySample, hasVideo: boolean): LinkGrade {
+    const { packetLoss, rtt, availableBitrate } = sample;
+    const bandwidth = hasVideo ? availableBitrate : null;
+
+    if (packetLoss > 5 || rtt > 300 || (bandwidth !== null && bandwidth < 100_000)) return 'poor';
+    if (packetLoss > 2 || rtt > 150 || (bandwidth !== null && bandwidth < 500_000)) return 'fair';
+    if (packetLoss < 1 && rtt < 50 && (bandwidth === null || bandwidth > 1_000_000)) return 'excellent';
+    return 'good';
+}
+
+// Poor links step down a level and excellent ones step up, never past `ceiling`
+export function autoAdjustQuality(level: QualityLevel, grade: LinkGrade, ceiling: QualityLevel): QualityLevel {
+    const index = LEVEL_ORDER.indexOf(level);
+    const top = LEVEL_ORDER.indexOf(ceiling);
+    if (grade === 'poor') return LEVEL_ORDER[Math.max(0, index - 1)];
+    if (grade === 'excellent') return LEVEL_ORDER[Math.min(top, index + 1)];
+    return LEVEL_ORDER[Math.min(top, index)];
+}
+
+// ─── Controller ───────────────────────────────────────────────
+// One per call. Holds the current level and the audio-only state, and
+// keeps the running numbers for the call's summary.
+export class QualityController {
+    level: QualityLevel;
+    audioOnly = false;
+    private grade: LinkGrade = 'good';
+    // Consecutive samples of the current grade
+    private streak = 0;
+    private totals = {
+        samples: 0,
+        rtt: 0,
+        maxRtt: 0,
+        packetLoss: 0,
+        maxPacketLoss: 0,
+        bitrate: 0,
+        levels: {} as Partial<Record<QualityLevel, number>>,
+        grades: {} as Partial<Record<LinkGrade, number>>,
+        audioOnlyFallbacks: 0,
+    };
+
+    constructor(private hasVideo: boolean, private dataSaver: boolean) {
+        this.level = dataSaver ? 'low' : START_LEVEL;
+    }
+
+    get ceiling(): QualityLevel {
+        return this.dataSaver ? 'low' : 'hd';
+    }
+
+    get isDataSaver(): boolean {
+        return this.dataSaver;
+    }
+
+    setDataSaver(enabled: boolean): boolean {
+        if (this.dataSaver === enabled) return false;
+        this.dataSaver = enabled;
+        this.level = enabled ? 'low' : START_LEVEL;
+        this.streak = 0;
+        return true;
+    }
+
+    update(sample: QualitySample): QualityUpdate {
+        const grade = calculateQualityLevel(sample, this.hasVideo && !this.audioOnly);
+        this.streak = grade === this.grade ? this.streak + 1 : 1;
+        this.grade = grade;
+        this.record(sample, grade);
+
+        const before = { level: this.level, audioOnly: this.audioOnly };
+
+        if (this.hasVideo && this.audioOnly) {
+            // Bring video back at the bottom and let it climb from there
+            if ((grade === 'good' || grade === 'excellent') && this.streak >= RECOVER_SAMPLES) {
+                this.audioOnly = false;
+                this.level = 'low';
+                this.streak = 0;
+            }
+        } else if (grade === 'poor') {
+            if (this.level === 'low' && this.hasVideo && this.streak >= AUDIO_ONLY_SAMPLES) {
+                this.audioOnly = true;
+                this.totals.audioOnlyFallbacks += 1;
+                this.streak = 0;
+            } else if (this.level !== 'low' && this.streak >= DOWNGRADE_SAMPLES) {
+                this.level = autoAdjustQuality(this.level, grade, this.ceiling);
+                this.streak = 0;
+            }
+        } else if (grade === 'excellent' && this.streak >= UPGRADE_SAMPLES) {
+            this.level = autoAdjustQuality(this.level, grade, this.ceiling);
+            this.streak = 0;
+        }
+
+        return {
+            level: this.level,
+            grade,
+            audioOnly: this.audioOnly,
+            changed: before.level !== this.level || before.audioOnly !== this.audioOnly,
+        };
+    }
+
+    private record(sample: QualitySample, grade: LinkGrade) {
+        const t = this.totals;
+        const seconds = QUALITY_POLL_MS / 1000;
+        t.samples += 1;
+        t.rtt += sample.rtt;
+        t.maxRtt = Math.max(t.maxRtt, sample.rtt);
+        t.packetLoss += sample.packetLoss;
+        t.maxPacketLoss = Math.max(t.maxPacketLoss, sample.packetLoss);
+        t.bitrate += sample.bitrate;
+        t.grades[grade] = (t.grades[grade] ?? 0) + seconds;
+        if (this.hasVideo && !this.audioOnly) t.levels[this.level] = (t.levels[this.level] ?? 0) + seconds;
+    }
+
+    summary(): QualitySummary | null {
+        const t = this.totals;
+        if (!t.samples) return null;
+        return {
+            samples: t.samples,
+            avgRtt: Math.round(t.rtt / t.samples),
+            maxRtt: Math.round(t.maxRtt),
+            avgPacketLoss: Math.round(t.packetLoss / t.samples * 10) / 10,
+            maxPacketLoss: Math.round(t.maxPacketLoss * 10) / 10,
+            avgBitrate: Math.round(t.bitrate / t.samples),
+            levels: t.levels,
+            grades: t.grades,
+            finalLevel: this.level,
+            audioOnlyFallbacks: t.audioOnlyFallbacks,
+            dataSaver: this.dataSaver,
+        };
+    }
+}
@@ -0,0 +1,581 @@
+/**
+ * CallRecordingService — Call recording with everyone's consent
+ *
+ * Anyone on a call can ask to record it. Everyone else connected gets a
+ * consent prompt, and recording starts only once all of them agree;
+ * one refusal declines the request (schema section 22). The person who
+ * asked does the recording with MediaRecorder: everyone's audio mixed
+ * together, plus the other person's camera in a 1:1 video call.
+ *
+ * Recording stops when the recorder stops it, the call ends, someone
+ * withdraws consent, or someone joins who was never asked. The file is
+ * then uploaded to the call-recordings bucket through MediaSync's
+ * resumable uploads, and the finished recording is linked from the
+ * call's call_history row.
+ *
+ * Takes over the recording from the legacy webRTCQuantum service.
+ */
+import { supabase } from '@/lib/supabase';
+import type { RealtimeChannel } from '@supabase/supabase-js';
+import { CallService, type ActiveCall, type CallType } from '@/services/CallService';
+import MediaSync, { UPLOAD_PRIORITY } from '@/services/MediaSync';
+
+// ─── Types ────────────────────────────────────────────────────
+export type RecordingStatus = 'requested' | 'declined' | 'cancelled' | 'recording' | 'uploading' | 'ready' | 'failed';
+
+export interface CallRecording {
+    id: string;
+    callId: string;
+    recordedBy: string;
+    recorderName: string;
+    status: RecordingStatus;
+    storagePath: string | null;
+    mimeType: string | null;
+    size: number;
+    duration: number; // seconds
+    createdAt: string;
+    // Filled in for the recordings list
+    callName?: string;
+    callType?: CallType;
+}
+
+export interface ConsentRequest {
+    recordingId: string;
+    requestedBy: string;
+    requesterName: string;
+}
+
+// Everything the call screen needs to show about recording
+export interface RecordingState {
+    // The call's open request or running recording, if any
+    recording: CallRecording | null;
+    // A request waiting for our answer
+    consentRequest: ConsentRequest | null;
+    // On our own request: how many people haven't answered yet
+    waitingFor: number;
+    // Something worth telling the user, e.g. who declined
+    notice: string | null;
+}
+
+// ─── Config ───────────────────────────────────────────────────
+// Mirrors the callRecording flag in ProductionConfig
+export const CALL_RECORDING_ENABLED = process.env.EXPO_PUBLIC_FEATURE_CALL_RECORDING === 'true';
+
+const RECORDINGS_BUCKET = 'call-recordings';
+// Signed playback URLs stay valid this long
+const PLAYBACK_URL_TTL = 3600; // seconds
+// MediaRecorder hands over data this often
+const RECORDER_TIMESLICE_MS = 1000;
+
+const OPEN_STATUSES: RecordingStatus[] = ['requested', 'recording'];
+
+const EMPTY_STATE: RecordingState = { recording: null, consentRequest: null, waitingFor: 0, notice: null };
+
+// Only the browser has MediaRecorder; react-native-webrtc streams can't
+// be recorded, though native clients still answer consent prompts
+export function canRecordCalls(): boolean {
+    return CALL_RECORDING_ENABLED && typeof (globalThis as any).MediaRecorder === 'function';
+}
+
+// ─── Helpers ──────────────────────────────────────────────────
+function toRecording(row: any, recorderName = 'Unknown'): CallRecording {
+    return {
+        id: row.id,
+        callId: row.call_id,
+        recordedBy: row.recorded_by,
+        recorderName: row.recorder?.display_name || recorderName,
+        status: row.status,
+        storagePath: row.storage_path ?? null,
+        mimeType: row.mime_type ?? null,
+        size: row.size ?? 0,
+        duration: row.duration ?? 0,
+        createdAt: row.created_at,
+    };
+}
+
+function pickMimeType(withVideo: boolean): string | undefined {
+    const MediaRecorder = (globalThis as any).MediaRecorder;
+    const candidates = withVideo
+        ? ['video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4']
+        : ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4'];
+    return candidates.find(type => MediaRecorder?.isTypeSupported?.(type));
+}
+
+// MediaRecorder records a single audio track, so every voice on the
+// call is mixed into one
+function mixAudio(streams: any[]): { track: any; context: any } {
+    const g = globalThis as any;
+    const withAudio = streams.filter(s => s.getAudioTracks().length > 0);
+    const AudioContextClass = g.AudioContext ?? g.webkitAudioContext;
+    if (!AudioContextClass || withAudio.length <= 1) {
+        return { track: withAudio[0]?.getAudioTracks()[0] ?? null, context: null };
+    }
+
+    const context = new AudioContextClass();
+    const destination = context.createMediaStreamDestination();
+    withAudio.forEach(s => context.createMediaStreamSource(s).connect(destination));
+    return { track: destination.stream.getAudioTracks()[0], context };
+}
+
+// ─── CallRecordingService ─────────────────────────────────────
+class CallRecordingServiceClass {
+    private currentUserId: string | null = null;
+    private callId: string | null = null;
+    private channel: RealtimeChannel | null = null;
+    private state: RecordingState = EMPTY_STATE;
+    private listeners = new Set<(state: RecordingState) => void>();
+    private unsubscribeCall: (() => void) | null = null;
+    private unsubscribeParticipants: (() => void) | null = null;
+
+    // ─── Capture state ────────────────────────────────────────
+    private recorder: any = null;
+    private recordedChunks: Blob[] = [];
+    private audioContext: any = null;
+    private captureStartedAt = 0;
+
+    setCurrentUser(userId: string) {
+        if (this.currentUserId === userId) return;
+        this.currentUserId = userId;
+        this.closeCall();
+    }
+
+    // ─── Following a call ─────────────────────────────────────
+    // Recording requests, consent and status for a call we're in. The
+    // channel stays open until the call ends, not until the listener goes.
+    subscribe(callId: string, listener: (state: RecordingState) => void): () => void {
+        this.listeners.add(listener);
+        if (this.callId !== callId) this.openCall(callId);
+        listener(this.state);
+        return () => { this.listeners.delete(listener); };
+    }
+
+    private openCall(callId: string) {
+        this.closeCall();
+        if (!this.currentUserId) return;
+        this.callId = callId;
+
+        this.channel = supabase
+            .channel(`call-recordings:${callId}`)
+            .on(
+                'postgres_changes',
+                {
+                    event: '*',
+                    schema: 'public',
+                    table: 'call_recordings',
+                    filter: `call_id=eq.${callId}`,
+                },
+                (payload) => { this.handleRecordingChange(payload.new as any); }
+            )
+            .on(
+                'postgres_changes',
+                {
+                    event: '*',
+                    schema: 'public',
+                    table: 'call_recording_consents',
+                    filter: `call_id=eq.${callId}`,
+                },
+                (payload) => { this.handleConsentChange(payload.new as any); }
+            )
+            .subscribe();
+
+        // Stop (and keep what we have) when the call goes away or someone
+        // joins who hasn't agreed to be recorded
+        this.unsubscribeCall = CallService.subscribeToActiveCall((call) => {
+            if (!call || call.id !== callId || call.status === 'ended' || call.status === 'failed') {
+                this.stopCapture();
+                this.closeCall();
+            }
+        });
+        this.unsubscribeParticipants = CallService.subscribeToParticipantEvents((event) => {
+            if (event.type === 'joined' && this.recorder) {
+                this.stopCapture(`Recording stopped because ${event.name} joined`);
+            }
+        });
+
+        this.loadOpenRecording(callId);
+    }
+
+    private closeCall() {
+        if (this.channel) {
+            supabase.removeChannel(this.channel);
+            this.channel = null;
+        }
+        this.unsubscribeCall?.();
+        this.unsubscribeParticipants?.();
+        this.unsubscribeCall = null;
+        this.unsubscribeParticipants = null;
+        this.callId = null;
+        this.setState(EMPTY_STATE);
+    }
+
+    // Picks up a request or recording that started before we subscribed
+    private async loadOpenRecording(callId: string) {
+        const { data } = await supabase
+            .from('call_recordings')
+            .select('*, recorder:profiles!call_recordings_recorded_by_fkey(display_name)')
+            .eq('call_id', callId)
+            .in('status', OPEN_STATUSES)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+        if (!data || this.callId !== callId) return;
+
+        const recording = toRecording(data);
+        this.setState({ recording });
+
+        if (recording.recordedBy === this.currentUserId) {
+            this.refreshWaitingFor(recording.id);
+            return;
+        }
+        if (recording.status === 'requested') {
+            const { data: consent } = await supabase
+                .from('call_recording_consents')
+                .select('status')
+                .eq('recording_id', recording.id)
+                .eq('user_id', this.currentUserId)
+                .maybeSingle();
+            if (consent?.status === 'pending' && this.callId === callId) {
+                this.setState({
+                    consentRequest: {
+                        recordingId: recording.id,
+                        requestedBy: recording.recordedBy,
+                        requesterName: recording.recorderName,
+                    },
+                });
+            }
+        }
+    }
+
+    private async handleRecordingChange(row: any) {
+        if (!row?.id || row.call_id !== this.callId) return;
+
+        const mine = row.recorded_by === this.currentUserId;
+        const recording = toRecording(row, mine ? 'You' : this.nameOf(row.recorded_by));
+        const current = this.state.recording;
+
+        if (current && current.id !== recording.id && !OPEN_STATUSES.includes(recording.status)) return;
+
+        if (!OPEN_STATUSES.includes(recording.status)) {
+            // Declined, cancelled or finished: nothing to show any more
+            this.setState({
+                recording: null,
+                consentRequest: this.state.consentRequest?.recordingId === recording.id ? null : this.state.consentRequest,
+                waitingFor: 0,
+            });
+            return;
+        }
+
+        this.setState({
+            recording,
+            consentRequest: recording.status === 'recording' ? null : this.state.consentRequest,
+        });
+        if (mine && recording.status === 'recording' && !this.recorder) this.startCapture(recording);
+    }
+
+    private async handleConsentChange(row: any) {
+        if (!row?.recording_id || row.call_id !== this.callId) return;
+        const recording = this.state.recording;
+
+        if (row.user_id === this.currentUserId) {
+            if (row.status === 'pending') {
+                // The request may arrive before its recording row
+                const requestedBy = recording && recording.id === row.recording_id
+                    ? recording.recordedBy
+                    : await this.recorderOf(row.recording_id);
+                if (!requestedBy) return;
+                this.setState({
+                    consentRequest: {
+                        recordingId: row.recording_id,
+                        requestedBy,
+                        requesterName: this.nameOf(requestedBy),
+                    },
+                });
+            }
+            return;
+        }
+
+        if (!recording || recording.id !== row.recording_id || recording.recordedBy !== this.currentUserId) return;
+
+        if (row.status === 'declined') {
+            const name = this.nameOf(row.user_id);
+            if (this.recorder) {
+                this.stopCapture(`${name} stopped the recording`);
+            } else {
+                this.setState({ notice: `${name} declined to be recorded` });
+            }
+            return;
+        }
+        this.refreshWaitingFor(recording.id);
+    }
+
+    private async refreshWaitingFor(recordingId: string) {
+        const { count } = await supabase
+            .from('call_recording_consents')
+            .select('user_id', { count: 'exact', head: true })
+            .eq('recording_id', recordingId)
+            .eq('status', 'pending');
+        if (this.state.recording?.id === recordingId) this.setState({ waitingFor: count ?? 0 });
+    }
+
+    private async recorderOf(recordingId: string): Promise<string | null> {
+        const { data } = await supabase
+            .from('call_recordings')
+            .select('recorded_by')
+            .eq('id', recordingId)
+            .single();
+        return data?.recorded_by ?? null;
+    }
+
+    private nameOf(userId: string): string {
+        return CallService.getActiveCall()?.participants.find(p => p.userId === userId)?.name || 'Someone';
+    }
+
+    private setState(patch: Partial<RecordingState>) {
+        this.state = { ...this.state, ...patch };
+        this.listeners.forEach(l => l(this.state));
+    }
+
+    // ─── Asking and answering ─────────────────────────────────
+    async requestRecording(): Promise<void> {
+        const call = CallService.getActiveCall();
+        if (!call || call.id !== this.callId) throw new Error('Not in a call');
+        if (!canRecordCalls()) throw new Error('Recording is not supported on this device');
+
+        const { data, error } = await supabase.rpc('request_call_recording', { p_call: call.id });
+        if (error) throw new Error(error.message);
+
+        const recording = toRecording(data, 'You');
+        this.setState({ recording, notice: null });
+        this.refreshWaitingFor(recording.id);
+    }
+
+    // Withdraws our own request before everyone has answered
+    async cancelRequest(): Promise<void> {
+        const recording = this.state.recording;
+        if (!recording || recording.recordedBy !== this.currentUserId || recording.status !== 'requested') return;
+
+        const { error } = await supabase
+            .from('call_recordings')
+            .update({ status: 'cancelled' })
+            .eq('id', recording.id)
+            .eq('status', 'requested');
+        if (error) throw error;
+    }
+
+    async respondToRequest(recordingId: string, allow: boolean): Promise<void> {
+        if (!this.currentUserId) return;
+
+        const { error } = await supabase
+            .from('call_recording_consents')
+            .update({ status: allow ? 'granted' : 'declined' })
+            .eq('recording_id', recordingId)
+            .eq('user_id', this.currentUserId);
+        if (error) throw error;
+
+        if (this.state.consentRequest?.recordingId === recordingId) this.setState({ consentRequest: null });
+    }
+
+    // Asks the recorder to stop; they keep what was recorded so far
+    async withdrawConsent(): Promise<void> {
+        const recording = this.state.recording;
+        if (!recording || recording.recordedBy === this.currentUserId) return;
+        await this.respondToRequest(recording.id, false);
+    }
+
+    dismissNotice() {
+        this.setState({ notice: null });
+    }
+
+    // ─── Capture ──────────────────────────────────────────────
+    stopRecording() {
+        this.stopCapture();
+    }
+
+    private startCapture(recording: CallRecording) {
+        const call = CallService.getActiveCall();
+        if (!call) return;
+
+        try {
+            const g = globalThis as any;
+            const stream = this.buildRecordingStream(call);
+            const mimeType = pickMimeType(stream.getVideoTracks().length > 0);
+
+            this.recordedChunks = [];
+            this.recorder = new g.MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+            this.recorder.ondataavailable = (event: any) => {
+                if (event.data.size > 0) this.recordedChunks.push(event.data);
+            };
+            this.recorder.onstop = () => {
+                this.uploadCapture(recording, this.recorder?.mimeType || mimeType);
+            };
+            this.recorder.start(RECORDER_TIMESLICE_MS);
+            this.captureStartedAt = Date.now();
+        } catch (e) {
+            console.error('Failed to start recording:', e);
+            this.releaseCapture();
+            this.finishRecording(recording.id, { status: 'failed' });
+            this.setState({ notice: 'Recording could not be started' });
+        }
+    }
+
+    private buildRecordingStream(call: ActiveCall): any {
+        const g = globalThis as any;
+        const remote = [call.remoteStream, ...call.participants.map(p => p.stream)]
+            .filter((s, i, all): s is NonNullable<typeof s> => !!s && all.findIndex(o => o?.id === s.id) === i);
+
+        const { track: audio, context } = mixAudio([call.localStream, ...remote].filter(Boolean));
+        this.audioContext = context;
+
+        // A group call's grid can't be recorded as one picture, so those
+        // are audio only
+        const video = call.type === 'video' && !call.isGroup
+            ? remote[0]?.getVideoTracks()[0] ?? null
+            : null;
+
+        return new g.MediaStream([audio, video].filter(Boolean));
+    }
+
+    private stopCapture(notice?: string) {
+        if (!this.recorder) return;
+        if (this.recorder.state !== 'inactive') this.recorder.stop();
+        if (notice) this.setState({ notice });
+    }
+
+    private releaseCapture() {
+        this.recorder = null;
+        this.recordedChunks = [];
+        this.audioContext?.close?.();
+        this.audioContext = null;
+    }
+
+    // The upload carries on in the background after the call has ended
+    private async uploadCapture(recording: CallRecording, mimeType?: string) {
+        const blob = new Blob(this.recordedChunks, { type: mimeType || 'video/webm' });
+        const duration = Math.round((Date.now() - this.captureStartedAt) / 1000);
+        this.releaseCapture();
+
+        const extension = blob.type.includes('mp4') ? 'mp4' : 'webm';
+        const path = `${recording.callId}/${recording.id}.${extension}`;
+
+        await this.finishRecording(recording.id, {
+            status: 'uploading',
+            ended_at: new Date().toISOString(),
+            duration,
+            mime_type: blob.type,
+            size: blob.size,
+        });
+
+        try {
+            const uploadId = await MediaSync.queueUpload(
+                { blob, name: `${recording.id}.${extension}`, type: blob.type, size: blob.size },
+                {
+                    uploadType: 'call_recording',
+                    priority: UPLOAD_PRIORITY.HIGH,
+                    compress: false,
+                    storage: { bucket: RECORDINGS_BUCKET, path },
+                    metadata: { callId: recording.callId, recordingId: recording.id },
+                }
+            );
+            await MediaSync.waitForUpload(uploadId);
+            await this.finishRecording(recording.id, { status: 'ready', storage_path: path });
+        } catch (e) {
+            console.error('Failed to upload recording:', e);
+            await this.finishRecording(recording.id, { status: 'failed' });
+        }
+    }
+
+    private async finishRecording(recordingId: string, fields: Record<string, any>) {
+        const { error } = await supabase
+            .from('call_recordings')
+            .update(fields)
+            .eq('id', recordingId);
+        if (error) console.error('Failed to update recording:', error.message);
+    }
+
+    // ─── Recordings list ──────────────────────────────────────
+    // Finished recordings of calls we were on, newest first
+    async getRecordings(): Promise<CallRecording[]> {
+        if (!this.currentUserId) return [];
+
+        const { data, error } = await supabase
+            .from('call_recordings')
+            .select(`
+                *,
+                recorder:profiles!call_recordings_recorded_by_fkey(display_name),
+                call:call_history!call_recordings_call_id_fkey(
+                    type, is_group, caller_id,
+                    caller:profiles!call_history_caller_id_fkey(display_name),
+                    callee:profiles!call_history_callee_id_fkey(display_name),
+                    conversation:conversations(group_name),
+                    link:call_links!call_history_link_id_fkey(title)
+                )
+            `)
+            .eq('status', 'ready')
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Failed to fetch recordings:', error.message);
+            return [];
+        }
+
+        return (data || []).map((row: any) => {
+            const call = row.call ?? {};
+            return {
+                ...toRecording(row),
+                callType: call.type,
+                callName: call.is_group
+                    ? (call.conversation?.group_name || call.link?.title || 'Group call')
+                    : call.caller_id === this.currentUserId
+                        ? (call.callee?.display_name || 'Unknown')
+                        : (call.caller?.display_name || 'Unknown'),
+            };
+        });
+    }
+
+    async getRecording(recordingId: string): Promise<CallRecording | null> {
+        const { data } = await supabase
+            .from('call_recordings')
+            .select('*, recorder:profiles!call_recordings_recorded_by_fkey(display_name)')
+            .eq('id', recordingId)
+            .maybeSingle();
+        return data ? toRecording(data) : null;
+    }
+
+    async getPlaybackUrl(recording: CallRecording): Promise<string> {
+        if (!recording.storagePath) throw new Error('This recording has no file');
+
+        const { data, error } = await supabase.storage
+            .from(RECORDINGS_BUCKET)
+            .createSignedUrl(recording.storagePath, PLAYBACK_URL_TTL);
+        if (error) throw error;
+        return data.signedUrl;
+    }
+
+    // Only the person who recorded can delete; call_history loses its link
+    async deleteRecording(recording: CallRecording): Promise<void> {
+        if (recording.recordedBy !== this.currentUserId) throw new Error('Only the person who recorded this can delete it');
+
+        if (recording.storagePath) {
+            const { error: storageError } = await supabase.storage
+                .from(RECORDINGS_BUCKET)
+                .remove([recording.storagePath]);
+            if (storageError) throw storageError;
+        }
+
+        const { error } = await supabase
+            .from('call_recordings')
+            .delete()
+            .eq('id', recording.id);
+        if (error) throw error;
+    }
+
+    // ─── Cleanup ──────────────────────────────────────────────
+    cleanup() {
+        this.stopCapture();
+        this.closeCall();
+        this.listeners.clear();
+    }
+}
+
+export const CallRecordingService = new CallRecordingServiceClass();
+export default CallRecordingService;
@@ -1,15 +1,91 @@
 /**
- * CallService — Call history & WebRTC signaling via Supabase
- * 
+ * CallService — Call history & WebRTC calls via Supabase
+ *
  * Replaces AsyncStorage with Supabase for call history and
- * uses Supabase Realtime for WebRTC signaling.
+ * uses Supabase Realtime as the WebRTC signaling channel: SDP offers,
+ * answers and ICE candidates travel as `call_signals` rows, and the
+ * peer connections and local/remote media streams live here.
+ *
+ * Group calls keep their roster in `call_participants`. Up to
+ * MESH_LIMIT people connect directly to each other (one peer connection
+ * per pair, the newcomer always makes the offer); larger calls route
+ * media through an SFU via SfuAdapter. A 1:1 call becomes a group call
+ * when someone is added to it.
+ *
+ * Call links let people outside a chat ask to join: guests wait in the
+ * link's lobby until the host admits them onto the roster of the host's
+ * call, which then runs like any other group call.
+ *
+ * Once connected, the media we send adapts to the link through
+ * CallQuality, and a summary of how the link behaved is filed to
+ * call_history when we leave. A connection that drops (typically a
+ * switch between Wi-Fi and mobile data) is brought back with an ICE
+ * restart; the call only fails if that takes longer than a grace period.
+ *
+ * A 1:1 call that goes unanswered or is declined ends as 'no_answer' or
+ * 'declined' on the caller's side, so the call screen can offer to leave
+ * a voice message. Missed calls are counted per contact from the history.
+ *
+ * Do Not Disturb is enforced by the database (see dnd_policy): an offer
+ * to someone who isn't taking calls never reaches them, and we get a
+ * reject back saying why, which becomes the call's failureReason.
+ * Emergencies still get through (see dnd_breakthrough): calls marked
+ * urgent, repeated calls and calls from the callee's emergency contacts
+ * ring anyway, and the callee is told why.
+ *
+ * Takes over the call setup from the legacy socket.io-based webRTCQuantum,
+ * which was removed once recording, quality and reconnection moved out too.
  */
+import { Platform } from 'react-native';
+import * as Linking from 'expo-linking';
 import { supabase } from '@/lib/supabase';
 import type { RealtimeChannel } from '@supabase/supabase-js';
+import type { MediaStream, RTCPeerConnection } from 'react-native-webrtc';
+import { SfuSession } from '@/services/SfuAdapter';
+import {
+    QualityController,
+    QUALITY_POLL_MS,
+    QUALITY_PRESETS,
+    DATA_SAVER_AUDIO_BITRATE,
+    parseRTCStats,
+    combineSamples,
+    type QualityLevel,
+    type LinkGrade,
+    type StatsCounters,
+    type QualitySample,
+} from '@/services/CallQuality';
+
+// react-native-webrtc is native-only; on web the browser's own WebRTC is used
+let WebRTC: any = null;
+if (Platform.OS !== 'web') {
+    try { WebRTC = require('react-native-webrtc'); } catch (e) { }
+}
+// expo-av is native-only; lazy-load to avoid web build crash
+let Audio: any = null;
+try { Audio = require('expo-av').Audio; } catch (e) { }
+
+function rtc() {
+    const g = globalThis as any;
+    return {
+        RTCPeerConnection: WebRTC?.RTCPeerConnection ?? g.RTCPeerConnection,
+        RTCSessionDescription: WebRTC?.RTCSessionDescription ?? g.RTCSessionDescription,
+        RTCIceCandidate: WebRTC?.RTCIceCandidate ?? g.RTCIceCandidate,
+        mediaDevices: WebRTC?.mediaDevices ?? g.navigator?.mediaDevices,
+    };
+}
 
 // ─── Types ────────────────────────────────────────────────────
 export type CallType = 'voice' | 'video';
 export type CallStatus = 'completed' | 'missed' | 'declined' | 'no_answer' | 'failed';
+// Mirrors the participant states of the backend QuantumCall model
+export type ParticipantStatus = 'calling' | 'ringing' | 'connected' | 'disconnected' | 'declined' | 'missed';
+// p2p: a 1:1 call; mesh: everyone connected to everyone; sfu: via SfuAdapter
+export type CallTopology = 'p2p' | 'mesh' | 'sfu';
+
+// What profiles.dnd_mode and quiet hours come to, as dnd_status() reports it
+export type DndStatus = 'be_quiet' | 'get_busy' | 'quiet_hours';
+// Why a call or message got through Do Not Disturb anyway
+export type BreakthroughReason = 'allowlist' | 'urgent' | 'repeat_call';
 
 export interface CallEntry {
     id: string;
@@ -22,12 +98,30 @@ export interface CallEntry {
     duration: number; // seconds
     started_at: string;
     ended_at?: string;
+    is_group?: boolean;
+    conversation_id?: string | null;
+    link_id?: string | null;
+    // The call's latest finished recording, see CallRecordingService
+    recording_id?: string | null;
+    // Why a call ended as 'failed'
+    failure_reason?: string | null;
+    // Set when the callee's Do Not Disturb held the call back
+    silenced_by?: DndStatus | null;
+    // The caller marked it as an emergency
+    urgent?: boolean;
     // UI compat
     incoming?: boolean;
     name?: string;
     time?: string;
 }
 
+export interface CallParticipant {
+    userId: string;
+    name: string;
+    status: ParticipantStatus;
+    stream: MediaStream | null;
+}
+
 export interface ActiveCall {
     id: string;
     remoteUserId: string;
@@ -37,15 +131,165 @@ export interface ActiveCall {
     isSpeaker: boolean;
     isVideoEnabled: boolean;
     duration: number;
-    status: 'ringing' | 'connected' | 'ended' | 'no_answer' | 'failed';
+    status: 'ringing' | 'connecting' | 'connected' | 'reconnecting' | 'ended' | 'no_answer' | 'declined' | 'failed';
+    localStream: MediaStream | null;
+    remoteStream: MediaStream | null;
+    isGroup: boolean;
+    topology: CallTopology;
+    // Everyone in the call except us, including invitees still ringing
+    participants: CallParticipant[];
+    // Loudest voice right now; our own user id when it's us
+    activeSpeakerId: string | null;
+    // Set when the call was started from a call link; its lobby feeds this call
+    linkId: string | null;
+    // Level of the video we send and how the link is holding up; see CallQuality
+    qualityLevel: QualityLevel | null;
+    linkGrade: LinkGrade | null;
+    // Video paused because the link can't carry it
+    audioOnly: boolean;
+    // Set once the call has failed, or was declined by Do Not Disturb
+    failureReason: string | null;
+    // The callee's Do Not Disturb declined it; an urgent call may get through
+    silencedBy: DndStatus | null;
+    urgent: boolean;
 }
 
 export interface IncomingCallSignal {
+    callHistoryId: string;
     callerId: string;
     callerName: string;
     type: CallType;
+    isGroup?: boolean;
+    groupName?: string;
+    urgent?: boolean;
+    // Set when it rings although we're in Do Not Disturb
+    breakthrough?: BreakthroughReason;
+}
+
+export interface ParticipantEvent {
+    type: 'joined' | 'left';
+    userId: string;
+    name: string;
+}
+
+export type LobbyStatus = 'waiting' | 'admitted' | 'denied' | 'left';
+
+export interface LobbyGuest {
+    linkId: string;
+    userId: string;
+    name: string;
+    status: LobbyStatus;
+    // Set once admitted: the call the guest should join
+    callId: string | null;
+    requestedAt: string;
+}
+
+export interface CallLink {
+    id: string;
+    token: string;
+    type: CallType;
+    title: string | null;
+    hasPasscode: boolean;
+    expiresAt: string;
+    revokedAt: string | null;
+    callId: string | null;
+    createdAt: string;
+    url: string;
+    // Guests still waiting in the lobby
+    waiting: LobbyGuest[];
 }
 
+// What a guest sees before knocking, from get_call_link()
+export interface CallLinkPreview {
+    id: string;
+    title: string | null;
+    type: CallType;
+    hostId: string;
+    hostName: string;
+    hasPasscode: boolean;
+    state: 'active' | 'expired' | 'revoked';
+}
+
+// ─── WebRTC Config ────────────────────────────────────────────
+// A TURN relay is needed behind symmetric NATs (most mobile carriers);
+// it is configured per deployment through Expo public env vars.
+const ICE_SERVERS: { urls: string | string[]; username?: string; credential?: string }[] = [
+    { urls: ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302'] },
+    ...(process.env.EXPO_PUBLIC_TURN_URL ? [{
+        urls: process.env.EXPO_PUBLIC_TURN_URL,
+        username: process.env.EXPO_PUBLIC_TURN_USERNAME,
+        credential: process.env.EXPO_PUBLIC_TURN_CREDENTIAL,
+    }] : []),
+];
+
+const PEER_CONFIG = {
+    iceServers: ICE_SERVERS,
+    iceCandidatePoolSize: 10,
+};
+
+// Video is captured at the top of the range we may send and scaled down
+// per connection from there
+function mediaConstraints(type: CallType, dataSaver: boolean) {
+    const capture = QUALITY_PRESETS[dataSaver ? 'low' : 'hd'];
+    return {
+        audio: {
+            echoCancellation: true,
+            noiseSuppression: true,
+            autoGainControl: true,
+            sampleRate: 48000,
+            channelCount: 1,
+        },
+        video: type === 'video'
+            ? {
+                facingMode: 'user',
+                width: { ideal: capture.width },
+                height: { ideal: capture.height },
+                frameRate: { ideal: capture.maxFramerate },
+            }
+            : false,
+    };
+}
+
+// ─── Group Calls ──────────────────────────────────────────────
+// Client-side switch for ProductionConfig features.groupCalls
+export const GROUP_CALLS_ENABLED = process.env.EXPO_PUBLIC_FEATURE_GROUP_CALLS === 'true';
+// Largest call (us included) where everyone connects to everyone
+export const MESH_LIMIT = 4;
+// Same cap as QuantumCall groupInfo.maxParticipants
+const SFU_MAX_PARTICIPANTS = 8;
+const SFU_URL = process.env.EXPO_PUBLIC_SFU_URL;
+export const MAX_GROUP_PARTICIPANTS = SFU_URL ? SFU_MAX_PARTICIPANTS : MESH_LIMIT;
+
+const SPEAKER_POLL_MS = 1000;
+// RTCStats audioLevel is 0..1; below this counts as silence
+const SPEAKING_LEVEL = 0.05;
+
+// Shared links point at the web host when there is one, so they open
+// without the app installed; otherwise at the app's own scheme
+const CALL_LINK_BASE_URL = process.env.EXPO_PUBLIC_CALL_LINK_URL;
+// Without group calls a link call is host plus one guest
+const LINK_CALL_LIMIT = GROUP_CALLS_ENABLED ? MESH_LIMIT : 2;
+
+// How long a dropped connection gets to come back before the call is
+// given up as failed
+const RECONNECT_GRACE_MS = 20000;
+// 'disconnected' often clears by itself, so the first ICE restart waits
+// a moment; later ones retry in case an offer or answer was lost
+const ICE_RESTART_DELAY_MS = 2000;
+const ICE_RESTART_RETRY_MS = 5000;
+// Reconnect key for the SFU publisher, alongside remote user ids
+const SFU_CONNECTION = 'sfu';
+
+const PENDING_STATUSES: ParticipantStatus[] = ['calling', 'ringing'];
+const LEFT_STATUSES: ParticipantStatus[] = ['disconnected', 'declined', 'missed'];
+
+// Told to the caller when the callee's Do Not Disturb declines the call
+const DND_REASONS: Record<DndStatus, string> = {
+    be_quiet: 'is busy and only taking calls from their Top 5',
+    get_busy: 'has Do Not Disturb on',
+    quiet_hours: 'is in quiet hours',
+};
+
 // ─── Helpers ──────────────────────────────────────────────────
 function formatCallTime(dateStr: string): string {
     const date = new Date(dateStr);
@@ -58,6 +302,71 @@ function formatCallTime(dateStr: string): string {
     return date.toLocaleDateString();
 }
 
+// Missed 1:1 calls from one contact since we last spoke to them or
+// called them back
+export interface MissedCalls {
+    count: number;
+    // The most recent of them, whose history row carries the badge
+    latestCallId: string;
+}
+
+// `history` is newest first, as getCallHistory returns it. Counting
+// stops at the first call with the contact that wasn't missed.
+export function countMissedCalls(history: CallEntry[]): Map<string, MissedCalls> {
+    const missed = new Map<string, MissedCalls>();
+    const settled = new Set<string>();
+
+    for (const call of history) {
+        if (call.is_group) continue;
+        const contactId = call.incoming ? call.caller_id : call.callee_id;
+        if (settled.has(contactId)) continue;
+
+        if (call.incoming && (call.status === 'missed' || call.status === 'no_answer')) {
+            const entry = missed.get(contactId);
+            if (entry) entry.count += 1;
+            else missed.set(contactId, { count: 1, latestCallId: call.id });
+        } else {
+            settled.add(contactId);
+        }
+    }
+    return missed;
+}
+
+export function getCallLinkUrl(token: string): string {
+    return CALL_LINK_BASE_URL
+        ? `${CALL_LINK_BASE_URL.replace(/\/$/, '')}/call/join/${token}`
+        : Linking.createURL(`/call/join/${token}`);
+}
+
+function toLobbyGuest(row: any, name?: string): LobbyGuest {
+    return {
+        linkId: row.link_id,
+        userId: row.user_id,
+        name: name || row.profile?.display_name || 'Unknown',
+        status: row.status,
+        callId: row.call_id ?? null,
+        requestedAt: row.requested_at,
+    };
+}
+
+function toCallLink(row: any): CallLink {
+    return {
+        id: row.id,
+        token: row.token,
+        type: row.type,
+        title: row.title,
+        hasPasscode: !!row.passcode_hash,
+        expiresAt: row.expires_at,
+        revokedAt: row.revoked_at,
+        callId: row.call_id,
+        createdAt: row.created_at,
+        url: getCallLinkUrl(row.token),
+        waiting: (row.guests || [])
+            .filter((g: any) => g.status === 'waiting')
+            .map((g: any) => toLobbyGuest({ ...g, link_id: row.id })),
+    };
+}
+
 function formatDuration(seconds: number): string {
     if (seconds < 60) return `${seconds}s`;
     const mins = Math.floor(seconds / 60);
@@ -65,30 +374,97 @@ function formatDuration(seconds: number): string {
     return `${mins}:${String(secs).padStart(2, '0')}`;
 }
 
+// Highest audio level in the given RTCStats report type
+async function readAudioLevel(pc: RTCPeerConnection, reportType: 'inbound-rtp' | 'media-source'): Promise<number> {
+    try {
+        const stats: any = await pc.getStats();
+        let level = 0;
+        stats.forEach((report: any) => {
+            if (report.type === reportType
+                && (report.kind ?? report.mediaType) === 'audio'
+                && typeof report.audioLevel === 'number') {
+                level = Math.max(level, report.audioLevel);
+            }
+        });
+        return level;
+    } catch {
+        return 0;
+    }
+}
+
+interface Peer {
+    pc: RTCPeerConnection | null;
+    // Remote candidates that arrive before the remote description is set
+    pendingCandidates: any[];
+    // Has been connected at least once, so losing it means reconnecting
+    connected?: boolean;
+}
+
+interface Reconnect {
+    grace: ReturnType<typeof setTimeout>;
+    retry: ReturnType<typeof setTimeout> | null;
+}
+
 // ─── CallService ──────────────────────────────────────────────
 class CallServiceClass {
     private currentUserId: string | null = null;
     private signalChannel: RealtimeChannel | null = null;
     private incomingCallCallback: ((signal: IncomingCallSignal) => void) | null = null;
+    private onCallCancelled: ((callHistoryId: string) => void) | null = null;
     private activeCall: ActiveCall | null = null;
     private callTimer: ReturnType<typeof setInterval> | null = null;
+    private activeCallListeners = new Set<(call: ActiveCall | null) => void>();
+    private participantListeners = new Set<(event: ParticipantEvent) => void>();
+    private lobbyChannel: RealtimeChannel | null = null;
+    private lobbyListeners = new Set<(guest: LobbyGuest) => void>();
+
+    // ─── Media state ──────────────────────────────────────────
+    // One peer connection per remote participant (just one in a 1:1 call)
+    private peers = new Map<string, Peer>();
+    private sfu: SfuSession | null = null;
+    private participantChannel: RealtimeChannel | null = null;
+    private speakerTimer: ReturnType<typeof setInterval> | null = null;
+    private qualityTimer: ReturnType<typeof setInterval> | null = null;
+    private quality: QualityController | null = null;
+    // Previous stats counters per connection, for per-sample deltas
+    private qualityCounters = new Map<RTCPeerConnection, StatsCounters>();
+    // "Use less data for calls", from the user's profile
+    private lowDataMode = false;
+    // Dropped connections waiting for an ICE restart, by remote user id
+    private reconnects = new Map<string, Reconnect>();
+    private sfuReconnecting = false;
+    // Signal rows already applied, so candidates replayed from the table
+    // on answer are not added twice
+    private appliedSignals = new Set<string>();
 
     setCurrentUser(userId: string) {
+        if (this.currentUserId === userId) return;
         this.currentUserId = userId;
+        if (this.signalChannel) {
+            supabase.removeChannel(this.signalChannel);
+            this.signalChannel = null;
+        }
+        if (this.lobbyChannel) {
+            supabase.removeChannel(this.lobbyChannel);
+            this.lobbyChannel = null;
+        }
     }
 
     // ─── Call History ─────────────────────────────────────────
     async getCallHistory(): Promise<CallEntry[]> {
         if (!this.currentUserId) return [];
 
+        // RLS limits group calls to the ones we were part of
         const { data, error } = await supabase
             .from('call_history')
             .select(`
                 *,
                 caller:profiles!call_history_caller_id_fkey(display_name),
-                callee:profiles!call_history_callee_id_fkey(display_name)
+                callee:profiles!call_history_callee_id_fkey(display_name),
+                conversation:conversations(group_name),
+                link:call_links!call_history_link_id_fkey(title)
             `)
-            .or(`caller_id.eq.${this.currentUserId},callee_id.eq.${this.currentUserId}`)
+            .or(`caller_id.eq.${this.currentUserId},callee_id.eq.${this.currentUserId},is_group.eq.true`)
             .order('started_at', { ascending: false })
             .limit(50);
 
@@ -108,17 +484,28 @@ class CallServiceClass {
             duration: entry.duration || 0,
             started_at: entry.started_at,
             ended_at: entry.ended_at,
-            incoming: entry.callee_id === this.currentUserId,
-            name: entry.caller_id === this.currentUserId
-                ? (entry.callee?.display_name || 'Unknown')
-                : (entry.caller?.display_name || 'Unknown'),
+            is_group: entry.is_group,
+            conversation_id: entry.conversation_id,
+            link_id: entry.link_id,
+            recording_id: entry.recording_id,
+            failure_reason: entry.failure_reason,
+            silenced_by: entry.silenced_by,
+            urgent: entry.urgent ?? false,
+            incoming: entry.caller_id !== this.currentUserId,
+            name: entry.is_group
+                ? (entry.conversation?.group_name || entry.link?.title || 'Group call')
+                : entry.caller_id === this.currentUserId
+                    ? (entry.callee?.display_name || 'Unknown')
+                    : (entry.caller?.display_name || 'Unknown'),
             time: formatCallTime(entry.started_at),
         }));
     }
 
     // ─── Start a Call ─────────────────────────────────────────
-    async startCall(calleeId: string, calleeName: string, type: CallType): Promise<ActiveCall> {
+    // Urgent calls get through the callee's Do Not Disturb
+    async startCall(calleeId: string, calleeName: string, type: CallType, options: { urgent?: boolean } = {}): Promise<ActiveCall> {
         if (!this.currentUserId) throw new Error('Not authenticated');
+        const urgent = options.urgent ?? false;
 
         // Create call history record
         const { data: historyEntry, error } = await supabase
@@ -128,130 +515,598 @@ class CallServiceClass {
                 callee_id: calleeId,
                 type,
                 status: 'missed', // Will be updated on answer
+                urgent,
             })
             .select()
             .single();
 
         if (error) throw error;
 
-        // Send call offer signal
-        await supabase
-            .from('call_signals')
-            .insert({
-                caller_id: this.currentUserId,
-                callee_id: calleeId,
-                type: 'offer',
-                payload: {
-                    call_history_id: historyEntry.id,
-                    call_type: type,
-                },
-            });
+        // Answers and candidates from the callee arrive on our signal channel
+        this.ensureSignalChannel();
 
         // Set up active call
-        this.activeCall = {
-            id: historyEntry.id,
+        this.activeCall = this.newActiveCall(historyEntry.id, type, {
             remoteUserId: calleeId,
             remoteName: calleeName,
-            type,
-            isMuted: false,
-            isSpeaker: false,
-            isVideoEnabled: type === 'video',
-            duration: 0,
             status: 'ringing',
-        };
+            participants: [{ userId: calleeId, name: calleeName, status: 'calling', stream: null }],
+            urgent,
+        });
+
+        try {
+            await this.joinRoster(historyEntry.id);
+            await this.captureLocalMedia(type);
+            await this.sendOffer(calleeId, {
+                call_history_id: historyEntry.id,
+                call_type: type,
+                ...(urgent ? { urgent: true } : {}),
+            });
+        } catch (e: any) {
+            // The callee never saw an offer, so there is nobody to notify
+            if (this.activeCall?.id === historyEntry.id) {
+                await this.finishCall('failed', false, e?.message || 'Could not start the call');
+            }
+            throw e;
+        }
 
-        return { ...this.activeCall };
+        this.notifyActiveCall();
+        return this.getActiveCall()!;
     }
 
     // ─── Answer a Call ────────────────────────────────────────
-    async answerCall(callerId: string, callHistoryId: string, type: CallType): Promise<void> {
-        if (!this.currentUserId) return;
+    async answerCall(callerId: string, callHistoryId: string, type: CallType, callerName = ''): Promise<ActiveCall | null> {
+        if (!this.currentUserId) return null;
+        this.ensureSignalChannel();
 
-        // Send answer signal
-        await supabase
-            .from('call_signals')
+        // Set up active call first so candidates arriving meanwhile are buffered
+        this.activeCall = this.newActiveCall(callHistoryId, type, {
+            remoteUserId: callerId,
+            remoteName: callerName,
+            status: 'connecting',
+            participants: [{ userId: callerId, name: callerName, status: 'connected', stream: null }],
+        });
+        this.notifyActiveCall();
+
+        try {
+            // The table is the source of truth for the offer and any candidates
+            // the caller sent while we were ringing (or before the app opened)
+            const { data: signals, error } = await supabase
+                .from('call_signals')
+                .select('id, type, payload')
+                .eq('caller_id', callerId)
+                .eq('callee_id', this.currentUserId)
+                .eq('payload->>call_history_id', callHistoryId)
+                .in('type', ['offer', 'ice-candidate'])
+                .order('created_at', { ascending: true });
+            if (error) throw error;
+
+            const offer = signals?.find((s: any) => s.type === 'offer');
+            if (!offer?.payload?.sdp) throw new Error('Call offer not found');
+
+            for (const s of signals!) {
+                if (s.type === 'ice-candidate') this.queueCandidate(callerId, s.id, s.payload?.candidate);
+            }
+
+            await this.captureLocalMedia(type);
+            await this.acceptOffer(callerId, offer.payload.sdp, { call_history_id: callHistoryId });
+            await this.joinRoster(callHistoryId);
+
+            // Update call history status
+            await supabase
+                .from('call_history')
+                .update({ status: 'completed' })
+                .eq('id', callHistoryId);
+        } catch (e) {
+            console.error('Failed to answer call:', e);
+            await this.endCall('failed', (e as any)?.message || 'Could not answer the call');
+            return null;
+        }
+
+        return this.getActiveCall();
+    }
+
+    // ─── Group Calls ──────────────────────────────────────────
+    // Rings every other member of a group conversation.
+    async startGroupCall(conversationId: string, groupName: string, type: CallType): Promise<ActiveCall> {
+        if (!this.currentUserId) throw new Error('Not authenticated');
+        if (!GROUP_CALLS_ENABLED) throw new Error('Group calls are not available');
+
+        const { data: members, error: membersError } = await supabase
+            .from('conversation_members')
+            .select('user_id, profiles!conversation_members_user_id_fkey(display_name)')
+            .eq('conversation_id', conversationId)
+            .neq('user_id', this.currentUserId);
+        if (membersError) throw membersError;
+        if (!members?.length) throw new Error('Nobody else is in this group');
+
+        const size = members.length + 1;
+        if (size > MAX_GROUP_PARTICIPANTS) {
+            throw new Error(`Group calls are limited to ${MAX_GROUP_PARTICIPANTS} people`);
+        }
+        const topology: CallTopology = size > MESH_LIMIT ? 'sfu' : 'mesh';
+
+        const { data: historyEntry, error } = await supabase
+            .from('call_history')
             .insert({
                 caller_id: this.currentUserId,
-                callee_id: callerId,
-                type: 'answer',
-                payload: { call_history_id: callHistoryId },
-            });
+                callee_id: null,
+                type,
+                status: 'missed', // Settled by close_group_call() when the last person leaves
+                is_group: true,
+                conversation_id: conversationId,
+                topology,
+            })
+            .select()
+            .single();
+        if (error) throw error;
 
-        // Update call history status
-        await supabase
+        this.ensureSignalChannel();
+        this.activeCall = this.newActiveCall(historyEntry.id, type, {
+            remoteName: groupName,
+            status: 'ringing',
+            isGroup: true,
+            topology,
+            participants: members.map((m: any) => ({
+                userId: m.user_id,
+                name: m.profiles?.display_name || 'Unknown',
+                status: 'calling' as const,
+                stream: null,
+            })),
+        });
+
+        try {
+            await this.joinRoster(historyEntry.id);
+            const { error: inviteError } = await supabase
+                .from('call_participants')
+                .insert(members.map((m: any) => ({
+                    call_id: historyEntry.id,
+                    user_id: m.user_id,
+                    status: 'calling',
+                    invited_by: this.currentUserId,
+                })));
+            if (inviteError) throw inviteError;
+
+            await this.captureLocalMedia(type);
+            if (topology === 'sfu') await this.publishToSfu();
+        } catch (e) {
+            if (this.activeCall?.id === historyEntry.id) await this.finishCall('failed', false);
+            throw e;
+        }
+
+        this.notifyActiveCall();
+        return this.getActiveCall()!;
+    }
+
+    // Joins a group call we were invited to. The newcomer connects to
+    // everyone already in the call; they never call us.
+    async joinGroupCall(callHistoryId: string, type: CallType, name = ''): Promise<ActiveCall | null> {
+        if (!this.currentUserId) return null;
+        this.ensureSignalChannel();
+
+        this.activeCall = this.newActiveCall(callHistoryId, type, {
+            remoteName: name,
+            status: 'connecting',
+            isGroup: true,
+            topology: 'mesh',
+        });
+        this.notifyActiveCall();
+
+        try {
+            const { data: call, error } = await supabase
+                .from('call_history')
+                .select('topology, ended_at')
+                .eq('id', callHistoryId)
+                .single();
+            if (error) throw error;
+            if (call.ended_at) throw new Error('This call has ended');
+
+            this.activeCall.topology = call.topology === 'sfu' ? 'sfu' : 'mesh';
+            this.activeCall.participants = await this.loadParticipants(callHistoryId);
+
+            await this.captureLocalMedia(type);
+            await this.joinRoster(callHistoryId);
+
+            const present = this.activeCall.participants.filter(p => p.status === 'connected');
+            if (this.activeCall.topology === 'sfu') {
+                await this.publishToSfu();
+                present.forEach(p => this.subscribeFromSfu(p.userId));
+            } else {
+                await Promise.all(present.map(p => this.sendOffer(p.userId, {
+                    call_history_id: callHistoryId,
+                    call_type: type,
+                    group: true,
+                })));
+            }
+        } catch (e) {
+            console.error('Failed to join group call:', e);
+            await this.endCall('failed');
+            return null;
+        }
+
+        this.notifyActiveCall();
+        return this.getActiveCall();
+    }
+
+    // Invites more people into the current call, turning a 1:1 call into
+    // a group call. Mesh calls can't grow past MESH_LIMIT.
+    async addParticipants(userIds: string[]): Promise<void> {
+        const call = this.activeCall;
+        if (!call || !this.currentUserId) return;
+        if (!GROUP_CALLS_ENABLED) throw new Error('Group calls are not available');
+
+        const present = new Set(call.participants.filter(p => !LEFT_STATUSES.includes(p.status)).map(p => p.userId));
+        const invitees = userIds.filter(id => id !== this.currentUserId && !present.has(id));
+        if (!invitees.length) return;
+
+        const size = present.size + 1 + invitees.length;
+        const cap = call.topology === 'sfu' ? SFU_MAX_PARTICIPANTS : MESH_LIMIT;
+        if (size > cap) throw new Error(`This call is limited to ${cap} people`);
+
+        if (!call.isGroup) {
+            const { error } = await supabase
+                .from('call_history')
+                .update({ is_group: true, topology: 'mesh' })
+                .eq('id', call.id);
+            if (error) throw error;
+            call.isGroup = true;
+            call.topology = 'mesh';
+        }
+
+        // Re-inviting someone who left resets their row to ringing
+        const { error } = await supabase
+            .from('call_participants')
+            .upsert(invitees.map(userId => ({
+                call_id: call.id,
+                user_id: userId,
+                status: 'calling',
+                invited_by: this.currentUserId,
+            })), { onConflict: 'call_id,user_id' });
+        if (error) throw error;
+        this.notifyActiveCall();
+    }
+
+    subscribeToParticipantEvents(listener: (event: ParticipantEvent) => void): () => void {
+        this.participantListeners.add(listener);
+        return () => { this.participantListeners.delete(listener); };
+    }
+
+    // ─── Call Links: host ─────────────────────────────────────
+    async createCallLink(options: {
+        type?: CallType;
+        title?: string;
+        passcode?: string;
+        expiresInHours?: number;
+    } = {}): Promise<CallLink> {
+        if (!this.currentUserId) throw new Error('Not authenticated');
+
+        const expiresAt = new Date(Date.now() + (options.expiresInHours ?? 24) * 3600_000);
+        const { data, error } = await supabase.rpc('create_call_link', {
+            p_type: options.type ?? 'video',
+            p_title: options.title ?? null,
+            p_passcode: options.passcode || null,
+            p_expires_at: expiresAt.toISOString(),
+        });
+        if (error) throw error;
+        return toCallLink(data);
+    }
+
+    // Our links that can still be used, each with its waiting guests
+    async getCallLinks(): Promise<CallLink[]> {
+        if (!this.currentUserId) return [];
+
+        const { data, error } = await supabase
+            .from('call_links')
+            .select(`
+                *,
+                guests:call_link_guests(
+                    user_id, status, call_id, requested_at,
+                    profile:profiles!call_link_guests_user_id_fkey(display_name)
+                )
+            `)
+            .eq('host_id', this.currentUserId)
+            .is('revoked_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Failed to fetch call links:', error.message);
+            return [];
+        }
+        return (data || []).map(toCallLink);
+    }
+
+    // Guests still in the lobby are turned away by on_call_link_revoked
+    async revokeCallLink(linkId: string): Promise<void> {
+        const { error } = await supabase
+            .from('call_links')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', linkId);
+        if (error) throw error;
+    }
+
+    // Opens a call on the link with nobody in it yet; guests are added
+    // as they are admitted from the lobby
+    async startLinkCall(linkId: string): Promise<ActiveCall> {
+        if (!this.currentUserId) throw new Error('Not authenticated');
+
+        const { data: link, error: linkError } = await supabase
+            .from('call_links')
+            .select('type, title')
+            .eq('id', linkId)
+            .single();
+        if (linkError) throw linkError;
+
+        const type = link.type as CallType;
+        const { data: historyEntry, error } = await supabase
             .from('call_history')
-            .update({ status: 'completed' })
-            .eq('id', callHistoryId);
+            .insert({
+                caller_id: this.currentUserId,
+                callee_id: null,
+                type,
+                status: 'missed', // Settled by close_group_call() when the last person leaves
+                is_group: true,
+                topology: 'mesh',
+                link_id: linkId,
+            })
+            .select()
+            .single();
+        if (error) throw error;
 
-        // Set up active call
-        this.activeCall = {
-            id: callHistoryId,
-            remoteUserId: callerId,
-            remoteName: '',
-            type,
-            isMuted: false,
-            isSpeaker: false,
-            isVideoEnabled: type === 'video',
-            duration: 0,
-            status: 'connected',
+        this.ensureSignalChannel();
+        this.activeCall = this.newActiveCall(historyEntry.id, type, {
+            remoteName: link.title || 'Call link',
+            status: 'ringing',
+            isGroup: true,
+            topology: 'mesh',
+            linkId,
+        });
+
+        try {
+            const { error: linkCallError } = await supabase.rpc('set_call_link_call', {
+                p_link: linkId,
+                p_call: historyEntry.id,
+            });
+            if (linkCallError) throw linkCallError;
+
+            await this.joinRoster(historyEntry.id);
+            await this.captureLocalMedia(type);
+        } catch (e) {
+            if (this.activeCall?.id === historyEntry.id) await this.finishCall('failed', false);
+            throw e;
+        }
+
+        this.notifyActiveCall();
+        return this.getActiveCall()!;
+    }
+
+    // Only possible while we're in the link's call
+    async admitGuest(linkId: string, guest: { userId: string; name: string }): Promise<void> {
+        const call = this.activeCall;
+        if (!call || call.linkId !== linkId) throw new Error('Start the call before admitting guests');
+
+        const present = call.participants.filter(p => !LEFT_STATUSES.includes(p.status)).length;
+        if (present + 2 > LINK_CALL_LIMIT) throw new Error(`This call is limited to ${LINK_CALL_LIMIT} people`);
+
+        const { error } = await supabase.rpc('admit_call_link_guest', { p_link: linkId, p_user: guest.userId });
+        if (error) throw error;
+
+        // Our roster channel may not have caught the new row yet
+        if (!call.participants.some(p => p.userId === guest.userId)) {
+            call.participants.push({ userId: guest.userId, name: guest.name, status: 'ringing', stream: null });
+            this.notifyActiveCall();
+        }
+    }
+
+    async denyGuest(linkId: string, userId: string): Promise<void> {
+        const { error } = await supabase
+            .from('call_link_guests')
+            .update({ status: 'denied' })
+            .eq('link_id', linkId)
+            .eq('user_id', userId);
+        if (error) throw error;
+    }
+
+    // Knocks, admissions and departures across all of our links
+    subscribeToLobby(listener: (guest: LobbyGuest) => void): () => void {
+        this.lobbyListeners.add(listener);
+        this.ensureLobbyChannel();
+        return () => { this.lobbyListeners.delete(listener); };
+    }
+
+    private ensureLobbyChannel() {
+        if (this.lobbyChannel || !this.currentUserId) return;
+
+        this.lobbyChannel = supabase
+            .channel(`call-lobby:${this.currentUserId}`)
+            .on(
+                'postgres_changes',
+                {
+                    event: '*',
+                    schema: 'public',
+                    table: 'call_link_guests',
+                    filter: `host_id=eq.${this.currentUserId}`,
+                },
+                async (payload) => {
+                    const row = payload.new as any;
+                    if (!row?.user_id) return;
+                    const { data: profile } = await supabase
+                        .from('profiles')
+                        .select('display_name')
+                        .eq('id', row.user_id)
+                        .single();
+                    const guest = toLobbyGuest(row, profile?.display_name);
+                    this.lobbyListeners.forEach(l => l(guest));
+                }
+            )
+            .subscribe();
+    }
+
+    // ─── Call Links: guest ────────────────────────────────────
+    async getCallLinkPreview(token: string): Promise<CallLinkPreview | null> {
+        const { data, error } = await supabase.rpc('get_call_link', { p_token: token });
+        const row = Array.isArray(data) ? data[0] : data;
+        if (error || !row) return null;
+
+        return {
+            id: row.id,
+            title: row.title,
+            type: row.type,
+            hostId: row.host_id,
+            hostName: row.host_name || 'Unknown',
+            hasPasscode: row.has_passcode,
+            state: row.state,
         };
+    }
 
-        // Start duration timer
-        this.startCallTimer();
+    // Expiry, revocation and a wrong passcode come back as errors
+    async knockCallLink(token: string, passcode?: string): Promise<LobbyGuest> {
+        if (!this.currentUserId) throw new Error('Not authenticated');
+
+        const { data, error } = await supabase.rpc('knock_call_link', {
+            p_token: token,
+            p_passcode: passcode || null,
+        });
+        if (error) throw new Error(error.message);
+        return toLobbyGuest(data, 'You');
+    }
+
+    async leaveLobby(linkId: string): Promise<void> {
+        if (!this.currentUserId) return;
+        await supabase
+            .from('call_link_guests')
+            .update({ status: 'left' })
+            .eq('link_id', linkId)
+            .eq('user_id', this.currentUserId)
+            .eq('status', 'waiting');
+    }
+
+    // Follows our own lobby entry until the host admits or denies us
+    subscribeToLobbyEntry(linkId: string, listener: (guest: LobbyGuest) => void): () => void {
+        if (!this.currentUserId) return () => { };
+
+        const channel = supabase
+            .channel(`call-lobby-entry:${linkId}:${this.currentUserId}`)
+            .on(
+                'postgres_changes',
+                {
+                    event: 'UPDATE',
+                    schema: 'public',
+                    table: 'call_link_guests',
+                    filter: `user_id=eq.${this.currentUserId}`,
+                },
+                (payload) => {
+                    const row = payload.new as any;
+                    if (row?.link_id === linkId) listener(toLobbyGuest(row, 'You'));
+                }
+            )
+            .subscribe();
+        return () => { supabase.removeChannel(channel); };
     }
 
     // ─── End a Call ───────────────────────────────────────────
-    async endCall(overrideStatus?: CallStatus): Promise<CallEntry | null> {
+    // `reason` is recorded with a 'failed' status
+    async endCall(overrideStatus?: CallStatus, reason?: string): Promise<CallEntry | null> {
+        return this.finishCall(overrideStatus, true, reason);
+    }
+
+    private async finishCall(
+        overrideStatus: CallStatus | undefined,
+        notifyRemote: boolean,
+        reason?: string,
+    ): Promise<CallEntry | null> {
         if (!this.activeCall || !this.currentUserId) return null;
 
-        const callId = this.activeCall.id;
-        const duration = this.activeCall.duration;
+        const call = this.activeCall;
+        const callId = call.id;
+        const duration = call.duration;
+        const qualitySummary = this.quality?.summary() ?? null;
 
-        // Stop timer
+        // Stop timer and release the camera/microphone straight away
         this.stopCallTimer();
+        this.teardownMedia();
+        this.activeCall = null;
+        const failed = overrideStatus === 'failed';
+        const failureReason = failed ? reason || 'Call failed' : null;
+        this.notifyActiveCall({
+            ...call,
+            status: failed ? 'failed' : 'ended',
+            failureReason,
+            localStream: null,
+            remoteStream: null,
+        });
 
         // Determine final status
         const finalStatus: CallStatus = overrideStatus
             || (duration > 0 ? 'completed' : 'missed');
 
-        // Send hangup signal
+        // Leaving the roster is what tells group members we're gone; the
+        // last one out settles call_history via close_group_call()
         await supabase
-            .from('call_signals')
-            .insert({
-                caller_id: this.currentUserId,
-                callee_id: this.activeCall.remoteUserId,
-                type: 'hangup',
-                payload: { call_history_id: callId },
-            });
+            .from('call_participants')
+            .update({ status: 'disconnected' })
+            .eq('call_id', callId)
+            .eq('user_id', this.currentUserId);
 
-        // Update call history
-        await supabase
-            .from('call_history')
-            .update({
-                ended_at: new Date().toISOString(),
-                duration,
-                status: finalStatus,
-            })
-            .eq('id', callId);
+        if (qualitySummary) {
+            const { error } = await supabase.rpc('record_call_quality', { p_call: callId, p_summary: qualitySummary });
+            if (error) console.warn('Failed to save call quality summary:', error.message);
+        }
+
+        if (!call.isGroup) {
+            // Send hangup signal
+            if (notifyRemote) {
+                await supabase
+                    .from('call_signals')
+                    .insert({
+                        caller_id: this.currentUserId,
+                        callee_id: call.remoteUserId,
+                        type: 'hangup',
+                        // Tells the other end not to record the call as completed
+                        payload: failed
+                            ? { call_history_id: callId, status: 'failed', reason: failureReason }
+                            : { call_history_id: callId },
+                    });
+            }
+
+            // Update call history
+            await supabase
+                .from('call_history')
+                .update({
+                    ended_at: new Date().toISOString(),
+                    duration,
+                    status: finalStatus,
+                    failure_reason: failureReason,
+                })
+                .eq('id', callId);
+        }
 
-        const endedCall: CallEntry = {
+        return {
             id: callId,
             caller_id: this.currentUserId,
-            callee_id: this.activeCall.remoteUserId,
-            type: this.activeCall.type,
+            callee_id: call.remoteUserId,
+            type: call.type,
             status: finalStatus,
             duration,
             started_at: new Date().toISOString(),
+            is_group: call.isGroup,
         };
-
-        this.activeCall = null;
-        return endedCall;
     }
 
     // ─── Decline a Call ───────────────────────────────────────
-    async declineCall(callerId: string, callHistoryId: string): Promise<void> {
+    async declineCall(callerId: string, callHistoryId: string, isGroup = false): Promise<void> {
         if (!this.currentUserId) return;
 
+        // The group call carries on without us
+        if (isGroup) {
+            await supabase
+                .from('call_participants')
+                .update({ status: 'declined' })
+                .eq('call_id', callHistoryId)
+                .eq('user_id', this.currentUserId);
+            return;
+        }
+
         await supabase
             .from('call_signals')
             .insert({
@@ -268,33 +1123,723 @@ class CallServiceClass {
     }
 
     // ─── Toggle Controls ──────────────────────────────────────
+    // Disabled tracks keep flowing as silence/black frames, so toggling
+    // needs no renegotiation with the remote peers
     toggleMute(): boolean {
         if (!this.activeCall) return false;
         this.activeCall.isMuted = !this.activeCall.isMuted;
+        this.activeCall.localStream?.getAudioTracks().forEach(t => { t.enabled = !this.activeCall!.isMuted; });
+        this.notifyActiveCall();
         return this.activeCall.isMuted;
     }
 
     toggleSpeaker(): boolean {
         if (!this.activeCall) return false;
         this.activeCall.isSpeaker = !this.activeCall.isSpeaker;
+        this.applyAudioRoute(this.activeCall.isSpeaker);
+        this.notifyActiveCall();
         return this.activeCall.isSpeaker;
     }
 
     toggleVideo(): boolean {
         if (!this.activeCall) return false;
         this.activeCall.isVideoEnabled = !this.activeCall.isVideoEnabled;
+        this.activeCall.localStream?.getVideoTracks().forEach(t => { t.enabled = this.activeCall!.isVideoEnabled; });
+        this.notifyActiveCall();
         return this.activeCall.isVideoEnabled;
     }
 
     getActiveCall(): ActiveCall | null {
-        return this.activeCall ? { ...this.activeCall } : null;
+        return this.activeCall
+            ? { ...this.activeCall, participants: this.activeCall.participants.map(p => ({ ...p })) }
+            : null;
+    }
+
+    // Status, roster and stream changes of the current call; `null` once it is gone
+    subscribeToActiveCall(listener: (call: ActiveCall | null) => void): () => void {
+        this.activeCallListeners.add(listener);
+        return () => { this.activeCallListeners.delete(listener); };
+    }
+
+    private notifyActiveCall(snapshot: ActiveCall | null = this.getActiveCall()) {
+        this.activeCallListeners.forEach(l => l(snapshot));
+    }
+
+    private newActiveCall(id: string, type: CallType, fields: Partial<ActiveCall>): ActiveCall {
+        return {
+            id,
+            remoteUserId: '',
+            remoteName: '',
+            type,
+            isMuted: false,
+            isSpeaker: false,
+            isVideoEnabled: type === 'video',
+            duration: 0,
+            status: 'ringing',
+            localStream: null,
+            remoteStream: null,
+            isGroup: false,
+            topology: 'p2p',
+            participants: [],
+            activeSpeakerId: null,
+            linkId: null,
+            failureReason: null,
+            silencedBy: null,
+            urgent: false,
+            qualityLevel: null,
+            linkGrade: null,
+            audioOnly: false,
+            ...fields,
+        };
+    }
+
+    private async applyAudioRoute(speaker: boolean) {
+        try {
+            await Audio?.setAudioModeAsync({
+                allowsRecordingIOS: true,
+                playsInSilentModeIOS: true,
+                shouldDuckAndroid: true,
+                playThroughEarpieceAndroid: !speaker,
+            });
+        } catch (e) {
+            console.warn('Failed to switch audio route:', e);
+        }
+    }
+
+    // ─── Peer Connections ─────────────────────────────────────
+    private async captureLocalMedia(type: CallType) {
+        const { RTCPeerConnection, mediaDevices } = rtc();
+        if (!RTCPeerConnection || !mediaDevices) throw new Error('Calls are not supported on this device');
+
+        const localStream: MediaStream = await mediaDevices.getUserMedia(mediaConstraints(type, this.lowDataMode));
+        if (!this.activeCall) {
+            // Hung up while the permission prompt was open
+            localStream.getTracks().forEach(t => t.stop());
+            throw new Error('Call ended');
+        }
+        this.activeCall.localStream = localStream;
+        this.applyAudioRoute(this.activeCall.isSpeaker);
+    }
+
+    private newPeerConnection(): RTCPeerConnection {
+        const { RTCPeerConnection } = rtc();
+        return new RTCPeerConnection(PEER_CONFIG);
+    }
+
+    // Wires a peer connection to one remote participant: our tracks go
+    // out, our ICE candidates go out as signals, their tracks become the
+    // participant's stream, and the connection state drives the call status.
+    private createPeer(remoteUserId: string): RTCPeerConnection {
+        const call = this.activeCall!;
+        const pc = this.newPeerConnection();
+        const peer = this.peers.get(remoteUserId) ?? { pc: null, pendingCandidates: [] };
+        peer.pc = pc;
+        this.peers.set(remoteUserId, peer);
+
+        const localStream = call.localStream!;
+        localStream.getTracks().forEach(track => pc.addTrack(track, localStream));
+
+        const callId = call.id;
+        const p = pc as any;
+
+        p.onicecandidate = (event: any) => {
+            if (!event.candidate || !this.currentUserId) return;
+            supabase
+                .from('call_signals')
+                .insert({
+                    caller_id: this.currentUserId,
+                    callee_id: remoteUserId,
+                    type: 'ice-candidate',
+                    payload: {
+                        call_history_id: callId,
+                        candidate: event.candidate.toJSON ? event.candidate.toJSON() : event.candidate,
+                    },
+                })
+                .then(({ error }) => {
+                    if (error) console.error('Failed to send ICE candidate:', error.message);
+                });
+        };
+
+        p.ontrack = (event: any) => {
+            if (this.peers.get(remoteUserId)?.pc !== pc) return;
+            this.setParticipantStream(remoteUserId, event.streams?.[0] ?? null);
+        };
+
+        p.onconnectionstatechange = () => {
+            const current = this.peers.get(remoteUserId);
+            if (!this.activeCall || current?.pc !== pc) return;
+            if (pc.connectionState === 'connected') {
+                current.connected = true;
+                this.connectionRestored(remoteUserId);
+                this.markConnected();
+                this.applySenderParameters(pc);
+            } else if (current.connected && (pc.connectionState === 'disconnected' || pc.connectionState === 'failed')) {
+                this.connectionLost(remoteUserId, () => this.restartIce(remoteUserId));
+            } else if (pc.connectionState === 'failed') {
+                // Never got through; a group call survives losing one peer
+                if (this.activeCall.isGroup) this.closePeer(remoteUserId);
+                else this.endCall('failed', 'Could not connect');
+            }
+        };
+
+        return pc;
+    }
+
+    private async sendOffer(remoteUserId: string, payload: Record<string, any>) {
+        const pc = this.createPeer(remoteUserId);
+        const offer = await pc.createOffer({});
+        await pc.setLocalDescription(offer);
+
+        const { error } = await supabase
+            .from('call_signals')
+            .insert({
+                caller_id: this.currentUserId,
+                callee_id: remoteUserId,
+                type: 'offer',
+                payload: { ...payload, sdp: offer.sdp },
+            });
+        if (error) throw error;
+    }
+
+    private async acceptOffer(remoteUserId: string, sdp: string, payload: Record<string, any>) {
+        const pc = this.createPeer(remoteUserId);
+        const { RTCSessionDescription } = rtc();
+        await pc.setRemoteDescription(new RTCSessionDescription({ type: 'offer', sdp }));
+        await this.drainCandidates(remoteUserId);
+
+        const answer = await pc.createAnswer();
+        await pc.setLocalDescription(answer);
+
+        // Send answer signal
+        await supabase
+            .from('call_signals')
+            .insert({
+                caller_id: this.currentUserId,
+                callee_id: remoteUserId,
+                type: 'answer',
+                payload: { ...payload, sdp: answer.sdp },
+            });
+    }
+
+    // The other end restarted ICE on a connection we already have
+    private async acceptIceRestart(remoteUserId: string, sdp: string, payload: Record<string, any>) {
+        const pc = this.peers.get(remoteUserId)?.pc;
+        if (!pc) return;
+        const { RTCSessionDescription } = rtc();
+        await pc.setRemoteDescription(new RTCSessionDescription({ type: 'offer', sdp }));
+        await this.drainCandidates(remoteUserId);
+
+        const answer = await pc.createAnswer();
+        await pc.setLocalDescription(answer);
+
+        await supabase
+            .from('call_signals')
+            .insert({
+                caller_id: this.currentUserId,
+                callee_id: remoteUserId,
+                type: 'answer',
+                payload: { ...payload, sdp: answer.sdp, ice_restart: true },
+            });
+    }
+
+    private queueCandidate(remoteUserId: string, signalId: string, candidate: any) {
+        if (!candidate || this.appliedSignals.has(signalId)) return;
+        this.appliedSignals.add(signalId);
+
+        const peer = this.peers.get(remoteUserId) ?? { pc: null, pendingCandidates: [] };
+        peer.pendingCandidates.push(candidate);
+        this.peers.set(remoteUserId, peer);
+    }
+
+    // Candidates can only be added once the remote description is known
+    private async drainCandidates(remoteUserId: string) {
+        const peer = this.peers.get(remoteUserId);
+        if (!peer?.pc?.remoteDescription) return;
+
+        const { RTCIceCandidate } = rtc();
+        const candidates = peer.pendingCandidates;
+        peer.pendingCandidates = [];
+        for (const c of candidates) {
+            try {
+                await peer.pc.addIceCandidate(new RTCIceCandidate(c));
+            } catch (e) {
+                console.warn('Failed to add ICE candidate:', e);
+            }
+        }
+    }
+
+    private closePeer(remoteUserId: string) {
+        const peer = this.peers.get(remoteUserId);
+        this.peers.delete(remoteUserId);
+        this.sfu?.unsubscribe(remoteUserId);
+        if (peer?.pc) {
+            const p = peer.pc as any;
+            p.onicecandidate = null;
+            p.ontrack = null;
+            p.onconnectionstatechange = null;
+            peer.pc.close();
+            this.qualityCounters.delete(peer.pc);
+        }
+        this.connectionRestored(remoteUserId);
+        this.setParticipantStream(remoteUserId, null);
+    }
+
+    private setParticipantStream(userId: string, stream: MediaStream | null) {
+        const call = this.activeCall;
+        if (!call) return;
+        const participant = call.participants.find(p => p.userId === userId);
+        if (participant) participant.stream = stream;
+        if (call.topology === 'p2p' && userId === call.remoteUserId) call.remoteStream = stream;
+        this.notifyActiveCall();
+    }
+
+    private markConnected() {
+        const call = this.activeCall;
+        if (!call || call.status === 'connected') return;
+        call.status = 'connected';
+        this.startCallTimer();
+        if (call.isGroup) this.startSpeakerDetection();
+        this.startQualityMonitoring();
+        this.watchNetwork(true);
+        this.notifyActiveCall();
+    }
+
+    // ─── SFU ──────────────────────────────────────────────────
+    private async publishToSfu() {
+        const call = this.activeCall!;
+        if (!SFU_URL) throw new Error('Large group calls are not available');
+
+        this.sfu = new SfuSession({
+            baseUrl: SFU_URL,
+            callId: call.id,
+            userId: this.currentUserId!,
+            type: call.type,
+            getToken: async () => (await supabase.auth.getSession()).data.session?.access_token ?? null,
+            createPeerConnection: () => this.newPeerConnection(),
+        });
+
+        this.watchSfuPublisher(await this.sfu.publish(call.localStream!));
+    }
+
+    private watchSfuPublisher(pc: RTCPeerConnection) {
+        let connected = false;
+        (pc as any).onconnectionstatechange = () => {
+            if (pc.connectionState === 'connected') {
+                connected = true;
+                this.connectionRestored(SFU_CONNECTION);
+                this.markConnected();
+                this.applySenderParameters(pc);
+            } else if (connected && (pc.connectionState === 'disconnected' || pc.connectionState === 'failed')) {
+                this.connectionLost(SFU_CONNECTION, () => this.reconnectSfu());
+            } else if (pc.connectionState === 'failed') {
+                this.endCall('failed', 'Could not connect');
+            }
+        };
+    }
+
+    private async reconnectSfu() {
+        const call = this.activeCall;
+        if (!this.sfu || !call?.localStream || this.sfuReconnecting) return;
+        this.sfuReconnecting = true;
+        try {
+            this.watchSfuPublisher(await this.sfu.reconnect(call.localStream));
+            call.participants
+                .filter(p => p.status === 'connected')
+                .forEach(p => this.subscribeFromSfu(p.userId));
+        } catch (e) {
+            console.warn('Failed to reconnect to the SFU:', e);
+        } finally {
+            this.sfuReconnecting = false;
+        }
+    }
+
+    private subscribeFromSfu(userId: string) {
+        this.sfu?.subscribe(userId)
+            .then(stream => { if (stream) this.setParticipantStream(userId, stream); })
+            .catch(e => console.warn('Failed to receive participant stream:', e));
+    }
+
+    // ─── Roster ───────────────────────────────────────────────
+    // Adds us to call_participants as connected and follows everyone
+    // else's row: invites, joins and departures all arrive here.
+    private async joinRoster(callId: string) {
+        const { error } = await supabase
+            .from('call_participants')
+            .upsert({ call_id: callId, user_id: this.currentUserId, status: 'connected' }, { onConflict: 'call_id,user_id' });
+        if (error) throw error;
+
+        if (this.participantChannel) supabase.removeChannel(this.participantChannel);
+        this.participantChannel = supabase
+            .channel(`call-participants:${callId}`)
+            .on(
+                'postgres_changes',
+                {
+                    event: '*',
+                    schema: 'public',
+                    table: 'call_participants',
+                    filter: `call_id=eq.${callId}`,
+                },
+                (payload) => { this.handleParticipantChange(payload.new as any); }
+            )
+            .subscribe();
+    }
+
+    private async loadParticipants(callId: string): Promise<CallParticipant[]> {
+        const { data } = await supabase
+            .from('call_participants')
+            .select('user_id, status, profile:profiles!call_participants_user_id_fkey(display_name)')
+            .eq('call_id', callId)
+            .neq('user_id', this.currentUserId);
+
+        return (data || [])
+            .filter((p: any) => !LEFT_STATUSES.includes(p.status))
+            .map((p: any) => ({
+                userId: p.user_id,
+                name: p.profile?.display_name || 'Unknown',
+                status: p.status,
+                stream: null,
+            }));
+    }
+
+    private async handleParticipantChange(row: any) {
+        const call = this.activeCall;
+        if (!call || !row?.user_id || row.call_id !== call.id || row.user_id === this.currentUserId) return;
+
+        const status = row.status as ParticipantStatus;
+        let participant = call.participants.find(p => p.userId === row.user_id);
+
+        if (!participant) {
+            if (LEFT_STATUSES.includes(status)) return;
+            const { data: profile } = await supabase
+                .from('profiles')
+                .select('display_name')
+                .eq('id', row.user_id)
+                .single();
+            if (this.activeCall !== call) return;
+            participant = { userId: row.user_id, name: profile?.display_name || 'Unknown', status, stream: null };
+            call.participants.push(participant);
+            // Someone was added to what was a 1:1 call
+            if (!call.isGroup) {
+                call.isGroup = true;
+                call.topology = 'mesh';
+                if (call.status === 'connected') this.startSpeakerDetection();
+            }
+        }
+
+        const previous = participant.status;
+        participant.status = status;
+
+        if (status === 'connected' && previous !== 'connected') {
+            // In a mesh the newcomer sends us an offer; with an SFU we pull their stream
+            if (call.topology === 'sfu') this.subscribeFromSfu(participant.userId);
+            this.emitParticipantEvent({ type: 'joined', userId: participant.userId, name: participant.name });
+        } else if (LEFT_STATUSES.includes(status)) {
+            call.participants = call.participants.filter(p => p.userId !== participant!.userId);
+            this.closePeer(participant.userId);
+            if (previous === 'connected') {
+                this.emitParticipantEvent({ type: 'left', userId: participant.userId, name: participant.name });
+            }
+
+            // Nobody left to talk to and nobody still ringing
+            const remaining = call.participants.some(p => p.status === 'connected' || PENDING_STATUSES.includes(p.status));
+            if (call.isGroup && !remaining) {
+                await this.finishCall(undefined, false);
+                return;
+            }
+        }
+        this.notifyActiveCall();
+    }
+
+    private emitParticipantEvent(event: ParticipantEvent) {
+        this.participantListeners.forEach(l => l(event));
+    }
+
+    // ─── Reconnection ─────────────────────────────────────────
+    // A connection that drops gets RECONNECT_GRACE_MS to come back
+    // through ICE restarts before it is given up. The call shows as
+    // reconnecting while every connection it has is down.
+    private connectionLost(key: string, restart: () => void) {
+        if (this.reconnects.has(key) || !this.activeCall) return;
+
+        const entry: Reconnect = {
+            grace: setTimeout(() => this.reconnectFailed(key), RECONNECT_GRACE_MS),
+            retry: null,
+        };
+        const attempt = () => {
+            restart();
+            entry.retry = setTimeout(attempt, ICE_RESTART_RETRY_MS);
+        };
+        entry.retry = setTimeout(attempt, ICE_RESTART_DELAY_MS);
+        this.reconnects.set(key, entry);
+        this.updateReconnecting();
+    }
+
+    private connectionRestored(key: string) {
+        const entry = this.reconnects.get(key);
+        if (!entry) return;
+        clearTimeout(entry.grace);
+        if (entry.retry) clearTimeout(entry.retry);
+        this.reconnects.delete(key);
+        this.updateReconnecting();
+    }
+
+    private reconnectFailed(key: string) {
+        const call = this.activeCall;
+        if (!call) return;
+        // Everything is down, so it's our network rather than theirs
+        if (!call.isGroup || call.status === 'reconnecting') {
+            this.endCall('failed', 'Connection lost');
+            return;
+        }
+        this.closePeer(key);
+    }
+
+    private updateReconnecting() {
+        const call = this.activeCall;
+        if (!call || (call.status !== 'connected' && call.status !== 'reconnecting')) return;
+
+        const connections = this.sfu ? 1 : [...this.peers.values()].filter(p => p.connected).length;
+        const status = this.reconnects.size > 0 && this.reconnects.size >= connections ? 'reconnecting' : 'connected';
+        if (call.status === status) return;
+        call.status = status;
+        this.notifyActiveCall();
+    }
+
+    // Both ends notice the drop. The one with the lower user id restarts
+    // so the two don't send each other offers at the same time.
+    private async restartIce(remoteUserId: string) {
+        const call = this.activeCall;
+        const pc = this.peers.get(remoteUserId)?.pc;
+        if (!call || !pc || !this.currentUserId || this.currentUserId > remoteUserId) return;
+
+        try {
+            const offer = await pc.createOffer({ iceRestart: true });
+            await pc.setLocalDescription(offer);
+            const { error } = await supabase
+                .from('call_signals')
+                .insert({
+                    caller_id: this.currentUserId,
+                    callee_id: remoteUserId,
+                    type: 'offer',
+                    payload: {
+                        call_history_id: call.id,
+                        call_type: call.type,
+                        sdp: offer.sdp,
+                        ice_restart: true,
+                        ...(call.isGroup ? { group: true } : {}),
+                    },
+                });
+            if (error) throw error;
+        } catch (e) {
+            // Likely still offline; the next attempt tries again
+            console.warn('ICE restart failed:', e);
+        }
+    }
+
+    // The browser tells us when a network comes up, so restarts needn't
+    // wait for ICE to notice the old path is gone. Native builds rely on
+    // the connection state alone.
+    private readonly handleNetworkChange = () => {
+        if (!this.activeCall) return;
+        if (this.sfu) this.reconnectSfu();
+        else this.peers.forEach((peer, userId) => { if (peer.connected) this.restartIce(userId); });
+    };
+
+    private watchNetwork(enabled: boolean) {
+        const g = globalThis as any;
+        if (typeof g.addEventListener !== 'function') return;
+        if (enabled) g.addEventListener('online', this.handleNetworkChange);
+        else g.removeEventListener('online', this.handleNetworkChange);
+    }
+
+    // ─── Call Quality ─────────────────────────────────────────
+    // Data saver applies to calls already running as well as new ones
+    setLowDataMode(enabled: boolean) {
+        this.lowDataMode = enabled;
+        if (this.quality?.setDataSaver(enabled) && this.activeCall) {
+            this.activeCall.qualityLevel = this.quality.level;
+            this.outboundConnections().forEach(pc => this.applySenderParameters(pc));
+            this.notifyActiveCall();
+        }
+    }
+
+    private startQualityMonitoring() {
+        if (this.qualityTimer || !this.activeCall) return;
+        const hasVideo = this.activeCall.type === 'video';
+        this.quality = new QualityController(hasVideo, this.lowDataMode);
+        this.activeCall.qualityLevel = hasVideo ? this.quality.level : null;
+        this.qualityTimer = setInterval(() => { this.sampleQuality(); }, QUALITY_POLL_MS);
+    }
+
+    // Connections carrying our media: one per peer, or the SFU publisher
+    private outboundConnections(): RTCPeerConnection[] {
+        if (this.sfu) {
+            const { publisher } = this.sfu.connections();
+            return publisher ? [publisher] : [];
+        }
+        return [...this.peers.values()]
+            .map(peer => peer.pc)
+            .filter((pc): pc is RTCPeerConnection => !!pc && pc.connectionState === 'connected');
+    }
+
+    private async sampleQuality() {
+        const call = this.activeCall;
+        const quality = this.quality;
+        if (!call || !quality) return;
+
+        const samples: QualitySample[] = [];
+        for (const pc of this.outboundConnections()) {
+            try {
+                const { sample, counters } = parseRTCStats(await pc.getStats(), this.qualityCounters.get(pc) ?? null);
+                // The first report only sets the baseline for deltas
+                if (this.qualityCounters.has(pc)) samples.push(sample);
+                this.qualityCounters.set(pc, counters);
+            } catch (e) {
+                console.warn('Failed to read call stats:', e);
+            }
+        }
+        if (!samples.length || this.activeCall !== call || this.quality !== quality) return;
+
+        const update = quality.update(combineSamples(samples));
+        const visible = update.grade !== call.linkGrade || update.changed;
+        call.linkGrade = update.grade;
+        call.audioOnly = update.audioOnly;
+        if (call.type === 'video') call.qualityLevel = update.level;
+
+        if (update.changed) this.outboundConnections().forEach(pc => this.applySenderParameters(pc));
+        if (visible) this.notifyActiveCall();
+    }
+
+    // Caps what we send on one connection at the current level. Encoding
+    // parameters apply without renegotiation; a paused video encoding
+    // just stops sending frames.
+    private async applySenderParameters(pc: RTCPeerConnection) {
+        const quality = this.quality;
+        if (!quality) return;
+        const preset = QUALITY_PRESETS[quality.level];
+
+        for (const sender of (pc as any).getSenders?.() ?? []) {
+            const kind = sender.track?.kind;
+            if (kind !== 'audio' && kind !== 'video') continue;
+            try {
+                const params = sender.getParameters();
+                if (!params.encodings?.length) params.encodings = [{}];
+                const encoding = params.encodings[0];
+
+                if (kind === 'video') {
+                    const captured = sender.track.getSettings?.()?.height || preset.height;
+                    encoding.active = !quality.audioOnly;
+                    encoding.maxBitrate = preset.maxBitrate;
+                    encoding.maxFramerate = preset.maxFramerate;
+                    encoding.scaleResolutionDownBy = Math.max(1, captured / preset.height);
+                } else if (quality.isDataSaver) {
+                    encoding.maxBitrate = DATA_SAVER_AUDIO_BITRATE;
+                } else {
+                    delete encoding.maxBitrate;
+                }
+                await sender.setParameters(params);
+            } catch (e) {
+                console.warn(`Failed to adapt ${kind} quality:`, e);
+            }
+        }
+    }
+
+    // ─── Active Speaker ───────────────────────────────────────
+    // Polls inbound audio levels and picks the loudest participant. The
+    // previous speaker is kept through pauses so the highlight doesn't flicker.
+    private startSpeakerDetection() {
+        if (this.speakerTimer) return;
+        this.speakerTimer = setInterval(() => { this.detectActiveSpeaker(); }, SPEAKER_POLL_MS);
+    }
+
+    private async detectActiveSpeaker() {
+        const call = this.activeCall;
+        if (!call || !this.currentUserId) return;
+
+        const inbound = new Map<string, RTCPeerConnection>();
+        let outbound: RTCPeerConnection | null = null;
+        if (this.sfu) {
+            const { publisher, subscribers } = this.sfu.connections();
+            subscribers.forEach((pc, userId) => inbound.set(userId, pc));
+            outbound = publisher;
+        } else {
+            this.peers.forEach((peer, userId) => { if (peer.pc) inbound.set(userId, peer.pc); });
+            outbound = inbound.values().next().value ?? null;
+        }
+
+        const levels: [string, number][] = await Promise.all(
+            [...inbound].map(async ([userId, pc]) => [userId, await readAudioLevel(pc, 'inbound-rtp')] as [string, number])
+        );
+        if (outbound && !call.isMuted) {
+            levels.push([this.currentUserId, await readAudioLevel(outbound, 'media-source')]);
+        }
+
+        const [loudest, level] = levels.reduce((best, cur) => cur[1] > best[1] ? cur : best, ['', 0]);
+        if (level < SPEAKING_LEVEL || loudest === call.activeSpeakerId || this.activeCall !== call) return;
+        call.activeSpeakerId = loudest;
+        this.notifyActiveCall();
+    }
+
+    private teardownMedia() {
+        [...this.peers.keys()].forEach(userId => this.closePeer(userId));
+        this.peers.clear();
+        this.sfu?.close();
+        this.sfu = null;
+        if (this.participantChannel) {
+            supabase.removeChannel(this.participantChannel);
+            this.participantChannel = null;
+        }
+        if (this.speakerTimer) {
+            clearInterval(this.speakerTimer);
+            this.speakerTimer = null;
+        }
+        if (this.qualityTimer) {
+            clearInterval(this.qualityTimer);
+            this.qualityTimer = null;
+        }
+        this.quality = null;
+        this.qualityCounters.clear();
+        this.reconnects.forEach(entry => {
+            clearTimeout(entry.grace);
+            if (entry.retry) clearTimeout(entry.retry);
+        });
+        this.reconnects.clear();
+        this.watchNetwork(false);
+        this.activeCall?.localStream?.getTracks().forEach(t => t.stop());
+        if (this.activeCall) {
+            this.activeCall.localStream = null;
+            this.activeCall.remoteStream = null;
+        }
+        this.appliedSignals.clear();
     }
 
     // ─── Call Signals Subscription ────────────────────────────
-    subscribeToIncomingCalls(callback: (signal: IncomingCallSignal) => void): () => void {
+    // `onCancelled` fires when a call stops ringing before we answered.
+    subscribeToIncomingCalls(
+        callback: (signal: IncomingCallSignal) => void,
+        onCancelled?: (callHistoryId: string) => void
+    ): () => void {
         if (!this.currentUserId) return () => { };
 
         this.incomingCallCallback = callback;
+        this.onCallCancelled = onCancelled ?? null;
+        this.ensureSignalChannel();
+
+        return () => {
+            if (this.signalChannel) {
+                supabase.removeChannel(this.signalChannel);
+                this.signalChannel = null;
+            }
+            this.incomingCallCallback = null;
+            this.onCallCancelled = null;
+        };
+    }
+
+    // One channel carries everything addressed to us: signals whether we
+    // are the caller (answers, candidates) or the callee (offers,
+    // candidates), and our own call_participants rows (group invites)
+    private ensureSignalChannel() {
+        if (this.signalChannel || !this.currentUserId) return;
 
         this.signalChannel = supabase
             .channel(`call-signals:${this.currentUserId}`)
@@ -306,51 +1851,163 @@ class CallServiceClass {
                     table: 'call_signals',
                     filter: `callee_id=eq.${this.currentUserId}`,
                 },
-                async (payload) => {
-                    const signal = payload.new as any;
-
-                    if (signal.type === 'offer') {
-                        // Look up caller name
-                        const { data: callerProfile } = await supabase
-                            .from('profiles')
-                            .select('display_name')
-                            .eq('id', signal.caller_id)
-                            .single();
-
-                        callback({
-                            callerId: signal.caller_id,
-                            callerName: callerProfile?.display_name || 'Unknown',
-                            type: signal.payload?.call_type || 'voice',
-                        });
-                    } else if (signal.type === 'hangup') {
-                        // Remote ended the call
-                        if (this.activeCall) {
-                            await this.endCall();
-                        }
-                    } else if (signal.type === 'reject') {
-                        // Call was declined
-                        if (this.activeCall) {
-                            this.stopCallTimer();
-                            this.activeCall.status = 'ended';
-                        }
-                    } else if (signal.type === 'answer') {
-                        // Call was answered — start connected state
-                        if (this.activeCall) {
-                            this.activeCall.status = 'connected';
-                            this.startCallTimer();
-                        }
-                    }
-                }
+                (payload) => { this.handleSignal(payload.new as any); }
+            )
+            .on(
+                'postgres_changes',
+                {
+                    event: '*',
+                    schema: 'public',
+                    table: 'call_participants',
+                    filter: `user_id=eq.${this.currentUserId}`,
+                },
+                (payload) => { this.handleInvite(payload.new as any); }
             )
             .subscribe();
+    }
 
-        return () => {
-            if (this.signalChannel) {
-                supabase.removeChannel(this.signalChannel);
-                this.signalChannel = null;
+    private async handleSignal(signal: any) {
+        const callId: string | undefined = signal.payload?.call_history_id;
+        const sender: string = signal.caller_id;
+        const isActive = !!this.activeCall && this.activeCall.id === callId;
+
+        if (signal.type === 'offer') {
+            if (signal.payload?.ice_restart) {
+                if (isActive && signal.payload.sdp) {
+                    try {
+                        await this.acceptIceRestart(sender, signal.payload.sdp, { call_history_id: callId });
+                    } catch (e) {
+                        // Our own grace period decides whether the call survives
+                        console.warn('Failed to accept ICE restart:', e);
+                    }
+                }
+                return;
             }
-            this.incomingCallCallback = null;
-        };
+            if (signal.payload?.group) {
+                // Someone joining a group call we're in connects to us directly
+                if (isActive && signal.payload.sdp) {
+                    try {
+                        await this.acceptOffer(sender, signal.payload.sdp, { call_history_id: callId });
+                    } catch (e) {
+                        console.error('Failed to connect to participant:', e);
+                        this.closePeer(sender);
+                    }
+                }
+                return;
+            }
+
+            // Look up caller name
+            const { data: callerProfile } = await supabase
+                .from('profiles')
+                .select('display_name')
+                .eq('id', sender)
+                .single();
+
+            this.incomingCallCallback?.({
+                callHistoryId: callId!,
+                callerId: sender,
+                callerName: callerProfile?.display_name || 'Unknown',
+                type: signal.payload?.call_type || 'voice',
+                urgent: !!signal.payload?.urgent,
+                breakthrough: signal.payload?.breakthrough,
+            });
+        } else if (signal.type === 'hangup') {
+            // Remote ended the call
+            if (isActive && this.activeCall!.isGroup) {
+                this.closePeer(sender);
+            } else if (isActive) {
+                const failed = signal.payload?.status === 'failed';
+                await this.finishCall(failed ? 'failed' : undefined, false, signal.payload?.reason);
+            } else if (callId) {
+                this.onCallCancelled?.(callId);
+            }
+        } else if (signal.type === 'reject') {
+            // Call was declined; the callee marks the history row. Rejects
+            // sent on the callee's behalf by Do Not Disturb say why.
+            if (isActive && !this.activeCall!.isGroup) {
+                this.stopCallTimer();
+                this.teardownMedia();
+                const call = this.activeCall!;
+                const dnd: DndStatus | undefined = signal.payload?.dnd;
+                this.activeCall = null;
+                this.notifyActiveCall({
+                    ...call,
+                    status: 'declined',
+                    failureReason: dnd && DND_REASONS[dnd] ? `${call.remoteName} ${DND_REASONS[dnd]}` : null,
+                    silencedBy: dnd && DND_REASONS[dnd] ? dnd : null,
+                });
+            }
+        } else if (signal.type === 'answer') {
+            // Call was answered — connect once ICE completes
+            const pc = this.peers.get(sender)?.pc;
+            if (isActive && pc && signal.payload?.sdp) {
+                try {
+                    const { RTCSessionDescription } = rtc();
+                    await pc.setRemoteDescription(
+                        new RTCSessionDescription({ type: 'answer', sdp: signal.payload.sdp })
+                    );
+                    if (this.activeCall!.status === 'ringing') {
+                        this.activeCall!.status = 'connecting';
+                        this.notifyActiveCall();
+                    }
+                    await this.drainCandidates(sender);
+                } catch (e) {
+                    console.error('Failed to apply call answer:', e);
+                    // A stale restart answer is retried; the grace period covers it
+                    if (signal.payload?.ice_restart) return;
+                    if (this.activeCall?.isGroup) this.closePeer(sender);
+                    else await this.endCall('failed', 'Could not connect');
+                }
+            }
+        } else if (signal.type === 'ice-candidate') {
+            if (isActive) {
+                this.queueCandidate(sender, signal.id, signal.payload?.candidate);
+                await this.drainCandidates(sender);
+            }
+        }
+    }
+
+    // Someone else adding us to a call rings like an incoming call
+    private async handleInvite(row: any) {
+        if (!row?.call_id || !row.invited_by || row.invited_by === this.currentUserId) return;
+        if (this.activeCall?.id === row.call_id) return;
+
+        if (row.status === 'missed') {
+            // The call ended before we picked up
+            this.onCallCancelled?.(row.call_id);
+            return;
+        }
+        if (row.status !== 'calling') return;
+
+        const [{ data: call }, { data: inviter }] = await Promise.all([
+            supabase
+                .from('call_history')
+                .select('type, conversation:conversations(group_name)')
+                .eq('id', row.call_id)
+                .single(),
+            supabase
+                .from('profiles')
+                .select('display_name')
+                .eq('id', row.invited_by)
+                .single(),
+        ]);
+
+        // Let the inviter see we're being rung
+        await supabase
+            .from('call_participants')
+            .update({ status: 'ringing' })
+            .eq('call_id', row.call_id)
+            .eq('user_id', this.currentUserId)
+            .eq('status', 'calling');
+
+        this.incomingCallCallback?.({
+            callHistoryId: row.call_id,
+            callerId: row.invited_by,
+            callerName: inviter?.display_name || 'Unknown',
+            type: (call?.type as CallType) || 'voice',
+            isGroup: true,
+            groupName: (call?.conversation as any)?.group_name || undefined,
+        });
     }
 
     // ─── Timer ────────────────────────────────────────────────
@@ -378,10 +2035,19 @@ class CallServiceClass {
     // ─── Cleanup ──────────────────────────────────────────────
     cleanup() {
         this.stopCallTimer();
+        this.teardownMedia();
+        this.activeCall = null;
+        this.activeCallListeners.clear();
+        this.participantListeners.clear();
+        this.lobbyListeners.clear();
         if (this.signalChannel) {
             supabase.removeChannel(this.signalChannel);
             this.signalChannel = null;
         }
+        if (this.lobbyChannel) {
+            supabase.removeChannel(this.lobbyChannel);
+            this.lobbyChannel = null;
+        }
     }
 }
 
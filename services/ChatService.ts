@@ -2,13 +2,25 @@
  * ChatService — Real-time messaging via Supabase
  * 
  * Replaces AsyncStorage with Supabase Postgres + Realtime subscriptions.
- * Messages sync live between users.
+ * Messages sync live between users. Reads fall back to the LocalStore
+ * cache when offline, and sends go through its persistent outbox.
  */
+import { AppState, type NativeEventSubscription } from 'react-native';
 import { supabase } from '@/lib/supabase';
 import type { RealtimeChannel } from '@supabase/supabase-js';
+import * as ExpoCrypto from 'expo-crypto';
+import EncryptionService, { type CiphertextMap } from '@/services/EncryptionService';
+import LocalStore, { type OutboxEntry } from '@/services/LocalStore';
+import MediaSync, { UPLOAD_PRIORITY } from '@/services/MediaSync';
+import StoryService, { type StoryQuote } from '@/services/StoryService';
+import { toE164Prefix } from '@/utils/phone';
+import { searchTerms, parseSnippet, localSnippet, type SnippetSegment } from '@/utils/search';
+
+export type { SnippetSegment };
 
 // ─── Types ────────────────────────────────────────────────────
-export type MessageStatus = 'sending' | 'sent' | 'delivered' | 'read';
+// 'failed' is local-only, for outbox entries the server rejected
+export type MessageStatus = 'sending' | 'sent' | 'delivered' | 'read' | 'failed';
 export type MessageType = 'text' | 'voice' | 'image' | 'video' | 'file' | 'system' | 'call_event';
 
 export interface Message {
@@ -25,8 +37,33 @@ export interface Message {
     consumed?: boolean;
     reply_to?: string;
     created_at: string;
+    edited_at?: string;
+    edit_count?: number;
+    // End-to-end encrypted messages keep text NULL server-side
+    encrypted?: boolean;
+    ciphertext?: CiphertextMap | null;
+    // This device could not decrypt it; text is only a placeholder
+    undecryptable?: boolean;
+    forwarded_from?: string;
+    forward_count?: number;
+    // Posted by dispatch_scheduled_messages(), which stores them in the clear
+    from_schedule?: boolean;
+    // Marked as an emergency by the sender; gets through Do Not Disturb
+    urgent?: boolean;
+    // Answers a story segment; story_reaction is the emoji of a quick reaction
+    story_segment_id?: string;
+    story_reaction?: string;
+    // Rolled up from message_receipts by apply_read_position()
+    delivered_count?: number;
+    read_count?: number;
     // Computed locally for UI compatibility
     sent?: boolean;
+    edited?: boolean;
+    forwarded?: boolean;
+    forwarded_many_times?: boolean;
+    quoted?: QuotedMessage;
+    story?: StoryQuote;
+    reactions?: MessageReaction[];
     time?: string;
     timestamp?: number;
     chatId?: string;
@@ -39,6 +76,38 @@ export interface Message {
     call_duration?: number;
 }
 
+export interface QuotedMessage {
+    id: string;
+    sender_id: string;
+    text?: string;
+    type: MessageType;
+    sent: boolean;
+}
+
+export interface PhoneMatch {
+    id: string;
+    display_name: string;
+    avatar_url: string | null;
+    phone: string; // E.164
+}
+
+export interface MessageReaction {
+    message_id: string;
+    user_id: string;
+    emoji: string;
+    created_at: string;
+    display_name?: string;
+    avatar_url?: string;
+}
+
+export interface MessageReceipt {
+    user_id: string;
+    display_name: string;
+    avatar_url?: string;
+    delivered_at?: string;
+    read_at?: string;
+}
+
 export interface Conversation {
     id: string;
     is_group: boolean;
@@ -60,11 +129,106 @@ export interface Conversation {
     isGroup?: boolean;
     folder?: string;
     other_user_id?: string;
+    // Current user's role in a group
+    role?: GroupRole;
+}
+
+export interface SearchFilters {
+    conversationId?: string;
+    sender?: string;
+    type?: MessageType;
+    dateRange?: { from?: Date; to?: Date };
+}
+
+export interface SearchResult {
+    messageId: string;
+    conversationId: string;
+    senderId: string;
+    senderName: string;
+    type: MessageType;
+    created_at: string;
+    time: string;
+    snippet: SnippetSegment[];
+}
+
+// A position in a conversation. Messages written in one statement share
+// created_at, so the message id breaks ties; a cursor without an id (a
+// date) sits before or after everything at that time.
+export interface MessageCursor {
+    created_at: string;
+    id?: string;
+}
+
+// Cursors are exclusive
+export interface MessagePageOptions {
+    before?: MessageCursor;
+    after?: MessageCursor;
+    limit?: number;
 }
 
+export type GroupRole = 'admin' | 'member';
+
+export interface GroupMember {
+    user_id: string;
+    role: GroupRole;
+    joined_at: string;
+    display_name: string;
+    avatar_url?: string;
+    is_online?: boolean;
+}
+
+export interface MessageEdit {
+    id: string;
+    message_id: string;
+    previous_text: string;
+    edited_by: string;
+    edited_at: string;
+}
+
+export type ScheduledStatus = 'pending' | 'sent' | 'cancelled' | 'failed';
+
+export interface ScheduledMessage {
+    id: string;
+    conversation_id: string;
+    sender_id: string;
+    text: string;
+    send_at: string;
+    status: ScheduledStatus;
+    message_id?: string;
+    created_at: string;
+    updated_at: string;
+}
+
+// Must match the window enforced by the log_message_edit() trigger
+export const EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+// Messages that have travelled this many hops are labelled "Forwarded many times"
+export const FORWARDED_MANY_TIMES = 5;
+
+// View-once and call/system notices cannot be forwarded
+const FORWARDABLE_TYPES: MessageType[] = ['text', 'voice', 'image', 'video', 'file'];
+
+// Messages fetched per page of history
+export const MESSAGE_PAGE_SIZE = 50;
+
+// Outbox retry backoff after a network failure
+const OUTBOX_RETRY_BASE_MS = 2000;
+const OUTBOX_RETRY_MAX_MS = 60000;
+
+// Shown on a held-back text message; it is never sent unencrypted
+const NOT_ENCRYPTED_ERROR = "Not sent: someone in this chat hasn't set up encrypted messaging yet.";
+
+// Must match the limit enforced by the clean_top_contacts() trigger
+export const MAX_TOP_CONTACTS = 5;
+
+// Recorded voice messages, stored as <conversation_id>/<id>.m4a
+const VOICE_MESSAGES_BUCKET = 'voice-messages';
+const VOICE_URL_TTL = 60 * 60; // seconds
+
 // ─── Listeners ────────────────────────────────────────────────
 type MessageListener = (messages: Message[]) => void;
 type ConversationListener = (conversations: Conversation[]) => void;
+type ReactionListener = (messageId: string, reactions: MessageReaction[]) => void;
 
 const messageListeners: Map<string, Set<MessageListener>> = new Map();
 const conversationListeners: Set<ConversationListener> = new Set();
@@ -91,10 +255,46 @@ function formatTime(dateStr: string): string {
     return date.toLocaleDateString();
 }
 
-function enrichMessage(msg: any, currentUserId: string): Message {
+export function canEditMessage(msg: { type: string; created_at?: string; sent?: boolean }): boolean {
+    if (!msg.sent || msg.type !== 'text' || !msg.created_at) return false;
+    return Date.now() - new Date(msg.created_at).getTime() < EDIT_WINDOW_MS;
+}
+
+function cursorOf(msg: { created_at: string; id: string }): MessageCursor {
+    return { created_at: msg.created_at, id: msg.id };
+}
+
+// PostgREST filter for the messages past a cursor, ordered by (created_at, id)
+function keysetFilter(op: 'lt' | 'gt', cursor: MessageCursor): string {
+    const at = `"${cursor.created_at}"`;
+    return cursor.id
+        ? `created_at.${op}.${at},and(created_at.eq.${at},id.${op}.${cursor.id})`
+        : `created_at.${op}.${at}`;
+}
+
+// Postgres errors carry a five-character SQLSTATE; anything else
+// (fetch failures, timeouts, gateway errors) is worth retrying
+function isPermanentError(error: { code?: string }): boolean {
+    return /^[0-9A-Z]{5}$/.test(error.code || '');
+}
+
+async function enrichMessage(msg: any, currentUserId: string): Promise<Message> {
+    let text = msg.text;
+    let undecryptable = false;
+    if (msg.encrypted) {
+        text = await EncryptionService.decrypt(msg);
+        undecryptable = text === null;
+        if (undecryptable) text = 'Waiting for this message. This may take a while.';
+    }
+
     return {
         ...msg,
+        text,
+        undecryptable,
         sent: msg.sender_id === currentUserId,
+        edited: !!msg.edited_at,
+        forwarded: (msg.forward_count || 0) > 0,
+        forwarded_many_times: (msg.forward_count || 0) >= FORWARDED_MANY_TIMES,
         time: formatTime(msg.created_at),
         timestamp: new Date(msg.created_at).getTime(),
         chatId: msg.conversation_id,
@@ -104,9 +304,79 @@ function enrichMessage(msg: any, currentUserId: string): Message {
 // ─── ChatService ──────────────────────────────────────────────
 class ChatServiceClass {
     private currentUserId: string | null = null;
+    private flushing: Promise<void> | null = null;
+    private retryTimer: ReturnType<typeof setTimeout> | null = null;
+    private retryDelay = OUTBOX_RETRY_BASE_MS;
+    private appStateSub: NativeEventSubscription | null = null;
 
     setCurrentUser(userId: string) {
+        // Cheap when already set up; sets up again after a sign-out wiped the keys
+        EncryptionService.initialize(userId);
+        if (this.currentUserId === userId) return;
         this.currentUserId = userId;
+
+        LocalStore.open(userId).then(() => this.flushOutbox());
+        // Coming back to the foreground is the most common moment connectivity returns
+        this.appStateSub ??= AppState.addEventListener('change', state => {
+            if (state === 'active') this.flushOutbox();
+        });
+    }
+
+    async getConversationMembers(conversationId: string): Promise<string[]> {
+        const { data, error } = await supabase
+            .from('conversation_members')
+            .select('user_id')
+            .eq('conversation_id', conversationId);
+
+        if (error) return [];
+        return (data || []).map(m => m.user_id);
+    }
+
+    // Returns null when a member has no published keys yet and throws when
+    // offline; either way nothing should be sent in the clear
+    private async encryptFor(conversationId: string, text: string): Promise<CiphertextMap | null> {
+        if (!EncryptionService.isReady()) throw new Error('Encryption is not ready yet');
+
+        const { data, error } = await supabase
+            .from('conversation_members')
+            .select('user_id')
+            .eq('conversation_id', conversationId);
+
+        if (error) throw new Error(error.message);
+        const recipients = (data || []).map(m => m.user_id).filter(id => id !== this.currentUserId);
+        return EncryptionService.encryptForUsers(recipients, text);
+    }
+
+    // Quoted messages outside the loaded page are fetched separately, as
+    // are the story segments that story replies quote
+    private async attachQuotes(messages: Message[]): Promise<Message[]> {
+        const byId = new Map(messages.map(m => [m.id, m]));
+        const missing = [...new Set(messages.map(m => m.reply_to).filter((id): id is string => !!id && !byId.has(id)))];
+
+        if (missing.length) {
+            const { data } = await supabase.from('messages').select('*').in('id', missing);
+            const fetched = await Promise.all((data || []).map(msg => enrichMessage(msg, this.currentUserId || '')));
+            fetched.forEach(m => byId.set(m.id, m));
+        }
+
+        const segmentIds = [...new Set(messages.map(m => m.story_segment_id).filter((id): id is string => !!id))];
+        const stories = await StoryService.getStoryQuotes(segmentIds);
+        for (const msg of messages) {
+            if (msg.story_segment_id) msg.story = stories.get(msg.story_segment_id);
+        }
+
+        for (const msg of messages) {
+            const original = msg.reply_to ? byId.get(msg.reply_to) : undefined;
+            if (!original) continue;
+            msg.quoted = {
+                id: original.id,
+                sender_id: original.sender_id,
+                text: original.text,
+                type: original.type,
+                sent: original.sender_id === this.currentUserId,
+            };
+        }
+        return messages;
     }
 
     // ─── Conversations ────────────────────────────────────────
@@ -116,10 +386,14 @@ class ChatServiceClass {
         // Get conversations the current user is a member of
         const { data: memberships, error: memberError } = await supabase
             .from('conversation_members')
-            .select('conversation_id, muted, pinned, starred, last_read_at')
+            .select('conversation_id, muted, pinned, starred, last_read_at, role')
             .eq('user_id', this.currentUserId);
 
-        if (memberError || !memberships?.length) return [];
+        if (memberError) return this.getCachedConversations();
+        if (!memberships?.length) {
+            await LocalStore.replaceConversations([]);
+            return [];
+        }
 
         const conversationIds = memberships.map(m => m.conversation_id);
 
@@ -130,7 +404,7 @@ class ChatServiceClass {
             .in('id', conversationIds)
             .order('updated_at', { ascending: false });
 
-        if (convError || !conversations) return [];
+        if (convError || !conversations) return this.getCachedConversations();
 
         // Build enriched conversation list
         const enriched: Conversation[] = [];
@@ -163,7 +437,7 @@ class ChatServiceClass {
             // Get latest message
             const { data: latestMsgs } = await supabase
                 .from('messages')
-                .select('text, type, created_at, sender_id')
+                .select('id, text, type, created_at, sender_id, encrypted')
                 .eq('conversation_id', conv.id)
                 .order('created_at', { ascending: false })
                 .limit(1);
@@ -183,6 +457,9 @@ class ChatServiceClass {
                 if (latestMsg.type === 'voice') lastMessageText = '🎤 Voice message';
                 else if (latestMsg.type === 'image') lastMessageText = '📷 Photo';
                 else if (latestMsg.type === 'video') lastMessageText = '🎥 Video';
+                else if (latestMsg.encrypted) {
+                    lastMessageText = EncryptionService.getCachedPlaintext(latestMsg.id) || '🔒 Encrypted message';
+                }
                 else lastMessageText = latestMsg.text || '';
             }
 
@@ -206,63 +483,429 @@ class ChatServiceClass {
                 starred: membership?.starred || false,
                 isGroup: conv.is_group,
                 other_user_id: otherUserId,
+                role: conv.is_group ? membership?.role : undefined,
             });
         }
 
+        await LocalStore.replaceConversations(enriched);
         return enriched;
     }
 
+    // Last known list, for instant display before the network answers
+    async getCachedConversations(): Promise<Conversation[]> {
+        const cached = await LocalStore.getConversations();
+        return cached.map(c => c.updated_at ? { ...c, time: c.time && formatTime(c.updated_at) } : c);
+    }
+
     // ─── Messages ─────────────────────────────────────────────
-    async getMessages(conversationId: string): Promise<Message[]> {
+    // Pages are always returned oldest-first. Without a cursor this is the
+    // latest page, which also marks the conversation read.
+    async getMessages(conversationId: string, options: MessagePageOptions = {}): Promise<Message[]> {
         if (!this.currentUserId) return [];
 
-        const { data, error } = await supabase
+        const rows = await this.fetchPage(conversationId, options);
+        // Offline: serve the same page from the on-device cache
+        if (!rows) return this.getCachedMessages(conversationId, options);
+
+        if (!options.before && !options.after) await this.markRead(conversationId);
+
+        const messages = await this.hydrate(rows);
+        await this.reconcilePage(conversationId, options, messages);
+        return this.withPending(conversationId, options, messages);
+    }
+
+    async getCachedMessages(conversationId: string, options: MessagePageOptions = {}): Promise<Message[]> {
+        const cached = await LocalStore.getMessages(conversationId, { ...options, limit: options.limit ?? MESSAGE_PAGE_SIZE });
+        const messages = cached.map(m => ({ ...m, time: formatTime(m.created_at) }));
+        return this.withPending(conversationId, options, messages);
+    }
+
+    // The server copy wins for every message inside the page's range, and
+    // anything cached there that the server no longer returns was deleted
+    private async reconcilePage(conversationId: string, options: MessagePageOptions, page: Message[]) {
+        const limit = options.limit ?? MESSAGE_PAGE_SIZE;
+        const full = page.length >= limit;
+
+        if (!page.length) {
+            // An empty latest page means the conversation is empty
+            if (!options.before && !options.after) await LocalStore.reconcile(conversationId, [], {});
+            return;
+        }
+
+        const first = cursorOf(page[0]);
+        const last = cursorOf(page[page.length - 1]);
+        await LocalStore.reconcile(conversationId, page, options.after
+            ? { from: first, to: full ? last : undefined }
+            : { from: full ? first : undefined, to: options.before ? last : undefined });
+    }
+
+    // Unsent outbox entries sit after the newest message until the server
+    // accepts them; entries the server already has are dropped
+    private async withPending(conversationId: string, options: MessagePageOptions, page: Message[]): Promise<Message[]> {
+        const atLiveEnd = !options.before && (!options.after || page.length < (options.limit ?? MESSAGE_PAGE_SIZE));
+        if (!atLiveEnd) return page;
+
+        const outbox = await LocalStore.getOutbox(conversationId);
+        const landed = outbox.filter(e => page.some(m => m.id === e.id));
+        if (landed.length) await LocalStore.dequeue(landed.map(e => e.id));
+
+        const pending = outbox
+            .filter(e => !landed.includes(e))
+            .map(e => ({ ...e.preview, status: e.failed ? 'failed' : 'sending' } as Message));
+        return [...page, ...pending];
+    }
+
+    private async fetchPage(conversationId: string, { before, after, limit = MESSAGE_PAGE_SIZE }: MessagePageOptions): Promise<any[] | null> {
+        // Reading forward from a cursor walks up the index, everything else walks down
+        const forward = !!after && !before;
+
+        let query = supabase
             .from('messages')
             .select('*')
             .eq('conversation_id', conversationId)
-            .order('created_at', { ascending: true })
-            .limit(100);
+            .order('created_at', { ascending: forward })
+            .order('id', { ascending: forward })
+            .limit(limit);
 
-        if (error || !data) return [];
+        if (before) query = query.or(keysetFilter('lt', before));
+        if (after) query = query.or(keysetFilter('gt', after));
 
-        // Mark messages as read
-        await supabase
-            .from('conversation_members')
-            .update({ last_read_at: new Date().toISOString() })
+        const { data, error } = await query;
+        if (error || !data) return null;
+        return forward ? data : data.reverse();
+    }
+
+    // Loads a window of messages on either side of a search hit
+    async getMessageContext(conversationId: string, messageId: string, radius: number = 25): Promise<Message[]> {
+        if (!this.currentUserId) return [];
+
+        const { data: target } = await supabase
+            .from('messages')
+            .select('*')
+            .eq('id', messageId)
             .eq('conversation_id', conversationId)
-            .eq('user_id', this.currentUserId);
+            .single();
+
+        if (!target) return this.getMessages(conversationId);
 
-        return data.map(msg => enrichMessage(msg, this.currentUserId!));
+        const [before, after] = await Promise.all([
+            this.fetchPage(conversationId, { before: cursorOf(target), limit: radius }),
+            this.fetchPage(conversationId, { after: cursorOf(target), limit: radius }),
+        ]);
+
+        await this.markRead(conversationId);
+
+        return this.hydrate([...(before || []), target, ...(after || [])]);
+    }
+
+    private async hydrate(rows: any[]): Promise<Message[]> {
+        const messages = await Promise.all(rows.map(msg => enrichMessage(msg, this.currentUserId!)));
+        const reactions = await this.getReactions(messages.map(m => m.id));
+        messages.forEach(m => { m.reactions = reactions[m.id] || []; });
+        return this.attachQuotes(messages);
+    }
+
+    // ─── Search ───────────────────────────────────────────────
+    async searchMessages(query: string, filters: SearchFilters = {}): Promise<SearchResult[]> {
+        if (!this.currentUserId || !query.trim()) return [];
+
+        const { data, error } = await supabase.rpc('search_messages', {
+            search_query: query.trim(),
+            filter_conversation: filters.conversationId ?? null,
+            filter_sender: filters.sender ?? null,
+            filter_type: filters.type ?? null,
+            filter_from: filters.dateRange?.from?.toISOString() ?? null,
+            filter_to: filters.dateRange?.to?.toISOString() ?? null,
+        });
+
+        if (error) console.error('Message search failed:', error.message);
+
+        const results: SearchResult[] = (data || []).map((row: any) => ({
+            messageId: row.id,
+            conversationId: row.conversation_id,
+            senderId: row.sender_id,
+            senderName: row.sender_id === this.currentUserId ? 'You' : (row.sender_name || 'Unknown'),
+            type: row.type,
+            created_at: row.created_at,
+            time: formatTime(row.created_at),
+            snippet: parseSnippet(row.snippet),
+        }));
+
+        const local = await this.searchEncrypted(query, filters);
+        return [...results, ...local].sort((a, b) => b.created_at.localeCompare(a.created_at));
+    }
+
+    private async searchEncrypted(query: string, filters: SearchFilters): Promise<SearchResult[]> {
+        const terms = searchTerms(query);
+        const hits = EncryptionService.searchPlaintext(terms);
+        if (!hits.length || (filters.type && filters.type !== 'text')) return [];
+
+        let request = supabase
+            .from('messages')
+            .select('id, conversation_id, sender_id, type, created_at, profiles!messages_sender_id_fkey(display_name)')
+            .in('id', hits.map(h => h.messageId))
+            .eq('encrypted', true);
+
+        if (filters.conversationId) request = request.eq('conversation_id', filters.conversationId);
+        if (filters.sender) request = request.eq('sender_id', filters.sender);
+        if (filters.dateRange?.from) request = request.gte('created_at', filters.dateRange.from.toISOString());
+        if (filters.dateRange?.to) request = request.lte('created_at', filters.dateRange.to.toISOString());
+
+        const { data } = await request;
+        const textById = new Map(hits.map(h => [h.messageId, h.text]));
+
+        return (data || []).map((row: any) => ({
+            messageId: row.id,
+            conversationId: row.conversation_id,
+            senderId: row.sender_id,
+            senderName: row.sender_id === this.currentUserId ? 'You' : (row.profiles?.display_name || 'Unknown'),
+            type: row.type,
+            created_at: row.created_at,
+            time: formatTime(row.created_at),
+            snippet: localSnippet(textById.get(row.id) || '', terms),
+        }));
     }
 
     // ─── Send Message ─────────────────────────────────────────
-    async sendMessage(conversationId: string, text: string, type: MessageType = 'text'): Promise<Message | null> {
+    async sendMessage(
+        conversationId: string,
+        text: string,
+        type: MessageType = 'text',
+        options: { replyTo?: string; urgent?: boolean; storySegmentId?: string; storyReaction?: string } = {}
+    ): Promise<Message | null> {
         if (!this.currentUserId || !text.trim()) return null;
 
-        const { data, error } = await supabase
-            .from('messages')
-            .insert({
-                conversation_id: conversationId,
-                sender_id: this.currentUserId,
-                text: text.trim(),
-                type,
-                status: 'sent',
-            })
-            .select()
-            .single();
+        // The id is fixed here so every retry of this message is the same
+        // row to the server. Text messages are encrypted when delivered, as
+        // the recipients' keys may not be reachable right now.
+        const id = ExpoCrypto.randomUUID();
+        const createdAt = new Date().toISOString();
+        const payload = {
+            id,
+            conversation_id: conversationId,
+            sender_id: this.currentUserId,
+            text: text.trim(),
+            encrypted: type === 'text',
+            ciphertext: null,
+            type,
+            reply_to: options.replyTo,
+            urgent: options.urgent ?? false,
+            story_segment_id: options.storySegmentId,
+            story_reaction: options.storyReaction,
+            status: 'sent',
+        };
 
-        if (error) {
-            console.error('Failed to send message:', error.message);
-            return null;
+        const [preview] = await this.attachQuotes([await enrichMessage(
+            { ...payload, encrypted: false, status: 'sending', created_at: createdAt },
+            this.currentUserId
+        )]);
+        const entry: OutboxEntry = {
+            id,
+            conversation_id: conversationId,
+            payload,
+            preview,
+            attempts: 0,
+            last_error: null,
+            failed: false,
+            created_at: createdAt,
+        };
+
+        await LocalStore.enqueue(entry);
+        this.notifyMessages(conversationId, [preview]);
+
+        if (await LocalStore.isAvailable()) {
+            // Only the outbox delivers, so each message is encrypted and
+            // sent once and never overtakes one queued before it
+            await this.flushOutbox();
+            const pending = (await LocalStore.getOutbox(conversationId)).find(e => e.id === id);
+            if (pending) return pending.failed ? { ...preview, status: 'failed' } : preview;
+        } else {
+            // Without a persistent outbox there is nothing to queue or retry from
+            const result = await this.deliver(entry);
+            if (result === 'retry') return null;
+            if (result === 'failed') return { ...preview, status: 'failed' };
+        }
+
+        const { data } = await supabase.from('messages').select('*').eq('id', id).single();
+        if (!data) return preview;
+
+        const [msg] = await this.attachQuotes([await enrichMessage(data, this.currentUserId)]);
+        await LocalStore.saveMessages([msg]);
+        return msg;
+    }
+
+    // ─── Outbox ───────────────────────────────────────────────
+    // Sends one outbox entry. A duplicate id means an earlier attempt
+    // reached the server even though we never heard back.
+    private async deliver(entry: OutboxEntry): Promise<'sent' | 'retry' | 'failed'> {
+        let payload = entry.payload;
+
+        if (payload.encrypted && !payload.ciphertext) {
+            let ciphertext: CiphertextMap | null;
+            try {
+                ciphertext = await this.encryptFor(entry.conversation_id, payload.text);
+            } catch (e: any) {
+                await LocalStore.markAttempt(entry.id, e?.message || 'Encryption failed', false);
+                return 'retry';
+            }
+
+            // Held back rather than sent in the clear, until the sender retries
+            if (!ciphertext) {
+                await LocalStore.markAttempt(entry.id, NOT_ENCRYPTED_ERROR, true);
+                this.notifyMessages(entry.conversation_id, [{ ...entry.preview, status: 'failed' }]);
+                return 'failed';
+            }
+
+            // Our own device has no envelope, so remember what we sent
+            // before the realtime echo of the insert arrives
+            await EncryptionService.cachePlaintext(entry.id, payload.text);
+            payload = { ...payload, text: null, ciphertext };
+            // Ratchet state has moved on, so retries must reuse this ciphertext
+            await LocalStore.updatePayload(entry.id, payload);
+        }
+
+        const { error } = await supabase.from('messages').insert(payload);
+
+        if (error && error.code !== '23505') {
+            const permanent = isPermanentError(error);
+            await LocalStore.markAttempt(entry.id, error.message, permanent);
+            if (permanent) {
+                console.error('Failed to send message:', error.message);
+                this.notifyMessages(entry.conversation_id, [{ ...entry.preview, status: 'failed' }]);
+            }
+            return permanent ? 'failed' : 'retry';
         }
 
+        await LocalStore.dequeue([entry.id]);
+
         // Update conversation timestamp
         await supabase
             .from('conversations')
             .update({ updated_at: new Date().toISOString() })
-            .eq('id', conversationId);
+            .eq('id', entry.conversation_id);
 
-        return enrichMessage(data, this.currentUserId);
+        return 'sent';
+    }
+
+    // Sends queued messages in order, stopping at the first network
+    // failure so later messages never overtake earlier ones. A call during
+    // a flush waits for it and then flushes again, so entries queued in
+    // the meantime are sent before it resolves.
+    flushOutbox(): Promise<void> {
+        if (this.flushing) return this.flushing.then(() => this.flushOutbox());
+        this.flushing = (async () => {
+            const pending = (await LocalStore.getOutbox()).filter(e => !e.failed);
+            for (const entry of pending) {
+                if (await this.deliver(entry) === 'retry') {
+                    this.scheduleFlush();
+                    return;
+                }
+            }
+            this.retryDelay = OUTBOX_RETRY_BASE_MS;
+        })().finally(() => { this.flushing = null; });
+        return this.flushing;
+    }
+
+    private scheduleFlush() {
+        if (this.retryTimer) return;
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flushOutbox();
+        }, this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, OUTBOX_RETRY_MAX_MS);
+    }
+
+    async getSendError(messageId: string): Promise<string | null> {
+        const entry = (await LocalStore.getOutbox()).find(e => e.id === messageId);
+        return entry?.last_error ?? null;
+    }
+
+    async retryMessage(messageId: string): Promise<void> {
+        const entry = (await LocalStore.getOutbox()).find(e => e.id === messageId);
+        if (!entry) return;
+
+        await LocalStore.resetAttempts(messageId);
+        this.notifyMessages(entry.conversation_id, [{ ...entry.preview, status: 'sending' }]);
+        this.retryDelay = OUTBOX_RETRY_BASE_MS;
+        await this.flushOutbox();
+    }
+
+    // Gives up on an unsent message
+    async discardMessage(messageId: string): Promise<void> {
+        await LocalStore.dequeue([messageId]);
+    }
+
+    private notifyMessages(conversationId: string, messages: Message[]) {
+        messageListeners.get(conversationId)?.forEach(cb => cb(messages));
+    }
+
+    // ─── Reply & Forward ──────────────────────────────────────
+    async sendReply(conversationId: string, replyToId: string, text: string): Promise<Message | null> {
+        return this.sendMessage(conversationId, text, 'text', { replyTo: replyToId });
+    }
+
+    async forwardMessages(messageIds: string[], targetConversationIds: string[]): Promise<Message[]> {
+        if (!this.currentUserId || !messageIds.length || !targetConversationIds.length) return [];
+
+        const { data: sources, error } = await supabase
+            .from('messages')
+            .select('*')
+            .in('id', messageIds)
+            .order('created_at', { ascending: true });
+
+        if (error || !sources) return [];
+
+        // Decrypt once, then re-encrypt for each target conversation.
+        // Unreadable messages are skipped so the placeholder is never sent.
+        const originals = (await Promise.all(sources.map(msg => enrichMessage(msg, this.currentUserId!))))
+            .filter(m => FORWARDABLE_TYPES.includes(m.type) && !m.ephemeral && !m.undecryptable);
+
+        const forwarded: Message[] = [];
+        for (const conversationId of targetConversationIds) {
+            for (const original of originals) {
+                // Skipped rather than forwarded in the clear when keys are unreachable
+                const encrypt = original.type === 'text' && !!original.text;
+                const ciphertext = encrypt
+                    ? await this.encryptFor(conversationId, original.text!).catch(() => null)
+                    : null;
+                if (encrypt && !ciphertext) continue;
+
+                const id = ExpoCrypto.randomUUID();
+                if (ciphertext) await EncryptionService.cachePlaintext(id, original.text!);
+
+                const { data, error: insertError } = await supabase
+                    .from('messages')
+                    .insert({
+                        id,
+                        conversation_id: conversationId,
+                        sender_id: this.currentUserId,
+                        text: ciphertext ? null : original.text,
+                        encrypted: !!ciphertext,
+                        ciphertext,
+                        type: original.type,
+                        audio_url: original.audio_url,
+                        media_url: original.media_url,
+                        duration: original.duration,
+                        forwarded_from: original.id,
+                        status: 'sent',
+                    })
+                    .select()
+                    .single();
+
+                if (insertError) {
+                    console.error('Failed to forward message:', insertError.message);
+                    continue;
+                }
+                forwarded.push(await enrichMessage(data, this.currentUserId));
+            }
+
+            await supabase
+                .from('conversations')
+                .update({ updated_at: new Date().toISOString() })
+                .eq('id', conversationId);
+        }
+
+        return forwarded;
     }
 
     // ─── Voice Message ────────────────────────────────────────
@@ -292,6 +935,52 @@ class ChatServiceClass {
         return enrichMessage(data, this.currentUserId);
     }
 
+    // Uploads a recording from disk and sends it as a voice message. The
+    // message's audio_url is the file's path in the voice-messages bucket.
+    async sendVoiceRecording(conversationId: string, uri: string, duration: number): Promise<Message | null> {
+        if (!this.currentUserId) return null;
+
+        const id = ExpoCrypto.randomUUID();
+        const path = `${conversationId}/${id}.m4a`;
+        const uploadId = await MediaSync.queueUpload(
+            { uri, name: `${id}.m4a`, type: 'audio/m4a' },
+            {
+                uploadType: 'voice_message',
+                priority: UPLOAD_PRIORITY.CRITICAL,
+                compress: false,
+                chatId: conversationId,
+                storage: { bucket: VOICE_MESSAGES_BUCKET, path },
+            }
+        );
+        await MediaSync.waitForUpload(uploadId);
+
+        return this.sendVoiceMessage(conversationId, path, duration);
+    }
+
+    // Older voice messages carry a full URL rather than a bucket path
+    async getVoiceMessageUrl(audioUrl: string): Promise<string> {
+        if (/^https?:\/\//.test(audioUrl)) return audioUrl;
+
+        const { data, error } = await supabase.storage
+            .from(VOICE_MESSAGES_BUCKET)
+            .createSignedUrl(audioUrl, VOICE_URL_TTL);
+        if (error) throw error;
+        return data.signedUrl;
+    }
+
+    // ─── Story Replies ────────────────────────────────────────
+    // Replies and reactions to a story go to the 1:1 chat with its author,
+    // quoting the segment. A reaction is sent as its emoji.
+    async replyToStory(authorId: string, segmentId: string, text: string, reaction?: string): Promise<Message | null> {
+        const conversationId = await this.findOrCreateConversation(authorId);
+        if (!conversationId) throw new Error('Could not open a chat with them');
+
+        return this.sendMessage(conversationId, reaction ?? text, 'text', {
+            storySegmentId: segmentId,
+            storyReaction: reaction,
+        });
+    }
+
     // ─── Media Message ────────────────────────────────────────
     async sendMediaMessage(conversationId: string, mediaUrl: string, type: 'image' | 'video'): Promise<Message | null> {
         if (!this.currentUserId) return null;
@@ -346,7 +1035,7 @@ class ChatServiceClass {
         if (error) return null;
 
         // Attach call metadata locally
-        const msg = enrichMessage(data, this.currentUserId);
+        const msg = await enrichMessage(data, this.currentUserId);
         msg.call_type = callType;
         msg.call_status = callStatus;
         msg.call_duration = duration;
@@ -359,54 +1048,366 @@ class ChatServiceClass {
         return msg;
     }
 
-    // ─── Find or Create Conversation ──────────────────────────
-    async findOrCreateConversation(otherUserId: string): Promise<string | null> {
+    // ─── Edit Message ─────────────────────────────────────────
+    async editMessage(messageId: string, newText: string): Promise<Message | null> {
+        if (!this.currentUserId || !newText.trim()) return null;
+
+        const { data: existing } = await supabase
+            .from('messages')
+            .select('conversation_id, encrypted, edit_count')
+            .eq('id', messageId)
+            .single();
+
+        let update: Record<string, any> = { text: newText.trim() };
+        if (existing?.encrypted) {
+            const ciphertext = await this.encryptFor(existing.conversation_id, newText.trim()).catch(() => null);
+            if (!ciphertext) return null;
+            update = { ciphertext };
+            await EncryptionService.cachePlaintext(messageId, newText.trim(), (existing.edit_count || 0) + 1);
+        }
+
+        const { data, error } = await supabase
+            .from('messages')
+            .update(update)
+            .eq('id', messageId)
+            .eq('sender_id', this.currentUserId)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Failed to edit message:', error.message);
+            return null;
+        }
+
+        return enrichMessage(data, this.currentUserId);
+    }
+
+    async getEditHistory(messageId: string): Promise<MessageEdit[]> {
+        // The server only sees ciphertext for encrypted messages
+        const localHistory = EncryptionService.getLocalEditHistory(messageId);
+        if (localHistory.length) {
+            return localHistory.map((entry, i) => ({
+                id: `${messageId}:${i}`,
+                message_id: messageId,
+                previous_text: entry.text,
+                edited_by: '',
+                edited_at: entry.replacedAt,
+            }));
+        }
+
+        const { data, error } = await supabase
+            .from('message_edits')
+            .select('*')
+            .eq('message_id', messageId)
+            .order('edited_at', { ascending: false });
+
+        if (error) return [];
+        return data || [];
+    }
+
+    // ─── Scheduled Messages ───────────────────────────────────
+    // Delivered server-side by dispatch_scheduled_messages(), so the
+    // sender's device does not need to be online at send time. That also
+    // means the server must read them, so they are not end-to-end encrypted.
+    async scheduleMessage(conversationId: string, text: string, sendAt: Date): Promise<ScheduledMessage | null> {
+        if (!this.currentUserId || !text.trim()) return null;
+        if (sendAt.getTime() <= Date.now()) return null;
+
+        const { data, error } = await supabase
+            .from('scheduled_messages')
+            .insert({
+                conversation_id: conversationId,
+                sender_id: this.currentUserId,
+                text: text.trim(),
+                send_at: sendAt.toISOString(),
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Failed to schedule message:', error.message);
+            return null;
+        }
+        return data;
+    }
+
+    async listScheduled(conversationId: string): Promise<ScheduledMessage[]> {
+        if (!this.currentUserId) return [];
+
+        const { data, error } = await supabase
+            .from('scheduled_messages')
+            .select('*')
+            .eq('conversation_id', conversationId)
+            .eq('sender_id', this.currentUserId)
+            .eq('status', 'pending')
+            .order('send_at', { ascending: true });
+
+        if (error) return [];
+        return data || [];
+    }
+
+    async updateScheduled(
+        scheduledId: string,
+        changes: { text?: string; sendAt?: Date }
+    ): Promise<ScheduledMessage | null> {
         if (!this.currentUserId) return null;
 
-        // Check if a 1:1 conversation already exists
-        const { data: myConvs } = await supabase
-            .from('conversation_members')
-            .select('conversation_id')
+        const update: Record<string, string> = { updated_at: new Date().toISOString() };
+        if (changes.text !== undefined) {
+            if (!changes.text.trim()) return null;
+            update.text = changes.text.trim();
+        }
+        if (changes.sendAt) {
+            if (changes.sendAt.getTime() <= Date.now()) return null;
+            update.send_at = changes.sendAt.toISOString();
+        }
+
+        const { data, error } = await supabase
+            .from('scheduled_messages')
+            .update(update)
+            .eq('id', scheduledId)
+            .eq('sender_id', this.currentUserId)
+            .eq('status', 'pending')
+            .select()
+            .single();
+
+        if (error) return null;
+        return data;
+    }
+
+    async cancelScheduled(scheduledId: string): Promise<boolean> {
+        if (!this.currentUserId) return false;
+
+        const { error } = await supabase
+            .from('scheduled_messages')
+            .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+            .eq('id', scheduledId)
+            .eq('sender_id', this.currentUserId)
+            .eq('status', 'pending');
+
+        return !error;
+    }
+
+    // ─── Reactions ────────────────────────────────────────────
+    // Mirrors QuantumMessage.addReaction: one reaction per user, replaced on change
+    async react(messageId: string, emoji: string): Promise<boolean> {
+        if (!this.currentUserId || !emoji) return false;
+
+        const { error } = await supabase
+            .from('message_reactions')
+            .upsert(
+                { message_id: messageId, user_id: this.currentUserId, emoji, created_at: new Date().toISOString() },
+                { onConflict: 'message_id,user_id' }
+            );
+
+        if (error) {
+            console.error('Failed to react:', error.message);
+            return false;
+        }
+        return true;
+    }
+
+    async unreact(messageId: string): Promise<boolean> {
+        if (!this.currentUserId) return false;
+
+        const { error } = await supabase
+            .from('message_reactions')
+            .delete()
+            .eq('message_id', messageId)
             .eq('user_id', this.currentUserId);
 
-        if (myConvs?.length) {
-            const { data: theirConvs } = await supabase
-                .from('conversation_members')
-                .select('conversation_id')
-                .eq('user_id', otherUserId)
-                .in('conversation_id', myConvs.map(c => c.conversation_id));
-
-            // Filter to 1:1 conversations only
-            for (const tc of theirConvs || []) {
-                const { data: conv } = await supabase
-                    .from('conversations')
-                    .select('id, is_group')
-                    .eq('id', tc.conversation_id)
-                    .eq('is_group', false)
-                    .single();
+        return !error;
+    }
 
-                if (conv) return conv.id;
-            }
+    async getReactions(messageIds: string[]): Promise<Record<string, MessageReaction[]>> {
+        if (!messageIds.length) return {};
+
+        const { data, error } = await supabase
+            .from('message_reactions')
+            .select('message_id, user_id, emoji, created_at, profiles(display_name, avatar_url)')
+            .in('message_id', messageIds)
+            .order('created_at', { ascending: true });
+
+        if (error || !data) return {};
+
+        const grouped: Record<string, MessageReaction[]> = {};
+        for (const row of data as any[]) {
+            (grouped[row.message_id] ||= []).push({
+                message_id: row.message_id,
+                user_id: row.user_id,
+                emoji: row.emoji,
+                created_at: row.created_at,
+                display_name: row.profiles?.display_name,
+                avatar_url: row.profiles?.avatar_url,
+            });
         }
+        return grouped;
+    }
+
+    // Calls back with the full, current reaction list of the changed message
+    subscribeToReactions(conversationId: string, callback: ReactionListener): () => void {
+        const refresh = async (messageId?: string) => {
+            if (!messageId) return;
+            const reactions = await this.getReactions([messageId]);
+            callback(messageId, reactions[messageId] || []);
+        };
+
+        const channel = supabase
+            .channel(`reactions:${conversationId}`)
+            .on(
+                'postgres_changes',
+                {
+                    event: 'INSERT',
+                    schema: 'public',
+                    table: 'message_reactions',
+                    filter: `conversation_id=eq.${conversationId}`,
+                },
+                (payload: any) => refresh(payload.new?.message_id)
+            )
+            .on(
+                'postgres_changes',
+                {
+                    event: 'UPDATE',
+                    schema: 'public',
+                    table: 'message_reactions',
+                    filter: `conversation_id=eq.${conversationId}`,
+                },
+                (payload: any) => refresh(payload.new?.message_id)
+            )
+            .on(
+                // Realtime cannot filter DELETE events, so match the old row here
+                'postgres_changes',
+                { event: 'DELETE', schema: 'public', table: 'message_reactions' },
+                (payload: any) => {
+                    if (payload.old?.conversation_id === conversationId) refresh(payload.old.message_id);
+                }
+            )
+            .subscribe();
 
-        // Create new conversation
-        const { data: newConv, error: convError } = await supabase
+        return () => {
+            supabase.removeChannel(channel);
+        };
+    }
+
+    // ─── Find or Create Conversation ──────────────────────────
+    // Direct chats and their memberships are only created server-side
+    async findOrCreateConversation(otherUserId: string): Promise<string | null> {
+        if (!this.currentUserId) return null;
+
+        const { data, error } = await supabase.rpc('find_or_create_direct_conversation', { p_other: otherUserId });
+        if (error) {
+            console.error('Failed to open chat:', error.message);
+            return null;
+        }
+        return data;
+    }
+
+    // ─── Groups ───────────────────────────────────────────────
+    // Admin checks are enforced by RLS; system messages announcing
+    // membership changes are posted by the log_membership_change() trigger.
+    async createGroup(name: string, memberIds: string[], avatarUrl?: string): Promise<string | null> {
+        if (!this.currentUserId || !name.trim()) return null;
+
+        const { data: group, error } = await supabase
             .from('conversations')
-            .insert({ is_group: false })
+            .insert({
+                is_group: true,
+                group_name: name.trim(),
+                group_avatar: avatarUrl,
+                created_by: this.currentUserId,
+            })
             .select()
             .single();
 
-        if (convError || !newConv) return null;
+        if (error || !group) {
+            console.error('Failed to create group:', error?.message);
+            return null;
+        }
 
-        // Add both users as members
-        await supabase
+        // The creator has to join first so the admin policy lets them add others
+        const { error: joinError } = await supabase
             .from('conversation_members')
-            .insert([
-                { conversation_id: newConv.id, user_id: this.currentUserId },
-                { conversation_id: newConv.id, user_id: otherUserId },
-            ]);
+            .insert({ conversation_id: group.id, user_id: this.currentUserId, role: 'admin' });
 
-        return newConv.id;
+        if (joinError) {
+            console.error('Failed to join new group:', joinError.message);
+            return null;
+        }
+
+        await this.addMembers(group.id, memberIds);
+        return group.id;
+    }
+
+    async addMembers(conversationId: string, userIds: string[]): Promise<boolean> {
+        if (!this.currentUserId) return false;
+
+        const newIds = [...new Set(userIds)].filter(id => id !== this.currentUserId);
+        if (!newIds.length) return true;
+
+        // Existing members are skipped rather than treated as an error
+        const { error } = await supabase
+            .from('conversation_members')
+            .upsert(
+                newIds.map(userId => ({ conversation_id: conversationId, user_id: userId, role: 'member' })),
+                { onConflict: 'conversation_id,user_id', ignoreDuplicates: true }
+            );
+
+        if (error) {
+            console.error('Failed to add members:', error.message);
+            return false;
+        }
+        return true;
+    }
+
+    async removeMember(conversationId: string, userId: string): Promise<boolean> {
+        if (!this.currentUserId) return false;
+
+        const { data, error } = await supabase
+            .from('conversation_members')
+            .delete()
+            .eq('conversation_id', conversationId)
+            .eq('user_id', userId)
+            .select('id');
+
+        return !error && !!data?.length;
+    }
+
+    async promoteToAdmin(conversationId: string, userId: string): Promise<boolean> {
+        if (!this.currentUserId) return false;
+
+        const { data, error } = await supabase
+            .from('conversation_members')
+            .update({ role: 'admin' })
+            .eq('conversation_id', conversationId)
+            .eq('user_id', userId)
+            .select('id');
+
+        return !error && !!data?.length;
+    }
+
+    // If the last admin leaves, the longest-standing member takes over
+    async leaveGroup(conversationId: string): Promise<boolean> {
+        if (!this.currentUserId) return false;
+        return this.removeMember(conversationId, this.currentUserId);
+    }
+
+    async getGroupMembers(conversationId: string): Promise<GroupMember[]> {
+        const { data, error } = await supabase
+            .from('conversation_members')
+            .select('user_id, role, joined_at, profiles!conversation_members_user_id_fkey(display_name, avatar_url, is_online)')
+            .eq('conversation_id', conversationId)
+            .order('joined_at', { ascending: true });
+
+        if (error || !data) return [];
+
+        return data.map((m: any) => ({
+            user_id: m.user_id,
+            role: m.role,
+            joined_at: m.joined_at,
+            display_name: m.profiles?.display_name || 'Unknown',
+            avatar_url: m.profiles?.avatar_url,
+            is_online: m.profiles?.is_online,
+        }));
     }
 
     // ─── Get All Users (contacts) ─────────────────────────────
@@ -423,6 +1424,45 @@ class ChatServiceClass {
         return data || [];
     }
 
+    // Only contacts can be saved as top contacts (clean_top_contacts)
+    async getContacts(): Promise<any[]> {
+        if (!this.currentUserId) return [];
+
+        const { data, error } = await supabase.rpc('get_contacts');
+        if (error) return [];
+        return data || [];
+    }
+
+    // profiles.top3_contacts resolved to profiles, in rank order
+    async getTopContacts(ids: string[]): Promise<any[]> {
+        if (!this.currentUserId || !ids.length) return [];
+
+        const { data, error } = await supabase
+            .from('profiles')
+            .select('id, display_name, avatar_url, is_online, about')
+            .in('id', ids);
+
+        if (error || !data) return [];
+        const byId = new Map(data.map((p: any) => [p.id, p]));
+        return ids.map(id => byId.get(id)).filter(Boolean);
+    }
+
+    // People whose number is, or starts with, what was dialled. Partial
+    // numbers only match contacts, people we've exchanged messages with
+    // in a 1:1 chat (schema section 26).
+    async searchUsersByPhone(number: string): Promise<PhoneMatch[]> {
+        if (!this.currentUserId) return [];
+        const prefix = toE164Prefix(number);
+        if (!prefix || prefix.length < 4) return [];
+
+        const { data, error } = await supabase.rpc('search_profiles_by_phone', { p_number: prefix });
+        if (error) {
+            console.error('Phone lookup failed:', error.message);
+            return [];
+        }
+        return data || [];
+    }
+
     // ─── Real-Time Subscriptions ──────────────────────────────
     subscribeToMessages(conversationId: string, callback: MessageListener): () => void {
         const key = `msgs:${conversationId}`;
@@ -454,13 +1494,31 @@ class ChatServiceClass {
                     table: 'messages',
                     filter: `conversation_id=eq.${conversationId}`,
                 },
-                (payload) => {
-                    const newMsg = enrichMessage(payload.new, this.currentUserId || '');
-                    const listeners = messageListeners.get(conversationId);
-                    listeners?.forEach(cb => cb([newMsg]));
+                async (payload) => {
+                    const [newMsg] = await this.attachQuotes([await enrichMessage(payload.new, this.currentUserId || '')]);
+                    await LocalStore.saveMessages([newMsg]);
+                    this.notifyMessages(conversationId, [newMsg]);
                 }
             )
-            .subscribe();
+            .on(
+                'postgres_changes',
+                {
+                    event: 'UPDATE',
+                    schema: 'public',
+                    table: 'messages',
+                    filter: `conversation_id=eq.${conversationId}`,
+                },
+                async (payload) => {
+                    // Edits and status changes replace the existing message in place
+                    const [updatedMsg] = await this.attachQuotes([await enrichMessage(payload.new, this.currentUserId || '')]);
+                    await LocalStore.saveMessages([updatedMsg]);
+                    this.notifyMessages(conversationId, [updatedMsg]);
+                }
+            )
+            .subscribe(status => {
+                // (Re)connecting is a good moment to push anything queued offline
+                if (status === 'SUBSCRIBED') this.flushOutbox();
+            });
 
         activeChannels.set(key, channel);
 
@@ -477,6 +1535,9 @@ class ChatServiceClass {
     subscribeToConversations(callback: ConversationListener): () => void {
         conversationListeners.add(callback);
 
+        // Whatever arrived while the app was closed has now reached this device
+        this.markDelivered();
+
         const channel = supabase
             .channel('conversation-updates')
             .on(
@@ -486,8 +1547,15 @@ class ChatServiceClass {
                     schema: 'public',
                     table: 'messages',
                 },
-                async () => {
-                    // Refetch conversations when any message is added
+                async (payload: any) => {
+                    // Only new messages are acked: receipts update messages
+                    // themselves, and acking those would never settle
+                    const message = payload.new;
+                    if (payload.eventType === 'INSERT' && message?.sender_id !== this.currentUserId) {
+                        await this.markDelivered([message.conversation_id]);
+                    }
+
+                    // Refetch conversations when any message changes
                     const convs = await this.getConversations();
                     conversationListeners.forEach(cb => cb(convs));
                 }
@@ -509,13 +1577,39 @@ class ChatServiceClass {
             .delete()
             .eq('id', messageId)
             .eq('sender_id', this.currentUserId);
+        await LocalStore.removeMessage(messageId);
     }
 
-    async updateMessageStatus(messageId: string, status: MessageStatus): Promise<void> {
+    // ─── Receipts ─────────────────────────────────────────────
+    // Receipts are acknowledged in batches by moving the member's read
+    // position; apply_read_position() fans that out per message.
+    async markRead(conversationId: string): Promise<void> {
+        if (!this.currentUserId) return;
+
         await supabase
-            .from('messages')
-            .update({ status })
-            .eq('id', messageId);
+            .from('conversation_members')
+            .update({ last_read_at: new Date().toISOString() })
+            .eq('conversation_id', conversationId)
+            .eq('user_id', this.currentUserId);
+    }
+
+    // Acknowledges delivery in every conversation when none are given
+    async markDelivered(conversationIds?: string[]): Promise<void> {
+        if (!this.currentUserId) return;
+
+        let query = supabase
+            .from('conversation_members')
+            .update({ last_delivered_at: new Date().toISOString() })
+            .eq('user_id', this.currentUserId);
+
+        if (conversationIds) query = query.in('conversation_id', conversationIds);
+        await query;
+    }
+
+    async getMessageReceipts(messageId: string): Promise<MessageReceipt[]> {
+        const { data, error } = await supabase.rpc('get_message_receipts', { target_message: messageId });
+        if (error) return [];
+        return data || [];
     }
 
     // ─── Conversation Operations ──────────────────────────────
@@ -556,6 +1650,13 @@ class ChatServiceClass {
         activeChannels.clear();
         messageListeners.clear();
         conversationListeners.clear();
+
+        if (this.retryTimer) clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.appStateSub?.remove();
+        this.appStateSub = null;
+        this.currentUserId = null;
+        LocalStore.close();
     }
 }
 
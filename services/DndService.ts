@@ -0,0 +1,327 @@
+/**
+ * DndService — Message alerts under Do Not Disturb and quiet hours
+ *
+ * The database decides what reaching someone does (dnd_policy, see
+ * schema section 27): calls are screened before they ring, and every
+ * message gets a message_alerts row per recipient saying whether to
+ * alert now, arrive silently or wait until Do Not Disturb and quiet
+ * hours are over. This service follows those rows for the signed-in
+ * user, presents local notifications for the ones that may alert, and
+ * sums up whatever waited in a single notification once it may alert.
+ * Messages from Top 5 contacts alert on their own priority channel.
+ *
+ * Emergencies get through anyway (dnd_breakthrough): anything a contact
+ * marked urgent, a second call within REPEAT_CALL_MINUTES and anything
+ * from the user's emergency contacts. Each one is logged so the user can see
+ * afterwards who got through and why.
+ *
+ * Quiet hours are read in profiles.timezone, which the app keeps in step
+ * with deviceTimezone().
+ */
+import { AppState, Platform } from 'react-native';
+import { supabase } from '@/lib/supabase';
+import type { BreakthroughReason, DndStatus } from '@/services/CallService';
+
+// expo-notifications is native-only; lazy-load to avoid web build crash
+let Notifications: any = null;
+try { Notifications = require('expo-notifications'); } catch (e) { }
+
+// ─── Types ────────────────────────────────────────────────────
+export interface DeferredAlerts {
+    conversationId: string;
+    messages: number;
+    lastSenderName: string | null;
+}
+
+export interface Breakthrough {
+    id: string;
+    senderId: string;
+    senderName: string;
+    kind: 'call' | 'message';
+    reason: BreakthroughReason;
+    dnd: DndStatus;
+    callHistoryId: string | null;
+    conversationId: string | null;
+    seen: boolean;
+    createdAt: string;
+}
+
+// Must match the window in dnd_breakthrough()
+export const REPEAT_CALL_MINUTES = 3;
+
+export const BREAKTHROUGH_LABELS: Record<BreakthroughReason, string> = {
+    allowlist: 'Emergency contact',
+    urgent: 'Urgent',
+    repeat_call: 'Called again',
+};
+
+// Android notification channels; Top 5 contacts get one that can sound
+// through the phone's own Do Not Disturb
+const MESSAGES_CHANNEL = 'messages';
+const TOP_CONTACTS_CHANNEL = 'top-contacts';
+
+const MEDIA_LABELS: Record<string, string> = {
+    voice: 'Voice message',
+    image: 'Photo',
+    video: 'Video',
+    file: 'File',
+};
+
+// IANA zone the device is set to, e.g. Africa/Harare
+export function deviceTimezone(): string | null {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Reads quiet hours the way in_quiet_hours() does: the start is
+// inclusive, the end exclusive, and a start after the end (22:00–07:00)
+// runs across midnight. Unknown zones fall back to UTC.
+export function inQuietHours(
+    start: string | null,
+    end: string | null,
+    timezone: string | null,
+    at: Date = new Date()
+): boolean {
+    if (!start || !end) return false;
+
+    let parts: Intl.DateTimeFormatPart[];
+    try {
+        parts = new Intl.DateTimeFormat('en-GB', {
+            timeZone: timezone || 'UTC', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+        }).formatToParts(at);
+    } catch (e) {
+        parts = new Intl.DateTimeFormat('en-GB', {
+            timeZone: 'UTC', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+        }).formatToParts(at);
+    }
+    const part = (type: string) => Number(parts.find(p => p.type === type)?.value);
+    const now = part('hour') * 60 + part('minute');
+    const toMinutes = (time: string) => {
+        const [h, m] = time.split(':').map(Number);
+        return h * 60 + (m || 0);
+    };
+
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+    if (from <= to) return now >= from && now < to;
+    return now >= from || now < to;
+}
+
+// ─── DndService ───────────────────────────────────────────────
+class DndServiceClass {
+    private currentUserId: string | null = null;
+    private topContacts = new Set<string>();
+    private channelsReady: Promise<void> | null = null;
+
+    setCurrentUser(userId: string) {
+        this.currentUserId = userId;
+    }
+
+    setTopContacts(ids: string[]) {
+        this.topContacts = new Set(ids);
+    }
+
+    // ─── Alerts ───────────────────────────────────────────────
+    // While the app is open the chat list shows new messages itself, so
+    // only alerts that arrive in the background become notifications
+    subscribeToAlerts(): () => void {
+        if (!this.currentUserId) return () => { };
+
+        const channel = supabase
+            .channel(`message-alerts:${this.currentUserId}`)
+            .on(
+                'postgres_changes',
+                {
+                    event: 'INSERT',
+                    schema: 'public',
+                    table: 'message_alerts',
+                    filter: `user_id=eq.${this.currentUserId}`,
+                },
+                (payload: any) => {
+                    const row = payload.new;
+                    if (row?.alert === 'allow' && AppState.currentState !== 'active') {
+                        this.presentMessage(row.message_id, row.conversation_id, row.sender_id);
+                    }
+                }
+            )
+            .subscribe();
+
+        return () => {
+            supabase.removeChannel(channel);
+        };
+    }
+
+    private async presentMessage(messageId: string, conversationId: string, senderId: string) {
+        const { data } = await supabase
+            .from('messages')
+            .select('text, type, urgent, story_segment_id, story_reaction, sender:profiles!messages_sender_id_fkey(display_name)')
+            .eq('id', messageId)
+            .single();
+        if (!data) return;
+
+        const sender: any = data.sender;
+        // End-to-end encrypted messages have no text on the server
+        const body = data.story_reaction
+            ? `Reacted ${data.story_reaction} to your story`
+            : data.story_segment_id
+                ? (data.text ? `Replied to your story: ${data.text}` : 'Replied to your story')
+                : data.text || MEDIA_LABELS[data.type] || 'New message';
+        const title = `${data.urgent ? 'Urgent · ' : ''}${sender?.display_name || 'New message'}`;
+        await this.present(title, body, { conversationId }, data.urgent || this.topContacts.has(senderId));
+    }
+
+    // Hands over alerts that waited for Do Not Disturb or quiet hours to
+    // end; gets nothing back while either still applies
+    async releaseDeferredAlerts(): Promise<DeferredAlerts[]> {
+        if (!this.currentUserId) return [];
+
+        const { data, error } = await supabase.rpc('release_deferred_alerts');
+        if (error) {
+            console.error('Failed to release deferred alerts:', error.message);
+            return [];
+        }
+
+        const released: DeferredAlerts[] = (data || []).map((row: any) => ({
+            conversationId: row.conversation_id,
+            messages: row.messages,
+            lastSenderName: row.last_sender_name,
+        }));
+        if (!released.length) return released;
+
+        const total = released.reduce((sum, r) => sum + r.messages, 0);
+        const title = released.length === 1 && released[0].lastSenderName
+            ? released[0].lastSenderName
+            : 'While you were away';
+        const body = `${total} ${total === 1 ? 'message' : 'messages'}`
+            + (released.length > 1 ? ` in ${released.length} chats` : '');
+        await this.present(title, body, released.length === 1 ? { conversationId: released[0].conversationId } : {});
+        return released;
+    }
+
+    // ─── Breakthroughs ────────────────────────────────────────
+    async getBreakthroughs(): Promise<Breakthrough[]> {
+        if (!this.currentUserId) return [];
+
+        const { data, error } = await supabase
+            .from('dnd_breakthroughs')
+            .select('*, sender:profiles!dnd_breakthroughs_sender_id_fkey(display_name)')
+            .eq('user_id', this.currentUserId)
+            .order('created_at', { ascending: false })
+            .limit(50);
+
+        if (error) {
+            console.error('Failed to fetch breakthroughs:', error.message);
+            return [];
+        }
+
+        return (data || []).map((row: any) => ({
+            id: row.id,
+            senderId: row.sender_id,
+            senderName: row.sender?.display_name || 'Unknown',
+            kind: row.kind,
+            reason: row.reason,
+            dnd: row.dnd,
+            callHistoryId: row.call_history_id,
+            conversationId: row.conversation_id,
+            seen: !!row.seen_at,
+            createdAt: row.created_at,
+        }));
+    }
+
+    async markBreakthroughsSeen(): Promise<void> {
+        if (!this.currentUserId) return;
+        await supabase
+            .from('dnd_breakthroughs')
+            .update({ seen_at: new Date().toISOString() })
+            .eq('user_id', this.currentUserId)
+            .is('seen_at', null);
+    }
+
+    // ─── Emergency contacts ───────────────────────────────────
+    // People who get through Do Not Disturb in every mode
+    async getEmergencyContacts(): Promise<any[]> {
+        if (!this.currentUserId) return [];
+
+        const { data, error } = await supabase
+            .from('emergency_contacts')
+            .select('contact:profiles!emergency_contacts_contact_id_fkey(id, display_name, avatar_url, is_online)')
+            .eq('user_id', this.currentUserId)
+            .order('created_at');
+
+        if (error) {
+            console.error('Failed to fetch emergency contacts:', error.message);
+            return [];
+        }
+        return (data || []).map((row: any) => row.contact).filter(Boolean);
+    }
+
+    async addEmergencyContact(contactId: string): Promise<void> {
+        if (!this.currentUserId) return;
+        const { error } = await supabase
+            .from('emergency_contacts')
+            .upsert({ user_id: this.currentUserId, contact_id: contactId });
+        if (error) throw error;
+    }
+
+    async removeEmergencyContact(contactId: string): Promise<void> {
+        if (!this.currentUserId) return;
+        const { error } = await supabase
+            .from('emergency_contacts')
+            .delete()
+            .eq('user_id', this.currentUserId)
+            .eq('contact_id', contactId);
+        if (error) throw error;
+    }
+
+    private async present(title: string, body: string, data: Record<string, string>, priority = false) {
+        if (!Notifications || Platform.OS === 'web') return;
+
+        try {
+            const permission = await Notifications.getPermissionsAsync();
+            if (!permission.granted) return;
+            await this.ensureChannels();
+            await Notifications.scheduleNotificationAsync({
+                content: {
+                    title,
+                    body,
+                    data,
+                    // iOS lets time-sensitive alerts through Focus modes
+                    ...(priority ? { interruptionLevel: 'timeSensitive' } : {}),
+                },
+                trigger: Platform.OS === 'android'
+                    ? { channelId: priority ? TOP_CONTACTS_CHANNEL : MESSAGES_CHANNEL }
+                    : null,
+            });
+        } catch (e) {
+            console.error('Failed to present notification:', e);
+        }
+    }
+
+    private ensureChannels(): Promise<void> {
+        if (Platform.OS !== 'android') return Promise.resolve();
+        if (!this.channelsReady) {
+            this.channelsReady = Promise.all([
+                Notifications.setNotificationChannelAsync(MESSAGES_CHANNEL, {
+                    name: 'Messages',
+                    importance: Notifications.AndroidImportance.HIGH,
+                }),
+                Notifications.setNotificationChannelAsync(TOP_CONTACTS_CHANNEL, {
+                    name: 'Top 5 contacts',
+                    description: 'Messages from your Top 5',
+                    importance: Notifications.AndroidImportance.MAX,
+                    bypassDnd: true,
+                }),
+            ]).then(() => { }, e => {
+                this.channelsReady = null;
+                throw e;
+            });
+        }
+        return this.channelsReady;
+    }
+}
+
+export const DndService = new DndServiceClass();
+export default DndService;
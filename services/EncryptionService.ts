@@ -0,0 +1,753 @@
+/**
+ * EncryptionService — End-to-end encryption for Supabase messages
+ *
+ * Signal-style sessions: every device publishes a prekey bundle
+ * (device_keys + one_time_prekeys), senders run X3DH against it and
+ * then keep a Double Ratchet per remote device. Messages are encrypted
+ * once per recipient device and stored in messages.ciphertext.
+ *
+ * Identity keys live in SecureStore where available. Ratchet state,
+ * prekey private keys and decrypted plaintext live in AsyncStorage.
+ * Every key is scoped to the signed-in user and wiped on sign-out, so
+ * another account on the same device starts from nothing.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+import * as ExpoCrypto from 'expo-crypto';
+import { x25519, ed25519 } from '@noble/curves/ed25519';
+import { gcm } from '@noble/ciphers/aes';
+import { hkdf } from '@noble/hashes/hkdf';
+import { hmac } from '@noble/hashes/hmac';
+import { sha256, sha512 } from '@noble/hashes/sha2';
+import { bytesToHex, hexToBytes, utf8ToBytes, bytesToUtf8, concatBytes } from '@noble/hashes/utils';
+import { supabase } from '@/lib/supabase';
+
+let SecureStore: any = null;
+try { SecureStore = require('expo-secure-store'); } catch (e) { }
+
+// ─── Types ────────────────────────────────────────────────────
+interface KeyPair {
+    priv: string;
+    pub: string;
+}
+
+interface DeviceIdentity {
+    deviceId: string;
+    identity: KeyPair; // X25519, used for X3DH
+    signing: KeyPair;  // Ed25519, signs the signed prekey
+}
+
+interface PrekeyState {
+    signedPrekeyId: number;
+    signedPrekeyCreatedAt: number;
+    signedPrekeys: Record<number, KeyPair>;
+    oneTimePrekeys: Record<number, KeyPair>;
+    nextPrekeyId: number;
+}
+
+interface RatchetHeader {
+    dh: string;
+    pn: number;
+    n: number;
+}
+
+interface X3DHHeader {
+    ik: string;
+    ek: string;
+    spk_id: number;
+    opk_id: number | null;
+}
+
+interface SessionState {
+    rootKey: string;
+    sendChainKey?: string;
+    recvChainKey?: string;
+    dhSelf: KeyPair;
+    dhRemote?: string;
+    sendCount: number;
+    recvCount: number;
+    prevSendCount: number;
+    skipped: Record<string, string>;
+    ad: string;
+    remoteEphemeral?: string;
+    // Sent with every message until the remote side replies
+    pendingX3DH?: X3DHHeader;
+}
+
+export interface Envelope {
+    type: 'prekey' | 'message';
+    sender_device: string;
+    header: RatchetHeader;
+    x3dh?: X3DHHeader;
+    ct: string;
+}
+
+// Keyed by `${userId}:${deviceId}` of the recipient device
+export type CiphertextMap = Record<string, Envelope>;
+
+export type VerificationStatus = 'unverified' | 'verified' | 'changed';
+
+interface PlaintextEntry {
+    text: string;
+    editCount: number;
+    history: { text: string; replacedAt: string }[];
+}
+
+interface RemoteDevice {
+    user_id: string;
+    device_id: string;
+    identity_key: string;
+    signing_key: string;
+}
+
+// ─── Constants ────────────────────────────────────────────────
+function storageKeys(userId: string) {
+    return {
+        identity: `ndeip_e2ee_identity_${userId}`,
+        prekeys: `ndeip_e2ee_prekeys_${userId}`,
+        sessions: `ndeip_e2ee_sessions_${userId}`,
+        previousSessions: `ndeip_e2ee_previous_sessions_${userId}`,
+        plaintext: `ndeip_e2ee_plaintext_${userId}`,
+        verified: `ndeip_e2ee_verified_${userId}`,
+    };
+}
+
+type StorageKeys = ReturnType<typeof storageKeys>;
+
+const MAX_SKIP = 500;
+const MAX_PREVIOUS_SESSIONS = 4;
+const ONE_TIME_PREKEY_BATCH = 100;
+const ONE_TIME_PREKEY_MIN = 25;
+const SIGNED_PREKEY_ROTATION_MS = 7 * 24 * 60 * 60 * 1000;
+const FINGERPRINT_ITERATIONS = 5200;
+const ZERO_SALT = new Uint8Array(32);
+const X3DH_PREFIX = new Uint8Array(32).fill(0xff);
+
+// ─── Storage ──────────────────────────────────────────────────
+const useSecureStore = !!SecureStore && Platform.OS !== 'web';
+
+async function readSecure(key: string): Promise<string | null> {
+    return useSecureStore ? SecureStore.getItemAsync(key) : AsyncStorage.getItem(key);
+}
+
+async function writeSecure(key: string, value: string): Promise<void> {
+    if (useSecureStore) await SecureStore.setItemAsync(key, value);
+    else await AsyncStorage.setItem(key, value);
+}
+
+async function removeSecure(key: string): Promise<void> {
+    if (useSecureStore) await SecureStore.deleteItemAsync(key);
+    else await AsyncStorage.removeItem(key);
+}
+
+async function readJSON<T>(key: string, fallback: T): Promise<T> {
+    const raw = await AsyncStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+}
+
+// ─── Primitives ───────────────────────────────────────────────
+function generateX25519(): KeyPair {
+    const priv = ExpoCrypto.getRandomBytes(32);
+    return { priv: bytesToHex(priv), pub: bytesToHex(x25519.getPublicKey(priv)) };
+}
+
+function generateEd25519(): KeyPair {
+    const priv = ExpoCrypto.getRandomBytes(32);
+    return { priv: bytesToHex(priv), pub: bytesToHex(ed25519.getPublicKey(priv)) };
+}
+
+function dh(priv: string, pub: string): Uint8Array {
+    return x25519.getSharedSecret(hexToBytes(priv), hexToBytes(pub));
+}
+
+function kdfRoot(rootKey: string, dhOut: Uint8Array): [string, string] {
+    const out = hkdf(sha256, dhOut, hexToBytes(rootKey), 'ndeip-ratchet', 64);
+    return [bytesToHex(out.slice(0, 32)), bytesToHex(out.slice(32))];
+}
+
+function kdfChain(chainKey: string): [string, string] {
+    const ck = hexToBytes(chainKey);
+    const messageKey = hmac(sha256, ck, Uint8Array.of(0x01));
+    const nextChainKey = hmac(sha256, ck, Uint8Array.of(0x02));
+    return [bytesToHex(nextChainKey), bytesToHex(messageKey)];
+}
+
+function headerAD(ad: string, header: RatchetHeader): Uint8Array {
+    return concatBytes(hexToBytes(ad), utf8ToBytes(`${header.dh}|${header.pn}|${header.n}`));
+}
+
+function seal(messageKey: string, plaintext: string, ad: Uint8Array): string {
+    const keys = hkdf(sha256, hexToBytes(messageKey), ZERO_SALT, 'ndeip-message-keys', 44);
+    const cipher = gcm(keys.slice(0, 32), keys.slice(32), ad);
+    return bytesToHex(cipher.encrypt(utf8ToBytes(plaintext)));
+}
+
+function open(messageKey: string, ciphertext: string, ad: Uint8Array): string {
+    const keys = hkdf(sha256, hexToBytes(messageKey), ZERO_SALT, 'ndeip-message-keys', 44);
+    const cipher = gcm(keys.slice(0, 32), keys.slice(32), ad);
+    return bytesToUtf8(cipher.decrypt(hexToBytes(ciphertext)));
+}
+
+// ─── Double Ratchet ───────────────────────────────────────────
+function ratchetEncrypt(state: SessionState, plaintext: string): { header: RatchetHeader; ct: string } {
+    const [nextChainKey, messageKey] = kdfChain(state.sendChainKey!);
+    state.sendChainKey = nextChainKey;
+
+    const header: RatchetHeader = { dh: state.dhSelf.pub, pn: state.prevSendCount, n: state.sendCount };
+    state.sendCount += 1;
+
+    return { header, ct: seal(messageKey, plaintext, headerAD(state.ad, header)) };
+}
+
+function skipMessageKeys(state: SessionState, until: number) {
+    if (!state.recvChainKey) return;
+    if (until - state.recvCount > MAX_SKIP) throw new Error('Too many skipped messages');
+
+    while (state.recvCount < until) {
+        const [nextChainKey, messageKey] = kdfChain(state.recvChainKey);
+        state.recvChainKey = nextChainKey;
+        state.skipped[`${state.dhRemote}:${state.recvCount}`] = messageKey;
+        state.recvCount += 1;
+    }
+}
+
+function dhRatchetStep(state: SessionState, header: RatchetHeader) {
+    state.prevSendCount = state.sendCount;
+    state.sendCount = 0;
+    state.recvCount = 0;
+    state.dhRemote = header.dh;
+
+    [state.rootKey, state.recvChainKey] = kdfRoot(state.rootKey, dh(state.dhSelf.priv, state.dhRemote));
+    state.dhSelf = generateX25519();
+    [state.rootKey, state.sendChainKey] = kdfRoot(state.rootKey, dh(state.dhSelf.priv, state.dhRemote));
+}
+
+function ratchetDecrypt(state: SessionState, header: RatchetHeader, ct: string): string {
+    const skippedKey = `${header.dh}:${header.n}`;
+    const skipped = state.skipped[skippedKey];
+    if (skipped) {
+        delete state.skipped[skippedKey];
+        return open(skipped, ct, headerAD(state.ad, header));
+    }
+
+    if (header.dh !== state.dhRemote) {
+        skipMessageKeys(state, header.pn);
+        dhRatchetStep(state, header);
+    }
+
+    skipMessageKeys(state, header.n);
+    const [nextChainKey, messageKey] = kdfChain(state.recvChainKey!);
+    state.recvChainKey = nextChainKey;
+    state.recvCount += 1;
+
+    return open(messageKey, ct, headerAD(state.ad, header));
+}
+
+// Try each session on a copy so failed attempts leave them intact
+function ratchetDecryptAny(
+    sessions: SessionState[],
+    header: RatchetHeader,
+    ct: string
+): { original: SessionState; session: SessionState; text: string } {
+    let lastError: unknown = new Error('No session for sender device');
+    for (const original of sessions) {
+        const session: SessionState = JSON.parse(JSON.stringify(original));
+        try {
+            return { original, session, text: ratchetDecrypt(session, header, ct) };
+        } catch (err) {
+            lastError = err;
+        }
+    }
+    throw lastError;
+}
+
+// ─── Safety Numbers ───────────────────────────────────────────
+function fingerprint(userId: string, publicKeys: string[]): string {
+    const keyBytes = concatBytes(...[...publicKeys].sort().map(hexToBytes));
+    let hash = concatBytes(Uint8Array.of(0, 0), keyBytes, utf8ToBytes(userId));
+    for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+        hash = sha512(concatBytes(hash, keyBytes));
+    }
+
+    // 30 bytes → six 5-digit chunks
+    let digits = '';
+    for (let i = 0; i < 30; i += 5) {
+        const chunk = hash.slice(i, i + 5).reduce((acc, b) => acc * 256 + b, 0);
+        digits += String(chunk % 100000).padStart(5, '0');
+    }
+    return digits;
+}
+
+// ─── EncryptionService ────────────────────────────────────────
+class EncryptionServiceClass {
+    private currentUserId: string | null = null;
+    private keys: StorageKeys | null = null;
+    private identity: DeviceIdentity | null = null;
+    private prekeys: PrekeyState | null = null;
+    private sessions: Record<string, SessionState> = {};
+    // Replaced sessions, newest first, for messages still in flight on them
+    private previousSessions: Record<string, SessionState[]> = {};
+    private plaintext: Record<string, PlaintextEntry> = {};
+    private initPromise: Promise<void> | null = null;
+    // Ratchet state must be advanced one message at a time
+    private queue: Promise<unknown> = Promise.resolve();
+
+    private serialize<T>(task: () => Promise<T>): Promise<T> {
+        const run = this.queue.then(task, task);
+        this.queue = run.catch(() => { });
+        return run;
+    }
+
+    // ─── Setup ────────────────────────────────────────────────
+    initialize(userId: string): Promise<void> {
+        if (this.currentUserId === userId && this.initPromise) return this.initPromise;
+
+        // Nothing of the previous account may be used for this one
+        if (this.currentUserId !== userId) this.reset();
+        this.currentUserId = userId;
+        this.keys = storageKeys(userId);
+        this.initPromise = this.serialize(() => this.setup(userId)).catch((err) => {
+            console.error('Failed to initialize encryption:', err?.message || err);
+            this.initPromise = null;
+        });
+        return this.initPromise;
+    }
+
+    private reset() {
+        this.currentUserId = null;
+        this.keys = null;
+        this.identity = null;
+        this.prekeys = null;
+        this.sessions = {};
+        this.previousSessions = {};
+        this.plaintext = {};
+        this.initPromise = null;
+    }
+
+    /**
+     * Forget this account on this device: unpublish the device's keys
+     * and wipe its identity, sessions and decrypted plaintext. Must run
+     * before the auth session ends, as unpublishing needs it.
+     */
+    signOut(): Promise<void> {
+        return this.serialize(async () => {
+            const { currentUserId: userId, keys, identity } = this;
+            if (!userId || !keys) return;
+
+            if (identity) {
+                await supabase.from('one_time_prekeys').delete()
+                    .eq('user_id', userId).eq('device_id', identity.deviceId);
+                await supabase.from('device_keys').delete()
+                    .eq('user_id', userId).eq('device_id', identity.deviceId);
+            }
+
+            await removeSecure(keys.identity);
+            await AsyncStorage.multiRemove([
+                keys.prekeys, keys.sessions, keys.previousSessions, keys.plaintext, keys.verified,
+            ]);
+            this.reset();
+        });
+    }
+
+    isReady(): boolean {
+        return !!this.identity && !!this.currentUserId;
+    }
+
+    getDeviceId(): string | null {
+        return this.identity?.deviceId || null;
+    }
+
+    private async setup(userId: string): Promise<void> {
+        // Another account signed in before this queued setup ran
+        if (this.currentUserId !== userId || !this.keys) return;
+        const keys = this.keys;
+
+        const storedIdentity = await readSecure(keys.identity);
+        if (storedIdentity) {
+            this.identity = JSON.parse(storedIdentity);
+        } else {
+            this.identity = {
+                deviceId: bytesToHex(ExpoCrypto.getRandomBytes(16)),
+                identity: generateX25519(),
+                signing: generateEd25519(),
+            };
+            await writeSecure(keys.identity, JSON.stringify(this.identity));
+        }
+
+        this.prekeys = await readJSON<PrekeyState | null>(keys.prekeys, null);
+        this.sessions = await readJSON(keys.sessions, {});
+        this.previousSessions = await readJSON(keys.previousSessions, {});
+        this.plaintext = await readJSON(keys.plaintext, {});
+
+        const needsRotation = !this.prekeys
+            || Date.now() - this.prekeys.signedPrekeyCreatedAt > SIGNED_PREKEY_ROTATION_MS;
+        if (needsRotation) this.rotateSignedPrekey();
+
+        await this.publishBundle(userId);
+        await this.replenishOneTimePrekeys(userId);
+        await this.persistPrekeys();
+    }
+
+    private rotateSignedPrekey() {
+        const previous = this.prekeys;
+        const id = previous ? previous.nextPrekeyId : 1;
+        const pair = generateX25519();
+
+        // Keep the last signed prekey so in-flight prekey messages still decrypt
+        const signedPrekeys: Record<number, KeyPair> = { [id]: pair };
+        if (previous) signedPrekeys[previous.signedPrekeyId] = previous.signedPrekeys[previous.signedPrekeyId];
+
+        this.prekeys = {
+            signedPrekeyId: id,
+            signedPrekeyCreatedAt: Date.now(),
+            signedPrekeys,
+            oneTimePrekeys: previous?.oneTimePrekeys || {},
+            nextPrekeyId: id + 1,
+        };
+    }
+
+    private async publishBundle(userId: string) {
+        const { identity, prekeys } = this;
+        if (!identity || !prekeys) return;
+
+        const signedPrekey = prekeys.signedPrekeys[prekeys.signedPrekeyId];
+        const signature = ed25519.sign(hexToBytes(signedPrekey.pub), hexToBytes(identity.signing.priv));
+
+        const { error } = await supabase
+            .from('device_keys')
+            .upsert({
+                user_id: userId,
+                device_id: identity.deviceId,
+                identity_key: identity.identity.pub,
+                signing_key: identity.signing.pub,
+                signed_prekey_id: prekeys.signedPrekeyId,
+                signed_prekey: signedPrekey.pub,
+                signed_prekey_signature: bytesToHex(signature),
+                updated_at: new Date().toISOString(),
+            }, { onConflict: 'user_id,device_id' });
+
+        if (error) throw error;
+    }
+
+    private async replenishOneTimePrekeys(userId: string) {
+        const { identity, prekeys } = this;
+        if (!identity || !prekeys) return;
+
+        const { count } = await supabase
+            .from('one_time_prekeys')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', userId)
+            .eq('device_id', identity.deviceId)
+            .is('claimed_at', null);
+
+        if ((count ?? 0) >= ONE_TIME_PREKEY_MIN) return;
+
+        const rows = [];
+        for (let i = 0; i < ONE_TIME_PREKEY_BATCH; i++) {
+            const id = prekeys.nextPrekeyId++;
+            const pair = generateX25519();
+            prekeys.oneTimePrekeys[id] = pair;
+            rows.push({ user_id: userId, device_id: identity.deviceId, key_id: id, public_key: pair.pub });
+        }
+
+        const { error } = await supabase.from('one_time_prekeys').insert(rows);
+        if (error) throw error;
+    }
+
+    private async persistPrekeys() {
+        if (!this.keys) return;
+        await AsyncStorage.setItem(this.keys.prekeys, JSON.stringify(this.prekeys));
+    }
+
+    private async persistSessions() {
+        if (!this.keys) return;
+        await AsyncStorage.multiSet([
+            [this.keys.sessions, JSON.stringify(this.sessions)],
+            [this.keys.previousSessions, JSON.stringify(this.previousSessions)],
+        ]);
+    }
+
+    private async persistPlaintext() {
+        if (!this.keys) return;
+        await AsyncStorage.setItem(this.keys.plaintext, JSON.stringify(this.plaintext));
+    }
+
+    // ─── Devices & Sessions ───────────────────────────────────
+    private async getDevices(userIds: string[]): Promise<RemoteDevice[]> {
+        const { data, error } = await supabase
+            .from('device_keys')
+            .select('user_id, device_id, identity_key, signing_key')
+            .in('user_id', userIds);
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    // An X3DH header is only trusted if it names the identity key the sender published
+    private async verifyIdentityKey(userId: string, deviceId: string, identityKey: string) {
+        const devices = await this.getDevices([userId]);
+        const device = devices.find(d => d.device_id === deviceId);
+        if (device?.identity_key !== identityKey) {
+            throw new Error(`Identity key does not match published key for ${userId}:${deviceId}`);
+        }
+    }
+
+    private async createOutboundSession(userId: string, deviceId: string): Promise<SessionState | null> {
+        const { data, error } = await supabase.rpc('claim_prekey_bundles', {
+            target_user: userId,
+            target_device: deviceId,
+        });
+        const bundle = data?.[0];
+        if (error || !bundle || !this.identity) return null;
+
+        const signatureValid = ed25519.verify(
+            hexToBytes(bundle.signed_prekey_signature),
+            hexToBytes(bundle.signed_prekey),
+            hexToBytes(bundle.signing_key)
+        );
+        if (!signatureValid) {
+            console.error(`Rejected prekey bundle with invalid signature for ${userId}:${deviceId}`);
+            return null;
+        }
+
+        const ephemeral = generateX25519();
+        const ik = this.identity.identity;
+        const secrets = [
+            dh(ik.priv, bundle.signed_prekey),
+            dh(ephemeral.priv, bundle.identity_key),
+            dh(ephemeral.priv, bundle.signed_prekey),
+        ];
+        if (bundle.one_time_prekey) secrets.push(dh(ephemeral.priv, bundle.one_time_prekey));
+
+        const sharedKey = bytesToHex(hkdf(sha256, concatBytes(X3DH_PREFIX, ...secrets), ZERO_SALT, 'ndeip-x3dh', 32));
+        const dhSelf = generateX25519();
+        const [rootKey, sendChainKey] = kdfRoot(sharedKey, dh(dhSelf.priv, bundle.signed_prekey));
+
+        return {
+            rootKey,
+            sendChainKey,
+            dhSelf,
+            dhRemote: bundle.signed_prekey,
+            sendCount: 0,
+            recvCount: 0,
+            prevSendCount: 0,
+            skipped: {},
+            ad: ik.pub + bundle.identity_key,
+            pendingX3DH: {
+                ik: ik.pub,
+                ek: ephemeral.pub,
+                spk_id: bundle.signed_prekey_id,
+                opk_id: bundle.one_time_prekey_id ?? null,
+            },
+        };
+    }
+
+    private createInboundSession(x3dh: X3DHHeader): SessionState {
+        const { identity, prekeys } = this;
+        const signedPrekey = prekeys?.signedPrekeys[x3dh.spk_id];
+        if (!identity || !prekeys || !signedPrekey) throw new Error('Unknown signed prekey');
+
+        const secrets = [
+            dh(signedPrekey.priv, x3dh.ik),
+            dh(identity.identity.priv, x3dh.ek),
+            dh(signedPrekey.priv, x3dh.ek),
+        ];
+        if (x3dh.opk_id !== null) {
+            const oneTime = prekeys.oneTimePrekeys[x3dh.opk_id];
+            if (!oneTime) throw new Error('One-time prekey already used');
+            secrets.push(dh(oneTime.priv, x3dh.ek));
+        }
+
+        const rootKey = bytesToHex(hkdf(sha256, concatBytes(X3DH_PREFIX, ...secrets), ZERO_SALT, 'ndeip-x3dh', 32));
+
+        return {
+            rootKey,
+            dhSelf: signedPrekey,
+            sendCount: 0,
+            recvCount: 0,
+            prevSendCount: 0,
+            skipped: {},
+            ad: x3dh.ik + identity.identity.pub,
+            remoteEphemeral: x3dh.ek,
+        };
+    }
+
+    // ─── Encrypt / Decrypt ────────────────────────────────────
+    /**
+     * Encrypt for every device of the given users (including our own
+     * other devices). Returns null when a recipient has not published
+     * keys yet; callers hold the message back rather than send it in the clear.
+     */
+    encryptForUsers(userIds: string[], text: string): Promise<CiphertextMap | null> {
+        return this.serialize(async () => {
+            if (!this.identity || !this.currentUserId) return null;
+            const myDeviceId = this.identity.deviceId;
+
+            const devices = await this.getDevices([...new Set([...userIds, this.currentUserId])]);
+            const usersWithKeys = new Set(devices.map(d => d.user_id));
+            if (userIds.some(id => id !== this.currentUserId && !usersWithKeys.has(id))) return null;
+
+            const envelopes: CiphertextMap = {};
+            for (const device of devices) {
+                if (device.user_id === this.currentUserId && device.device_id === myDeviceId) continue;
+
+                const key = `${device.user_id}:${device.device_id}`;
+                let session = this.sessions[key];
+                if (!session) {
+                    const created = await this.createOutboundSession(device.user_id, device.device_id);
+                    if (!created) continue;
+                    session = this.sessions[key] = created;
+                }
+
+                const { header, ct } = ratchetEncrypt(session, text);
+                envelopes[key] = {
+                    type: session.pendingX3DH ? 'prekey' : 'message',
+                    sender_device: myDeviceId,
+                    header,
+                    x3dh: session.pendingX3DH,
+                    ct,
+                };
+            }
+
+            await this.persistSessions();
+            return envelopes;
+        });
+    }
+
+    /**
+     * Decrypt this device's envelope of a message. Plaintext is cached
+     * per message because ratchet keys can only be used once.
+     */
+    decrypt(message: {
+        id: string;
+        sender_id: string;
+        ciphertext?: CiphertextMap | null;
+        edit_count?: number;
+        edited_at?: string;
+    }): Promise<string | null> {
+        return this.serialize(async () => {
+            const editCount = message.edit_count || 0;
+            const cached = this.plaintext[message.id];
+            if (cached && cached.editCount >= editCount) return cached.text;
+            if (!this.identity || !this.currentUserId) return cached?.text ?? null;
+
+            const envelope = message.ciphertext?.[`${this.currentUserId}:${this.identity.deviceId}`];
+            if (!envelope) return cached?.text ?? null;
+
+            const key = `${message.sender_id}:${envelope.sender_device}`;
+            const known = [this.sessions[key], ...(this.previousSessions[key] || [])].filter(Boolean);
+            let consumedPrekey: number | null = null;
+            let result: ReturnType<typeof ratchetDecryptAny>;
+
+            try {
+                let candidates = known;
+                const x3dh = envelope.x3dh;
+                if (x3dh) {
+                    // A prekey message belongs to the session started with its ephemeral key
+                    candidates = known.filter(s => s.remoteEphemeral === x3dh.ek);
+                    if (!candidates.length) {
+                        await this.verifyIdentityKey(message.sender_id, envelope.sender_device, x3dh.ik);
+                        candidates = [this.createInboundSession(x3dh)];
+                        consumedPrekey = x3dh.opk_id;
+                    }
+                }
+                result = ratchetDecryptAny(candidates, envelope.header, envelope.ct);
+            } catch (err: any) {
+                console.error('Failed to decrypt message:', err?.message || err);
+                return cached?.text ?? null;
+            }
+
+            // Any message from the peer proves they hold the session, so it
+            // becomes current. When both sides started a session at once the
+            // other one is kept until messages on it have drained.
+            const { original, session, text } = result;
+            delete session.pendingX3DH;
+            this.sessions[key] = session;
+            this.previousSessions[key] = known
+                .filter(s => s !== original)
+                .slice(0, MAX_PREVIOUS_SESSIONS);
+            if (consumedPrekey !== null && this.prekeys) {
+                delete this.prekeys.oneTimePrekeys[consumedPrekey];
+                await this.persistPrekeys();
+            }
+            await this.persistSessions();
+            await this.cachePlaintextLocked(message.id, text, editCount, message.edited_at);
+            return text;
+        });
+    }
+
+    cachePlaintext(messageId: string, text: string, editCount: number = 0): Promise<void> {
+        return this.serialize(() => this.cachePlaintextLocked(messageId, text, editCount));
+    }
+
+    private async cachePlaintextLocked(messageId: string, text: string, editCount: number, editedAt?: string) {
+        const previous = this.plaintext[messageId];
+        const history = previous?.history || [];
+        if (previous && previous.text !== text) {
+            history.unshift({ text: previous.text, replacedAt: editedAt || new Date().toISOString() });
+        }
+        this.plaintext[messageId] = { text, editCount, history };
+        await this.persistPlaintext();
+    }
+
+    getCachedPlaintext(messageId: string): string | null {
+        return this.plaintext[messageId]?.text ?? null;
+    }
+
+    // Edit history of encrypted messages is only known to the devices that read it
+    getLocalEditHistory(messageId: string): { text: string; replacedAt: string }[] {
+        return this.plaintext[messageId]?.history || [];
+    }
+
+    // Encrypted messages can only be searched on the devices that decrypted them
+    searchPlaintext(terms: string[]): { messageId: string; text: string }[] {
+        const needles = terms.map(t => t.toLowerCase()).filter(Boolean);
+        if (!needles.length) return [];
+
+        return Object.entries(this.plaintext)
+            .filter(([, entry]) => {
+                const haystack = entry.text.toLowerCase();
+                return needles.every(n => haystack.includes(n));
+            })
+            .map(([messageId, entry]) => ({ messageId, text: entry.text }));
+    }
+
+    // ─── Verification ─────────────────────────────────────────
+    async getSafetyNumber(otherUserId: string): Promise<string | null> {
+        if (!this.currentUserId) return null;
+
+        const devices = await this.getDevices([this.currentUserId, otherUserId]);
+        const keysFor = (userId: string) => devices
+            .filter(d => d.user_id === userId)
+            .flatMap(d => [d.identity_key, d.signing_key]);
+
+        const mine = keysFor(this.currentUserId);
+        const theirs = keysFor(otherUserId);
+        if (!mine.length || !theirs.length) return null;
+
+        // Both sides must compute the same number, so order the halves
+        const halves = [fingerprint(this.currentUserId, mine), fingerprint(otherUserId, theirs)].sort();
+        return halves.join('').match(/.{5}/g)!.join(' ');
+    }
+
+    async getVerificationStatus(otherUserId: string): Promise<VerificationStatus> {
+        if (!this.keys) return 'unverified';
+        const verified = await readJSON<Record<string, string>>(this.keys.verified, {});
+        if (!verified[otherUserId]) return 'unverified';
+
+        const current = await this.getSafetyNumber(otherUserId);
+        return current === verified[otherUserId] ? 'verified' : 'changed';
+    }
+
+    async markVerified(otherUserId: string, safetyNumber: string | null): Promise<void> {
+        if (!this.keys) return;
+        const key = this.keys.verified;
+        const verified = await readJSON<Record<string, string>>(key, {});
+        if (safetyNumber) verified[otherUserId] = safetyNumber;
+        else delete verified[otherUserId];
+        await AsyncStorage.setItem(key, JSON.stringify(verified));
+    }
+}
+
+export const EncryptionService = new EncryptionServiceClass();
+export default EncryptionService;
@@ -0,0 +1,265 @@
+/**
+ * LocalStore — On-device cache and outbox for ChatService
+ *
+ * Conversations and messages are cached in SQLite so chats open
+ * instantly and stay readable offline. Outgoing messages are written to
+ * a persistent outbox before they are sent and only removed once the
+ * server has accepted them, so nothing is lost across app restarts.
+ * Message ids are generated on the client, which makes every retry of
+ * the same outbox entry idempotent on the server.
+ *
+ * Replaces the AsyncStorage queue in the legacy QuantumMessaging.
+ * SQLite is native-only; on web the cache is disabled and sends go
+ * straight to the server.
+ */
+import { Platform } from 'react-native';
+import * as SQLite from 'expo-sqlite';
+import type { Conversation, Message, MessageCursor } from '@/services/ChatService';
+
+// ─── Types ────────────────────────────────────────────────────
+export interface OutboxEntry {
+    id: string;
+    conversation_id: string;
+    // The exact row to insert, ciphertext included, so retries never re-encrypt
+    payload: Record<string, any>;
+    // What the sender sees while the entry is pending
+    preview: Message;
+    attempts: number;
+    last_error: string | null;
+    failed: boolean;
+    created_at: string;
+}
+
+// Bump when the table layout changes; older caches are dropped and rebuilt
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS conversations (
+        id TEXT PRIMARY KEY NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT
+    );
+    CREATE TABLE IF NOT EXISTS messages (
+        id TEXT PRIMARY KEY NOT NULL,
+        conversation_id TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id, created_at);
+    CREATE TABLE IF NOT EXISTS outbox (
+        id TEXT PRIMARY KEY NOT NULL,
+        conversation_id TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        preview TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        failed INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL
+    );
+`;
+
+// SQL condition for the messages past a cursor, ordered by (created_at, id)
+function keyset(op: '<' | '>', cursor: MessageCursor, params: string[], inclusive = false): string {
+    const last = inclusive ? `${op}=` : op;
+    if (!cursor.id) {
+        params.push(cursor.created_at);
+        return `created_at ${last} ?`;
+    }
+    params.push(cursor.created_at, cursor.created_at, cursor.id);
+    return `(created_at ${op} ? OR (created_at = ? AND id ${last} ?))`;
+}
+
+// ─── LocalStore ───────────────────────────────────────────────
+class LocalStoreClass {
+    private db: Promise<SQLite.SQLiteDatabase | null> | null = null;
+
+    // Each signed-in user gets their own database file
+    open(userId: string): Promise<SQLite.SQLiteDatabase | null> {
+        if (Platform.OS === 'web') return Promise.resolve(null);
+
+        this.db = (async () => {
+            try {
+                const db = await SQLite.openDatabaseAsync(`ndeip_${userId}.db`);
+                const row = await db.getFirstAsync<{ user_version: number }>('PRAGMA user_version');
+                if ((row?.user_version ?? 0) !== SCHEMA_VERSION) {
+                    // The outbox is kept: it holds messages the user still expects to go out
+                    await db.execAsync('DROP TABLE IF EXISTS conversations; DROP TABLE IF EXISTS messages;');
+                }
+                await db.execAsync(`PRAGMA journal_mode = WAL; ${SCHEMA} PRAGMA user_version = ${SCHEMA_VERSION};`);
+                return db;
+            } catch (e) {
+                console.error('Failed to open local message store:', e);
+                return null;
+            }
+        })();
+        return this.db;
+    }
+
+    private getDb(): Promise<SQLite.SQLiteDatabase | null> {
+        return this.db ?? Promise.resolve(null);
+    }
+
+    async isAvailable(): Promise<boolean> {
+        return !!(await this.getDb());
+    }
+
+    // ─── Conversations ────────────────────────────────────────
+    async getConversations(): Promise<Conversation[]> {
+        const db = await this.getDb();
+        if (!db) return [];
+
+        const rows = await db.getAllAsync<{ data: string }>('SELECT data FROM conversations ORDER BY updated_at DESC');
+        return rows.map(r => JSON.parse(r.data));
+    }
+
+    // The server list is authoritative, so conversations we have left are dropped
+    async replaceConversations(conversations: Conversation[]): Promise<void> {
+        const db = await this.getDb();
+        if (!db) return;
+
+        await db.withTransactionAsync(async () => {
+            await db.runAsync('DELETE FROM conversations');
+            for (const c of conversations) {
+                await db.runAsync(
+                    'INSERT INTO conversations (id, data, updated_at) VALUES (?, ?, ?)',
+                    c.id, JSON.stringify(c), c.updated_at ?? null
+                );
+            }
+        });
+    }
+
+    // ─── Messages ─────────────────────────────────────────────
+    // Mirrors ChatService.getMessages paging: cursors are exclusive and
+    // results come back oldest-first.
+    async getMessages(
+        conversationId: string,
+        { before, after, limit }: { before?: MessageCursor; after?: MessageCursor; limit: number }
+    ): Promise<Message[]> {
+        const db = await this.getDb();
+        if (!db) return [];
+
+        const forward = !!after && !before;
+        const clauses = ['conversation_id = ?'];
+        const params: string[] = [conversationId];
+        if (before) clauses.push(keyset('<', before, params));
+        if (after) clauses.push(keyset('>', after, params));
+
+        const order = forward ? 'ASC' : 'DESC';
+        const rows = await db.getAllAsync<{ data: string }>(
+            `SELECT data FROM messages WHERE ${clauses.join(' AND ')}
+             ORDER BY created_at ${order}, id ${order} LIMIT ${Number(limit)}`,
+            params
+        );
+        const messages: Message[] = rows.map(r => JSON.parse(r.data));
+        return forward ? messages : messages.reverse();
+    }
+
+    async saveMessages(messages: Message[]): Promise<void> {
+        const db = await this.getDb();
+        if (!db || !messages.length) return;
+
+        await db.withTransactionAsync(async () => {
+            for (const m of messages) {
+                await db.runAsync(
+                    'INSERT OR REPLACE INTO messages (id, conversation_id, created_at, data) VALUES (?, ?, ?, ?)',
+                    m.id, m.conversation_id, m.created_at, JSON.stringify(m)
+                );
+            }
+        });
+    }
+
+    async removeMessage(messageId: string): Promise<void> {
+        const db = await this.getDb();
+        if (!db) return;
+        await db.runAsync('DELETE FROM messages WHERE id = ?', messageId);
+    }
+
+    // Makes the cached range covered by a server page match the server:
+    // its rows replace ours, and cached rows it no longer has were deleted
+    // remotely. Leave `to` open for the latest page so trailing deletions
+    // are caught too.
+    async reconcile(conversationId: string, serverPage: Message[], range: { from?: MessageCursor; to?: MessageCursor }): Promise<void> {
+        const db = await this.getDb();
+        if (!db) return;
+
+        const keep = serverPage.map(m => m.id);
+        const clauses = ['conversation_id = ?', 'id NOT IN (SELECT id FROM outbox)'];
+        const params: string[] = [conversationId];
+        if (range.from) clauses.push(keyset('>', range.from, params, true));
+        if (range.to) clauses.push(keyset('<', range.to, params, true));
+        if (keep.length) {
+            clauses.push(`id NOT IN (${keep.map(() => '?').join(', ')})`);
+            params.push(...keep);
+        }
+
+        await db.runAsync(`DELETE FROM messages WHERE ${clauses.join(' AND ')}`, params);
+        await this.saveMessages(serverPage);
+    }
+
+    // ─── Outbox ───────────────────────────────────────────────
+    async enqueue(entry: Omit<OutboxEntry, 'attempts' | 'last_error' | 'failed'>): Promise<void> {
+        const db = await this.getDb();
+        if (!db) return;
+
+        await db.runAsync(
+            'INSERT OR IGNORE INTO outbox (id, conversation_id, payload, preview, created_at) VALUES (?, ?, ?, ?, ?)',
+            entry.id, entry.conversation_id, JSON.stringify(entry.payload), JSON.stringify(entry.preview), entry.created_at
+        );
+    }
+
+    async getOutbox(conversationId?: string): Promise<OutboxEntry[]> {
+        const db = await this.getDb();
+        if (!db) return [];
+
+        const rows = await db.getAllAsync<any>(
+            conversationId
+                ? 'SELECT * FROM outbox WHERE conversation_id = ? ORDER BY created_at'
+                : 'SELECT * FROM outbox ORDER BY created_at',
+            conversationId ? [conversationId] : []
+        );
+        return rows.map(r => ({
+            ...r,
+            payload: JSON.parse(r.payload),
+            preview: JSON.parse(r.preview),
+            failed: !!r.failed,
+        }));
+    }
+
+    async updatePayload(id: string, payload: Record<string, any>): Promise<void> {
+        const db = await this.getDb();
+        if (!db) return;
+        await db.runAsync('UPDATE outbox SET payload = ? WHERE id = ?', JSON.stringify(payload), id);
+    }
+
+    async markAttempt(id: string, error: string, failed: boolean): Promise<void> {
+        const db = await this.getDb();
+        if (!db) return;
+
+        await db.runAsync(
+            'UPDATE outbox SET attempts = attempts + 1, last_error = ?, failed = ? WHERE id = ?',
+            error, failed ? 1 : 0, id
+        );
+    }
+
+    async resetAttempts(id: string): Promise<void> {
+        const db = await this.getDb();
+        if (!db) return;
+        await db.runAsync('UPDATE outbox SET attempts = 0, last_error = NULL, failed = 0 WHERE id = ?', id);
+    }
+
+    async dequeue(ids: string[]): Promise<void> {
+        const db = await this.getDb();
+        if (!db || !ids.length) return;
+        await db.runAsync(`DELETE FROM outbox WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+    }
+
+    // ─── Cleanup ──────────────────────────────────────────────
+    async close(): Promise<void> {
+        const db = await this.getDb();
+        this.db = null;
+        await db?.closeAsync();
+    }
+}
+
+export const LocalStore = new LocalStoreClass();
+export default LocalStore;
@@ -2,6 +2,9 @@
  * MediaSync - Seamless Media Synchronization for ndeip
  * Progressive upload, mesh progress visualization, smart retry logic
  * Offline queue management and real-time sync status
+ *
+ * Uploads queued with a `storage` target go straight to Supabase Storage
+ * through its resumable (TUS) endpoint instead of the legacy upload API.
  */
 
 // expo-file-system is native-only; lazy-load to avoid web build crash
@@ -12,6 +15,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { EventEmitter } from 'events';
 import { MeshColors, getDynamicColor } from '../constants/ndeipBrandSystem';
 import MediaCompression from '../utils/MediaCompression';
+import { supabase, SUPABASE_URL, SUPABASE_ANON_KEY } from '../lib/supabase';
 
 // Sync status constants
 const SYNC_STATUS = {
@@ -51,6 +55,9 @@ const SYNC_SETTINGS = {
   wifiOnlyUploads: false,
 };
 
+// Supabase Storage only accepts resumable uploads in 6MB chunks
+const STORAGE_CHUNK_SIZE = 6 * 1024 * 1024;
+
 class MediaSync extends EventEmitter {
   constructor() {
     super();
@@ -128,20 +135,24 @@ class MediaSync extends EventEmitter {
     return { nodes, connections };
   }
 
-  // Queue media for upload
+  // Queue media for upload. `mediaFile` is a file on disk ({ uri }) or
+  // an in-memory Blob ({ blob }); pass `storage: { bucket, path }` to
+  // upload into Supabase Storage and `compress: false` to send as is.
   async queueUpload(mediaFile, options = {}) {
     try {
       const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
       // Validate file
-      const fileInfo = await FileSystem.getInfoAsync(mediaFile.uri);
+      const fileInfo = mediaFile.blob
+        ? { exists: true, size: mediaFile.blob.size }
+        : await FileSystem.getInfoAsync(mediaFile.uri);
       if (!fileInfo.exists) {
         throw new Error('File does not exist');
       }
 
       // Compress media if enabled
-      let processedFile = mediaFile;
-      if (this.syncSettings.compressionEnabled) {
+      let processedFile = { ...mediaFile, size: mediaFile.size ?? fileInfo.size };
+      if (this.syncSettings.compressionEnabled && options.compress !== false && !mediaFile.blob) {
         const compressed = await MediaCompression.smartCompress(mediaFile.uri, {
           onProgress: (progress) => {
             this.emit('compressionProgress', {
@@ -171,6 +182,9 @@ class MediaSync extends EventEmitter {
         chatId: options.chatId,
         messageId: options.messageId,
         uploadType: options.uploadType || 'media',
+        storage: options.storage || null,
+        // TUS session of a storage upload, kept so retries can resume it
+        sessionUrl: null,
         createdAt: Date.now(),
         attempts: 0,
         progress: 0,
@@ -267,6 +281,10 @@ class MediaSync extends EventEmitter {
 
   // Upload file with chunked upload
   async uploadFile(uploadItem) {
+    if (uploadItem.storage) {
+      return this.uploadToStorage(uploadItem);
+    }
+
     const { file } = uploadItem;
     const fileInfo = await FileSystem.getInfoAsync(file.uri);
     const totalSize = fileInfo.size;
@@ -433,6 +451,147 @@ class MediaSync extends EventEmitter {
     return await response.json();
   }
 
+  // Resumable upload into Supabase Storage. Each attempt first asks the
+  // server how much it already has, so a retry carries on from there
+  async uploadToStorage(uploadItem) {
+    const { file, storage } = uploadItem;
+    const totalSize = file.size;
+
+    if (!uploadItem.sessionUrl) {
+      uploadItem.sessionUrl = await this.createStorageSession(uploadItem);
+    }
+
+    let uploadedBytes = await this.getStorageOffset(uploadItem.sessionUrl);
+    while (uploadedBytes < totalSize) {
+      const end = Math.min(uploadedBytes + STORAGE_CHUNK_SIZE, totalSize);
+      const chunkData = await this.readStorageChunk(file, uploadedBytes, end);
+
+      uploadedBytes = await this.uploadStorageChunkWithRetry(uploadItem.sessionUrl, uploadedBytes, chunkData);
+
+      // Update progress
+      const progress = (uploadedBytes / totalSize) * 100;
+      uploadItem.progress = progress;
+
+      this.emit('uploadProgress', {
+        uploadId: uploadItem.id,
+        progress,
+        uploadedBytes,
+        totalBytes: totalSize,
+        meshFlow: this.generateProgressMesh(progress),
+      });
+
+      this.updateUploadMesh(uploadItem.id, 'uploading', progress);
+    }
+
+    return {
+      bucket: storage.bucket,
+      path: storage.path,
+      uploadedAt: Date.now(),
+      totalSize,
+    };
+  }
+
+  // Create a TUS upload session for the file
+  async createStorageSession(uploadItem) {
+    const { file, storage } = uploadItem;
+    const metadata = {
+      bucketName: storage.bucket,
+      objectName: storage.path,
+      contentType: file.type || 'application/octet-stream',
+      cacheControl: '3600',
+    };
+
+    const response = await fetch(`${SUPABASE_URL}/storage/v1/upload/resumable`, {
+      method: 'POST',
+      headers: {
+        ...(await this.getStorageHeaders()),
+        'Upload-Length': String(file.size),
+        'Upload-Metadata': Object.entries(metadata)
+          .map(([key, value]) => `${key} ${btoa(value)}`)
+          .join(','),
+        'x-upsert': 'false',
+      },
+    });
+
+    const location = response.headers.get('Location');
+    if (!response.ok || !location) {
+      throw new Error(`Upload session failed: ${response.statusText}`);
+    }
+
+    return location;
+  }
+
+  // Bytes the server already has for a session
+  async getStorageOffset(sessionUrl) {
+    const response = await fetch(sessionUrl, {
+      method: 'HEAD',
+      headers: await this.getStorageHeaders(),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Upload session lookup failed: ${response.statusText}`);
+    }
+
+    return Number(response.headers.get('Upload-Offset')) || 0;
+  }
+
+  // Upload single storage chunk with retry; resolves to the new offset
+  async uploadStorageChunkWithRetry(sessionUrl, offset, chunkData) {
+    let attempt = 0;
+    let lastError;
+
+    while (attempt < RETRY_CONFIG.maxAttempts) {
+      try {
+        const response = await fetch(sessionUrl, {
+          method: 'PATCH',
+          headers: {
+            ...(await this.getStorageHeaders()),
+            'Upload-Offset': String(offset),
+            'Content-Type': 'application/offset+octet-stream',
+          },
+          body: chunkData,
+        });
+
+        if (!response.ok) {
+          throw new Error(`Chunk upload failed: ${response.statusText}`);
+        }
+
+        return Number(response.headers.get('Upload-Offset'));
+
+      } catch (error) {
+        lastError = error;
+        attempt++;
+
+        if (attempt < RETRY_CONFIG.maxAttempts) {
+          const delay = this.calculateRetryDelay(attempt);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Blobs are sliced in memory; files are read from disk a chunk at a time
+  async readStorageChunk(file, start, end) {
+    if (file.blob) {
+      return file.blob.slice(start, end);
+    }
+
+    const base64 = await FileSystem.readAsStringAsync(file.uri, {
+      encoding: FileSystem.EncodingType.Base64,
+      position: start,
+      length: end - start,
+    });
+
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
   // Handle upload error with retry logic
   async handleUploadError(uploadItem, error) {
     uploadItem.attempts++;
@@ -610,8 +769,9 @@ class MediaSync extends EventEmitter {
   // Storage management
   async saveOfflineQueue() {
     try {
+      // Blobs only live in memory, so those uploads can't outlast the app
       const queueData = {
-        uploads: Array.from(this.uploadQueue.values()),
+        uploads: Array.from(this.uploadQueue.values()).filter(upload => !upload.file.blob),
         timestamp: Date.now(),
       };
 
@@ -677,6 +837,15 @@ class MediaSync extends EventEmitter {
     return await AsyncStorage.getItem('auth_token');
   }
 
+  async getStorageHeaders() {
+    const { data } = await supabase.auth.getSession();
+    return {
+      'Authorization': `Bearer ${data.session?.access_token ?? SUPABASE_ANON_KEY}`,
+      'apikey': SUPABASE_ANON_KEY,
+      'Tus-Resumable': '1.0.0',
+    };
+  }
+
   startPeriodicSync() {
     setInterval(() => {
       if (this.isOnline && this.uploadQueue.size > 0) {
@@ -730,6 +899,32 @@ class MediaSync extends EventEmitter {
     }
   }
 
+  // Resolves with the upload's result once it completes; rejects once
+  // it has failed for good or is cancelled
+  waitForUpload(uploadId) {
+    return new Promise((resolve, reject) => {
+      const onCompleted = (upload) => {
+        if (upload.id !== uploadId) return;
+        detach();
+        resolve(upload.result);
+      };
+      const onFailed = (upload) => {
+        if (upload.id !== uploadId) return;
+        detach();
+        reject(new Error(upload.error || `Upload ${upload.status}`));
+      };
+      const detach = () => {
+        this.removeListener('uploadCompleted', onCompleted);
+        this.removeListener('uploadFailed', onFailed);
+        this.removeListener('uploadCancelled', onFailed);
+      };
+
+      this.on('uploadCompleted', onCompleted);
+      this.on('uploadFailed', onFailed);
+      this.on('uploadCancelled', onFailed);
+    });
+  }
+
   getUploadStatus(uploadId) {
     return this.uploadQueue.get(uploadId) || null;
   }
@@ -0,0 +1,366 @@
+/**
+ * ScheduledCallService — Calls planned ahead, via Supabase
+ *
+ * A scheduled call stores its title, description, time range and
+ * invitees in `scheduled_calls`, and gets a call link that stays valid
+ * until it ends: the host starts the call from the link and invitees
+ * join through its lobby. Invitations are posted as system messages in
+ * the host's 1:1 chat with each invitee.
+ *
+ * Reminders are local notifications, so each device schedules its own
+ * from the upcoming list (syncReminders). Calls can be exported to and
+ * imported from .ics files for use with other calendars.
+ */
+import { Platform, Share } from 'react-native';
+import { supabase } from '@/lib/supabase';
+import { CallService, getCallLinkUrl, type CallType } from '@/services/CallService';
+import { ChatService } from '@/services/ChatService';
+import { buildIcs, parseIcs } from '@/utils/ics';
+
+// expo-notifications and expo-file-system are native-only; lazy-load to avoid web build crash
+let Notifications: any = null;
+try { Notifications = require('expo-notifications'); } catch (e) { }
+let FileSystem: any = null;
+try { FileSystem = require('expo-file-system'); } catch (e) { }
+
+// ─── Types ────────────────────────────────────────────────────
+export interface ScheduledCallParticipant {
+    userId: string;
+    name: string;
+}
+
+export interface ScheduledCall {
+    id: string;
+    hostId: string;
+    hostName: string;
+    isHost: boolean;
+    title: string;
+    description: string | null;
+    type: CallType;
+    startsAt: string;
+    endsAt: string;
+    participants: ScheduledCallParticipant[];
+    linkId: string | null;
+    // Where invitees join; null if the link was revoked
+    linkUrl: string | null;
+    linkToken: string | null;
+    icalUid: string;
+}
+
+export interface ScheduleCallInput {
+    title: string;
+    description?: string;
+    type: CallType;
+    startsAt: Date;
+    endsAt: Date;
+    participantIds: string[];
+}
+
+const REMINDER_MINUTES = 10;
+const REMINDER_ID_PREFIX = 'scheduled-call:';
+// The link outlives the call a little so late joiners aren't locked out
+const LINK_GRACE_HOURS = 1;
+
+export function formatCallRange(startsAt: string | Date, endsAt: string | Date): string {
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    const day = start.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' });
+    const time = (d: Date) => d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const sameDay = start.toDateString() === end.toDateString();
+    return sameDay
+        ? `${day}, ${time(start)}–${time(end)}`
+        : `${day}, ${time(start)} – ${end.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })}, ${time(end)}`;
+}
+
+function toScheduledCall(row: any, currentUserId: string): ScheduledCall {
+    const token = row.link?.revoked_at ? null : row.link?.token ?? null;
+    return {
+        id: row.id,
+        hostId: row.host_id,
+        hostName: row.host?.display_name || 'Unknown',
+        isHost: row.host_id === currentUserId,
+        title: row.title,
+        description: row.description,
+        type: row.type,
+        startsAt: row.starts_at,
+        endsAt: row.ends_at,
+        participants: (row.participants || []).map((p: any) => ({
+            userId: p.user_id,
+            name: p.profile?.display_name || 'Unknown',
+        })),
+        linkId: row.link_id,
+        linkUrl: token ? getCallLinkUrl(token) : null,
+        linkToken: token,
+        icalUid: row.ical_uid,
+    };
+}
+
+const SCHEDULED_CALL_SELECT = `
+    *,
+    host:profiles!scheduled_calls_host_id_fkey(display_name),
+    link:call_links(token, revoked_at),
+    participants:scheduled_call_participants(
+        user_id,
+        profile:profiles(display_name)
+    )
+`;
+
+// ─── ScheduledCallService ─────────────────────────────────────
+class ScheduledCallServiceClass {
+    private currentUserId: string | null = null;
+
+    setCurrentUser(userId: string) {
+        this.currentUserId = userId;
+    }
+
+    // ─── Schedule ─────────────────────────────────────────────
+    async scheduleCall(input: ScheduleCallInput): Promise<ScheduledCall> {
+        if (!this.currentUserId) throw new Error('Not authenticated');
+        if (!input.title.trim()) throw new Error('Please enter a call title.');
+        if (input.endsAt <= input.startsAt) throw new Error('The call must end after it starts.');
+        if (input.endsAt.getTime() <= Date.now()) throw new Error('That time has already passed.');
+
+        const row = await this.insertCall({
+            title: input.title.trim(),
+            description: input.description?.trim() || null,
+            type: input.type,
+            starts_at: input.startsAt.toISOString(),
+            ends_at: input.endsAt.toISOString(),
+        });
+
+        const invitees = [...new Set(input.participantIds)].filter(id => id !== this.currentUserId);
+        if (invitees.length) {
+            const { error } = await supabase
+                .from('scheduled_call_participants')
+                .insert(invitees.map(userId => ({ scheduled_call_id: row.id, user_id: userId })));
+            if (error) throw error;
+        }
+
+        const call = await this.getScheduledCall(row.id);
+        if (!call) throw new Error('Could not load the scheduled call');
+
+        await this.sendInvitations(call, invitees);
+        await this.syncReminders(await this.getUpcoming());
+        return call;
+    }
+
+    // Inserts (or, for a re-imported UID, updates) the call with a fresh link
+    private async insertCall(fields: Record<string, any>): Promise<any> {
+        let previousLinkId: string | null = null;
+        if (fields.ical_uid) {
+            const { data: existing } = await supabase
+                .from('scheduled_calls')
+                .select('link_id')
+                .eq('host_id', this.currentUserId)
+                .eq('ical_uid', fields.ical_uid)
+                .maybeSingle();
+            previousLinkId = existing?.link_id ?? null;
+        }
+
+        const endsAt = new Date(fields.ends_at).getTime();
+        const link = await CallService.createCallLink({
+            type: fields.type,
+            title: fields.title,
+            expiresInHours: (endsAt - Date.now()) / 3600_000 + LINK_GRACE_HOURS,
+        });
+
+        const { data, error } = await supabase
+            .from('scheduled_calls')
+            .upsert(
+                {
+                    ...fields,
+                    host_id: this.currentUserId,
+                    link_id: link.id,
+                    status: 'scheduled',
+                    updated_at: new Date().toISOString(),
+                },
+                { onConflict: 'host_id,ical_uid' }
+            )
+            .select()
+            .single();
+        if (error) {
+            await CallService.revokeCallLink(link.id).catch(() => { });
+            throw error;
+        }
+        if (previousLinkId) await CallService.revokeCallLink(previousLinkId).catch(() => { });
+        return data;
+    }
+
+    private async getScheduledCall(id: string): Promise<ScheduledCall | null> {
+        const { data } = await supabase
+            .from('scheduled_calls')
+            .select(SCHEDULED_CALL_SELECT)
+            .eq('id', id)
+            .single();
+        return data ? toScheduledCall(data, this.currentUserId!) : null;
+    }
+
+    // One system message per invitee, in our 1:1 chat with them
+    private async sendInvitations(call: ScheduledCall, userIds: string[]) {
+        const text = [
+            `📅 ${call.title} · ${formatCallRange(call.startsAt, call.endsAt)}`,
+            call.description,
+            call.linkUrl ? `Join: ${call.linkUrl}` : null,
+        ].filter(Boolean).join('\n');
+
+        await Promise.all(userIds.map(async userId => {
+            try {
+                const conversationId = await ChatService.findOrCreateConversation(userId);
+                if (conversationId) await ChatService.sendMessage(conversationId, text, 'system');
+            } catch (e) {
+                console.error('Failed to send call invitation:', e);
+            }
+        }));
+    }
+
+    // ─── Upcoming ─────────────────────────────────────────────
+    // Calls we host or were invited to that haven't ended, soonest first
+    async getUpcoming(): Promise<ScheduledCall[]> {
+        if (!this.currentUserId) return [];
+
+        const { data, error } = await supabase
+            .from('scheduled_calls')
+            .select(SCHEDULED_CALL_SELECT)
+            .eq('status', 'scheduled')
+            .gt('ends_at', new Date().toISOString())
+            .order('starts_at', { ascending: true });
+
+        if (error) {
+            console.error('Failed to fetch scheduled calls:', error.message);
+            return [];
+        }
+        return (data || []).map(row => toScheduledCall(row, this.currentUserId!));
+    }
+
+    async cancelScheduledCall(call: ScheduledCall): Promise<void> {
+        if (!this.currentUserId || !call.isHost) return;
+
+        const { error } = await supabase
+            .from('scheduled_calls')
+            .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+            .eq('id', call.id);
+        if (error) throw error;
+
+        if (call.linkId) await CallService.revokeCallLink(call.linkId).catch(() => { });
+        await this.cancelReminder(call.id);
+
+        const text = `📅 Cancelled: ${call.title} · ${formatCallRange(call.startsAt, call.endsAt)}`;
+        await Promise.all(call.participants.map(async p => {
+            const conversationId = await ChatService.findOrCreateConversation(p.userId);
+            if (conversationId) await ChatService.sendMessage(conversationId, text, 'system');
+        }));
+    }
+
+    // ─── Reminders ────────────────────────────────────────────
+    // Makes this device's reminders match the upcoming list: one per
+    // call that hasn't started, REMINDER_MINUTES before the start.
+    async syncReminders(calls: ScheduledCall[]): Promise<void> {
+        if (!Notifications || Platform.OS === 'web') return;
+
+        try {
+            const scheduled: any[] = await Notifications.getAllScheduledNotificationsAsync();
+            const existing = new Set(
+                scheduled
+                    .map(n => n.identifier as string)
+                    .filter(id => id.startsWith(REMINDER_ID_PREFIX))
+            );
+
+            const due = calls.filter(c => new Date(c.startsAt).getTime() - REMINDER_MINUTES * 60_000 > Date.now());
+            const wanted = new Set(due.map(c => REMINDER_ID_PREFIX + c.id));
+
+            await Promise.all([...existing]
+                .filter(id => !wanted.has(id))
+                .map(id => Notifications.cancelScheduledNotificationAsync(id)));
+
+            const missing = due.filter(c => !existing.has(REMINDER_ID_PREFIX + c.id));
+            if (!missing.length || !(await this.ensureNotificationPermission())) return;
+
+            for (const call of missing) {
+                await Notifications.scheduleNotificationAsync({
+                    identifier: REMINDER_ID_PREFIX + call.id,
+                    content: {
+                        title: call.title,
+                        body: `Starts in ${REMINDER_MINUTES} minutes · ${call.type === 'video' ? 'Video' : 'Voice'} call`,
+                        data: { scheduledCallId: call.id },
+                    },
+                    trigger: {
+                        type: Notifications.SchedulableTriggerInputTypes.DATE,
+                        date: new Date(new Date(call.startsAt).getTime() - REMINDER_MINUTES * 60_000),
+                    },
+                });
+            }
+        } catch (e) {
+            console.error('Failed to schedule call reminders:', e);
+        }
+    }
+
+    private async cancelReminder(scheduledCallId: string) {
+        if (!Notifications || Platform.OS === 'web') return;
+        await Notifications.cancelScheduledNotificationAsync(REMINDER_ID_PREFIX + scheduledCallId).catch(() => { });
+    }
+
+    private async ensureNotificationPermission(): Promise<boolean> {
+        const current = await Notifications.getPermissionsAsync();
+        if (current.granted) return true;
+        if (!current.canAskAgain) return false;
+        return (await Notifications.requestPermissionsAsync()).granted;
+    }
+
+    // ─── Calendar export / import ─────────────────────────────
+    async exportIcs(calls: ScheduledCall[]): Promise<void> {
+        if (!calls.length) return;
+
+        const ics = buildIcs(calls.map(call => ({
+            uid: call.icalUid,
+            title: call.title,
+            description: [call.description, call.linkUrl ? `Join: ${call.linkUrl}` : null].filter(Boolean).join('\n'),
+            location: call.linkUrl ?? undefined,
+            url: call.linkUrl ?? undefined,
+            start: new Date(call.startsAt),
+            end: new Date(call.endsAt),
+        })));
+
+        // iOS shares the file itself, which calendar apps open directly;
+        // elsewhere Share only takes text
+        if (Platform.OS === 'ios' && FileSystem?.cacheDirectory) {
+            const name = calls.length === 1 ? calls[0].title.replace(/[^\w-]+/g, '_').slice(0, 40) || 'call' : 'ndeip-calls';
+            const uri = `${FileSystem.cacheDirectory}${name}.ics`;
+            await FileSystem.writeAsStringAsync(uri, ics);
+            await Share.share({ url: uri });
+        } else {
+            await Share.share({ message: ics, title: calls.length === 1 ? calls[0].title : 'Scheduled calls' });
+        }
+    }
+
+    // Accepts .ics contents, or an http(s)/webcal link to them. Past
+    // events are skipped; imported calls have no invitees yet.
+    async importIcs(source: string): Promise<number> {
+        if (!this.currentUserId) throw new Error('Not authenticated');
+
+        let text = source.trim();
+        if (/^(https?|webcal):\/\//i.test(text)) {
+            const response = await fetch(text.replace(/^webcal:/i, 'https:'));
+            if (!response.ok) throw new Error(`Could not download the calendar (${response.status})`);
+            text = await response.text();
+        }
+        if (!text.includes('BEGIN:VCALENDAR')) throw new Error('That is not an .ics calendar.');
+
+        const events = parseIcs(text).filter(e => e.end.getTime() > Date.now());
+        for (const event of events) {
+            await this.insertCall({
+                title: event.title.slice(0, 200),
+                description: event.description || null,
+                type: 'video',
+                starts_at: event.start.toISOString(),
+                ends_at: event.end.toISOString(),
+                ical_uid: event.uid,
+            });
+        }
+
+        if (events.length) await this.syncReminders(await this.getUpcoming());
+        return events.length;
+    }
+}
+
+export const ScheduledCallService = new ScheduledCallServiceClass();
+export default ScheduledCallService;
@@ -0,0 +1,173 @@
+/**
+ * SfuAdapter — Media routing for group calls larger than a mesh
+ *
+ * In a mesh every participant uploads their stream once per peer, which
+ * stops scaling past a handful of people. Above that CallService routes
+ * media through a Selective Forwarding Unit instead: each participant
+ * publishes one stream to the SFU and pulls one stream per remote
+ * participant back from it.
+ *
+ * Negotiation uses the WHIP (publish) and WHEP (playback) HTTP
+ * conventions so any compliant SFU can sit behind EXPO_PUBLIC_SFU_URL:
+ *
+ *   POST {base}/whip/{callId}/{userId}        — our stream
+ *   POST {base}/whep/{callId}/{remoteUserId}  — a remote participant
+ *
+ * Both take an SDP offer and answer with SDP plus a Location header for
+ * the session, which is DELETEd on leave. Candidates are gathered up
+ * front instead of trickled, so no extra signaling is needed. Who is in
+ * the call still comes from call_participants.
+ */
+import type { MediaStream, RTCPeerConnection } from 'react-native-webrtc';
+
+// ─── Types ────────────────────────────────────────────────────
+export interface SfuSessionOptions {
+    baseUrl: string;
+    callId: string;
+    userId: string;
+    type: 'voice' | 'video';
+    getToken: () => Promise<string | null>;
+    // Provided by CallService so both share ICE config and the native module
+    createPeerConnection: () => RTCPeerConnection;
+}
+
+interface SfuLeg {
+    pc: RTCPeerConnection;
+    resource: string | null;
+}
+
+// Give up waiting for ICE gathering and send what we have
+const ICE_GATHER_TIMEOUT_MS = 3000;
+
+function waitForIceGathering(pc: RTCPeerConnection): Promise<void> {
+    if (pc.iceGatheringState === 'complete') return Promise.resolve();
+
+    return new Promise(resolve => {
+        const p = pc as any;
+        const timer = setTimeout(done, ICE_GATHER_TIMEOUT_MS);
+        function done() {
+            clearTimeout(timer);
+            p.onicegatheringstatechange = null;
+            resolve();
+        }
+        p.onicegatheringstatechange = () => {
+            if (pc.iceGatheringState === 'complete') done();
+        };
+    });
+}
+
+// ─── SfuSession ───────────────────────────────────────────────
+export class SfuSession {
+    private publisher: SfuLeg | null = null;
+    private subscribers = new Map<string, SfuLeg>();
+    private closed = false;
+
+    constructor(private options: SfuSessionOptions) { }
+
+    async publish(stream: MediaStream): Promise<RTCPeerConnection> {
+        const pc = this.options.createPeerConnection();
+        stream.getTracks().forEach(track => pc.addTrack(track, stream));
+
+        this.publisher = { pc, resource: null };
+        this.publisher.resource = await this.negotiate(pc, `whip/${this.options.callId}/${this.options.userId}`);
+        return pc;
+    }
+
+    // Resolves with the remote participant's stream once the first track arrives
+    async subscribe(remoteUserId: string): Promise<MediaStream | null> {
+        if (this.subscribers.has(remoteUserId)) return null;
+
+        const pc = this.options.createPeerConnection();
+        const p = pc as any;
+        p.addTransceiver('audio', { direction: 'recvonly' });
+        if (this.options.type === 'video') p.addTransceiver('video', { direction: 'recvonly' });
+
+        const stream = new Promise<MediaStream | null>(resolve => {
+            p.ontrack = (event: any) => resolve(event.streams?.[0] ?? null);
+        });
+
+        const leg: SfuLeg = { pc, resource: null };
+        this.subscribers.set(remoteUserId, leg);
+        try {
+            leg.resource = await this.negotiate(pc, `whep/${this.options.callId}/${remoteUserId}`);
+        } catch (e) {
+            this.unsubscribe(remoteUserId);
+            throw e;
+        }
+        return stream;
+    }
+
+    // After a network change. WHIP and WHEP have no portable ICE
+    // restart, so every leg is replaced with a fresh session; the caller
+    // subscribes to the remote participants again.
+    async reconnect(stream: MediaStream): Promise<RTCPeerConnection> {
+        if (this.publisher) this.release(this.publisher);
+        this.publisher = null;
+        this.subscribers.forEach(leg => this.release(leg));
+        this.subscribers.clear();
+        return this.publish(stream);
+    }
+
+    unsubscribe(remoteUserId: string) {
+        const leg = this.subscribers.get(remoteUserId);
+        if (!leg) return;
+        this.subscribers.delete(remoteUserId);
+        this.release(leg);
+    }
+
+    // Our own connection plus one per remote participant, for stats
+    connections(): { publisher: RTCPeerConnection | null; subscribers: Map<string, RTCPeerConnection> } {
+        const subscribers = new Map<string, RTCPeerConnection>();
+        this.subscribers.forEach((leg, userId) => subscribers.set(userId, leg.pc));
+        return { publisher: this.publisher?.pc ?? null, subscribers };
+    }
+
+    close() {
+        this.closed = true;
+        if (this.publisher) this.release(this.publisher);
+        this.publisher = null;
+        this.subscribers.forEach(leg => this.release(leg));
+        this.subscribers.clear();
+    }
+
+    // ─── HTTP negotiation ─────────────────────────────────────
+    private async negotiate(pc: RTCPeerConnection, path: string): Promise<string | null> {
+        const offer = await pc.createOffer({});
+        await pc.setLocalDescription(offer);
+        await waitForIceGathering(pc);
+        if (this.closed) throw new Error('Call ended');
+
+        const token = await this.options.getToken();
+        const url = `${this.options.baseUrl.replace(/\/$/, '')}/${path}`;
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/sdp',
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            },
+            body: pc.localDescription?.sdp ?? offer.sdp,
+        });
+        if (!response.ok) throw new Error(`SFU rejected ${path}: ${response.status}`);
+
+        const sdp = await response.text();
+        await pc.setRemoteDescription({ type: 'answer', sdp } as any);
+
+        const location = response.headers.get('Location');
+        return location ? new URL(location, url).toString() : null;
+    }
+
+    private release(leg: SfuLeg) {
+        const p = leg.pc as any;
+        p.ontrack = null;
+        p.onconnectionstatechange = null;
+        leg.pc.close();
+        if (!leg.resource) return;
+
+        this.options.getToken().then(token =>
+            fetch(leg.resource!, {
+                method: 'DELETE',
+                headers: token ? { Authorization: `Bearer ${token}` } : {},
+            })
+        ).catch(() => { /* the SFU times idle sessions out anyway */ });
+    }
+}
@@ -1,17 +1,43 @@
 /**
- * StoryService — Story management with TTL
- * 
- * Handles story upload, viewing, expiry (24h), and persistence.
- * Uses AsyncStorage locally, ready for Supabase Storage swap.
+ * StoryService — Stories that disappear after 24 hours
+ *
+ * Stories live in Supabase (stories, story_segments, story_views; see
+ * schema section 30) with their media in the private stories bucket.
+ * Each story is shared with one audience, the same choices a
+ * QuantumStatus has: public, contacts, close friends or people picked
+ * for it. The server decides who can see what and stops serving
+ * segments 24 hours after they were posted, so nothing here filters by
+ * audience or age. Authors can see who has seen each segment.
+ *
+ * Replies and emoji reactions are messages in the 1:1 chat with the
+ * author (ChatService.replyToStory), quoting the segment they answer.
+ * Authors see how many each segment got alongside its views.
  */
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as ExpoCrypto from 'expo-crypto';
+import { supabase } from '@/lib/supabase';
+import MediaSync, { UPLOAD_PRIORITY } from '@/services/MediaSync';
+
+// ─── Types ────────────────────────────────────────────────────
+export type StoryAudience = 'public' | 'contacts' | 'close_friends' | 'custom';
 
 export interface StorySegment {
     id: string;
-    imageUri: string;
+    storyId: string;
+    type: 'image' | 'video' | 'text';
+    mediaUrl: string | null; // signed, null for text segments
     caption?: string;
+    text?: string;
+    backgroundColor?: string;
+    textColor?: string;
+    duration?: number; // seconds, for video
+    audience: StoryAudience;
     timestamp: number;
+    expiresAt: number;
     seen: boolean;
+    // Only known to the author
+    viewCount: number;
+    replyCount: number;
+    reactionCount: number;
 }
 
 export interface UserStory {
@@ -21,76 +47,140 @@ export interface UserStory {
     isMyStory: boolean;
     segments: StorySegment[];
     lastUpdated: number;
+    expiresAt: number;
+}
+
+export interface StoryViewer {
+    userId: string;
+    name: string;
+    avatar: string | null;
+    viewedAt: string;
+    reaction: string | null;
+    replied: boolean;
+}
+
+// What a chat message quotes when it answers a story
+export interface StoryQuote {
+    segmentId: string;
+    authorId: string | null;
+    type: StorySegment['type'] | null;
+    thumbnailUrl: string | null;
+    text?: string;
+    backgroundColor?: string;
+    // False once the segment has expired or was deleted
+    available: boolean;
 }
 
-const KEYS = {
-    stories: 'ndeip_stories',
-    initialized: 'ndeip_stories_initialized',
-};
-
-const TTL = 24 * 60 * 60 * 1000; // 24 hours
-
-// ─── Seed Data ────────────────────────────────────────────
-const SEED_STORIES: UserStory[] = [
-    {
-        userId: 'me', userName: 'My Story', isMyStory: true, lastUpdated: Date.now() - 3600000,
-        segments: [
-            { id: 's_me_1', imageUri: 'gradient_story_1', caption: 'Working on something exciting! 🚀', timestamp: Date.now() - 3600000, seen: false },
-        ],
-    },
-    {
-        userId: '1', userName: 'Sarah Chen', isMyStory: false, lastUpdated: Date.now() - 1800000,
-        segments: [
-            { id: 's1_1', imageUri: 'gradient_story_2', caption: 'Beautiful sunset 🌅', timestamp: Date.now() - 7200000, seen: false },
-            { id: 's1_2', imageUri: 'gradient_story_3', caption: 'Village meeting prep!', timestamp: Date.now() - 1800000, seen: false },
-        ],
-    },
-    {
-        userId: '2', userName: 'Marcus Johnson', isMyStory: false, lastUpdated: Date.now() - 3600000 * 3,
-        segments: [
-            { id: 's2_1', imageUri: 'gradient_story_4', caption: 'New design system is 🔥', timestamp: Date.now() - 3600000 * 3, seen: false },
-        ],
-    },
-    {
-        userId: '3', userName: 'Thandi Nkosi', isMyStory: false, lastUpdated: Date.now() - 3600000 * 5,
-        segments: [
-            { id: 's3_1', imageUri: 'gradient_story_5', caption: 'Morning hike 🏔️', timestamp: Date.now() - 3600000 * 6, seen: true },
-            { id: 's3_2', imageUri: 'gradient_story_6', caption: 'Best view ever!', timestamp: Date.now() - 3600000 * 5, seen: true },
-        ],
-    },
-    {
-        userId: '5', userName: 'Mom ❤️', isMyStory: false, lastUpdated: Date.now() - 3600000 * 8,
-        segments: [
-            { id: 's5_1', imageUri: 'gradient_story_7', caption: 'Garden is blooming 🌺', timestamp: Date.now() - 3600000 * 8, seen: false },
-        ],
-    },
-    {
-        userId: '7', userName: 'Priya Sharma', isMyStory: false, lastUpdated: Date.now() - 3600000 * 12,
-        segments: [
-            { id: 's7_1', imageUri: 'gradient_story_8', caption: 'Coffee time ☕', timestamp: Date.now() - 3600000 * 12, seen: true },
-        ],
-    },
+export interface NewStorySegment {
+    // A photo or video on the device; leave out for a text card
+    media?: { uri: string; type: 'image' | 'video'; duration?: number };
+    caption?: string;
+    text?: string;
+    backgroundColor?: string;
+    textColor?: string;
+    audience: StoryAudience;
+    // Who can see it when the audience is 'custom'
+    viewers?: string[];
+}
+
+export const STORY_AUDIENCES: { value: StoryAudience; label: string; description: string }[] = [
+    { value: 'public', label: 'Everyone', description: 'Anyone on ndeip' },
+    { value: 'contacts', label: 'My contacts', description: 'People you have exchanged messages with' },
+    { value: 'close_friends', label: 'Close friends', description: 'Only your close friends list' },
+    { value: 'custom', label: 'Only share with…', description: 'People you pick for this story' },
 ];
 
+// Mirrors the statusReactions flag in ProductionConfig
+export const STORY_REACTIONS_ENABLED = process.env.EXPO_PUBLIC_FEATURE_STATUS_REACTIONS === 'true';
+export const QUICK_REACTIONS = ['❤️', '😂', '😮', '😢', '👏', '🔥'];
+
+const STORIES_BUCKET = 'stories';
+// Long enough to watch a whole story without the media going stale
+const MEDIA_URL_TTL = 60 * 60; // seconds
+
+function extensionOf(uri: string, type: 'image' | 'video'): string {
+    const match = uri.split('?')[0].match(/\.(\w{2,4})$/);
+    if (match) return match[1].toLowerCase();
+    return type === 'video' ? 'mp4' : 'jpg';
+}
+
+// ─── StoryService ─────────────────────────────────────────────
 class StoryServiceClass {
-    async initialize(): Promise<void> {
-        const initialized = await AsyncStorage.getItem(KEYS.initialized);
-        if (!initialized) {
-            await AsyncStorage.setItem(KEYS.stories, JSON.stringify(SEED_STORIES));
-            await AsyncStorage.setItem(KEYS.initialized, 'true');
-        }
+    private currentUserId: string | null = null;
+
+    setCurrentUser(userId: string) {
+        this.currentUserId = userId;
     }
 
+    // Everyone's live stories the user may see, their own first and the
+    // rest most recent first
     async getAllStories(): Promise<UserStory[]> {
-        await this.initialize();
-        const data = await AsyncStorage.getItem(KEYS.stories);
-        const stories: UserStory[] = data ? JSON.parse(data) : [];
-        // Filter expired segments
-        const now = Date.now();
-        return stories.map(s => ({
-            ...s,
-            segments: s.segments.filter(seg => now - seg.timestamp < TTL),
-        })).filter(s => s.segments.length > 0);
+        if (!this.currentUserId) return [];
+
+        const { data, error } = await supabase
+            .from('story_segments')
+            .select('*, story:stories!inner(user_id, audience, author:profiles!stories_user_id_fkey(display_name, avatar_url))')
+            .gt('expires_at', new Date().toISOString())
+            .order('created_at');
+
+        if (error) {
+            console.error('Failed to fetch stories:', error.message);
+            return [];
+        }
+
+        const rows = data || [];
+        const mine = rows.filter((r: any) => r.story.user_id === this.currentUserId).map((r: any) => r.id);
+        const [seen, viewCounts, responses, urls] = await Promise.all([
+            this.getSeenSegments(rows.filter((r: any) => r.story.user_id !== this.currentUserId).map((r: any) => r.id)),
+            this.getViewCounts(mine),
+            this.getResponseCounts(mine),
+            this.signMediaUrls(rows.map((r: any) => r.media_path).filter(Boolean)),
+        ]);
+
+        const byUser = new Map<string, UserStory>();
+        for (const row of rows as any[]) {
+            const userId = row.story.user_id;
+            const isMyStory = userId === this.currentUserId;
+            const segment: StorySegment = {
+                id: row.id,
+                storyId: row.story_id,
+                type: row.type,
+                mediaUrl: row.media_path ? urls.get(row.media_path) ?? null : null,
+                caption: row.caption ?? undefined,
+                text: row.text ?? undefined,
+                backgroundColor: row.background_color ?? undefined,
+                textColor: row.text_color ?? undefined,
+                duration: row.duration ?? undefined,
+                audience: row.story.audience,
+                timestamp: new Date(row.created_at).getTime(),
+                expiresAt: new Date(row.expires_at).getTime(),
+                seen: isMyStory || seen.has(row.id),
+                viewCount: viewCounts.get(row.id) ?? 0,
+                replyCount: responses.get(row.id)?.replies ?? 0,
+                reactionCount: responses.get(row.id)?.reactions ?? 0,
+            };
+
+            let story = byUser.get(userId);
+            if (!story) {
+                story = {
+                    userId,
+                    userName: isMyStory ? 'My Story' : row.story.author?.display_name || 'Unknown',
+                    avatar: row.story.author?.avatar_url ?? undefined,
+                    isMyStory,
+                    segments: [],
+                    lastUpdated: 0,
+                    expiresAt: 0,
+                };
+                byUser.set(userId, story);
+            }
+            story.segments.push(segment);
+            story.lastUpdated = Math.max(story.lastUpdated, segment.timestamp);
+            story.expiresAt = Math.max(story.expiresAt, segment.expiresAt);
+        }
+
+        return [...byUser.values()].sort((a, b) =>
+            Number(b.isMyStory) - Number(a.isMyStory) || b.lastUpdated - a.lastUpdated
+        );
     }
 
     async getMyStory(): Promise<UserStory | null> {
@@ -103,49 +193,269 @@ class StoryServiceClass {
         return stories.filter(s => !s.isMyStory);
     }
 
-    async uploadStory(imageUri: string, caption?: string): Promise<void> {
-        const stories = await this.getAllStories();
-        let myStory = stories.find(s => s.isMyStory);
-
-        const segment: StorySegment = {
-            id: `s_me_${Date.now()}`,
-            imageUri,
-            caption,
-            timestamp: Date.now(),
-            seen: false,
-        };
+    private async getSeenSegments(segmentIds: string[]): Promise<Set<string>> {
+        if (!segmentIds.length) return new Set();
+        const { data } = await supabase
+            .from('story_views')
+            .select('segment_id')
+            .eq('viewer_id', this.currentUserId)
+            .in('segment_id', segmentIds);
+        return new Set((data || []).map((row: any) => row.segment_id));
+    }
 
-        if (myStory) {
-            myStory.segments.push(segment);
-            myStory.lastUpdated = Date.now();
-        } else {
-            myStory = {
-                userId: 'me', userName: 'My Story', isMyStory: true,
-                lastUpdated: Date.now(), segments: [segment],
-            };
-            stories.unshift(myStory);
+    private async getViewCounts(segmentIds: string[]): Promise<Map<string, number>> {
+        const counts = new Map<string, number>();
+        if (!segmentIds.length) return counts;
+        const { data } = await supabase
+            .from('story_views')
+            .select('segment_id')
+            .in('segment_id', segmentIds);
+        for (const row of data || []) {
+            counts.set(row.segment_id, (counts.get(row.segment_id) ?? 0) + 1);
         }
+        return counts;
+    }
 
-        await AsyncStorage.setItem(KEYS.stories, JSON.stringify(stories));
+    // Replies and reactions to the user's own segments, from the chats
+    // they arrived in
+    private async getResponseCounts(segmentIds: string[]): Promise<Map<string, { replies: number; reactions: number }>> {
+        const counts = new Map<string, { replies: number; reactions: number }>();
+        if (!segmentIds.length) return counts;
+        const { data } = await supabase
+            .from('messages')
+            .select('story_segment_id, story_reaction')
+            .in('story_segment_id', segmentIds)
+            .neq('sender_id', this.currentUserId);
+        for (const row of data || []) {
+            const count = counts.get(row.story_segment_id) ?? { replies: 0, reactions: 0 };
+            if (row.story_reaction) count.reactions += 1;
+            else count.replies += 1;
+            counts.set(row.story_segment_id, count);
+        }
+        return counts;
     }
 
-    async markSeen(userId: string, segmentId: string): Promise<void> {
-        const stories = await this.getAllStories();
-        const story = stories.find(s => s.userId === userId);
-        if (story) {
-            const seg = story.segments.find(s => s.id === segmentId);
-            if (seg) seg.seen = true;
-            await AsyncStorage.setItem(KEYS.stories, JSON.stringify(stories));
+    // Segments quoted by story replies in a chat. Anything missing has
+    // expired or been deleted, or was never visible to the user.
+    async getStoryQuotes(segmentIds: string[]): Promise<Map<string, StoryQuote>> {
+        const quotes = new Map<string, StoryQuote>();
+        if (!segmentIds.length) return quotes;
+
+        const { data, error } = await supabase
+            .from('story_segments')
+            .select('id, type, media_path, text, background_color, story:stories!inner(user_id)')
+            .in('id', segmentIds);
+        if (error) {
+            console.error('Failed to fetch quoted stories:', error.message);
         }
+
+        const rows: any[] = data || [];
+        const urls = await this.signMediaUrls(rows.map(r => r.media_path).filter(Boolean));
+        for (const row of rows) {
+            quotes.set(row.id, {
+                segmentId: row.id,
+                authorId: row.story.user_id,
+                type: row.type,
+                thumbnailUrl: row.type === 'image' && row.media_path ? urls.get(row.media_path) ?? null : null,
+                text: row.text ?? undefined,
+                backgroundColor: row.background_color ?? undefined,
+                available: true,
+            });
+        }
+        for (const id of segmentIds) {
+            if (!quotes.has(id)) {
+                quotes.set(id, { segmentId: id, authorId: null, type: null, thumbnailUrl: null, available: false });
+            }
+        }
+        return quotes;
     }
 
-    async deleteMyStory(segmentId: string): Promise<void> {
-        const stories = await this.getAllStories();
-        const myStory = stories.find(s => s.isMyStory);
-        if (myStory) {
-            myStory.segments = myStory.segments.filter(s => s.id !== segmentId);
-            await AsyncStorage.setItem(KEYS.stories, JSON.stringify(stories));
+    private async signMediaUrls(paths: string[]): Promise<Map<string, string>> {
+        const urls = new Map<string, string>();
+        if (!paths.length) return urls;
+        const { data, error } = await supabase.storage
+            .from(STORIES_BUCKET)
+            .createSignedUrls(paths, MEDIA_URL_TTL);
+        if (error) {
+            console.error('Failed to sign story media:', error.message);
+            return urls;
+        }
+        for (const item of data || []) {
+            if (item.path && item.signedUrl) urls.set(item.path, item.signedUrl);
         }
+        return urls;
+    }
+
+    // ─── Posting ──────────────────────────────────────────────
+    // Uploads the media, then adds the segment to the user's story for
+    // that audience
+    async uploadStory(segment: NewStorySegment): Promise<void> {
+        if (!this.currentUserId) throw new Error('Not signed in');
+
+        const id = ExpoCrypto.randomUUID();
+        let mediaPath: string | null = null;
+
+        if (segment.media) {
+            const { uri, type } = segment.media;
+            const extension = extensionOf(uri, type);
+            mediaPath = `${this.currentUserId}/${id}.${extension}`;
+            const uploadId = await MediaSync.queueUpload(
+                { uri, name: `${id}.${extension}`, type: type === 'video' ? `video/${extension}` : `image/${extension === 'jpg' ? 'jpeg' : extension}` },
+                {
+                    uploadType: 'story',
+                    priority: UPLOAD_PRIORITY.HIGH,
+                    compress: type === 'image',
+                    storage: { bucket: STORIES_BUCKET, path: mediaPath },
+                }
+            );
+            await MediaSync.waitForUpload(uploadId);
+        }
+
+        const { error } = await supabase.rpc('post_story_segment', {
+            p_id: id,
+            p_audience: segment.audience,
+            p_type: segment.media?.type ?? 'text',
+            p_media_path: mediaPath,
+            p_caption: segment.caption || null,
+            p_text: segment.text || null,
+            p_background_color: segment.backgroundColor || null,
+            p_text_color: segment.textColor || null,
+            p_duration: segment.media?.duration ?? null,
+            p_viewers: segment.audience === 'custom' ? segment.viewers || [] : [],
+        });
+        if (error) {
+            // Don't leave media behind for a segment that was never posted
+            if (mediaPath) await supabase.storage.from(STORIES_BUCKET).remove([mediaPath]);
+            throw error;
+        }
+    }
+
+    // ─── Views ────────────────────────────────────────────────
+    async markSeen(segment: StorySegment): Promise<void> {
+        if (!this.currentUserId || segment.seen) return;
+        segment.seen = true;
+        const { error } = await supabase
+            .from('story_views')
+            .upsert(
+                { segment_id: segment.id, viewer_id: this.currentUserId },
+                { onConflict: 'segment_id,viewer_id', ignoreDuplicates: true }
+            );
+        if (error) console.error('Failed to mark story seen:', error.message);
+    }
+
+    // Who has seen one of the user's own segments, most recent first
+    async getViewers(segmentId: string): Promise<StoryViewer[]> {
+        if (!this.currentUserId) return [];
+
+        const [{ data, error }, { data: responses }] = await Promise.all([
+            supabase
+                .from('story_views')
+                .select('viewer_id, viewed_at, viewer:profiles(display_name, avatar_url)')
+                .eq('segment_id', segmentId)
+                .order('viewed_at', { ascending: false }),
+            supabase
+                .from('messages')
+                .select('sender_id, story_reaction, created_at')
+                .eq('story_segment_id', segmentId)
+                .order('created_at'),
+        ]);
+
+        if (error) {
+            console.error('Failed to fetch story viewers:', error.message);
+            return [];
+        }
+
+        // Each viewer's latest reaction counts
+        const reactions = new Map<string, string>();
+        const replied = new Set<string>();
+        for (const row of responses || []) {
+            if (row.story_reaction) reactions.set(row.sender_id, row.story_reaction);
+            else replied.add(row.sender_id);
+        }
+
+        return (data || []).map((row: any) => ({
+            userId: row.viewer_id,
+            name: row.viewer?.display_name || 'Unknown',
+            avatar: row.viewer?.avatar_url ?? null,
+            viewedAt: row.viewed_at,
+            reaction: reactions.get(row.viewer_id) ?? null,
+            replied: replied.has(row.viewer_id),
+        }));
+    }
+
+    // Calls back when someone views one of the user's segments
+    subscribeToViews(onView: (segmentId: string) => void): () => void {
+        if (!this.currentUserId) return () => { };
+
+        // RLS only delivers views of the user's own segments and their own views
+        const channel = supabase
+            .channel(`story-views:${this.currentUserId}`)
+            .on(
+                'postgres_changes',
+                { event: 'INSERT', schema: 'public', table: 'story_views' },
+                (payload: any) => {
+                    if (payload.new?.viewer_id !== this.currentUserId) onView(payload.new.segment_id);
+                }
+            )
+            .subscribe();
+
+        return () => {
+            supabase.removeChannel(channel);
+        };
+    }
+
+    async deleteMyStory(segment: StorySegment): Promise<void> {
+        if (!this.currentUserId) return;
+
+        const { data, error } = await supabase
+            .from('story_segments')
+            .delete()
+            .eq('id', segment.id)
+            .select('media_path')
+            .maybeSingle();
+        if (error) throw error;
+
+        if (data?.media_path) {
+            const { error: storageError } = await supabase.storage
+                .from(STORIES_BUCKET)
+                .remove([data.media_path]);
+            if (storageError) console.error('Failed to remove story media:', storageError.message);
+        }
+    }
+
+    // ─── Close friends ────────────────────────────────────────
+    async getCloseFriends(): Promise<any[]> {
+        if (!this.currentUserId) return [];
+
+        const { data, error } = await supabase
+            .from('close_friends')
+            .select('friend:profiles!close_friends_friend_id_fkey(id, display_name, avatar_url, is_online)')
+            .eq('user_id', this.currentUserId)
+            .order('created_at');
+
+        if (error) {
+            console.error('Failed to fetch close friends:', error.message);
+            return [];
+        }
+        return (data || []).map((row: any) => row.friend).filter(Boolean);
+    }
+
+    async addCloseFriend(friendId: string): Promise<void> {
+        if (!this.currentUserId) return;
+        const { error } = await supabase
+            .from('close_friends')
+            .upsert({ user_id: this.currentUserId, friend_id: friendId });
+        if (error) throw error;
+    }
+
+    async removeCloseFriend(friendId: string): Promise<void> {
+        if (!this.currentUserId) return;
+        const { error } = await supabase
+            .from('close_friends')
+            .delete()
+            .eq('user_id', this.currentUserId)
+            .eq('friend_id', friendId);
+        if (error) throw error;
     }
 
     hasUnseenStories(story: UserStory): boolean {
@@ -0,0 +1,42 @@
+import { inQuietHours } from '@/services/DndService';
+
+jest.mock('@/lib/supabase', () => ({ supabase: {} }));
+jest.mock('expo-notifications', () => ({}));
+
+// 2026-10-19 in UTC
+const utc = (hour: number, minute = 0) => new Date(Date.UTC(2026, 9, 19, hour, minute));
+
+describe('inQuietHours', () => {
+    it('is off without both ends set', () => {
+        expect(inQuietHours(null, '07:00', 'UTC', utc(23))).toBe(false);
+        expect(inQuietHours('22:00', null, 'UTC', utc(23))).toBe(false);
+    });
+
+    it('runs across midnight when the start is after the end', () => {
+        expect(inQuietHours('22:00', '07:00', 'UTC', utc(21, 59))).toBe(false);
+        expect(inQuietHours('22:00', '07:00', 'UTC', utc(22))).toBe(true);
+        expect(inQuietHours('22:00', '07:00', 'UTC', utc(0, 30))).toBe(true);
+        expect(inQuietHours('22:00', '07:00', 'UTC', utc(6, 59))).toBe(true);
+        expect(inQuietHours('22:00', '07:00', 'UTC', utc(7))).toBe(false);
+        expect(inQuietHours('22:00', '07:00', 'UTC', utc(12))).toBe(false);
+    });
+
+    it('stays within the day when the start is before the end', () => {
+        expect(inQuietHours('13:00', '14:30', 'UTC', utc(12, 59))).toBe(false);
+        expect(inQuietHours('13:00', '14:30', 'UTC', utc(14, 29))).toBe(true);
+        expect(inQuietHours('13:00', '14:30', 'UTC', utc(14, 30))).toBe(false);
+    });
+
+    it('reads the clock in the given timezone', () => {
+        // 20:30 UTC is 22:30 in Harare and 16:30 in New York
+        expect(inQuietHours('22:00', '07:00', 'Africa/Harare', utc(20, 30))).toBe(true);
+        expect(inQuietHours('22:00', '07:00', 'America/New_York', utc(20, 30))).toBe(false);
+        // 05:30 UTC is 07:30 in Harare, after quiet hours have ended
+        expect(inQuietHours('22:00', '07:00', 'Africa/Harare', utc(5, 30))).toBe(false);
+    });
+
+    it('falls back to UTC for unknown timezones', () => {
+        expect(inQuietHours('22:00', '07:00', 'Not/AZone', utc(23))).toBe(true);
+        expect(inQuietHours('22:00', '07:00', null, utc(12))).toBe(false);
+    });
+});
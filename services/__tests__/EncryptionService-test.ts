@@ -0,0 +1,225 @@
+import { randomBytes } from 'crypto';
+
+// Published keys, shared by every device under test
+const mockServer: Record<string, any[]> = { device_keys: [], one_time_prekeys: [] };
+
+jest.mock('@/lib/supabase', () => {
+    function from(table: string) {
+        const filters: ((row: any) => boolean)[] = [];
+        let deleting = false;
+        let head = false;
+
+        const builder: any = {
+            select(_columns: string, options?: { head?: boolean }) {
+                head = !!options?.head;
+                return builder;
+            },
+            eq(column: string, value: unknown) {
+                filters.push(row => row[column] === value);
+                return builder;
+            },
+            is(column: string, value: unknown) {
+                filters.push(row => (row[column] ?? null) === value);
+                return builder;
+            },
+            in(column: string, values: unknown[]) {
+                filters.push(row => values.includes(row[column]));
+                return builder;
+            },
+            delete() {
+                deleting = true;
+                return builder;
+            },
+            async insert(rows: any[]) {
+                mockServer[table].push(...rows);
+                return { error: null };
+            },
+            async upsert(row: any) {
+                mockServer[table] = mockServer[table]
+                    .filter(r => r.user_id !== row.user_id || r.device_id !== row.device_id)
+                    .concat(row);
+                return { error: null };
+            },
+            then(resolve: (value: any) => void, reject: (reason: any) => void) {
+                const matches = mockServer[table].filter(row => filters.every(f => f(row)));
+                if (deleting) mockServer[table] = mockServer[table].filter(row => !matches.includes(row));
+                const result = deleting ? { error: null }
+                    : head ? { count: matches.length, error: null }
+                    : { data: matches, error: null };
+                return Promise.resolve(result).then(resolve, reject);
+            },
+        };
+        return builder;
+    }
+
+    // Mirrors claim_prekey_bundles(): one unclaimed one-time prekey per call
+    async function rpc(_fn: string, { target_user, target_device }: { target_user: string; target_device: string }) {
+        const data = mockServer.device_keys
+            .filter(dk => dk.user_id === target_user && dk.device_id === target_device)
+            .map(dk => {
+                const opk = mockServer.one_time_prekeys
+                    .filter(k => k.user_id === target_user && k.device_id === dk.device_id && !k.claimed_at)
+                    .sort((a, b) => a.key_id - b.key_id)[0];
+                if (opk) opk.claimed_at = new Date().toISOString();
+                return {
+                    device_id: dk.device_id,
+                    identity_key: dk.identity_key,
+                    signing_key: dk.signing_key,
+                    signed_prekey_id: dk.signed_prekey_id,
+                    signed_prekey: dk.signed_prekey,
+                    signed_prekey_signature: dk.signed_prekey_signature,
+                    one_time_prekey_id: opk?.key_id ?? null,
+                    one_time_prekey: opk?.public_key ?? null,
+                };
+            });
+        return { data, error: null };
+    }
+
+    return { supabase: { from, rpc } };
+});
+
+jest.mock('expo-crypto', () => ({
+    getRandomBytes: (length: number) => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+
+// Each isolated module registry gets its own storage, like a separate device
+jest.mock('@react-native-async-storage/async-storage', () =>
+    require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+jest.mock('expo-secure-store', () => {
+    const store = new Map<string, string>();
+    return {
+        getItemAsync: async (key: string) => store.get(key) ?? null,
+        setItemAsync: async (key: string, value: string) => { store.set(key, value); },
+        deleteItemAsync: async (key: string) => { store.delete(key); },
+    };
+});
+
+type Service = typeof import('@/services/EncryptionService').default;
+
+function newDevice(): { service: Service; storage: any } {
+    let service!: Service;
+    let storage: any;
+    jest.isolateModules(() => {
+        service = require('@/services/EncryptionService').default;
+        storage = require('@react-native-async-storage/async-storage');
+    });
+    return { service, storage };
+}
+
+const ALICE = 'alice';
+const BOB = 'bob';
+let messageCount = 0;
+
+async function send(from: Service, fromUser: string, to: string[], text: string) {
+    const ciphertext = await from.encryptForUsers(to, text);
+    return { id: `m${++messageCount}`, sender_id: fromUser, ciphertext };
+}
+
+describe('EncryptionService', () => {
+    let alice: Service;
+    let bob: Service;
+
+    beforeEach(async () => {
+        mockServer.device_keys = [];
+        mockServer.one_time_prekeys = [];
+        alice = newDevice().service;
+        bob = newDevice().service;
+        await alice.initialize(ALICE);
+        await bob.initialize(BOB);
+    });
+
+    it('publishes a signed bundle and one-time prekeys', () => {
+        expect(mockServer.device_keys.map(dk => dk.user_id).sort()).toEqual([ALICE, BOB]);
+        expect(mockServer.one_time_prekeys.filter(k => k.user_id === BOB)).toHaveLength(100);
+    });
+
+    it('round-trips a conversation through X3DH and the ratchet', async () => {
+        const first = await send(alice, ALICE, [BOB], 'hi bob');
+        const envelope = first.ciphertext![`${BOB}:${bob.getDeviceId()}`];
+        expect(envelope.type).toBe('prekey');
+        expect(envelope.x3dh?.opk_id).not.toBeNull();
+        expect(envelope.ct).not.toContain('hi bob');
+        expect(await bob.decrypt(first)).toBe('hi bob');
+
+        const reply = await send(bob, BOB, [ALICE], 'hi alice');
+        expect(await alice.decrypt(reply)).toBe('hi alice');
+
+        const next = await send(alice, ALICE, [BOB], 'how are you?');
+        expect(next.ciphertext![`${BOB}:${bob.getDeviceId()}`].type).toBe('message');
+        expect(await bob.decrypt(next)).toBe('how are you?');
+    });
+
+    it('decrypts messages that arrive out of order', async () => {
+        const one = await send(alice, ALICE, [BOB], 'one');
+        const two = await send(alice, ALICE, [BOB], 'two');
+        const three = await send(alice, ALICE, [BOB], 'three');
+
+        expect(await bob.decrypt(three)).toBe('three');
+        expect(await bob.decrypt(one)).toBe('one');
+        expect(await bob.decrypt(two)).toBe('two');
+    });
+
+    it('does not decrypt a tampered message', async () => {
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => { });
+        const message = await send(alice, ALICE, [BOB], 'hi bob');
+        const envelope = message.ciphertext![`${BOB}:${bob.getDeviceId()}`];
+        envelope.ct = randomBytes(envelope.ct.length / 2).toString('hex');
+
+        expect(await bob.decrypt(message)).toBeNull();
+        spy.mockRestore();
+    });
+
+    it('holds a message back when a recipient has no keys', async () => {
+        expect(await alice.encryptForUsers(['carol'], 'hi carol')).toBeNull();
+    });
+
+    it('gives both sides the same safety number', async () => {
+        const number = await alice.getSafetyNumber(BOB);
+        expect(number).toMatch(/^(\d{5} ){11}\d{5}$/);
+        expect(await bob.getSafetyNumber(ALICE)).toBe(number);
+    });
+
+    it('searches decrypted plaintext', async () => {
+        await bob.decrypt(await send(alice, ALICE, [BOB], 'Lunch on Friday?'));
+        await bob.decrypt(await send(alice, ALICE, [BOB], 'Dinner tonight'));
+
+        expect(bob.searchPlaintext(['lunch', 'FRIDAY']).map(hit => hit.text)).toEqual(['Lunch on Friday?']);
+        expect(bob.searchPlaintext(['lunch', 'tonight'])).toEqual([]);
+        expect(bob.searchPlaintext([])).toEqual([]);
+    });
+
+    it('keeps accounts on the same device apart', async () => {
+        const { service, storage } = newDevice();
+        await service.initialize(ALICE);
+        await service.cachePlaintext('m-alice', 'alice only');
+        const aliceDevice = service.getDeviceId();
+
+        await service.initialize(BOB);
+        expect(service.getDeviceId()).not.toBe(aliceDevice);
+        expect(service.getCachedPlaintext('m-alice')).toBeNull();
+        expect(service.searchPlaintext(['alice'])).toEqual([]);
+
+        await service.initialize(ALICE);
+        expect(service.getDeviceId()).toBe(aliceDevice);
+        expect(service.getCachedPlaintext('m-alice')).toBe('alice only');
+        expect(await storage.getItem(`ndeip_e2ee_plaintext_${ALICE}`)).toContain('alice only');
+    });
+
+    it('unpublishes keys and wipes local state on sign out', async () => {
+        const { service, storage } = newDevice();
+        await service.initialize(ALICE);
+        await service.cachePlaintext('m-alice', 'alice only');
+        const deviceId = service.getDeviceId();
+
+        await service.signOut();
+        expect(service.isReady()).toBe(false);
+        expect(mockServer.device_keys.some(dk => dk.device_id === deviceId)).toBe(false);
+        expect(mockServer.one_time_prekeys.some(k => k.device_id === deviceId)).toBe(false);
+        expect(await storage.getItem(`ndeip_e2ee_plaintext_${ALICE}`)).toBeNull();
+
+        await service.initialize(ALICE);
+        expect(service.getDeviceId()).not.toBe(deviceId);
+        expect(service.getCachedPlaintext('m-alice')).toBeNull();
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * purge-story-media — Deletes the media of expired story segments
+ *
+ * Storage objects can only be removed through the Storage API, not by
+ * SQL, so pg_cron calls this Edge Function every hour (schema section
+ * 30). purge_expired_stories() then deletes the rows of segments whose
+ * media is gone.
+ *
+ * Deploy with `supabase functions deploy purge-story-media`.
+ */
+import { createClient } from 'npm:@supabase/supabase-js@2';
+
+const BUCKET = 'stories';
+// The Storage API removes at most 1000 objects per request
+const PAGE_SIZE = 1000;
+
+Deno.serve(async (req) => {
+    const serviceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+
+    // Only the scheduled job holds the service role key
+    if (req.headers.get('Authorization') !== `Bearer ${serviceKey}`) {
+        return new Response('Unauthorized', { status: 401 });
+    }
+
+    const supabase = createClient(Deno.env.get('SUPABASE_URL')!, serviceKey, {
+        auth: { persistSession: false },
+    });
+    const now = new Date().toISOString();
+
+    // Rows stay until the next purge_expired_stories() run, so pages are
+    // stable while we walk them
+    let removed = 0;
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('story_segments')
+            .select('id, media_path')
+            .lte('expires_at', now)
+            .not('media_path', 'is', null)
+            .order('id')
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) return Response.json({ error: error.message }, { status: 500 });
+        if (!data.length) break;
+
+        const { error: removeError } = await supabase.storage
+            .from(BUCKET)
+            .remove(data.map(segment => segment.media_path));
+
+        if (removeError) return Response.json({ error: removeError.message }, { status: 500 });
+        removed += data.length;
+        if (data.length < PAGE_SIZE) break;
+    }
+
+    return Response.json({ removed });
+});
@@ -1031,6 +1031,42 @@ const styles = StyleSheet.create({
     fontSize: MeshTypography.sizes.bodySmall,
     marginTop: MeshSpacing.xs,
   },
+
+  safetyContainer: {
+    alignItems: 'center',
+    padding: MeshSpacing.lg,
+  },
+
+  safetyGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    width: 240,
+    marginVertical: MeshSpacing.md,
+  },
+
+  safetyDigits: {
+    width: 80,
+    textAlign: 'center',
+    fontSize: MeshTypography.sizes.body,
+    fontFamily: 'monospace',
+    letterSpacing: 1,
+    marginVertical: MeshSpacing.xs,
+  },
+
+  safetyHint: {
+    fontSize: MeshTypography.sizes.bodySmall,
+    textAlign: 'center',
+    marginTop: MeshSpacing.sm,
+  },
+
+  safetyButton: {
+    marginTop: MeshSpacing.md,
+    paddingHorizontal: MeshSpacing.lg,
+    paddingVertical: MeshSpacing.sm,
+    borderWidth: 1,
+    borderRadius: MeshBorderRadius.md,
+  },
 });
 
 // Export specialized components
@@ -1046,6 +1082,68 @@ export const HandshakeAnimation = (props) => (
   <EncryptionVisualizer {...props} variant="handshake" />
 );
 
+// Safety number comparison for verifying a contact's identity keys.
+// Both sides see the same 60 digits; they match only if no one is
+// sitting between the two devices.
+export const SafetyNumberPanel = ({
+  contactName,
+  safetyNumber,
+  status = ENCRYPTION_STATUS.ENCRYPTED,
+  onToggleVerified,
+  style = {},
+}) => {
+  const { colors } = useMeshColors();
+  const verified = status === ENCRYPTION_STATUS.VERIFIED;
+  const changed = status === ENCRYPTION_STATUS.COMPROMISED;
+  const groups = safetyNumber ? safetyNumber.split(' ') : [];
+
+  const statusColor = verified
+    ? colors.accents.success
+    : changed
+      ? colors.accents.error
+      : colors.textSecondary;
+
+  return (
+    <View style={[styles.safetyContainer, style]}>
+      <EncryptionIcon status={status} size={28} color={statusColor} />
+      <Text style={[styles.statusTitle, { color: colors.text }]}>
+        {verified ? 'Verified' : changed ? 'Safety number changed' : 'Verify safety number'}
+      </Text>
+
+      {safetyNumber ? (
+        <View style={styles.safetyGrid}>
+          {groups.map((group, index) => (
+            <Text key={index} style={[styles.safetyDigits, { color: colors.text }]}>
+              {group}
+            </Text>
+          ))}
+        </View>
+      ) : (
+        <Text style={[styles.safetyHint, { color: colors.textSecondary }]}>
+          {contactName || 'This contact'} hasn't set up encryption on any device yet.
+        </Text>
+      )}
+
+      <Text style={[styles.safetyHint, { color: colors.textSecondary }]}>
+        {changed
+          ? `${contactName || 'This contact'}'s keys changed, possibly because they reinstalled or added a device. Compare the number again before trusting it.`
+          : `Compare these numbers with ${contactName || 'your contact'} in person or on a call. If they match, your messages are end-to-end encrypted with them.`}
+      </Text>
+
+      {safetyNumber && onToggleVerified && (
+        <TouchableOpacity
+          style={[styles.safetyButton, { borderColor: statusColor }]}
+          onPress={() => onToggleVerified(!verified)}
+        >
+          <Text style={[styles.featureLabel, { color: statusColor }]}>
+            {verified ? 'Clear verification' : 'Mark as verified'}
+          </Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
 // Hook for managing encryption visualization
 export const useEncryptionVisualization = () => {
   const [status, setStatus] = useState(ENCRYPTION_STATUS.UNENCRYPTED);
@@ -0,0 +1,80 @@
+import { buildIcs, parseIcs, IcsEvent } from '@/utils/ics';
+
+const event: IcsEvent = {
+    uid: 'call-1@ndeip',
+    title: 'Weekly sync; planning, review',
+    description: 'Agenda:\nroadmap \\ budget',
+    location: 'ndeip call',
+    url: 'https://ndeip.app/call/join/abc',
+    start: new Date(Date.UTC(2026, 9, 21, 10, 0, 0)),
+    end: new Date(Date.UTC(2026, 9, 21, 11, 30, 0)),
+};
+
+describe('buildIcs', () => {
+    it('writes UTC times and escapes text', () => {
+        const ics = buildIcs([event]);
+        expect(ics).toContain('DTSTART:20261021T100000Z\r\n');
+        expect(ics).toContain('DTEND:20261021T113000Z\r\n');
+        expect(ics).toContain('SUMMARY:Weekly sync\\; planning\\, review\r\n');
+        expect(ics).toContain('DESCRIPTION:Agenda:\\nroadmap \\\\ budget\r\n');
+    });
+
+    it('folds long lines onto continuation lines', () => {
+        const ics = buildIcs([{ ...event, description: 'x'.repeat(200) }]);
+        for (const line of ics.split('\r\n')) {
+            expect(line.length).toBeLessThanOrEqual(75);
+        }
+        expect(ics).toMatch(/\r\n x/);
+    });
+});
+
+describe('parseIcs', () => {
+    it('reads back what buildIcs wrote', () => {
+        const long = { ...event, uid: 'call-2@ndeip', description: 'y'.repeat(200) };
+        expect(parseIcs(buildIcs([event, long]))).toEqual([event, long]);
+    });
+
+    it('reads floating times as device-local time', () => {
+        const [floating] = parseIcs([
+            'BEGIN:VEVENT', 'DTSTART:20261021T090000', 'DTEND:20261021T100000', 'END:VEVENT',
+        ].join('\n'));
+        expect(floating.start).toEqual(new Date(2026, 9, 21, 9, 0, 0));
+        expect(floating.end).toEqual(new Date(2026, 9, 21, 10, 0, 0));
+    });
+
+    it('reads TZID times in their own zone', () => {
+        const [harare, tokyo, newYork] = parseIcs([
+            'BEGIN:VEVENT', 'DTSTART;TZID=Africa/Harare:20261021T090000', 'END:VEVENT',
+            'BEGIN:VEVENT', 'DTSTART;TZID="Asia/Tokyo":20261021T090000', 'END:VEVENT',
+            'BEGIN:VEVENT', 'DTSTART;TZID=America/New_York:20260701T090000',
+            'DTEND;TZID=America/New_York:20261230T090000', 'END:VEVENT',
+        ].join('\n'));
+        expect(harare.start.toISOString()).toBe('2026-10-21T07:00:00.000Z');
+        expect(tokyo.start.toISOString()).toBe('2026-10-21T00:00:00.000Z');
+        // Daylight saving time in July, standard time in December
+        expect(newYork.start.toISOString()).toBe('2026-07-01T13:00:00.000Z');
+        expect(newYork.end.toISOString()).toBe('2026-12-30T14:00:00.000Z');
+    });
+
+    it('reads TZID times in an unknown zone as device-local time', () => {
+        const [outlook] = parseIcs([
+            'BEGIN:VEVENT', 'DTSTART;TZID=W. Europe Standard Time:20261021T090000', 'END:VEVENT',
+        ].join('\n'));
+        expect(outlook.start).toEqual(new Date(2026, 9, 21, 9, 0, 0));
+    });
+
+    it('fills in a missing end, title and uid', () => {
+        const [timed, allDay] = parseIcs([
+            'BEGIN:VEVENT', 'DTSTART:20261021T090000Z', 'END:VEVENT',
+            'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20261022', 'DTEND;VALUE=DATE:20261022', 'END:VEVENT',
+        ].join('\r\n'));
+        expect(timed.end.getTime() - timed.start.getTime()).toBe(3600_000);
+        expect(timed.title).toBe('Call');
+        expect(timed.uid).toMatch(/@import$/);
+        expect(allDay.end.getTime() - allDay.start.getTime()).toBe(24 * 3600_000);
+    });
+
+    it('skips events without a usable start', () => {
+        expect(parseIcs('BEGIN:VEVENT\nSUMMARY:No start\nDTSTART:tomorrow\nEND:VEVENT')).toEqual([]);
+    });
+});
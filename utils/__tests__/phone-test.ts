@@ -0,0 +1,49 @@
+import { cleanDialInput, toE164, toE164Prefix } from '@/utils/phone';
+
+describe('cleanDialInput', () => {
+    it('strips formatting from pasted numbers', () => {
+        expect(cleanDialInput(' +263 (77) 123-4567 ')).toBe('+263771234567');
+        expect(cleanDialInput('tel:077.123.4567')).toBe('0771234567');
+    });
+
+    it('keeps service codes', () => {
+        expect(cleanDialInput('*123#')).toBe('*123#');
+    });
+
+    it('only keeps a leading plus', () => {
+        expect(cleanDialInput('26+3')).toBe('263');
+    });
+
+    it('caps the length one past E.164', () => {
+        expect(cleanDialInput('1'.repeat(30))).toHaveLength(16);
+    });
+});
+
+describe('toE164Prefix', () => {
+    it('puts the country code in front of national numbers', () => {
+        expect(toE164Prefix('0771', '263')).toBe('+263771');
+        expect(toE164Prefix('771', '263')).toBe('+263771');
+    });
+
+    it('reads 00 as the international prefix', () => {
+        expect(toE164Prefix('0044 20', '263')).toBe('+4420');
+    });
+
+    it('has no E.164 form for service codes or empty input', () => {
+        expect(toE164Prefix('*123#')).toBeNull();
+        expect(toE164Prefix('')).toBeNull();
+    });
+});
+
+describe('toE164', () => {
+    it('normalizes complete numbers', () => {
+        expect(toE164('077 123 4567', '263')).toBe('+263771234567');
+        expect(toE164('+263 77 123 4567', '263')).toBe('+263771234567');
+        expect(toE164('00263771234567', '263')).toBe('+263771234567');
+    });
+
+    it('rejects numbers too short or too long to be complete', () => {
+        expect(toE164('0771', '263')).toBeNull();
+        expect(toE164('+1234567890123456')).toBeNull();
+    });
+});
@@ -0,0 +1,56 @@
+import { searchTerms, parseSnippet, localSnippet } from '@/utils/search';
+
+describe('searchTerms', () => {
+    it('lowercases and splits on whitespace', () => {
+        expect(searchTerms('Lunch  Friday')).toEqual(['lunch', 'friday']);
+    });
+
+    it('drops quotes, exclusions and OR', () => {
+        expect(searchTerms('"team lunch" or -dinner')).toEqual(['team', 'lunch', 'dinner']);
+    });
+
+    it('returns nothing for a blank query', () => {
+        expect(searchTerms('   ')).toEqual([]);
+    });
+});
+
+describe('parseSnippet', () => {
+    it('splits marked hits from surrounding text', () => {
+        expect(parseSnippet('see you at [[lunch]] on [[Friday]]')).toEqual([
+            { text: 'see you at ', match: false },
+            { text: 'lunch', match: true },
+            { text: ' on ', match: false },
+            { text: 'Friday', match: true },
+        ]);
+    });
+
+    it('keeps unmarked snippets whole', () => {
+        expect(parseSnippet('no hits here')).toEqual([{ text: 'no hits here', match: false }]);
+    });
+});
+
+describe('localSnippet', () => {
+    it('highlights every term case-insensitively', () => {
+        expect(localSnippet('Lunch on friday?', ['lunch', 'friday'])).toEqual([
+            { text: 'Lunch', match: true },
+            { text: ' on ', match: false },
+            { text: 'friday', match: true },
+            { text: '?', match: false },
+        ]);
+    });
+
+    it('windows long text around the first hit', () => {
+        const text = 'a'.repeat(100) + ' lunch ' + 'b'.repeat(100);
+        const segments = localSnippet(text, ['lunch'], 10);
+        expect(segments[0].text).toBe('…' + 'a'.repeat(9) + ' ');
+        expect(segments[1]).toEqual({ text: 'lunch', match: true });
+        expect(segments[2].text.endsWith('…')).toBe(true);
+    });
+
+    it('treats regex characters in terms literally', () => {
+        expect(localSnippet('cost is $5 (approx)', ['(approx)'])).toEqual([
+            { text: 'cost is $5 ', match: false },
+            { text: '(approx)', match: true },
+        ]);
+    });
+});
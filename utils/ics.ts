@@ -0,0 +1,180 @@
+/**
+ * iCalendar (.ics) — Export and import of calendar events
+ *
+ * Covers the subset of RFC 5545 calendar apps exchange for meetings:
+ * VEVENTs with UID, start/end, summary, description, location and URL.
+ * Times are written in UTC. On import, UTC and floating times are read
+ * as such; times with a TZID are read as device-local time, which is
+ * right for the common case of an invite from the same timezone.
+ */
+
+export interface IcsEvent {
+    uid: string;
+    title: string;
+    description?: string;
+    location?: string;
+    url?: string;
+    start: Date;
+    end: Date;
+}
+
+const PRODID = '-//ndeip//Scheduled Calls//EN';
+// Lines longer than this are folded onto continuation lines
+const MAX_LINE_OCTETS = 75;
+
+// ─── Export ───────────────────────────────────────────────────
+function escapeText(value: string): string {
+    return value
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function formatUtc(date: Date): string {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Folds by characters rather than octets, which keeps multi-byte
+// characters intact at the cost of the odd line running a little long
+function fold(line: string): string {
+    if (line.length <= MAX_LINE_OCTETS) return line;
+    const parts = [line.slice(0, MAX_LINE_OCTETS)];
+    for (let i = MAX_LINE_OCTETS; i < line.length; i += MAX_LINE_OCTETS - 1) {
+        parts.push(' ' + line.slice(i, i + MAX_LINE_OCTETS - 1));
+    }
+    return parts.join('\r\n');
+}
+
+export function buildIcs(events: IcsEvent[]): string {
+    const stamp = formatUtc(new Date());
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+
+    for (const event of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatUtc(event.start)}`,
+            `DTEND:${formatUtc(event.end)}`,
+            `SUMMARY:${escapeText(event.title)}`,
+        );
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+        if (event.url) lines.push(`URL:${event.url}`);
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+// ─── Import ───────────────────────────────────────────────────
+function unescapeText(value: string): string {
+    return value.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+// The instant a wall-clock time in an IANA zone names, or null for a zone
+// Intl doesn't know (Outlook's Windows names, for one)
+function zonedTime(parts: readonly [number, number, number, number, number, number], timeZone: string): Date | null {
+    let format: Intl.DateTimeFormat;
+    try {
+        format = new Intl.DateTimeFormat('en-GB', {
+            timeZone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+        });
+    } catch (e) {
+        return null;
+    }
+    const offsetAt = (instant: number) => {
+        const wall = format.formatToParts(new Date(instant));
+        const part = (type: string) => Number(wall.find(p => p.type === type)?.value);
+        return Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second')) - instant;
+    };
+
+    // Offsets differ either side of a DST change, so settle on the one in force then
+    const asUtc = Date.UTC(...parts);
+    const guess = asUtc - offsetAt(asUtc);
+    return new Date(asUtc - offsetAt(guess));
+}
+
+// 20261021T100000Z (UTC), 20261021T100000 (floating/TZID) or 20261021 (all day).
+// Floating times, and TZID ones in a zone we don't know, are device-local.
+function parseDate(value: string, params: Record<string, string>): Date | null {
+    const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!m) return null;
+
+    const [, y, mo, d, h, mi = '0', s = '0', utc] = m;
+    const parts = [Number(y), Number(mo) - 1, Number(d), Number(h || 0), Number(mi), Number(s)] as const;
+    const date = utc
+        ? new Date(Date.UTC(...parts))
+        : (h && params.TZID && zonedTime(parts, params.TZID)) || new Date(...parts);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function parseLine(line: string): { name: string; params: Record<string, string>; value: string } | null {
+    // The value starts at the first colon outside a quoted parameter
+    let inQuotes = false;
+    let split = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        else if (line[i] === ':' && !inQuotes) { split = i; break; }
+    }
+    if (split < 0) return null;
+
+    const [name, ...rawParams] = line.slice(0, split).split(';');
+    const params: Record<string, string> = {};
+    for (const p of rawParams) {
+        const [key, val = ''] = p.split('=');
+        params[key.toUpperCase()] = val.replace(/^"|"$/g, '');
+    }
+    return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+}
+
+// Events without a usable start are skipped. A missing end means a
+// one-hour event, or the whole day for all-day events.
+export function parseIcs(text: string): IcsEvent[] {
+    const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const events: IcsEvent[] = [];
+    let current: Partial<IcsEvent> & { allDay?: boolean } | null = null;
+
+    for (const raw of lines) {
+        const line = parseLine(raw.trim());
+        if (!line) continue;
+
+        if (line.name === 'BEGIN' && line.value === 'VEVENT') {
+            current = {};
+        } else if (line.name === 'END' && line.value === 'VEVENT' && current) {
+            if (current.start) {
+                const fallback = current.allDay ? 24 * 3600_000 : 3600_000;
+                events.push({
+                    uid: current.uid || `${current.start.getTime()}-${events.length}@import`,
+                    title: current.title || 'Call',
+                    description: current.description,
+                    location: current.location,
+                    url: current.url,
+                    start: current.start,
+                    end: current.end && current.end > current.start
+                        ? current.end
+                        : new Date(current.start.getTime() + fallback),
+                });
+            }
+            current = null;
+        } else if (current) {
+            switch (line.name) {
+                case 'UID': current.uid = line.value; break;
+                case 'SUMMARY': current.title = unescapeText(line.value); break;
+                case 'DESCRIPTION': current.description = unescapeText(line.value); break;
+                case 'LOCATION': current.location = unescapeText(line.value); break;
+                case 'URL': current.url = line.value; break;
+                case 'DTSTART':
+                    current.start = parseDate(line.value, line.params) ?? undefined;
+                    current.allDay = line.params.VALUE === 'DATE';
+                    break;
+                case 'DTEND': current.end = parseDate(line.value, line.params) ?? undefined; break;
+            }
+        }
+    }
+    return events;
+}
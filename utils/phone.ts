@@ -0,0 +1,45 @@
+/**
+ * Phone numbers — Cleaning dialled input and normalizing to E.164
+ *
+ * profiles.phone is stored in E.164 (+263771234567). Numbers typed or
+ * pasted without a country code are read as national numbers in the
+ * default country: a leading trunk 0 is dropped and the country code
+ * put in front. '00' works as an international prefix in place of '+'.
+ */
+
+// Country code for numbers dialled without one; ndeip launched in Zimbabwe
+export const DEFAULT_COUNTRY_CODE = (process.env.EXPO_PUBLIC_DEFAULT_COUNTRY_CODE || '263').replace(/\D/g, '');
+
+const INTERNATIONAL_PREFIX = '00';
+// E.164 allows at most 15 digits; anything under 8 can't be a full number
+const MAX_DIGITS = 15;
+const MIN_DIGITS = 8;
+
+// Keeps what can be dialled: digits, '*', '#' and a leading '+'. Pasted
+// numbers lose their spaces, dashes, dots, brackets and any tel: scheme.
+export function cleanDialInput(text: string): string {
+    const trimmed = text.trim().replace(/^tel:/i, '');
+    const plus = trimmed.startsWith('+') ? '+' : '';
+    return plus + trimmed.replace(/[^\d*#]/g, '').slice(0, MAX_DIGITS + 1);
+}
+
+// What the number typed so far is the start of, in E.164. Service codes
+// with '*' or '#' have no E.164 form.
+export function toE164Prefix(input: string, countryCode = DEFAULT_COUNTRY_CODE): string | null {
+    const cleaned = cleanDialInput(input);
+    if (!cleaned || /[*#]/.test(cleaned)) return null;
+
+    const digits = cleaned.replace(/\D/g, '');
+    if (cleaned.startsWith('+')) return `+${digits}`;
+    if (digits.startsWith(INTERNATIONAL_PREFIX)) return `+${digits.slice(INTERNATIONAL_PREFIX.length)}`;
+    if (digits.startsWith('0')) return `+${countryCode}${digits.slice(1)}`;
+    return `+${countryCode}${digits}`;
+}
+
+// A complete number in E.164, or null if the input can't be one
+export function toE164(input: string, countryCode = DEFAULT_COUNTRY_CODE): string | null {
+    const number = toE164Prefix(input, countryCode);
+    if (!number) return null;
+    const digits = number.length - 1;
+    return digits >= MIN_DIGITS && digits <= MAX_DIGITS ? number : null;
+}
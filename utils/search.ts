@@ -0,0 +1,49 @@
+/**
+ * Message search — Query terms and highlighted snippets
+ *
+ * The server matches plain messages with websearch_to_tsquery and marks
+ * hits in ts_headline snippets with [[ ]]. Encrypted messages are only
+ * searchable in the plaintext this device decrypted, so their terms and
+ * snippets are worked out here in the same shape.
+ */
+
+export interface SnippetSegment {
+    text: string;
+    match: boolean;
+}
+
+// Words of a web-search style query: quotes, exclusions and OR dropped
+export function searchTerms(query: string): string[] {
+    return query
+        .toLowerCase()
+        .split(/\s+/)
+        .map(t => t.replace(/^[-"]+|"+$/g, ''))
+        .filter(t => t && t !== 'or');
+}
+
+// Splits a ts_headline snippet marked with [[ ]] into highlightable runs
+export function parseSnippet(marked: string): SnippetSegment[] {
+    return marked
+        .split(/(\[\[.*?\]\])/)
+        .filter(Boolean)
+        .map(part => part.startsWith('[[') && part.endsWith(']]')
+            ? { text: part.slice(2, -2), match: true }
+            : { text: part, match: false });
+}
+
+// Builds the same snippet shape locally for hits in decrypted plaintext
+export function localSnippet(text: string, terms: string[], radius: number = 40): SnippetSegment[] {
+    const lower = text.toLowerCase();
+    const first = Math.min(...terms.map(t => lower.indexOf(t)).filter(i => i >= 0));
+    const start = Math.max(first - radius, 0);
+    const end = Math.min(first + radius * 2, text.length);
+    let window = text.slice(start, end);
+    if (start > 0) window = '…' + window;
+    if (end < text.length) window += '…';
+
+    const pattern = new RegExp(`(${terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    return window
+        .split(pattern)
+        .filter(Boolean)
+        .map(part => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+}